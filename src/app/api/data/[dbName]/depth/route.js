@@ -0,0 +1,19 @@
+// src/app/api/data/[dbName]/depth/route.js
+import { NextResponse } from 'next/server';
+import { getDepthDistribution } from '@/spider/db';
+
+export async function GET(req, { params }) {
+    const { dbName } = await params;
+
+    if (!dbName) {
+        return NextResponse.json({ message: 'Database name is required' }, { status: 400 });
+    }
+
+    try {
+        const distribution = getDepthDistribution(dbName);
+        return NextResponse.json({ distribution });
+    } catch (error) {
+        console.error(`Ошибка при получении распределения по глубине для ${dbName}:`, error);
+        return NextResponse.json({ message: 'Не удалось получить распределение по глубине', error: error.message }, { status: 500 });
+    }
+}
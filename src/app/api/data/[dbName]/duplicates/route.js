@@ -0,0 +1,25 @@
+// src/app/api/data/[dbName]/duplicates/route.js
+import { NextResponse } from 'next/server';
+import { getDuplicatesReport } from '@/spider/db';
+
+export async function GET(req, { params }) {
+    const { dbName } = await params;
+    const { searchParams } = new URL(req.url);
+
+    if (!dbName) {
+        return NextResponse.json({ message: 'Database name is required' }, { status: 400 });
+    }
+
+    const type = searchParams.get('type') || 'exact';
+    // Порог сходства почти дублей задается в процентах
+    const threshold = Math.min(100, Math.max(50, parseInt(searchParams.get('thresholdPercent') || '90', 10) || 90)) / 100;
+    const limit = parseInt(searchParams.get('limit') || '500', 10);
+
+    try {
+        const report = getDuplicatesReport(dbName, { type, threshold, limit });
+        return NextResponse.json(report);
+    } catch (error) {
+        console.error(`Ошибка при получении отчета по дублям для ${dbName}:`, error);
+        return NextResponse.json({ message: 'Не удалось получить отчет по дублям', error: error.message }, { status: 500 });
+    }
+}
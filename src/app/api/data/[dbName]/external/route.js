@@ -0,0 +1,23 @@
+// src/app/api/data/[dbName]/external/route.js
+import { NextResponse } from 'next/server';
+import { getExternalLinksReport } from '@/spider/db';
+
+export async function GET(req, { params }) {
+    const { dbName } = await params;
+    const { searchParams } = new URL(req.url);
+
+    if (!dbName) {
+        return NextResponse.json({ message: 'Database name is required' }, { status: 400 });
+    }
+
+    const filter = searchParams.get('filter') || '';
+    const limit = parseInt(searchParams.get('limit') || '500', 10);
+
+    try {
+        const report = getExternalLinksReport(dbName, { filter, limit });
+        return NextResponse.json(report);
+    } catch (error) {
+        console.error(`Ошибка при получении отчета по внешним ссылкам для ${dbName}:`, error);
+        return NextResponse.json({ message: 'Не удалось получить отчет по внешним ссылкам', error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,23 @@
+// src/app/api/data/[dbName]/hreflang/route.js
+import { NextResponse } from 'next/server';
+import { getHreflangReport } from '@/spider/db';
+
+export async function GET(req, { params }) {
+    const { dbName } = await params;
+    const { searchParams } = new URL(req.url);
+
+    if (!dbName) {
+        return NextResponse.json({ message: 'Database name is required' }, { status: 400 });
+    }
+
+    const filter = searchParams.get('filter') || '';
+    const limit = parseInt(searchParams.get('limit') || '500', 10);
+
+    try {
+        const report = getHreflangReport(dbName, { filter, limit });
+        return NextResponse.json(report);
+    } catch (error) {
+        console.error(`Ошибка при получении отчета по hreflang для ${dbName}:`, error);
+        return NextResponse.json({ message: 'Не удалось получить отчет по hreflang', error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,26 @@
+// src/app/api/data/[dbName]/resources/route.js
+import { NextResponse } from 'next/server';
+import { getResourcesReport } from '@/spider/db';
+
+export async function GET(req, { params }) {
+    const { dbName } = await params;
+    const { searchParams } = new URL(req.url);
+
+    if (!dbName) {
+        return NextResponse.json({ message: 'Database name is required' }, { status: 400 });
+    }
+
+    const filter = searchParams.get('filter') || '';
+    const type = searchParams.get('type') || '';
+    // Порог "слишком большого" ресурса задается в КБ
+    const maxSize = parseInt(searchParams.get('maxSizeKb') || '300', 10) * 1024;
+    const limit = parseInt(searchParams.get('limit') || '500', 10);
+
+    try {
+        const report = getResourcesReport(dbName, { filter, type, maxSize, limit });
+        return NextResponse.json(report);
+    } catch (error) {
+        console.error(`Ошибка при получении отчета по ресурсам для ${dbName}:`, error);
+        return NextResponse.json({ message: 'Не удалось получить отчет по ресурсам', error: error.message }, { status: 500 });
+    }
+}
@@ -18,12 +18,29 @@ export async function GET(req, { params }) {
     // Получаем новые параметры для поиска и фильтрации
     const searchQuery = searchParams.get('searchQuery') || '';
     const contentType = searchParams.get('contentType') || '';
+    const errorType = searchParams.get('errorType') || '';
+    const discovery = searchParams.get('discovery') || '';
+    const depth = searchParams.get('depth') || '';
+    const indexability = searchParams.get('indexability') || '';
+    // Фильтры по колонкам пользовательского извлечения [{ rule, op, value }] и поиска [{ rule, matched }] — JSON-массивы
+    let extractionFilters = [];
+    let searchFilters = [];
+    try {
+        const parsedExtractionFilters = JSON.parse(searchParams.get('extractionFilters') || '[]');
+        const parsedSearchFilters = JSON.parse(searchParams.get('searchFilters') || '[]');
+        extractionFilters = Array.isArray(parsedExtractionFilters) ? parsedExtractionFilters : [];
+        searchFilters = Array.isArray(parsedSearchFilters) ? parsedSearchFilters : [];
+    } catch (error) {
+        return NextResponse.json({ message: 'Некорректный параметр extractionFilters или searchFilters' }, { status: 400 });
+    }
 
     try {
         // Передаем все параметры, включая новые, в функцию БД
-        const { pages, total } = getAllPages(dbName, { page, limit, sortKey, sortDirection, searchQuery, contentType });
-        // Возвращаем данные вместе с общим количеством
-        return NextResponse.json({ pages, total });
+        const { pages, total, extractionRules, searchRules } = getAllPages(dbName, {
+            page, limit, sortKey, sortDirection, searchQuery, contentType, errorType, discovery, depth, indexability, extractionFilters, searchFilters,
+        });
+        // Возвращаем данные вместе с общим количеством и списками колонок пользовательского извлечения и поиска
+        return NextResponse.json({ pages, total, extractionRules, searchRules });
     } catch (error) {
         console.error(`Ошибка при получении данных для ${dbName}:`, error);
         return NextResponse.json({ message: 'Не удалось получить данные', error: error.message }, { status: 500 });
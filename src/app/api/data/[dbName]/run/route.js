@@ -0,0 +1,20 @@
+// src/app/api/data/[dbName]/run/route.js
+import { NextResponse } from 'next/server';
+import { getScanRun } from '@/spider/db';
+
+/**
+ * Запуск сканирования, результаты которого хранятся в базе dbName: даты, статус, настройки и итоги.
+ */
+export async function GET(req, { params }) {
+    const { dbName } = await params;
+
+    if (!dbName) {
+        return NextResponse.json({ message: 'Database name is required' }, { status: 400 });
+    }
+
+    const run = getScanRun(dbName);
+    if (!run) {
+        return NextResponse.json({ message: `Run for ${dbName} not found` }, { status: 404 });
+    }
+    return NextResponse.json({ run });
+}
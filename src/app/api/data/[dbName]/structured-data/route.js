@@ -0,0 +1,24 @@
+// src/app/api/data/[dbName]/structured-data/route.js
+import { NextResponse } from 'next/server';
+import { getStructuredDataReport } from '@/spider/db';
+
+export async function GET(req, { params }) {
+    const { dbName } = await params;
+    const { searchParams } = new URL(req.url);
+
+    if (!dbName) {
+        return NextResponse.json({ message: 'Database name is required' }, { status: 400 });
+    }
+
+    const filter = searchParams.get('filter') || '';
+    const schemaType = searchParams.get('schemaType') || '';
+    const limit = parseInt(searchParams.get('limit') || '500', 10);
+
+    try {
+        const report = getStructuredDataReport(dbName, { filter, schemaType, limit });
+        return NextResponse.json(report);
+    } catch (error) {
+        console.error(`Ошибка при получении отчета по структурированным данным для ${dbName}:`, error);
+        return NextResponse.json({ message: 'Не удалось получить отчет по структурированным данным', error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,45 @@
+// src/app/api/robots-test/route.js
+import { NextResponse } from 'next/server';
+import { testRobotsTxt } from '@/spider/robotsTxt';
+import { resolveUserAgent } from '@/spider/userAgents';
+
+const MAX_TEST_URLS = 1000;
+
+/**
+ * Проверяет список URL по вставленному тексту robots.txt для выбранного User-Agent.
+ * Тело запроса: { content, urls: string[] | string (по одному на строке), userAgent: { preset, custom, robotsToken } }.
+ */
+export async function POST(request) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (error) {
+        return NextResponse.json({ message: 'Некорректное тело запроса' }, { status: 400 });
+    }
+
+    const { content = '', urls = [], userAgent: userAgentSettings = {} } = body;
+    const urlList = (Array.isArray(urls) ? urls : String(urls).split('\n'))
+        .map(url => String(url).trim())
+        .filter(Boolean);
+    if (urlList.length === 0) {
+        return NextResponse.json({ message: 'Укажите хотя бы один URL' }, { status: 400 });
+    }
+    if (urlList.length > MAX_TEST_URLS) {
+        return NextResponse.json({ message: `Можно проверить не более ${MAX_TEST_URLS} URL за раз` }, { status: 400 });
+    }
+
+    let userAgent;
+    try {
+        userAgent = resolveUserAgent(userAgentSettings);
+    } catch (error) {
+        return NextResponse.json({ message: `Некорректный User-Agent: ${error.message}` }, { status: 400 });
+    }
+
+    try {
+        const results = testRobotsTxt({ content, urls: urlList, robotsToken: userAgent.robotsToken });
+        return NextResponse.json({ userAgent: userAgent.userAgent, robotsToken: userAgent.robotsToken, results });
+    } catch (error) {
+        console.error('Ошибка при проверке robots.txt:', error);
+        return NextResponse.json({ message: 'Не удалось проверить robots.txt', error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,223 @@
+// src/app/api/scan/scheduler.js
+import { Worker } from 'worker_threads';
+import path from 'path';
+import { scanProcesses } from './state';
+import { updateScanStatus, startScanRun } from '../../../spider/db';
+
+/**
+ * Читает положительное целое из переменной окружения.
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+const readLimit = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+};
+
+// Сколько сканирований идет одновременно; остальные ждут в очереди.
+// Сканирование на паузе занимает место: его воркер и соединение с базой остаются открытыми
+export const MAX_CONCURRENT_SCANS = readLimit('SPIDER_MAX_CONCURRENT_SCANS', 2);
+// Сколько исходящих соединений (открытых сокетов) все сканирования вместе могут держать одновременно
+export const MAX_OUTBOUND_CONNECTIONS = readLimit('SPIDER_MAX_CONNECTIONS', 30);
+
+// Поля сообщения 'start', которые не сохраняются в настройках запуска: служебные и учетные данные
+const RUN_SETTINGS_EXCLUDED_FIELDS = ['type', 'url', 'overwrite', 'auth'];
+
+/**
+ * Настройки запуска для истории сканирований.
+ * @param {object} startMessage - Сообщение 'start' для воркера.
+ * @returns {object}
+ */
+const getRunSettings = (startMessage) => Object.fromEntries(
+    Object.entries(startMessage).filter(([key, value]) => !RUN_SETTINGS_EXCLUDED_FIELDS.includes(key) && value !== undefined)
+);
+
+const scanQueue = []; // dbName ожидающих сканирований в порядке постановки
+const connectionWaiters = []; // dbName воркеров, ждущих разрешения на соединение (по одному элементу на новый сокет)
+let connectionsInUse = 0;
+
+/**
+ * Выдает разрешения на соединения, пока не исчерпан общий лимит.
+ */
+function grantConnections() {
+    while (connectionsInUse < MAX_OUTBOUND_CONNECTIONS && connectionWaiters.length > 0) {
+        const processInfo = scanProcesses.get(connectionWaiters.shift());
+        if (!processInfo?.worker) continue;
+        processInfo.connections++;
+        connectionsInUse++;
+        processInfo.worker.postMessage({ type: 'connection-granted' });
+    }
+}
+
+/**
+ * Убирает сканирование из списка, возвращает его разрешения и запускает следующие из очереди.
+ * @param {string} dbName
+ * @param {object} processInfo - Запись scanProcesses; если ее уже заменило новое сканирование того же сайта, она не трогается.
+ */
+export function finishScan(dbName, processInfo) {
+    if (scanProcesses.get(dbName) !== processInfo) return;
+    scanProcesses.delete(dbName);
+    connectionsInUse -= processInfo.connections;
+    for (let index = connectionWaiters.indexOf(dbName); index !== -1; index = connectionWaiters.indexOf(dbName)) {
+        connectionWaiters.splice(index, 1);
+    }
+    grantConnections();
+    startQueuedScans();
+}
+
+/**
+ * Запускает воркер сканирования. У каждого воркера свое соединение с базой сайта.
+ * Запуск в истории создается здесь, а не при постановке в очередь: отмененное в очереди сканирование не оставляет запуска.
+ * @param {string} dbName
+ */
+function startScan(dbName) {
+    const processInfo = scanProcesses.get(dbName);
+    const { startMessage } = processInfo;
+    const run = startScanRun(dbName, startMessage.url, { overwrite: Boolean(startMessage.overwrite), settings: getRunSettings(startMessage) });
+    processInfo.runDbName = run.runDbName;
+    const worker = new Worker(path.resolve(process.cwd(), 'src/spider/index.js'), {
+        workerData: { sharedConnectionLimit: true },
+    });
+    processInfo.worker = worker;
+    processInfo.status = 'pending';
+    updateScanStatus(dbName, 'pending');
+
+    worker.on('message', (message) => {
+        if (scanProcesses.get(dbName) !== processInfo) return;
+
+        if (message.type === 'connection-acquire') {
+            connectionWaiters.push(dbName);
+            grantConnections();
+        } else if (message.type === 'connection-release') {
+            processInfo.connections--;
+            connectionsInUse--;
+            grantConnections();
+        } else if (message.type === 'progress') {
+            if (processInfo.status === 'pending') {
+                updateScanStatus(dbName, 'scanning');
+                processInfo.status = 'scanning';
+            }
+            processInfo.progress = message;
+        } else if (message.type === 'paused') {
+            console.log(`[API] Scan paused for ${dbName}, queued URLs saved: ${message.queued}`);
+            updateScanStatus(dbName, 'paused');
+            processInfo.status = 'paused';
+        } else if (message.type === 'pause_rejected') {
+            // PATCH уже перевел сканирование в 'pausing' (пауза разрешена только из 'scanning') — возвращаем статус
+            console.warn(`[API] Pause rejected for ${dbName}: ${message.message}`);
+            if (processInfo.status === 'pausing') processInfo.status = 'scanning';
+        } else if (message.type === 'resumed') {
+            console.log(`[API] Scan resumed for ${dbName}`);
+            updateScanStatus(dbName, 'scanning');
+            processInfo.status = 'scanning';
+        } else if (message.type === 'completed') {
+            console.log(`[API] Scan completed for ${dbName}`);
+            updateScanStatus(dbName, 'completed');
+            finishScan(dbName, processInfo);
+            worker.terminate();
+        } else if (message.type === 'error') {
+            console.error(`[API] Scan error for ${dbName}: ${message.message}`);
+            updateScanStatus(dbName, 'error');
+            finishScan(dbName, processInfo);
+            worker.terminate();
+        }
+    });
+
+    worker.on('error', (error) => {
+        if (scanProcesses.get(dbName) === processInfo && !processInfo.isStopping) {
+            console.error(`[API] Worker error for ${dbName}:`, error);
+            updateScanStatus(dbName, 'error');
+            finishScan(dbName, processInfo);
+        }
+    });
+
+    worker.on('exit', (code) => {
+        if (processInfo.isStopping) {
+            finishScan(dbName, processInfo);
+        } else if (code !== 0 && scanProcesses.get(dbName) === processInfo) {
+            console.error(`[API] Worker for ${dbName} crashed with exit code ${code}`);
+            updateScanStatus(dbName, 'error');
+            finishScan(dbName, processInfo);
+        }
+    });
+
+    // Новый запуск начинается в пустой базе, даже если продолжение запрашивалось: прошлые запуски не продолжаются
+    worker.postMessage({ ...startMessage, overwrite: !run.resumed, runDbName: run.runDbName });
+    processInfo.startMessage = null; // Учетные данные больше не нужны в основном потоке
+}
+
+/**
+ * Запускает ожидающие сканирования, пока есть свободные места.
+ */
+function startQueuedScans() {
+    const runningCount = [...scanProcesses.values()].filter(processInfo => processInfo.worker).length;
+    for (let free = MAX_CONCURRENT_SCANS - runningCount; free > 0 && scanQueue.length > 0; free--) {
+        startScan(scanQueue.shift());
+    }
+}
+
+/**
+ * Ставит сканирование в очередь и сразу запускает его, если есть свободное место.
+ * @param {string} dbName
+ * @param {string} startUrl - URL для списка сканирований.
+ * @param {object} startMessage - Сообщение 'start' для воркера.
+ * @returns {number|null} Позиция в очереди или null, если сканирование уже запущено.
+ */
+export function enqueueScan(dbName, startUrl, startMessage) {
+    scanProcesses.set(dbName, {
+        worker: null,
+        status: 'queued',
+        isStopping: false,
+        progress: null,
+        startMessage,
+        runDbName: null, // База запуска (известна после старта воркера)
+        connections: 0, // Разрешения на соединения, которые сейчас держит воркер
+    });
+    scanQueue.push(dbName);
+    updateScanStatus(dbName, 'queued', startUrl);
+    startQueuedScans();
+    return getQueuePosition(dbName);
+}
+
+/**
+ * Убирает из очереди сканирование, которое еще не запущено.
+ * @param {string} dbName
+ * @returns {boolean} false, если сканирования нет в очереди.
+ */
+export function cancelQueuedScan(dbName) {
+    const index = scanQueue.indexOf(dbName);
+    if (index === -1) return false;
+    scanQueue.splice(index, 1);
+    scanProcesses.delete(dbName);
+    updateScanStatus(dbName, 'cancelled');
+    return true;
+}
+
+/**
+ * @param {string} dbName
+ * @returns {number|null} Позиция в очереди, начиная с 1, или null, если сканирование не ждет.
+ */
+export function getQueuePosition(dbName) {
+    const index = scanQueue.indexOf(dbName);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Активные и ожидающие сканирования с прогрессом и общие лимиты планировщика.
+ * @returns {{scans: Array<{dbName: string, runDbName: string|null, status: string, progress: object|null, queuePosition: number|null}>, maxConcurrentScans: number, maxConnections: number, connectionsInUse: number}}
+ */
+export function getSchedulerState() {
+    return {
+        scans: [...scanProcesses.entries()].map(([dbName, processInfo]) => ({
+            dbName,
+            runDbName: processInfo.runDbName,
+            status: processInfo.status,
+            progress: processInfo.progress,
+            queuePosition: getQueuePosition(dbName),
+        })),
+        maxConcurrentScans: MAX_CONCURRENT_SCANS,
+        maxConnections: MAX_OUTBOUND_CONNECTIONS,
+        connectionsInUse,
+    };
+}
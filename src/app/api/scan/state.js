@@ -2,9 +2,9 @@
 import { getAllScannedSites, updateScanStatus } from "../../../spider/db";
 
 /**
- * Карта для хранения активных процессов сканирования.
+ * Карта для хранения активных и ожидающих в очереди сканирований (ими управляет scheduler.js).
  * Ключ: dbName (домен сайта)
- * Значение: { worker, status, progress, logs }
+ * Значение: { worker, status, isStopping, progress, startMessage, runDbName, connections }; у ожидающих worker = null
  */
 export const scanProcesses = new Map();
 
@@ -22,6 +22,15 @@ export function runStaleScansCleanup() {
             if ((site.status === 'pending' || site.status === 'scanning') && !scanProcesses.has(site.dbName)) {
                 console.warn(`[API_CLEANUP] Найдено зависшее сканирование для ${site.dbName}. Установка статуса 'error'.`);
                 updateScanStatus(site.dbName, 'error');
+            } else if (site.status === 'queued' && !scanProcesses.has(site.dbName)) {
+                // Очередь планировщика хранится в памяти сервера; сканирование так и не начиналось
+                console.warn(`[API_CLEANUP] Сканирование ${site.dbName} ждало в очереди. Установка статуса 'cancelled'.`);
+                updateScanStatus(site.dbName, 'cancelled');
+            } else if (site.status === 'paused' && !scanProcesses.has(site.dbName)) {
+                // Воркер на паузе завершился вместе с сервером; очередь сохранена в базе сайта,
+                // поэтому сканирование можно продолжить повторным запуском без перезаписи
+                console.warn(`[API_CLEANUP] Сканирование ${site.dbName} было на паузе. Установка статуса 'cancelled'.`);
+                updateScanStatus(site.dbName, 'cancelled');
             }
         }
     } catch (e) {
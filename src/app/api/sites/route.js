@@ -1,12 +1,19 @@
 // src/app/api/sites/route.js
 import { NextResponse } from 'next/server';
-import { getAllScannedSites } from '@/spider/db'; // Используем алиас @/
+import { getAllScannedSites, getScanRuns } from '@/spider/db'; // Используем алиас @/
+import { stripUrlCredentials } from '@/spider/urlNormalizer';
 import { runStaleScansCleanup } from '../scan/state';
 
 export async function GET() {
     runStaleScansCleanup(); // Очищаем зависшие сканирования перед отправкой списка
     try {
-        const sites = getAllScannedSites();
+        // В старых записях startUrl мог содержать логин и пароль — не отдаем их клиенту.
+        // runs — история запусков сайта, от новых к старым
+        const sites = getAllScannedSites().map(site => ({
+            ...site,
+            startUrl: stripUrlCredentials(site.startUrl),
+            runs: getScanRuns(site.dbName),
+        }));
         return NextResponse.json(sites);
     } catch (error) {
         console.error('Error fetching scanned sites:', error);
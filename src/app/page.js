@@ -4,17 +4,49 @@
 import { useState, useEffect, useCallback } from "react";
 import Link from "next/link"; // Используйте Link из next/link
 import { useRouter } from "next/navigation"; // Для App Router useRouter из next/navigation
+import ExtractionRulesEditor from "@/components/ExtractionRulesEditor";
+import SearchRulesEditor from "@/components/SearchRulesEditor";
+import AuthSettingsEditor, { EMPTY_AUTH_SETTINGS, buildAuthSettings } from "@/components/AuthSettingsEditor";
+import UserAgentSettingsEditor, { EMPTY_USER_AGENT_SETTINGS, buildUserAgentSettings } from "@/components/UserAgentSettingsEditor";
+import ActiveScansPanel from "@/components/ActiveScansPanel";
+import ScanRunsList from "@/components/ScanRunsList";
+
+// Статусы, при которых сканирование ждет в очереди или его воркер запущен
+const ACTIVE_SCAN_STATUSES = ["queued", "pending", "scanning", "pausing", "paused"];
 
 export default function HomePage() {
   const [url, setUrl] = useState("");
   const [overwrite, setOverwrite] = useState(false);
   const [concurrency, setConcurrency] = useState(5);
-  const [scanInProgress, setScanInProgress] = useState(false);
-  // scanStatus теперь будет объектом, содержащим status, progress (который может быть null), и другие метаданды
-  const [scanStatus, setScanStatus] = useState(null);
+  const [parserWorkers, setParserWorkers] = useState(""); // Воркеры разбора HTML; пусто — по числу ядер
+  const [maxRequestsPerSecond, setMaxRequestsPerSecond] = useState(0); // 0 — без ограничения
+  const [requestTimeout, setRequestTimeout] = useState(30); // Таймаут запроса в секундах
+  const [maxRetries, setMaxRetries] = useState(2); // Повторы при сетевых ошибках
+  const [externalConcurrency, setExternalConcurrency] = useState(5); // Потоки проверки внешних ссылок
+  const [crawlResources, setCrawlResources] = useState(true); // Загружать изображения, скрипты, стили и шрифты
+  const [resourceConcurrency, setResourceConcurrency] = useState(5); // Потоки загрузки ресурсов
+  const [stripFragment, setStripFragment] = useState(true); // Отбрасывать #якоря
+  const [dropQueryParams, setDropQueryParams] = useState("utm_*, gclid, fbclid, yclid"); // Удаляемые параметры запроса
+  const [sortQueryParams, setSortQueryParams] = useState(false); // Сортировать параметры запроса
+  const [trailingSlash, setTrailingSlash] = useState("keep"); // Слеш на конце пути: keep / add / remove
+  const [hostScopeMode, setHostScopeMode] = useState("exact"); // Какие хосты считать своими: exact / www / subdomains / list
+  const [scopeHosts, setScopeHosts] = useState(""); // Дополнительные хосты для режима list
+  const [includePatterns, setIncludePatterns] = useState(""); // Шаблоны включения, по одному на строке
+  const [excludePatterns, setExcludePatterns] = useState(""); // Шаблоны исключения, по одному на строке
+  const [maxDepth, setMaxDepth] = useState(0); // 0 — без ограничения
+  const [maxPages, setMaxPages] = useState(0); // 0 — без ограничения
+  const [maxDurationMinutes, setMaxDurationMinutes] = useState(0); // 0 — без ограничения
+  const [respectNofollow, setRespectNofollow] = useState(false); // Не переходить по ссылкам nofollow
+  const [extractionRules, setExtractionRules] = useState([]); // Правила пользовательского извлечения
+  const [searchRules, setSearchRules] = useState([]); // Правила пользовательского поиска (содержит / не содержит)
+  const [authSettings, setAuthSettings] = useState(EMPTY_AUTH_SETTINGS); // Заголовки, cookie, basic auth и форма входа
+  const [userAgentSettings, setUserAgentSettings] = useState(EMPTY_USER_AGENT_SETTINGS); // User-Agent и режим robots.txt
+  const [isSubmitting, setIsSubmitting] = useState(false); // Запрос на запуск сканирования отправлен
+  // Активные и ожидающие сканирования: { scans: [{ dbName, runDbName, status, progress, queuePosition }], maxConcurrentScans, maxConnections, connectionsInUse }
+  const [scheduler, setScheduler] = useState(null);
   const [scannedSites, setScannedSites] = useState([]); // Список ранее просканированных сайтов
   const [isStopping, setIsStopping] = useState(null); // Имя БД сканирования, которое останавливается
-  const [currentDbName, setCurrentDbName] = useState(null); // Имя БД текущего активного сканирования
+  const [pauseRequestDbName, setPauseRequestDbName] = useState(null); // Имя БД, для которой отправлен запрос паузы / продолжения
   const router = useRouter();
 
   // Функция для получения списка просканированных сайтов
@@ -22,21 +54,7 @@ export default function HomePage() {
     try {
       const res = await fetch("/api/sites");
       if (res.ok) {
-        const data = await res.json();
-        setScannedSites(data);
-
-        // Проверяем, есть ли активное сканирование в списке
-        // `pending` или `scanning` указывают на то, что процесс в работе.
-        const runningScan = data.find((site) => site.status === "pending" || site.status === "scanning");
-        if (runningScan) {
-          setScanInProgress(true);
-          setCurrentDbName(runningScan.dbName);
-          // Здесь не нужно инициализировать scanStatus, он обновится через useEffect
-        } else {
-          setScanInProgress(false);
-          setCurrentDbName(null);
-          setScanStatus(null); // Сбрасываем статус, если нет активного сканирования
-        }
+        setScannedSites(await res.json());
       } else {
         console.error("Не удалось загрузить список просканированных сайтов.");
       }
@@ -48,99 +66,96 @@ export default function HomePage() {
     }
   }, []);
 
-  useEffect(() => {
-    fetchScannedSites(); // Загружаем список при первой загрузке страницы
-  }, [fetchScannedSites]);
+  // Функция для получения активных и ожидающих сканирований с их прогрессом
+  const fetchActiveScans = useCallback(async () => {
+    try {
+      const res = await fetch("/api/scan");
+      if (res.ok) {
+        setScheduler(await res.json());
+      } else {
+        console.error("Не удалось получить статус сканирований.");
+      }
+    } catch (error) {
+      console.error("Ошибка при получении статуса сканирований:", error);
+    }
+  }, []);
+
+  const activeScans = scheduler?.scans ?? [];
+  const activeScansByDbName = new Map(activeScans.map((scan) => [scan.dbName, scan]));
+  // Меняется, когда сканирование запускается, ставится на паузу или завершается
+  const activeScansKey = activeScans.map((scan) => `${scan.dbName}:${scan.status}`).join(",");
 
-  // Эффект для получения статуса сканирования (опрос API)
   useEffect(() => {
-    let interval;
-    if (scanInProgress && currentDbName) {
-      interval = setInterval(async () => {
-        try {
-          // Запрос теперь идет на /api/scan, который возвращает и progress, и status
-          const res = await fetch(`/api/scan?dbName=${currentDbName}`);
-          if (res.ok) {
-            const data = await res.json();
+    fetchActiveScans(); // Загружаем активные сканирования при первой загрузке страницы
+  }, [fetchActiveScans]);
 
-            // Здесь data.progress - это объект { message, currentUrl, totalUrls, scannedCount }
-            // data.status - это 'pending', 'scanning', 'completed', 'error'
-            setScanStatus(data); // Сохраняем весь объект, который приходит с сервера
+  // Список сайтов обновляем при каждой смене состояния сканирований, чтобы показать новый статус
+  useEffect(() => {
+    fetchScannedSites();
+  }, [activeScansKey, fetchScannedSites]);
 
-            if (data.status !== "pending" && data.status !== "scanning") {
-              // Сканирование завершилось (успешно или с ошибкой)
-              setScanInProgress(false);
-              setScanStatus(null);
-              setCurrentDbName(null);
-              fetchScannedSites(); // Обновить список сайтов, чтобы показать новый статус
-            }
-          } else {
-            console.error("Не удалось получить статус сканирования.");
-            setScanInProgress(false); // Предполагаем ошибку
-            setScanStatus(null);
-            setCurrentDbName(null);
-            fetchScannedSites();
-          }
-        } catch (error) {
-          console.error("Ошибка при получении статуса сканирования:", error);
-          setScanInProgress(false);
-          setScanStatus(null);
-          setCurrentDbName(null);
-          fetchScannedSites();
-        }
-      }, 2000); // Опрашиваем API каждые 2 секунды
-    } else {
-      if (interval) clearInterval(interval); // Очищаем интервал, если сканирование не идет
-    }
-    return () => {
-      if (interval) clearInterval(interval); // Очищаем интервал при размонтировании компонента
-    };
-  }, [scanInProgress, currentDbName, fetchScannedSites]);
+  // Эффект для получения прогресса сканирований (опрос API), пока хотя бы одно идет или ждет в очереди
+  useEffect(() => {
+    if (activeScans.length === 0) return;
+    const interval = setInterval(fetchActiveScans, 2000); // Опрашиваем API каждые 2 секунды
+    return () => clearInterval(interval); // Очищаем интервал при завершении сканирований или размонтировании компонента
+  }, [activeScans.length, fetchActiveScans]);
 
   // Обработчик отправки формы сканирования
   const handleScan = async (e) => {
     e.preventDefault(); // Предотвращаем стандартное поведение формы
-
-    if (scanInProgress) {
-      alert(
-        "Сканирование уже выполняется. Пожалуйста, дождитесь его завершения."
-      );
-      return;
-    }
+    setIsSubmitting(true);
 
     try {
       const res = await fetch("/api/scan", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ url, overwrite, concurrency }),
+        body: JSON.stringify({
+          url,
+          overwrite,
+          concurrency,
+          parserWorkers: parserWorkers === "" ? undefined : parserWorkers,
+          maxRequestsPerSecond,
+          requestTimeoutMs: requestTimeout * 1000,
+          maxRetries,
+          externalConcurrency,
+          crawlResources,
+          resourceConcurrency,
+          urlNormalization: {
+            stripFragment,
+            dropQueryParams: dropQueryParams.split(",").map((name) => name.trim()).filter(Boolean),
+            sortQueryParams,
+            trailingSlash,
+          },
+          hostScopeMode,
+          scopeHosts: scopeHosts.split(/[\s,]+/).map((host) => host.trim()).filter(Boolean),
+          includePatterns: includePatterns.split("\n").map((pattern) => pattern.trim()).filter(Boolean),
+          excludePatterns: excludePatterns.split("\n").map((pattern) => pattern.trim()).filter(Boolean),
+          maxDepth,
+          maxPages,
+          maxDurationMs: maxDurationMinutes * 60 * 1000,
+          respectNofollow,
+          extractionRules,
+          searchRules,
+          auth: buildAuthSettings(authSettings),
+          ...buildUserAgentSettings(userAgentSettings),
+        }),
       });
 
       if (res.status === 202) {
-        // 202 Accepted означает, что запрос принят и обработка начата
-        const data = await res.json();
-        setCurrentDbName(data.dbName); // Устанавливаем имя БД для отслеживания прогресса
-        setScanInProgress(true); // Активируем индикатор прогресса
-        setScanStatus({ // Инициализируем scanStatus с пустым прогрессом, чтобы избежать ошибки "null.progress"
-          status: 'pending',
-          progress: null, // Изначально progress может быть null
-          message: data.message || "Запуск сканирования...", // Сообщение от API
-          totalUrls: 0, // Устанавливаем начальные значения для прогресс-бара
-          scannedCount: 0,
-        });
+        // 202 Accepted: сканирование запущено или поставлено в очередь, если уже идет максимум сканирований
         setUrl(""); // Очищаем поле ввода
         setOverwrite(false); // Сбрасываем чекбокс
-        fetchScannedSites(); // Обновляем список, чтобы показать новый сайт в статусе 'pending'
+        fetchActiveScans(); // Показываем новое сканирование в списке активных
       } else {
         const errorData = await res.json();
         alert(`Не удалось начать сканирование: ${errorData.message}`);
-        setScanInProgress(false);
-        setScanStatus(null);
       }
     } catch (error) {
       console.error("Ошибка при запуске сканирования:", error);
       alert("Произошла непредвиденная ошибка при попытке начать сканирование.");
-      setScanInProgress(false);
-      setScanStatus(null);
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
@@ -170,7 +185,29 @@ export default function HomePage() {
       alert(`Ошибка: ${error.message}`);
     } finally {
       setIsStopping(null);
-      fetchScannedSites(); // Обновляем список, чтобы показать новый статус
+      fetchActiveScans(); // Обновляем состояние, чтобы показать новый статус
+    }
+  };
+
+  // Обработчик паузы и продолжения сканирования: воркер дожидается активных запросов и сохраняет очередь в базу
+  const handlePauseScan = async (dbName, action) => {
+    setPauseRequestDbName(dbName);
+    try {
+      const res = await fetch(`/api/scan?dbName=${dbName}`, {
+        method: 'PATCH',
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ action }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || 'Не удалось изменить состояние сканирования');
+      }
+    } catch (error) {
+      console.error('Ошибка при постановке на паузу / продолжении сканирования:', error);
+      alert(`Ошибка: ${error.message}`);
+    } finally {
+      setPauseRequestDbName(null);
+      fetchActiveScans();
     }
   };
 
@@ -180,10 +217,6 @@ export default function HomePage() {
     setOverwrite(false);
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
-  // Вычисляем процент прогресса для индикатора
-  const progressPercentage = (scanStatus?.progress?.scannedCount && scanStatus?.progress?.totalUrls)
-    ? (scanStatus.progress.scannedCount / scanStatus.progress.totalUrls) * 100
-    : 0;
 
   return (
     <div className="container mx-auto p-4 max-w-4xl font-sans">
@@ -212,7 +245,7 @@ export default function HomePage() {
               value={url}
               onChange={(e) => setUrl(e.target.value)}
               required
-              disabled={scanInProgress}
+              disabled={isSubmitting}
             />
           </div>
           <div>
@@ -231,9 +264,413 @@ export default function HomePage() {
               min="1"
               max="100"
               required
-              disabled={scanInProgress}
+              disabled={isSubmitting}
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="parserWorkers"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Воркеры разбора HTML (0-16)
+            </label>
+            <input
+              type="number"
+              id="parserWorkers"
+              className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+              placeholder="авто (по числу ядер)"
+              value={parserWorkers}
+              onChange={(e) => setParserWorkers(e.target.value === "" ? "" : Math.min(16, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+              min="0"
+              max="16"
+              disabled={isSubmitting}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              HTML разбирается в отдельных потоках, пока сканер загружает следующие страницы. 0 — разбор в потоке сканирования.
+            </p>
+          </div>
+          <div>
+            <label
+              htmlFor="maxRequestsPerSecond"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Лимит запросов в секунду (0 — без ограничения)
+            </label>
+            <input
+              type="number"
+              id="maxRequestsPerSecond"
+              className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+              value={maxRequestsPerSecond}
+              onChange={(e) => setMaxRequestsPerSecond(Math.max(0, parseFloat(e.target.value) || 0))}
+              min="0"
+              step="0.1"
+              disabled={isSubmitting}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Crawl-delay из robots.txt учитывается автоматически. При ответах 429/503 сканер замедляется и повторяет запрос.
+            </p>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label
+                htmlFor="requestTimeout"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Таймаут запроса (сек)
+              </label>
+              <input
+                type="number"
+                id="requestTimeout"
+                className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                value={requestTimeout}
+                onChange={(e) => setRequestTimeout(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                min="1"
+                max="300"
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="maxRetries"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Повторов при сетевой ошибке
+              </label>
+              <input
+                type="number"
+                id="maxRetries"
+                className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                value={maxRetries}
+                onChange={(e) => setMaxRetries(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                min="0"
+                max="10"
+                disabled={isSubmitting}
+              />
+            </div>
+          </div>
+          <div>
+            <label
+              htmlFor="externalConcurrency"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Потоков проверки внешних ссылок (1-50)
+            </label>
+            <input
+              type="number"
+              id="externalConcurrency"
+              className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+              value={externalConcurrency}
+              onChange={(e) => setExternalConcurrency(parseInt(e.target.value, 10) || 1)}
+              min="1"
+              max="50"
+              disabled={isSubmitting}
+            />
+          </div>
+          <div>
+            <div className="flex items-center mb-2">
+              <input
+                type="checkbox"
+                id="crawlResources"
+                className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                checked={crawlResources}
+                onChange={(e) => setCrawlResources(e.target.checked)}
+                disabled={isSubmitting}
+              />
+              <label
+                htmlFor="crawlResources"
+                className="ml-2 block text-base text-gray-900 select-none"
+              >
+                Загружать ресурсы страниц (изображения, скрипты, стили, шрифты)
+              </label>
+            </div>
+            {crawlResources && (
+              <>
+                <label
+                  htmlFor="resourceConcurrency"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Потоков загрузки ресурсов (1-50)
+                </label>
+                <input
+                  type="number"
+                  id="resourceConcurrency"
+                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                  value={resourceConcurrency}
+                  onChange={(e) => setResourceConcurrency(parseInt(e.target.value, 10) || 1)}
+                  min="1"
+                  max="50"
+                  disabled={isSubmitting}
+                />
+              </>
+            )}
+          </div>
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="respectNofollow"
+              className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              checked={respectNofollow}
+              onChange={(e) => setRespectNofollow(e.target.checked)}
+              disabled={isSubmitting}
             />
+            <label
+              htmlFor="respectNofollow"
+              className="ml-2 block text-base text-gray-900 select-none"
+            >
+              Не переходить по ссылкам nofollow (rel=&quot;nofollow&quot; и meta robots)
+            </label>
           </div>
+          <fieldset className="border border-gray-200 rounded-lg p-4 space-y-3">
+            <legend className="px-1 text-sm font-medium text-gray-700">
+              Область сканирования
+            </legend>
+            <div>
+              <label
+                htmlFor="hostScopeMode"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Хосты сайта
+              </label>
+              <select
+                id="hostScopeMode"
+                className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                value={hostScopeMode}
+                onChange={(e) => setHostScopeMode(e.target.value)}
+                disabled={isSubmitting}
+              >
+                <option value="exact">Только хост стартового URL</option>
+                <option value="www">Хост и его вариант с www / без www</option>
+                <option value="subdomains">Все поддомены домена</option>
+                <option value="list">Хост стартового URL и список хостов</option>
+              </select>
+              {hostScopeMode === "list" && (
+                <input
+                  type="text"
+                  id="scopeHosts"
+                  className="mt-2 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                  placeholder="blog.example.com, shop.example.com"
+                  aria-label="Дополнительные хосты"
+                  value={scopeHosts}
+                  onChange={(e) => setScopeHosts(e.target.value)}
+                  disabled={isSubmitting}
+                />
+              )}
+              <p className="mt-1 text-xs text-gray-500">
+                Ссылки на эти хосты сканируются как внутренние, остальные проверяются как внешние.
+              </p>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label
+                  htmlFor="includePatterns"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Сканировать только URL
+                </label>
+                <textarea
+                  id="includePatterns"
+                  rows={3}
+                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-sm font-mono transition duration-150 ease-in-out"
+                  placeholder="/blog/**"
+                  value={includePatterns}
+                  onChange={(e) => setIncludePatterns(e.target.value)}
+                  disabled={isSubmitting}
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="excludePatterns"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Не сканировать URL
+                </label>
+                <textarea
+                  id="excludePatterns"
+                  rows={3}
+                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-sm font-mono transition duration-150 ease-in-out"
+                  placeholder={"/tag/*\nre:[?&]page=\\d+"}
+                  value={excludePatterns}
+                  onChange={(e) => setExcludePatterns(e.target.value)}
+                  disabled={isSubmitting}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              По одному шаблону на строке. Glob: * — любые символы кроме /, ** — любые символы; шаблон, начинающийся с /, сравнивается с путем. Регулярное выражение — с префиксом re:. Стартовый URL сканируется всегда.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label
+                  htmlFor="maxDepth"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Макс. глубина
+                </label>
+                <input
+                  type="number"
+                  id="maxDepth"
+                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                  value={maxDepth}
+                  onChange={(e) => setMaxDepth(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                  min="0"
+                  disabled={isSubmitting}
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="maxPages"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Макс. страниц
+                </label>
+                <input
+                  type="number"
+                  id="maxPages"
+                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                  value={maxPages}
+                  onChange={(e) => setMaxPages(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                  min="0"
+                  disabled={isSubmitting}
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="maxDurationMinutes"
+                  className="block text-sm font-medium text-gray-700 mb-1"
+                >
+                  Макс. время (мин)
+                </label>
+                <input
+                  type="number"
+                  id="maxDurationMinutes"
+                  className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                  value={maxDurationMinutes}
+                  onChange={(e) => setMaxDurationMinutes(Math.max(0, parseFloat(e.target.value) || 0))}
+                  min="0"
+                  step="0.5"
+                  disabled={isSubmitting}
+                />
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              0 — без ограничения. Пропущенные URL сохраняются в результатах с причиной пропуска.
+            </p>
+          </fieldset>
+          <fieldset className="border border-gray-200 rounded-lg p-4 space-y-3">
+            <legend className="px-1 text-sm font-medium text-gray-700">
+              Нормализация URL
+            </legend>
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="stripFragment"
+                className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                checked={stripFragment}
+                onChange={(e) => setStripFragment(e.target.checked)}
+                disabled={isSubmitting}
+              />
+              <label
+                htmlFor="stripFragment"
+                className="ml-2 block text-base text-gray-900 select-none"
+              >
+                Отбрасывать #якоря
+              </label>
+            </div>
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="sortQueryParams"
+                className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                checked={sortQueryParams}
+                onChange={(e) => setSortQueryParams(e.target.checked)}
+                disabled={isSubmitting}
+              />
+              <label
+                htmlFor="sortQueryParams"
+                className="ml-2 block text-base text-gray-900 select-none"
+              >
+                Сортировать параметры запроса
+              </label>
+            </div>
+            <div>
+              <label
+                htmlFor="dropQueryParams"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Удалять параметры запроса (через запятую, * — любой суффикс)
+              </label>
+              <input
+                type="text"
+                id="dropQueryParams"
+                className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                value={dropQueryParams}
+                onChange={(e) => setDropQueryParams(e.target.value)}
+                disabled={isSubmitting}
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="trailingSlash"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Слеш в конце пути
+              </label>
+              <select
+                id="trailingSlash"
+                className="mt-1 block w-full border border-gray-300 rounded-lg shadow-sm p-3 text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 text-base transition duration-150 ease-in-out"
+                value={trailingSlash}
+                onChange={(e) => setTrailingSlash(e.target.value)}
+                disabled={isSubmitting}
+              >
+                <option value="keep">Не менять</option>
+                <option value="add">Добавлять (/page → /page/)</option>
+                <option value="remove">Убирать (/page/ → /page)</option>
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">
+              Хост всегда приводится к нижнему регистру. Исходные варианты ссылок сохраняются и видны в результатах.
+            </p>
+          </fieldset>
+          <fieldset className="border border-gray-200 rounded-lg p-4">
+            <legend className="px-1 text-sm font-medium text-gray-700">
+              Пользовательское извлечение
+            </legend>
+            <ExtractionRulesEditor
+              rules={extractionRules}
+              onChange={setExtractionRules}
+              disabled={isSubmitting}
+            />
+          </fieldset>
+          <fieldset className="border border-gray-200 rounded-lg p-4">
+            <legend className="px-1 text-sm font-medium text-gray-700">
+              Пользовательский поиск
+            </legend>
+            <SearchRulesEditor
+              rules={searchRules}
+              onChange={setSearchRules}
+              disabled={isSubmitting}
+            />
+          </fieldset>
+          <fieldset className="border border-gray-200 rounded-lg p-4">
+            <legend className="px-1 text-sm font-medium text-gray-700">
+              Авторизация
+            </legend>
+            <AuthSettingsEditor
+              settings={authSettings}
+              onChange={setAuthSettings}
+              disabled={isSubmitting}
+            />
+          </fieldset>
+          <fieldset className="border border-gray-200 rounded-lg p-4">
+            <legend className="px-1 text-sm font-medium text-gray-700">
+              User-Agent и robots.txt
+            </legend>
+            <UserAgentSettingsEditor
+              settings={userAgentSettings}
+              onChange={setUserAgentSettings}
+              disabled={isSubmitting}
+            />
+          </fieldset>
           <div className="flex items-center">
             <input
               type="checkbox"
@@ -241,76 +678,30 @@ export default function HomePage() {
               className="h-5 w-5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
               checked={overwrite}
               onChange={(e) => setOverwrite(e.target.checked)}
-              disabled={scanInProgress}
+              disabled={isSubmitting}
             />
             <label
               htmlFor="overwrite"
               className="ml-2 block text-base text-gray-900 select-none"
             >
-              Перезаписать существующую базу данных для этого домена
+              Начать новый запуск, даже если прошлый был прерван (результаты прошлых запусков сохранятся в истории)
             </label>
           </div>
           <button
             type="submit"
             className={`w-full py-3 px-6 border border-transparent rounded-lg shadow-md text-base font-medium text-white transition duration-200 ease-in-out
-                            ${scanInProgress
+                            ${isSubmitting
                 ? "bg-gray-400 cursor-not-allowed"
                 : "bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
               }`}
-            disabled={scanInProgress}
+            disabled={isSubmitting}
           >
-            {scanInProgress ? "Сканирование..." : "Начать Сканирование"}
+            {isSubmitting ? "Запуск..." : "Начать Сканирование"}
           </button>
         </form>
 
-        {/* Индикатор прогресса сканирования */}
-        {scanInProgress && currentDbName && (
-          <div className="mt-8 p-6 bg-blue-50 rounded-lg border border-blue-200 animate-fadeIn">
-            <h3 className="text-xl font-medium text-blue-800 mb-3">Прогресс сканирования для {currentDbName}</h3>
-
-            {/* Исправлено: Проверяем scanStatus и scanStatus.progress */}
-            <p className="text-blue-700 mb-1">
-              Статус: {scanStatus?.progress?.message || scanStatus?.message || 'Ожидание первого ответа...'}
-            </p>
-
-            {/* Оборачиваем весь блок, зависящий от progress, в проверку */}
-            {scanStatus?.progress ? (
-              <>
-                {scanStatus.progress.currentUrl && (
-                  <p className="text-blue-700 text-sm break-all mb-1">
-                    Текущий URL: <a href={scanStatus.progress.currentUrl} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">{scanStatus.progress.currentUrl}</a>
-                  </p>
-                )}
-
-                {scanStatus.progress.scannedCount !== null && scanStatus.progress.totalUrls !== null && (
-                  <p className="text-blue-700">
-                    Просканировано: {scanStatus.progress.scannedCount} / {scanStatus.progress.totalUrls}
-                  </p>
-                )}
-                <div className="w-full bg-gray-200 rounded-full h-3 mt-3">
-                  <div
-                    className="bg-blue-600 h-3 rounded-full transition-all duration-500 ease-out"
-                    style={{ width: `${progressPercentage}%` }}
-                  ></div>
-                </div>
-                {/* Новые метрики */}
-                <div className="flex justify-between text-sm text-blue-700 mt-3 pt-3 border-t border-blue-200">
-                  <span>
-                    Активных потоков: <strong>{scanStatus.progress.activeCrawlers ?? '...'} / {concurrency}</strong>
-                  </span>
-                  <span>
-                    Скорость: <strong>{scanStatus.progress.pagesPerSecond ?? '...'} стр/сек</strong>
-                  </span>
-                </div>
-              </>
-            ) : (
-              // Сообщение, когда прогресс-объект еще не пришел, но сканирование pending/scanning
-              (scanStatus?.status === 'pending' || scanStatus?.status === 'scanning') && (
-                <p className="text-blue-700">Ожидание данных о прогрессе от сканера...</p>
-              )
-            )}
-          </div>
-        )}
+        {/* Прогресс всех идущих сканирований и очередь ожидающих */}
+        <ActiveScansPanel scheduler={scheduler} />
       </div>
 
       {/* Список ранее просканированных сайтов */}
@@ -327,71 +718,104 @@ export default function HomePage() {
             {scannedSites
               .sort((a, b) => new Date(b.scannedAt) - new Date(a.scannedAt)) // Сортировка по дате сканирования (от новых к старым)
               .map((site) => {
-                // Сайт считается неактивным (и результаты можно смотреть), если он завершен или произошла ошибка.
-                // Кнопка блокируется только если сканирование в статусе 'pending' или 'scanning'.
-                const isSiteActive = site.status === "pending" || site.status === "scanning";
-                const canBeResumed = ["completed", "error", "cancelled"].includes(site.status);
+                // Статус активного сканирования берем из опроса API — он обновляется чаще списка
+                const activeScan = activeScansByDbName.get(site.dbName);
+                const liveStatus = activeScan ? activeScan.status : site.status;
+                // Сайт считается неактивным (и результаты можно смотреть), если он завершен, отменен или произошла ошибка.
+                const isSiteActive = ACTIVE_SCAN_STATUSES.includes(liveStatus);
+                const canBeResumed = ["completed", "error", "cancelled"].includes(liveStatus);
                 return (
                   <li
                     key={site.id}
-                    className="flex flex-col sm:flex-row justify-between items-start sm:items-center bg-gray-50 p-4 rounded-lg border border-gray-200 hover:bg-gray-100 transition-colors duration-150"
+                    className="bg-gray-50 p-4 rounded-lg border border-gray-200 hover:bg-gray-100 transition-colors duration-150"
                   >
-                    <div className="mb-2 sm:mb-0">
-                      <span className="font-medium text-lg text-gray-800">
-                        {site.domain}
-                      </span>
-                      <span className="text-sm text-gray-500 ml-0 sm:ml-2 block sm:inline">
-                        ({new Date(site.scannedAt).toLocaleString()})
-                      </span>
-                      {site.status === "pending" && (
-                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full">
-                          В очереди
-                        </span>
-                      )}
-                      {site.status === "scanning" && ( // Добавляем статус "scanning"
-                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full">
-                          Сканирование...
+                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center">
+                      <div className="mb-2 sm:mb-0">
+                        <span className="font-medium text-lg text-gray-800">
+                          {site.domain}
                         </span>
-                      )}
-                      {site.status === "error" && (
-                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded-full">
-                          Ошибка
+                        <span className="text-sm text-gray-500 ml-0 sm:ml-2 block sm:inline">
+                          ({new Date(site.scannedAt).toLocaleString()})
                         </span>
-                      )}
-                      {site.status === "cancelled" && (
-                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-gray-700 bg-gray-200 rounded-full">
-                          Отменено
-                        </span>
-                      )}
-                      {site.status === "completed" && (
-                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-green-700 bg-green-100 rounded-full">
-                          Завершено
-                        </span>
-                      )}
-                    </div>
-                    <div className="flex items-center space-x-2 mt-2 sm:mt-0">
-                      {isSiteActive ? (
-                        <button
-                          onClick={() => handleStopScan(site.dbName)}
-                          className={`py-2 px-4 rounded-lg shadow-sm text-sm font-medium text-white transition duration-200 ease-in-out ${isStopping === site.dbName ? 'bg-gray-400 cursor-not-allowed' : 'bg-red-600 hover:bg-red-700'}`}
-                          disabled={isStopping === site.dbName || scanInProgress && site.dbName !== currentDbName}
-                        >
-                          {isStopping === site.dbName ? 'Остановка...' : 'Остановить'}
-                        </button>
-                      ) : (
-                        <button
-                          onClick={() => handleViewResults(site.dbName)}
-                          className="py-2 px-4 rounded-lg shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700"
-                        >
-                          Результаты
-                        </button>
-                      )}
-                      {canBeResumed && (
-                        <button onClick={() => handleResumeScan(site.startUrl, site.domain)} className="py-2 px-4 rounded-lg shadow-sm text-sm font-medium text-white bg-blue-500 hover:bg-blue-600" disabled={scanInProgress}>
-                          Возобновить
-                        </button>
-                      )}
+                        {liveStatus === "queued" && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full">
+                            В очереди{activeScan?.queuePosition ? ` (#${activeScan.queuePosition})` : ""}
+                          </span>
+                        )}
+                        {liveStatus === "pending" && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full">
+                            Запуск...
+                          </span>
+                        )}
+                        {liveStatus === "scanning" && ( // Добавляем статус "scanning"
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full">
+                            Сканирование...
+                          </span>
+                        )}
+                        {(liveStatus === "paused" || liveStatus === "pausing") && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-yellow-800 bg-yellow-100 rounded-full">
+                            {liveStatus === "pausing" ? "Приостанавливается..." : "На паузе"}
+                          </span>
+                        )}
+                        {site.status === "error" && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded-full">
+                            Ошибка
+                          </span>
+                        )}
+                        {site.status === "cancelled" && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-gray-700 bg-gray-200 rounded-full">
+                            Отменено
+                          </span>
+                        )}
+                        {site.status === "completed" && (
+                          <span className="ml-2 px-2 py-0.5 text-xs font-semibold text-green-700 bg-green-100 rounded-full">
+                            Завершено
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex items-center space-x-2 mt-2 sm:mt-0">
+                        {(liveStatus === "scanning" || liveStatus === "pausing") && (
+                          <button
+                            onClick={() => handlePauseScan(site.dbName, "pause")}
+                            className={`py-2 px-4 rounded-lg shadow-sm text-sm font-medium text-white transition duration-200 ease-in-out ${pauseRequestDbName === site.dbName || liveStatus === "pausing" ? 'bg-gray-400 cursor-not-allowed' : 'bg-yellow-500 hover:bg-yellow-600'}`}
+                            disabled={pauseRequestDbName === site.dbName || liveStatus === "pausing"}
+                          >
+                            {liveStatus === "pausing" ? 'Пауза...' : 'Пауза'}
+                          </button>
+                        )}
+                        {liveStatus === "paused" && (
+                          <button
+                            onClick={() => handlePauseScan(site.dbName, "resume")}
+                            className={`py-2 px-4 rounded-lg shadow-sm text-sm font-medium text-white transition duration-200 ease-in-out ${pauseRequestDbName === site.dbName ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'}`}
+                            disabled={pauseRequestDbName === site.dbName}
+                          >
+                            Продолжить
+                          </button>
+                        )}
+                        {isSiteActive ? (
+                          <button
+                            onClick={() => handleStopScan(site.dbName)}
+                            className={`py-2 px-4 rounded-lg shadow-sm text-sm font-medium text-white transition duration-200 ease-in-out ${isStopping === site.dbName ? 'bg-gray-400 cursor-not-allowed' : 'bg-red-600 hover:bg-red-700'}`}
+                            disabled={isStopping === site.dbName}
+                          >
+                            {isStopping === site.dbName ? 'Остановка...' : 'Остановить'}
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => handleViewResults(site.runs?.[0]?.runDbName || site.dbName)}
+                            className="py-2 px-4 rounded-lg shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700"
+                          >
+                            Результаты
+                          </button>
+                        )}
+                        {canBeResumed && (
+                          <button onClick={() => handleResumeScan(site.startUrl, site.domain)} className="py-2 px-4 rounded-lg shadow-sm text-sm font-medium text-white bg-blue-500 hover:bg-blue-600" disabled={isSubmitting}>
+                            Возобновить
+                          </button>
+                        )}
+                      </div>
                     </div>
+                    <ScanRunsList runs={site.runs} />
                   </li>
                 );
               })}
@@ -4,10 +4,65 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams } from 'next/navigation';
 import Modal from '@/components/Modal'; // Импортируем компонент модального окна
+import RedirectsReport from '@/components/RedirectsReport';
+import ExternalLinksReport from '@/components/ExternalLinksReport';
+import ResourcesReport from '@/components/ResourcesReport';
+import HreflangReport from '@/components/HreflangReport';
+import StructuredDataReport from '@/components/StructuredDataReport';
+import DuplicatesReport from '@/components/DuplicatesReport';
+import SecurityReport from '@/components/SecurityReport';
+import DepthChart from '@/components/DepthChart';
+import ErrorTypeBadge, { ERROR_TYPE_LABELS } from '@/components/ErrorTypeBadge';
 import Link from 'next/link';
 
 const PAGE_SIZE = 100;
 
+// Причины пропуска URL правилами области сканирования (см. src/spider/scope.js)
+const SKIP_REASON_LABELS = {
+    EXCLUDED: 'Исключен шаблоном',
+    NOT_INCLUDED: 'Не подходит под шаблоны включения',
+    MAX_DEPTH: 'Превышена глубина',
+    MAX_PAGES: 'Достигнут лимит страниц',
+    TIME_BUDGET: 'Истекло время сканирования',
+};
+
+// Причины, по которым страница не индексируется (см. src/spider/indexability.js)
+const INDEXABILITY_REASON_LABELS = {
+    noindex_meta: 'noindex в meta robots',
+    noindex_header: 'noindex в X-Robots-Tag',
+    canonicalized: 'Canonical на другой URL',
+    redirect: 'Редирект',
+    non_200: 'Статус не 200',
+    blocked_by_robots: 'Запрещен robots.txt',
+    error: 'Ошибка загрузки',
+};
+
+// Проблемы страницы, на которую указывает canonical
+const CANONICAL_ISSUE_LABELS = {
+    not_crawled: 'canonical-цель не просканирована',
+    redirect: 'canonical-цель редиректит',
+    non_200: 'canonical-цель отвечает не 200',
+    canonicalized: 'canonical-цель сама канонизирована',
+};
+
+// Режимы правил пользовательского поиска
+const SEARCH_MODE_LABELS = {
+    contains: 'Содержит',
+    notContains: 'Не содержит',
+};
+
+// Вкладки страницы результатов
+const TABS = [
+    { key: 'pages', label: 'Страницы' },
+    { key: 'redirects', label: 'Редиректы' },
+    { key: 'external', label: 'Внешние ссылки' },
+    { key: 'resources', label: 'Ресурсы' },
+    { key: 'hreflang', label: 'Hreflang' },
+    { key: 'structuredData', label: 'Структурированные данные' },
+    { key: 'duplicates', label: 'Дубли' },
+    { key: 'security', label: 'Безопасность' },
+];
+
 export default function ResultsPage() {
     const params = useParams();
     const dbName = params.dbName;
@@ -22,7 +77,21 @@ export default function ResultsPage() {
     const [searchQuery, setSearchQuery] = useState(''); // Debounced search query
     const [searchInput, setSearchInput] = useState(''); // Immediate input value
     const [contentType, setContentType] = useState(''); // Content type filter
+    const [discovery, setDiscovery] = useState(''); // Фильтр по источнику (sitemap / ссылки)
+    const [errorType, setErrorType] = useState(''); // Фильтр по категории сетевой ошибки
+    const [depth, setDepth] = useState(''); // Фильтр по глубине: число или 'unknown'
+    const [indexability, setIndexability] = useState(''); // Фильтр по индексируемости
+    const [extractionRules, setExtractionRules] = useState([]); // Имена правил пользовательского извлечения (доп. колонки)
+    const [extractionFilterRule, setExtractionFilterRule] = useState(''); // Колонка извлечения для фильтра
+    const [extractionFilterOp, setExtractionFilterOp] = useState('contains'); // contains / notContains / exists / missing
+    const [extractionFilterInput, setExtractionFilterInput] = useState(''); // Immediate input value
+    const [extractionFilterValue, setExtractionFilterValue] = useState(''); // Debounced значение фильтра
+    const [searchRules, setSearchRules] = useState([]); // Правила пользовательского поиска (доп. колонки)
+    const [searchFilterRule, setSearchFilterRule] = useState(''); // Правило поиска для фильтра
+    const [searchFilterMatched, setSearchFilterMatched] = useState('true'); // 'true' — правило выполнено, 'false' — нарушено
     const [totalCount, setTotalCount] = useState(0); // Общее количество найденных страниц
+    const [activeTab, setActiveTab] = useState('pages'); // Активная вкладка отчета
+    const [run, setRun] = useState(null); // Запуск сканирования, результаты которого показаны (null — нет в истории)
 
     // Ref для IntersectionObserver
     const observer = useRef();
@@ -42,14 +111,26 @@ export default function ResultsPage() {
                 sortDirection: sortConfig.direction,
                 searchQuery: searchQuery, // Используем debounced значение
                 contentType: contentType,
+                errorType: errorType,
+                discovery: discovery,
+                depth: depth,
+                indexability: indexability,
             });
+            if (extractionFilterRule) {
+                params.set('extractionFilters', JSON.stringify([{ rule: extractionFilterRule, op: extractionFilterOp, value: extractionFilterValue }]));
+            }
+            if (searchFilterRule) {
+                params.set('searchFilters', JSON.stringify([{ rule: searchFilterRule, matched: searchFilterMatched === 'true' }]));
+            }
             const res = await fetch(`/api/data/${dbName}?${params.toString()}`);
             if (!res.ok) {
                 throw new Error(`HTTP ошибка! Статус: ${res.status}`);
             }
-            const { pages: newPages, total } = await res.json();
+            const { pages: newPages, total, extractionRules: ruleNames, searchRules: newSearchRules } = await res.json();
 
             setPages(prevPages => (shouldReset ? newPages : [...prevPages, ...newPages]));
+            setExtractionRules(ruleNames || []);
+            setSearchRules(newSearchRules || []);
             setTotalCount(total); // Обновляем общее количество
             setCurrentPage(pageToFetch);
             setHasMore((pageToFetch * PAGE_SIZE) < total);
@@ -60,18 +141,19 @@ export default function ResultsPage() {
         } finally {
             stateSetter(false);
         }
-    }, [dbName, sortConfig.key, sortConfig.direction, searchQuery, contentType]);
+    }, [dbName, sortConfig.key, sortConfig.direction, searchQuery, contentType, errorType, discovery, depth, indexability, extractionFilterRule, extractionFilterOp, extractionFilterValue, searchFilterRule, searchFilterMatched]);
 
     // Debounce search input
     useEffect(() => {
         const timer = setTimeout(() => {
             setSearchQuery(searchInput);
+            setExtractionFilterValue(extractionFilterInput);
         }, 500); // 500ms delay
 
         return () => {
             clearTimeout(timer);
         };
-    }, [searchInput]);
+    }, [searchInput, extractionFilterInput]);
 
     const lastPageElementRef = useCallback(node => {
         if (isFetchingMore) return; // Не пересоздаем наблюдатель во время загрузки
@@ -90,6 +172,15 @@ export default function ResultsPage() {
     const [modalContent, setModalContent] = useState({ title: '', data: [] });
 
 
+    // Какой запуск смотрим: сайт, номер и даты для заголовка
+    useEffect(() => {
+        if (!dbName) return;
+        fetch(`/api/data/${dbName}/run`)
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => setRun(data?.run ?? null))
+            .catch(() => setRun(null));
+    }, [dbName]);
+
     // Начальная загрузка и загрузка при изменении сортировки, поиска или фильтра
     useEffect(() => {
         if (dbName) {
@@ -98,7 +189,7 @@ export default function ResultsPage() {
             setHasMore(true);
             fetchPages(1, true);
         }
-    }, [dbName, sortConfig, searchQuery, contentType, fetchPages]);
+    }, [dbName, sortConfig, searchQuery, contentType, errorType, discovery, depth, indexability, extractionFilterRule, extractionFilterOp, extractionFilterValue, searchFilterRule, searchFilterMatched, fetchPages]);
 
     const handleSort = (key) => {
         let direction = 'ascending';
@@ -150,11 +241,67 @@ export default function ResultsPage() {
                 <Link className='flex items-center' href={'/'}>
                     &#9668; Back
                 </Link>
-                <h1 className="text-4xl font-extrabold text-center text-gray-100">
-                    Результаты сканирования для &quot;{dbName}&quot;
-                </h1>
+                <div className="text-center">
+                    <h1 className="text-4xl font-extrabold text-gray-100">
+                        Результаты сканирования для &quot;{run ? run.dbName : dbName}&quot;
+                    </h1>
+                    {run && (
+                        <p className="text-sm text-gray-300 mt-1">
+                            Запуск #{run.id}: {new Date(run.startedAt).toLocaleString()} — {run.finishedAt ? new Date(run.finishedAt).toLocaleString() : 'не завершен'}
+                        </p>
+                    )}
+                </div>
             </div>
+            {/* Вкладки отчетов */}
+            <div className="flex space-x-2 mb-4">
+                {TABS.map(tab => (
+                    <button
+                        key={tab.key}
+                        onClick={() => setActiveTab(tab.key)}
+                        className={`py-2 px-4 rounded-t-lg text-sm font-medium transition ${activeTab === tab.key ? 'bg-white text-gray-900' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'}`}
+                    >
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+            {activeTab === 'redirects' && (
+                <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+                    <RedirectsReport dbName={dbName} onShowList={openModal} />
+                </div>
+            )}
+            {activeTab === 'external' && (
+                <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+                    <ExternalLinksReport dbName={dbName} onShowList={openModal} />
+                </div>
+            )}
+            {activeTab === 'resources' && (
+                <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+                    <ResourcesReport dbName={dbName} onShowList={openModal} />
+                </div>
+            )}
+            {activeTab === 'hreflang' && (
+                <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+                    <HreflangReport dbName={dbName} />
+                </div>
+            )}
+            {activeTab === 'structuredData' && (
+                <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+                    <StructuredDataReport dbName={dbName} onShowList={openModal} />
+                </div>
+            )}
+            {activeTab === 'duplicates' && (
+                <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+                    <DuplicatesReport dbName={dbName} onShowList={openModal} />
+                </div>
+            )}
+            {activeTab === 'security' && (
+                <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+                    <SecurityReport dbName={dbName} />
+                </div>
+            )}
+            {activeTab === 'pages' && (
             <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 overflow-x-auto">
+                <DepthChart dbName={dbName} selectedDepth={depth} onSelectDepth={setDepth} />
                 {/* Панель поиска и фильтрации */}
                 <div className="flex flex-col sm:flex-row justify-between items-center mb-6 space-y-4 sm:space-y-0">
                     <div className="flex-grow w-full sm:w-auto sm:mr-4">
@@ -175,14 +322,127 @@ export default function ResultsPage() {
                             <option value="">Все типы контента</option>
                             <option value="HTML_PAGE">HTML страницы</option>
                             <option value="NON_HTML_OR_ERROR">Не HTML / Ошибки</option>
+                            <option value="REDIRECT">Редиректы</option>
                             <option value="DISALLOWED">Запрещено robots.txt</option>
+                            <option value="SKIPPED">Пропущено правилами сканирования</option>
                             <option value="INTERNAL_ERROR">Внутренние ошибки</option>
                         </select>
                     </div>
+                    <div className="w-full sm:w-auto sm:ml-4">
+                        <select
+                            value={errorType}
+                            onChange={(e) => setErrorType(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 transition"
+                        >
+                            <option value="">Все (с ошибками и без)</option>
+                            <option value="any">Любая сетевая ошибка</option>
+                            {Object.entries(ERROR_TYPE_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="w-full sm:w-auto sm:ml-4">
+                        <select
+                            value={discovery}
+                            onChange={(e) => setDiscovery(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 transition"
+                        >
+                            <option value="">Все источники</option>
+                            <option value="orphan">Сироты (только в sitemap)</option>
+                            <option value="notInSitemap">Нет в sitemap (только по ссылкам)</option>
+                        </select>
+                    </div>
+                    <div className="w-full sm:w-auto sm:ml-4">
+                        <select
+                            value={indexability}
+                            onChange={(e) => setIndexability(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 transition"
+                        >
+                            <option value="">Любая индексируемость</option>
+                            <option value="indexable">Индексируемые</option>
+                            <option value="nonIndexable">Неиндексируемые</option>
+                            {Object.entries(INDEXABILITY_REASON_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                            <option value="canonicalIssue">Проблемная canonical-цель</option>
+                            <option value="robotsBlocked">Запрещены robots.txt (в т.ч. просканированные)</option>
+                        </select>
+                    </div>
                 </div>
+                {/* Фильтр по колонкам пользовательского извлечения */}
+                {extractionRules.length > 0 && (
+                    <div className="flex flex-col sm:flex-row gap-4 mb-6">
+                        <select
+                            value={extractionFilterRule}
+                            onChange={(e) => setExtractionFilterRule(e.target.value)}
+                            className="p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 transition"
+                        >
+                            <option value="">Без фильтра по извлечению</option>
+                            {extractionRules.map(rule => (
+                                <option key={rule} value={rule}>{rule}</option>
+                            ))}
+                        </select>
+                        {extractionFilterRule && (
+                            <>
+                                <select
+                                    value={extractionFilterOp}
+                                    onChange={(e) => setExtractionFilterOp(e.target.value)}
+                                    className="p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 transition"
+                                >
+                                    <option value="contains">Содержит</option>
+                                    <option value="notContains">Не содержит</option>
+                                    <option value="exists">Значение есть</option>
+                                    <option value="missing">Значения нет</option>
+                                </select>
+                                {(extractionFilterOp === 'contains' || extractionFilterOp === 'notContains') && (
+                                    <input
+                                        type="text"
+                                        placeholder="Значение..."
+                                        value={extractionFilterInput}
+                                        onChange={(e) => setExtractionFilterInput(e.target.value)}
+                                        className="p-2 border border-gray-300 rounded-lg text-gray-700 focus:ring-blue-500 focus:border-blue-500 transition"
+                                    />
+                                )}
+                            </>
+                        )}
+                    </div>
+                )}
+                {/* Фильтр по правилам пользовательского поиска */}
+                {searchRules.length > 0 && (
+                    <div className="flex flex-col sm:flex-row gap-4 mb-6">
+                        <select
+                            value={searchFilterRule}
+                            onChange={(e) => setSearchFilterRule(e.target.value)}
+                            className="p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 transition"
+                        >
+                            <option value="">Без фильтра по поиску</option>
+                            {searchRules.map(rule => (
+                                <option key={rule.name} value={rule.name}>{rule.name}</option>
+                            ))}
+                        </select>
+                        {searchFilterRule && (
+                            <select
+                                value={searchFilterMatched}
+                                onChange={(e) => setSearchFilterMatched(e.target.value)}
+                                className="p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 transition"
+                            >
+                                <option value="true">Правило выполнено</option>
+                                <option value="false">Правило не выполнено</option>
+                            </select>
+                        )}
+                    </div>
+                )}
                 {/* Счетчик результатов */}
                 <div className="mb-4 text-sm text-gray-600">
                     Найдено страниц: <span className="font-bold">{totalCount}</span>
+                    {depth !== '' && (
+                        <button
+                            onClick={() => setDepth('')}
+                            className="ml-3 px-2 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full hover:bg-blue-200"
+                        >
+                            Глубина: {depth === 'unknown' ? 'неизвестна' : depth} ✕
+                        </button>
+                    )}
                 </div>
 
                 {pages.length > 0 ? (
@@ -220,6 +480,48 @@ export default function ResultsPage() {
                                     >
                                         Время ответа (мс) {getSortIndicator('responseTime')}
                                     </th>
+                                    <th
+                                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                                        onClick={() => handleSort('depth')}
+                                    >
+                                        Глубина {getSortIndicator('depth')}
+                                    </th>
+                                    <th
+                                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                                        onClick={() => handleSort('wordCount')}
+                                    >
+                                        Слов {getSortIndicator('wordCount')}
+                                    </th>
+                                    <th
+                                        className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                                        onClick={() => handleSort('textRatio')}
+                                    >
+                                        Текст/HTML {getSortIndicator('textRatio')}
+                                    </th>
+                                    {extractionRules.map(rule => (
+                                        <th
+                                            key={rule}
+                                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider cursor-pointer hover:bg-gray-100"
+                                            onClick={() => handleSort(`extract:${rule}`)}
+                                        >
+                                            {rule} {getSortIndicator(`extract:${rule}`)}
+                                        </th>
+                                    ))}
+                                    {searchRules.map(rule => (
+                                        <th
+                                            key={rule.name}
+                                            title={`${SEARCH_MODE_LABELS[rule.mode]}: ${rule.pattern}`}
+                                            className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                                        >
+                                            {rule.name}
+                                        </th>
+                                    ))}
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Источник
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Индексация
+                                    </th>
                                     {/* Изменяем заголовки для модального окна */}
                                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                         H1-H6
@@ -239,6 +541,14 @@ export default function ResultsPage() {
                                             <a href={page.url} target="_blank" rel="noopener noreferrer">
                                                 {page.url}
                                             </a>
+                                            {page.urlVariants && page.urlVariants.length > 0 && (
+                                                <button
+                                                    onClick={() => openModal('Варианты URL, сведенные к ' + page.url, page.urlVariants)}
+                                                    className="block mt-1 text-xs text-gray-500 hover:underline"
+                                                >
+                                                    Вариантов URL: {page.urlVariants.length}
+                                                </button>
+                                            )}
                                         </td>
                                         <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 break-words max-w-xs">
                                             {page.metaTitle || 'N/A'}
@@ -247,11 +557,116 @@ export default function ResultsPage() {
                                             {page.metaDescription || 'N/A'}
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
-                                            {page.responseStatus !== null ? page.responseStatus : 'N/A'}
+                                            {page.errorType ? (
+                                                <ErrorTypeBadge errorType={page.errorType} errorMessage={page.errorMessage} />
+                                            ) : page.skipReason ? (
+                                                <span className="px-2 py-0.5 text-xs font-semibold text-gray-700 bg-gray-200 rounded-full">
+                                                    {SKIP_REASON_LABELS[page.skipReason] || page.skipReason}
+                                                </span>
+                                            ) : (page.responseStatus !== null ? page.responseStatus : 'N/A')}
+                                            {page.responseHeaders && page.responseHeaders.length > 0 && (
+                                                <button
+                                                    onClick={() => openModal('Заголовки ответа ' + page.url, page.responseHeaders)}
+                                                    className="block mt-1 text-xs text-gray-500 hover:underline"
+                                                >
+                                                    Заголовки ({page.responseHeaders.length})
+                                                </button>
+                                            )}
                                         </td>
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
                                             {page.responseTime !== null ? page.responseTime : 'N/A'}
                                         </td>
+                                        <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 max-w-[200px]">
+                                            {page.depth !== null ? page.depth : '—'}
+                                            {page.referrerUrl && (
+                                                <a
+                                                    href={page.referrerUrl}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    title="Страница, на которой URL найден впервые"
+                                                    className="block mt-1 text-xs text-gray-500 hover:underline break-words"
+                                                >
+                                                    из: {page.referrerUrl}
+                                                </a>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {page.wordCount !== null ? page.wordCount : '—'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {page.textRatio !== null ? `${page.textRatio}%` : '—'}
+                                        </td>
+                                        {extractionRules.map(rule => {
+                                            const values = page.extractions?.[rule] || [];
+                                            return (
+                                                <td key={rule} className="px-6 py-4 whitespace-normal text-sm text-gray-800 break-words max-w-xs">
+                                                    {values.length > 0 ? values[0] : '—'}
+                                                    {values.length > 1 && (
+                                                        <button
+                                                            onClick={() => openModal(`${rule}: ${page.url}`, values.map((value, index) => ({ type: index + 1, value })))}
+                                                            className="block mt-1 text-xs text-blue-600 hover:underline"
+                                                        >
+                                                            Все значения ({values.length})
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            );
+                                        })}
+                                        {searchRules.map(rule => {
+                                            const matchCount = page.searchResults?.[rule.name];
+                                            if (matchCount === undefined) {
+                                                return <td key={rule.name} className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">—</td>;
+                                            }
+                                            // "Содержит" выполнено при совпадениях, "не содержит" — при их отсутствии
+                                            const matched = rule.mode === 'contains' ? matchCount > 0 : matchCount === 0;
+                                            return (
+                                                <td key={rule.name} className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                                    <span className={matched ? 'text-green-600' : 'text-red-600'}>{matched ? '✓' : '✗'}</span>
+                                                    <span className="ml-1 text-xs text-gray-500">({matchCount})</span>
+                                                </td>
+                                            );
+                                        })}
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {page.inSitemap ? (
+                                                <span className="mr-1 px-2 py-0.5 text-xs font-semibold text-purple-700 bg-purple-100 rounded-full">Sitemap</span>
+                                            ) : null}
+                                            {page.foundByLinks ? (
+                                                <span className="px-2 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full">Ссылки</span>
+                                            ) : null}
+                                            {!page.inSitemap && !page.foundByLinks && '—'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 max-w-[250px]">
+                                            {page.indexable === 1 ? (
+                                                <span className="px-2 py-0.5 text-xs font-semibold text-green-700 bg-green-100 rounded-full">Индексируется</span>
+                                            ) : page.indexable === 0 ? (
+                                                <span
+                                                    className="px-2 py-0.5 text-xs font-semibold text-orange-700 bg-orange-100 rounded-full"
+                                                    title={[page.metaRobots && `meta robots: ${page.metaRobots}`, page.xRobotsTag && `X-Robots-Tag: ${page.xRobotsTag}`].filter(Boolean).join('\n') || undefined}
+                                                >
+                                                    {INDEXABILITY_REASON_LABELS[page.indexabilityReason] || page.indexabilityReason}
+                                                </span>
+                                            ) : '—'}
+                                            {page.robotsBlocked === 1 && (
+                                                <span className="ml-1 px-2 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded-full" title="URL запрещен robots.txt, но просканирован в режиме отчета">
+                                                    robots.txt
+                                                </span>
+                                            )}
+                                            {page.canonicalUrl && (
+                                                <a
+                                                    href={page.canonicalUrl}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    className="block mt-1 text-xs text-gray-500 hover:underline break-words"
+                                                >
+                                                    canonical: {page.canonicalUrl}
+                                                </a>
+                                            )}
+                                            {page.canonicalIssue && (
+                                                <span className="block mt-1 text-xs font-semibold text-red-600">
+                                                    ⚠ {CANONICAL_ISSUE_LABELS[page.canonicalIssue] || page.canonicalIssue}
+                                                </span>
+                                            )}
+                                        </td>
                                         {/* Кнопка для Заголовков */}
                                         <td className="px-6 py-4 whitespace-normal text-sm text-gray-800">
                                             {page.headers && page.headers.length > 0 ? (
@@ -305,6 +720,7 @@ export default function ResultsPage() {
                     </div>
                 )}
             </div>
+            )}
 
             {/* Компонент модального окна */}
             <Modal isOpen={isModalOpen} onClose={closeModal} title={modalContent.title}>
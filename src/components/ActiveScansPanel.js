@@ -0,0 +1,111 @@
+// src/components/ActiveScansPanel.js
+"use client"; // Это Client Component
+
+/**
+ * Прогресс одного запущенного сканирования.
+ */
+const ScanProgressCard = ({ scan }) => {
+    const { progress } = scan;
+    // Вычисляем процент прогресса для индикатора
+    const progressPercentage = (progress?.scannedCount && progress?.totalUrls)
+        ? (progress.scannedCount / progress.totalUrls) * 100
+        : 0;
+
+    return (
+        <div className="p-6 bg-blue-50 rounded-lg border border-blue-200 animate-fadeIn">
+            <h3 className="text-xl font-medium text-blue-800 mb-3">Прогресс сканирования для {scan.dbName}</h3>
+            <p className="text-blue-700 mb-1">
+                Статус: {progress?.message || (scan.status === 'pending' ? 'Запуск сканирования...' : 'Ожидание первого ответа...')}
+            </p>
+
+            {progress ? (
+                <>
+                    {progress.currentUrl && (
+                        <p className="text-blue-700 text-sm break-all mb-1">
+                            Текущий URL: <a href={progress.currentUrl} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">{progress.currentUrl}</a>
+                        </p>
+                    )}
+                    {progress.scannedCount !== null && progress.totalUrls !== null && (
+                        <p className="text-blue-700">
+                            Просканировано: {progress.scannedCount} / {progress.totalUrls}
+                        </p>
+                    )}
+                    <div className="w-full bg-gray-200 rounded-full h-3 mt-3">
+                        <div
+                            className="bg-blue-600 h-3 rounded-full transition-all duration-500 ease-out"
+                            style={{ width: `${progressPercentage}%` }}
+                        ></div>
+                    </div>
+                    <div className="flex justify-between text-sm text-blue-700 mt-3 pt-3 border-t border-blue-200">
+                        <span>
+                            Активных потоков: <strong>{progress.activeCrawlers ?? '...'} / {progress.maxConcurrency ?? '...'}</strong>
+                        </span>
+                        <span>
+                            Воркеров разбора: <strong>{progress.parserWorkers ?? '...'}</strong>
+                        </span>
+                        <span>
+                            Скорость: <strong>{progress.pagesPerSecond ?? '...'} стр/сек</strong>
+                        </span>
+                    </div>
+                    {(progress.externalChecked > 0 || progress.externalPending > 0) && (
+                        <p className="text-sm text-blue-700 mt-2">
+                            Внешние ссылки: проверено <strong>{progress.externalChecked}</strong>, в очереди <strong>{progress.externalPending}</strong>
+                        </p>
+                    )}
+                    {(progress.resourcesChecked > 0 || progress.resourcesPending > 0) && (
+                        <p className="text-sm text-blue-700 mt-1">
+                            Ресурсы: загружено <strong>{progress.resourcesChecked}</strong>, в очереди <strong>{progress.resourcesPending}</strong>
+                        </p>
+                    )}
+                    {progress.throttled && (
+                        <p className="mt-2 px-3 py-1 text-sm font-semibold text-orange-800 bg-orange-100 rounded-lg">
+                            Сервер просит замедлиться — интервал между запросами {progress.requestIntervalMs} мс
+                        </p>
+                    )}
+                </>
+            ) : (
+                <p className="text-blue-700">Ожидание данных о прогрессе от сканера...</p>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Все запущенные сканирования с прогрессом и очередь ожидающих с их позициями.
+ * @param {object} props
+ * @param {object|null} props.scheduler - Ответ GET /api/scan: { scans, maxConcurrentScans, maxConnections, connectionsInUse }.
+ */
+const ActiveScansPanel = ({ scheduler }) => {
+    const scans = scheduler?.scans ?? [];
+    if (scans.length === 0) return null;
+
+    const runningScans = scans.filter(scan => scan.status !== 'queued');
+    const queuedScans = scans.filter(scan => scan.status === 'queued').sort((a, b) => a.queuePosition - b.queuePosition);
+
+    return (
+        <div className="mt-8 space-y-4">
+            <p className="text-sm text-gray-600">
+                Идет сканирований: <strong>{runningScans.length} / {scheduler.maxConcurrentScans}</strong>,
+                исходящих соединений: <strong>{scheduler.connectionsInUse} / {scheduler.maxConnections}</strong>
+            </p>
+            {runningScans.map(scan => (
+                <ScanProgressCard key={scan.dbName} scan={scan} />
+            ))}
+            {queuedScans.length > 0 && (
+                <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                    <h3 className="text-base font-medium text-gray-700 mb-2">В очереди</h3>
+                    <ol className="space-y-1 text-sm text-gray-700">
+                        {queuedScans.map(scan => (
+                            <li key={scan.dbName}>
+                                <span className="font-mono text-gray-500 mr-2">#{scan.queuePosition}</span>
+                                {scan.dbName}
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ActiveScansPanel;
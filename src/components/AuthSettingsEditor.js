@@ -0,0 +1,191 @@
+// src/components/AuthSettingsEditor.js
+"use client"; // Это Client Component
+
+const inputClassName = 'p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 text-sm transition';
+
+export const EMPTY_AUTH_SETTINGS = {
+    headers: '',          // "Имя: значение" по одному на строке
+    cookies: '',          // "имя=значение" по одной на строке или через ";"
+    keepCookies: false,
+    basicUsername: '',
+    basicPassword: '',
+    loginUrl: '',
+    loginUsernameField: 'username',
+    loginUsername: '',
+    loginPasswordField: 'password',
+    loginPassword: '',
+    loginExtraFields: '', // "имя=значение" по одному на строке
+};
+
+/**
+ * Разбирает строки "имя<разделитель>значение" в объект, пропуская строки без разделителя.
+ * @param {string} text
+ * @param {string} separator
+ * @returns {Object<string, string>}
+ */
+const parseLines = (text, separator) => Object.fromEntries(text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.includes(separator))
+    .map(line => [line.slice(0, line.indexOf(separator)).trim(), line.slice(line.indexOf(separator) + 1).trim()])
+    .filter(([name]) => name));
+
+/**
+ * Переводит значения формы в настройки авторизации для запроса на сканирование.
+ * @param {typeof EMPTY_AUTH_SETTINGS} settings
+ * @returns {object}
+ */
+export const buildAuthSettings = (settings) => ({
+    headers: parseLines(settings.headers, ':'),
+    cookies: settings.cookies,
+    keepCookies: settings.keepCookies,
+    basicAuth: settings.basicUsername ? { username: settings.basicUsername, password: settings.basicPassword } : null,
+    login: settings.loginUrl ? {
+        url: settings.loginUrl,
+        fields: {
+            ...parseLines(settings.loginExtraFields, '='),
+            ...(settings.loginUsernameField ? { [settings.loginUsernameField]: settings.loginUsername } : {}),
+            ...(settings.loginPasswordField ? { [settings.loginPasswordField]: settings.loginPassword } : {}),
+        },
+    } : null,
+});
+
+/**
+ * Настройки авторизованного сканирования: дополнительные заголовки, cookie, basic auth и вход через форму.
+ * Учетные данные отправляются только хостам сайта и не сохраняются в списке сканирований.
+ */
+const AuthSettingsEditor = ({ settings, onChange, disabled }) => {
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="flex flex-col text-sm text-gray-700">
+                    Дополнительные заголовки
+                    <textarea
+                        rows={3}
+                        placeholder={'X-Api-Key: значение\nAuthorization: Bearer токен'}
+                        value={settings.headers}
+                        onChange={(e) => update({ headers: e.target.value })}
+                        className={`${inputClassName} mt-1 font-mono`}
+                        disabled={disabled}
+                    />
+                </label>
+                <label className="flex flex-col text-sm text-gray-700">
+                    Cookie
+                    <textarea
+                        rows={3}
+                        placeholder={'sessionid=значение\nconsent=1'}
+                        value={settings.cookies}
+                        onChange={(e) => update({ cookies: e.target.value })}
+                        className={`${inputClassName} mt-1 font-mono`}
+                        disabled={disabled}
+                    />
+                </label>
+            </div>
+            <label className="flex items-center text-sm text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={settings.keepCookies}
+                    onChange={(e) => update({ keepCookies: e.target.checked })}
+                    className="h-4 w-4 mr-2 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    disabled={disabled}
+                />
+                Сохранять cookie из ответов сайта (всегда включено при входе через форму)
+            </label>
+            <div className="flex flex-wrap gap-2 items-center text-sm text-gray-700">
+                <span className="w-40">HTTP basic auth:</span>
+                <input
+                    type="text"
+                    placeholder="Логин"
+                    autoComplete="off"
+                    value={settings.basicUsername}
+                    onChange={(e) => update({ basicUsername: e.target.value })}
+                    className={`${inputClassName} w-40`}
+                    disabled={disabled}
+                />
+                <input
+                    type="password"
+                    placeholder="Пароль"
+                    autoComplete="new-password"
+                    value={settings.basicPassword}
+                    onChange={(e) => update({ basicPassword: e.target.value })}
+                    className={`${inputClassName} w-40`}
+                    disabled={disabled}
+                />
+            </div>
+            <div className="space-y-2">
+                <div className="flex flex-wrap gap-2 items-center text-sm text-gray-700">
+                    <span className="w-40">Форма входа:</span>
+                    <input
+                        type="url"
+                        placeholder="https://example.com/login"
+                        value={settings.loginUrl}
+                        onChange={(e) => update({ loginUrl: e.target.value })}
+                        className={`${inputClassName} flex-1 min-w-48`}
+                        disabled={disabled}
+                    />
+                </div>
+                {settings.loginUrl && (
+                    <>
+                        <div className="flex flex-wrap gap-2 items-center text-sm text-gray-700">
+                            <span className="w-40">Поле логина:</span>
+                            <input
+                                type="text"
+                                placeholder="username"
+                                value={settings.loginUsernameField}
+                                onChange={(e) => update({ loginUsernameField: e.target.value })}
+                                className={`${inputClassName} w-40 font-mono`}
+                                disabled={disabled}
+                            />
+                            <input
+                                type="text"
+                                placeholder="Логин"
+                                autoComplete="off"
+                                value={settings.loginUsername}
+                                onChange={(e) => update({ loginUsername: e.target.value })}
+                                className={`${inputClassName} w-40`}
+                                disabled={disabled}
+                            />
+                        </div>
+                        <div className="flex flex-wrap gap-2 items-center text-sm text-gray-700">
+                            <span className="w-40">Поле пароля:</span>
+                            <input
+                                type="text"
+                                placeholder="password"
+                                value={settings.loginPasswordField}
+                                onChange={(e) => update({ loginPasswordField: e.target.value })}
+                                className={`${inputClassName} w-40 font-mono`}
+                                disabled={disabled}
+                            />
+                            <input
+                                type="password"
+                                placeholder="Пароль"
+                                autoComplete="new-password"
+                                value={settings.loginPassword}
+                                onChange={(e) => update({ loginPassword: e.target.value })}
+                                className={`${inputClassName} w-40`}
+                                disabled={disabled}
+                            />
+                        </div>
+                        <label className="flex flex-col text-sm text-gray-700">
+                            Другие поля формы
+                            <textarea
+                                rows={2}
+                                placeholder="remember=1"
+                                value={settings.loginExtraFields}
+                                onChange={(e) => update({ loginExtraFields: e.target.value })}
+                                className={`${inputClassName} mt-1 font-mono`}
+                                disabled={disabled}
+                            />
+                        </label>
+                    </>
+                )}
+            </div>
+            <p className="text-xs text-gray-500">
+                Заголовки, cookie и учетные данные отправляются только хостам сайта и не сохраняются. Скрытые поля формы входа (например, CSRF-токен) подставляются автоматически.
+            </p>
+        </div>
+    );
+};
+
+export default AuthSettingsEditor;
@@ -0,0 +1,83 @@
+// src/components/DepthChart.js
+"use client"; // Это Client Component
+
+import { useState, useEffect } from 'react';
+
+/**
+ * Гистограмма распределения страниц по глубине (кликов от стартового URL).
+ * Клик по столбцу выбирает глубину для фильтра таблицы страниц.
+ */
+const DepthChart = ({ dbName, selectedDepth, onSelectDepth }) => {
+    const [distribution, setDistribution] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dbName) return;
+        const loadDistribution = async () => {
+            try {
+                const res = await fetch(`/api/data/${dbName}/depth`);
+                if (!res.ok) {
+                    throw new Error(`HTTP ошибка! Статус: ${res.status}`);
+                }
+                const data = await res.json();
+                setDistribution(data.distribution);
+            } catch (err) {
+                console.error("Не удалось загрузить распределение по глубине:", err);
+                setError(err.message);
+            }
+        };
+        loadDistribution();
+    }, [dbName]);
+
+    if (error) {
+        return <p className="text-sm text-red-600 mb-6">Не удалось загрузить распределение по глубине: {error}</p>;
+    }
+    if (distribution.length === 0) {
+        return null;
+    }
+
+    const maxTotal = Math.max(...distribution.map(row => row.total));
+
+    return (
+        <div className="mb-6">
+            <h2 className="text-lg font-semibold text-gray-800 mb-1">Распределение по глубине</h2>
+            <p className="text-xs text-gray-500 mb-3">
+                Столбец — все URL на этой глубине, темная часть — HTML-страницы, число в скобках — из них в sitemap. Нажмите на столбец, чтобы отфильтровать таблицу.
+            </p>
+            <div className="flex items-end gap-2 h-40 border-b border-gray-200">
+                {distribution.map(row => {
+                    const value = row.depth === null ? 'unknown' : String(row.depth);
+                    const isSelected = selectedDepth === value;
+                    return (
+                        <button
+                            key={value}
+                            onClick={() => onSelectDepth(isSelected ? '' : value)}
+                            title={`URL: ${row.total}, HTML: ${row.htmlPages}, в sitemap: ${row.inSitemap}`}
+                            className={`flex-1 min-w-8 max-w-20 h-full flex flex-col justify-end rounded-t ${isSelected ? 'ring-2 ring-blue-500' : ''}`}
+                        >
+                            <span className="text-xs text-gray-700 mb-1">{row.total}</span>
+                            <div
+                                className="w-full bg-blue-200 rounded-t flex flex-col justify-end overflow-hidden"
+                                style={{ height: `${(row.total / maxTotal) * 100}%` }}
+                            >
+                                <div
+                                    className="w-full bg-blue-600"
+                                    style={{ height: `${row.total > 0 ? (row.htmlPages / row.total) * 100 : 0}%` }}
+                                />
+                            </div>
+                        </button>
+                    );
+                })}
+            </div>
+            <div className="flex gap-2 mt-1">
+                {distribution.map(row => (
+                    <span key={row.depth ?? 'unknown'} className="flex-1 min-w-8 max-w-20 text-center text-xs text-gray-600">
+                        {row.depth ?? '?'} ({row.inSitemap})
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default DepthChart;
@@ -0,0 +1,146 @@
+// src/components/DuplicatesReport.js
+"use client"; // Это Client Component
+
+import { useState, useEffect } from 'react';
+
+const TYPES = [
+    { value: 'exact', label: 'Точные дубли контента', keyLabel: 'Хеш контента' },
+    { value: 'near', label: 'Почти дубли', keyLabel: 'Пример страницы' },
+    { value: 'title', label: 'Дубли Title', keyLabel: 'Title' },
+    { value: 'description', label: 'Дубли Description', keyLabel: 'Description' },
+    { value: 'h1', label: 'Дубли H1', keyLabel: 'H1' },
+];
+
+const DuplicatesReport = ({ dbName, onShowList }) => {
+    const [report, setReport] = useState(null);
+    const [type, setType] = useState('exact');
+    const [thresholdPercent, setThresholdPercent] = useState(90); // Порог сходства для почти дублей
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dbName) return;
+        const loadReport = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const params = new URLSearchParams({ type, thresholdPercent });
+                const res = await fetch(`/api/data/${dbName}/duplicates?${params.toString()}`);
+                if (!res.ok) {
+                    throw new Error(`HTTP ошибка! Статус: ${res.status}`);
+                }
+                setReport(await res.json());
+            } catch (err) {
+                console.error("Не удалось загрузить отчет по дублям:", err);
+                setError("Не удалось загрузить отчет по дублям: " + err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadReport();
+    }, [dbName, type, thresholdPercent]);
+
+    if (error) {
+        return <p className="text-red-600">Ошибка: {error}</p>;
+    }
+
+    const currentType = TYPES.find(t => t.value === type);
+
+    return (
+        <div>
+            {/* Сводка (число групп) и выбор вида дублей */}
+            <div className="flex flex-wrap gap-2 mb-4">
+                {TYPES.map(({ value, label }) => (
+                    <button
+                        key={value}
+                        onClick={() => setType(value)}
+                        className={`py-2 px-4 rounded-lg text-sm font-medium transition ${type === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                        {label} ({report?.summary?.[value] ?? '...'})
+                    </button>
+                ))}
+            </div>
+            <div className="flex flex-col sm:flex-row gap-4 mb-6">
+                <label className="flex items-center text-sm text-gray-700">
+                    Порог сходства почти дублей (%):
+                    <input
+                        type="number"
+                        value={thresholdPercent}
+                        onChange={(e) => setThresholdPercent(Math.min(100, Math.max(50, parseInt(e.target.value, 10) || 50)))}
+                        min="50"
+                        max="100"
+                        className="ml-2 w-24 p-2 border border-gray-300 rounded-lg text-gray-700 focus:ring-blue-500 focus:border-blue-500 transition"
+                    />
+                </label>
+            </div>
+
+            {!loading && type === 'near' && report.approximate && (
+                <p className="mb-4 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                    Страниц с похожими хешами слишком много, поэтому сравнивались не все пары: часть почти дублей может быть не найдена.
+                    Более высокий порог сходства дает точный результат.
+                </p>
+            )}
+
+            {loading ? (
+                <p className="text-gray-600">Загрузка...</p>
+            ) : report.groups.length === 0 ? (
+                <div className="text-center py-10">
+                    <p className="text-xl text-gray-600">Дубли не найдены.</p>
+                </div>
+            ) : (
+                <>
+                    <div className="mb-4 text-sm text-gray-600">
+                        Показано групп: <span className="font-bold">{report.groups.length}</span> из <span className="font-bold">{report.total}</span>
+                    </div>
+                    <table className="min-w-max divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{currentType.keyLabel}</th>
+                                {type === 'near' && (
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Мин. сходство</th>
+                                )}
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Страницы</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {report.groups.map((group) => (
+                                <tr key={group.key}>
+                                    <td className={`px-6 py-4 whitespace-normal text-sm text-gray-800 break-words max-w-md align-top ${type === 'exact' ? 'font-mono text-xs' : ''}`}>
+                                        {group.key}
+                                    </td>
+                                    {type === 'near' && (
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800 align-top">
+                                            {Math.round(group.similarity * 100)}%
+                                        </td>
+                                    )}
+                                    <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 max-w-xl align-top">
+                                        <ul className="space-y-1">
+                                            {group.pages.slice(0, 5).map(page => (
+                                                <li key={page.url} className="break-words">
+                                                    <a href={page.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{page.url}</a>
+                                                    {page.wordCount !== null && (
+                                                        <span className="ml-1 text-xs text-gray-500">({page.wordCount} сл.)</span>
+                                                    )}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                        {group.pages.length > 5 && (
+                                            <button
+                                                onClick={() => onShowList(`${currentType.label}: ${group.key}`, group.pages.map(page => page.url))}
+                                                className="mt-1 text-blue-600 hover:underline text-sm"
+                                            >
+                                                Все страницы ({group.pages.length})
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default DuplicatesReport;
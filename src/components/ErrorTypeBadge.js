@@ -0,0 +1,26 @@
+// src/components/ErrorTypeBadge.js
+"use client"; // Это Client Component
+
+import React from 'react';
+
+// Категории сетевых ошибок (см. src/spider/fetchErrors.js)
+export const ERROR_TYPE_LABELS = {
+    timeout: 'Таймаут',
+    dns: 'Ошибка DNS',
+    connection_refused: 'Соединение отклонено',
+    tls: 'Ошибка TLS',
+    reset: 'Соединение сброшено',
+    invalid_url: 'Некорректный URL',
+    other: 'Другая сетевая ошибка',
+};
+
+const ErrorTypeBadge = ({ errorType, errorMessage }) => (
+    <span
+        title={errorMessage || ''}
+        className="px-2 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded-full"
+    >
+        {ERROR_TYPE_LABELS[errorType] || errorType}
+    </span>
+);
+
+export default ErrorTypeBadge;
@@ -0,0 +1,119 @@
+// src/components/ExternalLinksReport.js
+"use client"; // Это Client Component
+
+import { useState, useEffect } from 'react';
+import ErrorTypeBadge from '@/components/ErrorTypeBadge';
+
+const FILTERS = [
+    { value: '', label: 'Все внешние ссылки', summaryKey: 'total' },
+    { value: 'broken', label: 'Битые', summaryKey: 'broken' },
+    { value: 'unchecked', label: 'Не проверены', summaryKey: 'unchecked' },
+];
+
+const ExternalLinksReport = ({ dbName, onShowList }) => {
+    const [report, setReport] = useState(null);
+    const [filter, setFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dbName) return;
+        const loadReport = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const params = new URLSearchParams({ filter });
+                const res = await fetch(`/api/data/${dbName}/external?${params.toString()}`);
+                if (!res.ok) {
+                    throw new Error(`HTTP ошибка! Статус: ${res.status}`);
+                }
+                setReport(await res.json());
+            } catch (err) {
+                console.error("Не удалось загрузить отчет по внешним ссылкам:", err);
+                setError("Не удалось загрузить отчет по внешним ссылкам: " + err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadReport();
+    }, [dbName, filter]);
+
+    if (error) {
+        return <p className="text-red-600">Ошибка: {error}</p>;
+    }
+
+    return (
+        <div>
+            {/* Сводка и фильтры */}
+            <div className="flex flex-wrap gap-2 mb-6">
+                {FILTERS.map(({ value, label, summaryKey }) => (
+                    <button
+                        key={value}
+                        onClick={() => setFilter(value)}
+                        className={`py-2 px-4 rounded-lg text-sm font-medium transition ${filter === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                        {label} ({report?.summary?.[summaryKey] ?? '...'})
+                    </button>
+                ))}
+            </div>
+
+            {loading ? (
+                <p className="text-gray-600">Загрузка...</p>
+            ) : report.links.length === 0 ? (
+                <div className="text-center py-10">
+                    <p className="text-xl text-gray-600">Внешние ссылки не найдены.</p>
+                </div>
+            ) : (
+                <>
+                    <div className="mb-4 text-sm text-gray-600">
+                        Показано: <span className="font-bold">{report.links.length}</span> из <span className="font-bold">{report.total}</span>
+                    </div>
+                    <table className="min-w-max divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Внешний URL</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Статус</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Время ответа (мс)</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Метод</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ссылаются страницы</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {report.links.map((link) => {
+                                const isBroken = link.errorType || link.status >= 400;
+                                return (
+                                    <tr key={link.url} className={isBroken ? 'bg-red-50' : ''}>
+                                        <td className="px-6 py-4 whitespace-normal text-sm font-medium text-blue-600 hover:underline break-words max-w-md">
+                                            <a href={link.url} target="_blank" rel="noopener noreferrer">{link.url}</a>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {link.errorType ? (
+                                                <ErrorTypeBadge errorType={link.errorType} errorMessage={link.errorMessage} />
+                                            ) : (link.status ?? 'Не проверен')}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {link.responseTime ?? 'N/A'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {link.method || 'N/A'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-normal text-sm text-gray-800">
+                                            <button
+                                                onClick={() => onShowList('Страницы со ссылкой на ' + link.url, link.linkedFrom)}
+                                                className="text-blue-600 hover:underline text-sm"
+                                            >
+                                                Посмотреть ({link.linkedFromCount})
+                                            </button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ExternalLinksReport;
@@ -0,0 +1,104 @@
+// src/components/ExtractionRulesEditor.js
+"use client"; // Это Client Component
+
+const inputClassName = 'p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 text-sm transition';
+
+const EMPTY_RULE = { name: '', type: 'css', selector: '', output: 'text', attribute: '', pattern: '' };
+
+/**
+ * Редактор правил пользовательского извлечения для формы сканирования.
+ * Правило — CSS-селектор (текст, атрибут или внутренний HTML) или регулярное выражение по исходному HTML.
+ */
+const ExtractionRulesEditor = ({ rules, onChange, disabled }) => {
+    const updateRule = (index, changes) => {
+        onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    };
+
+    return (
+        <div className="space-y-3">
+            {rules.map((rule, index) => (
+                <div key={index} className="flex flex-wrap gap-2 items-center">
+                    <input
+                        type="text"
+                        placeholder="Имя колонки"
+                        value={rule.name}
+                        onChange={(e) => updateRule(index, { name: e.target.value })}
+                        className={`${inputClassName} w-36`}
+                        disabled={disabled}
+                    />
+                    <select
+                        value={rule.type}
+                        onChange={(e) => updateRule(index, { type: e.target.value })}
+                        className={inputClassName}
+                        disabled={disabled}
+                    >
+                        <option value="css">CSS-селектор</option>
+                        <option value="regex">Регулярное выражение</option>
+                    </select>
+                    {rule.type === 'regex' ? (
+                        <input
+                            type="text"
+                            placeholder="GTM-([A-Z0-9]+)"
+                            value={rule.pattern}
+                            onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                            className={`${inputClassName} flex-1 min-w-48 font-mono`}
+                            disabled={disabled}
+                        />
+                    ) : (
+                        <>
+                            <input
+                                type="text"
+                                placeholder=".price, .breadcrumbs a"
+                                value={rule.selector}
+                                onChange={(e) => updateRule(index, { selector: e.target.value })}
+                                className={`${inputClassName} flex-1 min-w-48 font-mono`}
+                                disabled={disabled}
+                            />
+                            <select
+                                value={rule.output}
+                                onChange={(e) => updateRule(index, { output: e.target.value })}
+                                className={inputClassName}
+                                disabled={disabled}
+                            >
+                                <option value="text">Текст</option>
+                                <option value="attribute">Атрибут</option>
+                                <option value="innerHtml">Внутренний HTML</option>
+                            </select>
+                            {rule.output === 'attribute' && (
+                                <input
+                                    type="text"
+                                    placeholder="content"
+                                    value={rule.attribute}
+                                    onChange={(e) => updateRule(index, { attribute: e.target.value })}
+                                    className={`${inputClassName} w-28 font-mono`}
+                                    disabled={disabled}
+                                />
+                            )}
+                        </>
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => onChange(rules.filter((r, i) => i !== index))}
+                        className="text-sm text-red-600 hover:underline"
+                        disabled={disabled}
+                    >
+                        Удалить
+                    </button>
+                </div>
+            ))}
+            <button
+                type="button"
+                onClick={() => onChange([...rules, { ...EMPTY_RULE }])}
+                className="text-sm text-blue-600 hover:underline"
+                disabled={disabled}
+            >
+                + Добавить правило
+            </button>
+            <p className="text-xs text-gray-500">
+                Значения правил появятся в результатах отдельными колонками. Для регулярного выражения берется первая группа захвата, если она есть.
+            </p>
+        </div>
+    );
+};
+
+export default ExtractionRulesEditor;
@@ -0,0 +1,140 @@
+// src/components/HreflangReport.js
+"use client"; // Это Client Component
+
+import { useState, useEffect } from 'react';
+
+const FILTERS = [
+    { value: '', label: 'Все страницы с hreflang', summaryKey: 'pages' },
+    { value: 'missingReturn', label: 'Нет обратной ссылки', summaryKey: 'missingReturn' },
+    { value: 'invalidCode', label: 'Неверный код', summaryKey: 'invalidCode' },
+    { value: 'missingXDefault', label: 'Нет x-default', summaryKey: 'missingXDefault' },
+    { value: 'badTarget', label: 'Цель не 200 / неканоническая', summaryKey: 'badTarget' },
+    { value: 'conflicting', label: 'Противоречивые аннотации', summaryKey: 'conflicting' },
+];
+
+// Проблемы отдельной аннотации (см. getHreflangReport в src/spider/db.js)
+const PROBLEM_LABELS = {
+    invalidCode: 'неверный код',
+    conflicting: 'код указывает на разные URL',
+    targetRedirect: 'цель редиректит',
+    targetNon200: 'цель отвечает не 200',
+    targetNonCanonical: 'цель канонизирована на другой URL',
+    missingReturn: 'нет обратной ссылки',
+};
+
+const SOURCE_LABELS = {
+    html: 'HTML',
+    header: 'Link',
+};
+
+const HreflangReport = ({ dbName }) => {
+    const [report, setReport] = useState(null);
+    const [filter, setFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dbName) return;
+        const loadReport = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const params = new URLSearchParams({ filter });
+                const res = await fetch(`/api/data/${dbName}/hreflang?${params.toString()}`);
+                if (!res.ok) {
+                    throw new Error(`HTTP ошибка! Статус: ${res.status}`);
+                }
+                setReport(await res.json());
+            } catch (err) {
+                console.error("Не удалось загрузить отчет по hreflang:", err);
+                setError("Не удалось загрузить отчет по hreflang: " + err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadReport();
+    }, [dbName, filter]);
+
+    if (error) {
+        return <p className="text-red-600">Ошибка: {error}</p>;
+    }
+
+    return (
+        <div>
+            {/* Сводка и фильтры */}
+            <div className="flex flex-wrap gap-2 mb-6">
+                {FILTERS.map(({ value, label, summaryKey }) => (
+                    <button
+                        key={value}
+                        onClick={() => setFilter(value)}
+                        className={`py-2 px-4 rounded-lg text-sm font-medium transition ${filter === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                        {label} ({report?.summary?.[summaryKey] ?? '...'})
+                    </button>
+                ))}
+            </div>
+
+            {loading ? (
+                <p className="text-gray-600">Загрузка...</p>
+            ) : report.pages.length === 0 ? (
+                <div className="text-center py-10">
+                    <p className="text-xl text-gray-600">Страницы с hreflang не найдены.</p>
+                </div>
+            ) : (
+                <>
+                    <div className="mb-4 text-sm text-gray-600">
+                        Показано: <span className="font-bold">{report.pages.length}</span> из <span className="font-bold">{report.total}</span>
+                    </div>
+                    <table className="min-w-max divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Страница</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Аннотации hreflang</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Проблемы</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {report.pages.map((page) => (
+                                <tr key={page.url} className={page.issues.length > 0 ? 'bg-red-50' : ''}>
+                                    <td className="px-6 py-4 whitespace-normal text-sm font-medium text-blue-600 hover:underline break-words max-w-xs align-top">
+                                        <a href={page.url} target="_blank" rel="noopener noreferrer">{page.url}</a>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 max-w-xl align-top">
+                                        <ul className="space-y-1">
+                                            {page.annotations.map((annotation) => (
+                                                <li key={`${annotation.source}-${annotation.hreflang}-${annotation.href}`} className="break-words">
+                                                    <span className={`font-mono font-semibold ${annotation.problems.includes('invalidCode') ? 'text-red-600' : ''}`}>
+                                                        {annotation.hreflang}
+                                                    </span>
+                                                    {' → '}
+                                                    <a href={annotation.href} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                                                        {annotation.href}
+                                                    </a>
+                                                    <span className="ml-1 text-xs text-gray-500">
+                                                        ({SOURCE_LABELS[annotation.source] || annotation.source}{annotation.targetStatus !== null ? `, ${annotation.targetStatus}` : ''})
+                                                    </span>
+                                                    {annotation.problems.map(problem => (
+                                                        <span key={problem} className="ml-1 px-2 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded-full">
+                                                            {PROBLEM_LABELS[problem] || problem}
+                                                        </span>
+                                                    ))}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 align-top">
+                                        {page.issues.length > 0
+                                            ? page.issues.map(issue => FILTERS.find(f => f.value === issue)?.label || issue).join(', ')
+                                            : '—'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default HreflangReport;
@@ -0,0 +1,133 @@
+// src/components/RedirectsReport.js
+"use client"; // Это Client Component
+
+import { useState, useEffect } from 'react';
+
+const FILTERS = [
+    { value: '', label: 'Все редиректы', summaryKey: 'chains' },
+    { value: 'chains', label: 'Цепочки (больше 1 шага)', summaryKey: 'multiHop' },
+    { value: 'loops', label: 'Петли', summaryKey: 'loops' },
+    { value: 'linked', label: 'Есть внутренние ссылки', summaryKey: 'linked' },
+];
+
+const RedirectsReport = ({ dbName, onShowList }) => {
+    const [report, setReport] = useState(null);
+    const [filter, setFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dbName) return;
+        const loadReport = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const params = new URLSearchParams({ filter });
+                const res = await fetch(`/api/data/${dbName}/redirects?${params.toString()}`);
+                if (!res.ok) {
+                    throw new Error(`HTTP ошибка! Статус: ${res.status}`);
+                }
+                setReport(await res.json());
+            } catch (err) {
+                console.error("Не удалось загрузить отчет по редиректам:", err);
+                setError("Не удалось загрузить отчет по редиректам: " + err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadReport();
+    }, [dbName, filter]);
+
+    if (error) {
+        return <p className="text-red-600">Ошибка: {error}</p>;
+    }
+
+    return (
+        <div>
+            {/* Сводка и фильтры */}
+            <div className="flex flex-wrap gap-2 mb-6">
+                {FILTERS.map(({ value, label, summaryKey }) => (
+                    <button
+                        key={value}
+                        onClick={() => setFilter(value)}
+                        className={`py-2 px-4 rounded-lg text-sm font-medium transition ${filter === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                        {label} ({report?.summary?.[summaryKey] ?? '...'})
+                    </button>
+                ))}
+            </div>
+
+            {loading ? (
+                <p className="text-gray-600">Загрузка...</p>
+            ) : report.chains.length === 0 ? (
+                <div className="text-center py-10">
+                    <p className="text-xl text-gray-600">Редиректы не найдены.</p>
+                </div>
+            ) : (
+                <>
+                    <div className="mb-4 text-sm text-gray-600">
+                        Показано: <span className="font-bold">{report.chains.length}</span> из <span className="font-bold">{report.total}</span>
+                    </div>
+                    <table className="min-w-max divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Исходный URL</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Цепочка</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Конечный URL</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Проблемы</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Внутренние ссылки</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {report.chains.map((chain) => (
+                                <tr key={chain.startUrl}>
+                                    <td className="px-6 py-4 whitespace-normal text-sm font-medium text-blue-600 hover:underline break-words max-w-[300px]">
+                                        <a href={chain.startUrl} target="_blank" rel="noopener noreferrer">{chain.startUrl}</a>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 break-words max-w-md">
+                                        <ol className="space-y-1">
+                                            {chain.hops.map((hop) => (
+                                                <li key={hop.hopIndex}>
+                                                    <span className="font-semibold">{hop.statusCode}</span> → {hop.targetUrl}
+                                                </li>
+                                            ))}
+                                        </ol>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 break-words max-w-[300px]">
+                                        {chain.isLoop ? '—' : (
+                                            <>
+                                                {chain.finalUrl}
+                                                <span className="ml-1 text-gray-500">({chain.finalStatus ?? 'N/A'})</span>
+                                            </>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                        {chain.isLoop && (
+                                            <span className="mr-1 px-2 py-0.5 text-xs font-semibold text-red-700 bg-red-100 rounded-full">Петля</span>
+                                        )}
+                                        {chain.hopCount > 1 && (
+                                            <span className="mr-1 px-2 py-0.5 text-xs font-semibold text-orange-700 bg-orange-100 rounded-full">Цепочка: {chain.hopCount} шага</span>
+                                        )}
+                                        {!chain.isLoop && chain.hopCount === 1 && <span className="text-gray-500">—</span>}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-normal text-sm text-gray-800">
+                                        {chain.linkedFrom.length > 0 ? (
+                                            <button
+                                                onClick={() => onShowList('Страницы со ссылками на редирект', chain.linkedFrom)}
+                                                className="text-blue-600 hover:underline text-sm"
+                                            >
+                                                Посмотреть ({chain.linkedFrom.length})
+                                            </button>
+                                        ) : 'Нет'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default RedirectsReport;
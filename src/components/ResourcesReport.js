@@ -0,0 +1,177 @@
+// src/components/ResourcesReport.js
+"use client"; // Это Client Component
+
+import { useState, useEffect } from 'react';
+import ErrorTypeBadge from '@/components/ErrorTypeBadge';
+
+const FILTERS = [
+    { value: '', label: 'Все ресурсы', summaryKey: 'total' },
+    { value: 'broken', label: 'Битые', summaryKey: 'broken' },
+    { value: 'oversized', label: 'Слишком большие', summaryKey: 'oversized' },
+    { value: 'mimeMismatch', label: 'Неверный MIME-тип', summaryKey: 'mimeMismatch' },
+    { value: 'unusedPreload', label: 'Неиспользуемые preload', summaryKey: 'unusedPreload' },
+];
+
+const RESOURCE_TYPE_LABELS = {
+    image: 'Изображения',
+    script: 'Скрипты',
+    stylesheet: 'Стили',
+    font: 'Шрифты',
+    preload: 'Preload',
+};
+
+// Форматирует размер в байтах в читаемый вид
+const formatSize = (bytes) => {
+    if (bytes === null || bytes === undefined) return 'N/A';
+    if (bytes < 1024) return `${bytes} Б`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} КБ`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} МБ`;
+};
+
+const ResourcesReport = ({ dbName, onShowList }) => {
+    const [report, setReport] = useState(null);
+    const [filter, setFilter] = useState('');
+    const [type, setType] = useState('');
+    const [maxSizeKb, setMaxSizeKb] = useState(300); // Порог для фильтра "Слишком большие"
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dbName) return;
+        const loadReport = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const params = new URLSearchParams({ filter, type, maxSizeKb });
+                const res = await fetch(`/api/data/${dbName}/resources?${params.toString()}`);
+                if (!res.ok) {
+                    throw new Error(`HTTP ошибка! Статус: ${res.status}`);
+                }
+                setReport(await res.json());
+            } catch (err) {
+                console.error("Не удалось загрузить отчет по ресурсам:", err);
+                setError("Не удалось загрузить отчет по ресурсам: " + err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadReport();
+    }, [dbName, filter, type, maxSizeKb]);
+
+    if (error) {
+        return <p className="text-red-600">Ошибка: {error}</p>;
+    }
+
+    return (
+        <div>
+            {/* Сводка и фильтры */}
+            <div className="flex flex-wrap gap-2 mb-4">
+                {FILTERS.map(({ value, label, summaryKey }) => (
+                    <button
+                        key={value}
+                        onClick={() => setFilter(value)}
+                        className={`py-2 px-4 rounded-lg text-sm font-medium transition ${filter === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                        {label} ({report?.summary?.[summaryKey] ?? '...'})
+                    </button>
+                ))}
+            </div>
+            <div className="flex flex-col sm:flex-row gap-4 mb-6">
+                <select
+                    value={type}
+                    onChange={(e) => setType(e.target.value)}
+                    className="p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 transition"
+                >
+                    <option value="">Все типы</option>
+                    {Object.entries(RESOURCE_TYPE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>
+                            {label} ({report?.summary?.byType?.[value] ?? 0})
+                        </option>
+                    ))}
+                </select>
+                <label className="flex items-center text-sm text-gray-700">
+                    Порог размера (КБ):
+                    <input
+                        type="number"
+                        value={maxSizeKb}
+                        onChange={(e) => setMaxSizeKb(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                        min="1"
+                        className="ml-2 w-24 p-2 border border-gray-300 rounded-lg text-gray-700 focus:ring-blue-500 focus:border-blue-500 transition"
+                    />
+                </label>
+            </div>
+
+            {loading ? (
+                <p className="text-gray-600">Загрузка...</p>
+            ) : report.resources.length === 0 ? (
+                <div className="text-center py-10">
+                    <p className="text-xl text-gray-600">Ресурсы не найдены.</p>
+                </div>
+            ) : (
+                <>
+                    <div className="mb-4 text-sm text-gray-600">
+                        Показано: <span className="font-bold">{report.resources.length}</span> из <span className="font-bold">{report.total}</span>
+                    </div>
+                    <table className="min-w-max divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">URL ресурса</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Тип</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MIME</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Размер</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Статус</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Используется</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {report.resources.map((resource) => {
+                                const isBroken = resource.errorType || resource.status >= 400;
+                                return (
+                                    <tr key={resource.url} className={isBroken ? 'bg-red-50' : ''}>
+                                        <td className="px-6 py-4 whitespace-normal text-sm font-medium text-blue-600 hover:underline break-words max-w-md">
+                                            <a href={resource.url} target="_blank" rel="noopener noreferrer">{resource.url}</a>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {RESOURCE_TYPE_LABELS[resource.type] || resource.type}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {resource.mimeType || 'N/A'}
+                                        </td>
+                                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${resource.size > maxSizeKb * 1024 ? 'text-orange-700 font-semibold' : 'text-gray-800'}`}>
+                                            {formatSize(resource.size)}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">
+                                            {resource.errorType ? (
+                                                <ErrorTypeBadge errorType={resource.errorType} errorMessage={resource.errorMessage} />
+                                            ) : (resource.status ?? 'N/A')}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-normal text-sm text-gray-800">
+                                            {resource.pages.length > 0 && (
+                                                <button
+                                                    onClick={() => onShowList('Страницы, использующие ' + resource.url, resource.pages)}
+                                                    className="text-blue-600 hover:underline text-sm block"
+                                                >
+                                                    Страниц: {resource.usedOnPages}
+                                                </button>
+                                            )}
+                                            {resource.usedInStylesheets.length > 0 && (
+                                                <button
+                                                    onClick={() => onShowList('CSS-файлы, использующие ' + resource.url, resource.usedInStylesheets)}
+                                                    className="text-blue-600 hover:underline text-sm block"
+                                                >
+                                                    CSS-файлов: {resource.usedInStylesheets.length}
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ResourcesReport;
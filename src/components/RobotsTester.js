@@ -0,0 +1,125 @@
+// src/components/RobotsTester.js
+"use client"; // Это Client Component
+
+import { useState } from 'react';
+
+const inputClassName = 'p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 text-sm transition';
+
+/**
+ * Проверка URL по вставленному robots.txt для выбранного в форме User-Agent.
+ * Показывает, разрешен ли каждый URL и какое правило сработало.
+ */
+const RobotsTester = ({ userAgent, initialContent = '' }) => {
+    const [content, setContent] = useState('');
+    const [urls, setUrls] = useState('');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const runTest = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const res = await fetch('/api/robots-test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ content, urls, userAgent }),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                throw new Error(data.message || `HTTP ошибка! Статус: ${res.status}`);
+            }
+            setResult(data);
+        } catch (err) {
+            console.error("Не удалось проверить robots.txt:", err);
+            setError(err.message);
+            setResult(null);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="flex flex-col text-sm text-gray-700">
+                    <span className="flex justify-between items-center">
+                        Правила robots.txt
+                        {initialContent && (
+                            <button
+                                type="button"
+                                onClick={() => setContent(initialContent)}
+                                className="text-xs text-blue-600 hover:underline"
+                            >
+                                Подставить свой robots.txt
+                            </button>
+                        )}
+                    </span>
+                    <textarea
+                        rows={6}
+                        placeholder={'User-agent: *\nDisallow: /admin/'}
+                        value={content}
+                        onChange={(e) => setContent(e.target.value)}
+                        className={`${inputClassName} mt-1 font-mono`}
+                    />
+                </label>
+                <label className="flex flex-col text-sm text-gray-700">
+                    URL для проверки (по одному на строке)
+                    <textarea
+                        rows={6}
+                        placeholder={'https://example.com/admin/\n/catalog/?sort=price'}
+                        value={urls}
+                        onChange={(e) => setUrls(e.target.value)}
+                        className={`${inputClassName} mt-1 font-mono`}
+                    />
+                </label>
+            </div>
+            <button
+                type="button"
+                onClick={runTest}
+                disabled={loading || !urls.trim()}
+                className="py-2 px-4 rounded-lg text-sm font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 transition"
+            >
+                {loading ? 'Проверка...' : 'Проверить'}
+            </button>
+            {error && <p className="text-sm text-red-600">Ошибка: {error}</p>}
+            {result && (
+                <div className="overflow-x-auto">
+                    <p className="text-xs text-gray-500 mb-2">
+                        Группа robots.txt: <span className="font-mono">{result.robotsToken}</span>, User-Agent: <span className="font-mono">{result.userAgent}</span>
+                    </p>
+                    <table className="min-w-max divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">URL</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Доступ</th>
+                                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Правило</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {result.results.map((item, index) => (
+                                <tr key={index}>
+                                    <td className="px-4 py-2 whitespace-normal break-words max-w-xs font-mono text-gray-800">{item.url}</td>
+                                    {item.error ? (
+                                        <td colSpan={2} className="px-4 py-2 text-red-600">{item.error}</td>
+                                    ) : (
+                                        <>
+                                            <td className={`px-4 py-2 whitespace-nowrap ${item.allowed ? 'text-green-600' : 'text-red-600'}`}>
+                                                {item.allowed ? '✓ Разрешен' : '✗ Запрещен'}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap font-mono text-gray-800">
+                                                {item.rule ? `${item.lineNumber}: ${item.rule}` : 'нет подходящего правила'}
+                                            </td>
+                                        </>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RobotsTester;
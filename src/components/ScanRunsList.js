@@ -0,0 +1,110 @@
+// src/components/ScanRunsList.js
+"use client"; // Это Client Component
+
+import Link from 'next/link';
+
+const RUN_STATUS_LABELS = {
+    pending: 'Запуск...',
+    scanning: 'Сканирование...',
+    paused: 'На паузе',
+    completed: 'Завершено',
+    error: 'Ошибка',
+    cancelled: 'Отменено',
+};
+
+const RUN_STATUS_CLASSES = {
+    completed: 'text-green-700 bg-green-100',
+    error: 'text-red-700 bg-red-100',
+    cancelled: 'text-gray-700 bg-gray-200',
+    paused: 'text-yellow-800 bg-yellow-100',
+};
+
+// Итоги запуска (колонки scan_runs) в порядке показа
+const RUN_SUMMARY_FIELDS = [
+    { key: 'pagesCount', label: 'URL' },
+    { key: 'htmlCount', label: 'HTML' },
+    { key: 'redirectCount', label: 'редиректов' },
+    { key: 'errorCount', label: 'ошибок' },
+    { key: 'skippedCount', label: 'пропущено' },
+    { key: 'nonIndexableCount', label: 'не индексируется' },
+    { key: 'brokenExternalCount', label: 'битых внешних' },
+];
+
+// Настройки запуска, которые показываются в истории (остальные — во всплывающей подсказке)
+const RUN_SETTINGS_FIELDS = [
+    { key: 'concurrency', label: 'потоков' },
+    { key: 'maxPages', label: 'макс. страниц' },
+    { key: 'maxDepth', label: 'макс. глубина' },
+    { key: 'hostScopeMode', label: 'хосты' },
+    { key: 'robotsMode', label: 'robots.txt' },
+];
+
+/**
+ * @param {string|null} value - Дата из scan_runs.
+ * @returns {string}
+ */
+const formatRunDate = (value) => value ? new Date(value).toLocaleString() : '—';
+
+/**
+ * Одна строка истории: даты, статус, итоги и ссылка на результаты запуска.
+ */
+const ScanRunItem = ({ run, isLatest }) => {
+    const settings = run.settings || {};
+    const shownSettings = RUN_SETTINGS_FIELDS.filter(({ key }) => settings[key] !== undefined && settings[key] !== null && settings[key] !== '' && settings[key] !== 0);
+    const hasSummary = run.pagesCount !== null && run.pagesCount !== undefined;
+
+    return (
+        <li className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 py-2 border-t border-gray-200 first:border-t-0">
+            <div className="text-sm text-gray-700">
+                <div>
+                    <span className="font-mono text-gray-500 mr-2">#{run.id}</span>
+                    {formatRunDate(run.startedAt)} — {run.finishedAt ? formatRunDate(run.finishedAt) : 'не завершен'}
+                    <span className={`ml-2 px-2 py-0.5 text-xs font-semibold rounded-full ${RUN_STATUS_CLASSES[run.status] || 'text-blue-700 bg-blue-100'}`}>
+                        {RUN_STATUS_LABELS[run.status] || run.status}
+                    </span>
+                    {isLatest && <span className="ml-2 text-xs text-gray-500">последний</span>}
+                </div>
+                {hasSummary && (
+                    <div className="text-xs text-gray-600 mt-1">
+                        {RUN_SUMMARY_FIELDS.map(({ key, label }) => `${label}: ${run[key] ?? 0}`).join(', ')}
+                    </div>
+                )}
+                {shownSettings.length > 0 && (
+                    <div className="text-xs text-gray-500 mt-1" title={JSON.stringify(settings, null, 2)}>
+                        Настройки: {shownSettings.map(({ key, label }) => `${label} ${settings[key]}`).join(', ')}
+                    </div>
+                )}
+            </div>
+            <Link
+                href={`/results/${run.runDbName}`}
+                className="py-1 px-3 rounded-lg text-sm font-medium text-green-700 border border-green-600 hover:bg-green-50"
+            >
+                Результаты
+            </Link>
+        </li>
+    );
+};
+
+/**
+ * Раскрывающаяся история запусков сайта.
+ * @param {object} props
+ * @param {Array<Object>} props.runs - Запуски из /api/sites, от новых к старым.
+ */
+const ScanRunsList = ({ runs }) => {
+    if (!runs || runs.length === 0) return null;
+
+    return (
+        <details className="mt-3 w-full">
+            <summary className="cursor-pointer text-sm text-blue-600 hover:underline select-none">
+                История запусков ({runs.length})
+            </summary>
+            <ul className="mt-2 pl-2">
+                {runs.map((run, index) => (
+                    <ScanRunItem key={run.id} run={run} isLatest={index === 0} />
+                ))}
+            </ul>
+        </details>
+    );
+};
+
+export default ScanRunsList;
@@ -0,0 +1,80 @@
+// src/components/SearchRulesEditor.js
+"use client"; // Это Client Component
+
+const inputClassName = 'p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 text-sm transition';
+
+const EMPTY_RULE = { name: '', mode: 'contains', scope: 'html', pattern: '' };
+
+/**
+ * Редактор правил пользовательского поиска для формы сканирования.
+ * Правило проверяет, содержит ли страница (HTML или видимый текст) заданную подстроку или регулярное выражение.
+ */
+const SearchRulesEditor = ({ rules, onChange, disabled }) => {
+    const updateRule = (index, changes) => {
+        onChange(rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    };
+
+    return (
+        <div className="space-y-3">
+            {rules.map((rule, index) => (
+                <div key={index} className="flex flex-wrap gap-2 items-center">
+                    <input
+                        type="text"
+                        placeholder="Имя колонки"
+                        value={rule.name}
+                        onChange={(e) => updateRule(index, { name: e.target.value })}
+                        className={`${inputClassName} w-36`}
+                        disabled={disabled}
+                    />
+                    <select
+                        value={rule.mode}
+                        onChange={(e) => updateRule(index, { mode: e.target.value })}
+                        className={inputClassName}
+                        disabled={disabled}
+                    >
+                        <option value="contains">Содержит</option>
+                        <option value="notContains">Не содержит</option>
+                    </select>
+                    <select
+                        value={rule.scope}
+                        onChange={(e) => updateRule(index, { scope: e.target.value })}
+                        className={inputClassName}
+                        disabled={disabled}
+                    >
+                        <option value="html">В HTML</option>
+                        <option value="text">В видимом тексте</option>
+                    </select>
+                    <input
+                        type="text"
+                        placeholder="googletagmanager.com или re:UA-\d+"
+                        value={rule.pattern}
+                        onChange={(e) => updateRule(index, { pattern: e.target.value })}
+                        className={`${inputClassName} flex-1 min-w-48 font-mono`}
+                        disabled={disabled}
+                    />
+                    <button
+                        type="button"
+                        onClick={() => onChange(rules.filter((r, i) => i !== index))}
+                        className="text-sm text-red-600 hover:underline"
+                        disabled={disabled}
+                    >
+                        Удалить
+                    </button>
+                </div>
+            ))}
+            <button
+                type="button"
+                onClick={() => onChange([...rules, { ...EMPTY_RULE }])}
+                className="text-sm text-blue-600 hover:underline"
+                disabled={disabled}
+            >
+                + Добавить правило
+            </button>
+            <p className="text-xs text-gray-500">
+                Шаблон ищется без учета регистра; префикс re: включает регулярное выражение. В результатах для каждого правила появится колонка с отметкой и числом совпадений.
+            </p>
+        </div>
+    );
+};
+
+export default SearchRulesEditor;
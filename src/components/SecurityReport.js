@@ -0,0 +1,161 @@
+// src/components/SecurityReport.js
+"use client"; // Это Client Component
+
+import { useState, useEffect } from 'react';
+
+// Проверки в порядке показа (ключи совпадают с SECURITY_CHECKS)
+const CHECK_LABELS = {
+    hstsMissing: 'Нет HSTS',
+    hstsWeak: 'Слабый HSTS',
+    cspMissing: 'Нет CSP',
+    cspWeak: 'Слабая CSP',
+    xfoMissing: 'Нет X-Frame-Options',
+    xfoInvalid: 'Неверный X-Frame-Options',
+    xctoMissing: 'Нет X-Content-Type-Options: nosniff',
+    referrerPolicyMissing: 'Нет Referrer-Policy',
+    referrerPolicyWeak: 'Слабая Referrer-Policy',
+    permissionsPolicyMissing: 'Нет Permissions-Policy',
+    cacheControlMissing: 'Нет Cache-Control',
+    cookieNotSecure: 'Cookie без Secure',
+    cookieNoHttpOnly: 'Cookie без HttpOnly',
+    cookieNoSameSite: 'Cookie без SameSite',
+};
+
+const SecurityReport = ({ dbName }) => {
+    const [report, setReport] = useState(null);
+    const [filter, setFilter] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dbName) return;
+        const loadReport = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const params = new URLSearchParams({ filter });
+                const res = await fetch(`/api/data/${dbName}/security?${params.toString()}`);
+                if (!res.ok) {
+                    throw new Error(`HTTP ошибка! Статус: ${res.status}`);
+                }
+                setReport(await res.json());
+            } catch (err) {
+                console.error("Не удалось загрузить отчет по заголовкам безопасности:", err);
+                setError("Не удалось загрузить отчет по заголовкам безопасности: " + err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadReport();
+    }, [dbName, filter]);
+
+    if (error) {
+        return <p className="text-red-600">Ошибка: {error}</p>;
+    }
+
+    const summary = report?.summary;
+    const filterButtonClassName = (value) => `py-2 px-4 rounded-lg text-sm font-medium transition ${filter === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+    return (
+        <div>
+            {/* Сводка по сайту: сколько страниц не прошло каждую проверку */}
+            <p className="text-xs text-gray-500 mb-3">
+                Проверено ответов: {summary?.auditedPages ?? '...'}. HSTS и Secure проверяются только для HTTPS, CSP, X-Frame-Options, Referrer-Policy и Permissions-Policy — только для HTML.
+            </p>
+            <div className="flex flex-wrap gap-2 mb-6">
+                <button onClick={() => setFilter('')} className={filterButtonClassName('')}>
+                    Все проблемы ({summary?.pagesWithIssues ?? '...'})
+                </button>
+                {Object.entries(CHECK_LABELS).map(([value, label]) => (
+                    <button key={value} onClick={() => setFilter(value)} className={filterButtonClassName(value)}>
+                        {label} ({summary?.checks?.[value] ?? '...'})
+                    </button>
+                ))}
+                <button onClick={() => setFilter('cookies')} className={filterButtonClassName('cookies')}>
+                    Все Set-Cookie ({summary?.cookies ?? '...'})
+                </button>
+            </div>
+
+            {loading ? (
+                <p className="text-gray-600">Загрузка...</p>
+            ) : filter === 'cookies' ? (
+                report.cookies.length === 0 ? (
+                    <div className="text-center py-10">
+                        <p className="text-xl text-gray-600">Cookie не найдены.</p>
+                    </div>
+                ) : (
+                    <>
+                        <div className="mb-4 text-sm text-gray-600">
+                            Показано: <span className="font-bold">{report.cookies.length}</span> из <span className="font-bold">{report.total}</span>
+                        </div>
+                        <table className="min-w-max divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cookie</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Страница</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Secure</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">HttpOnly</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SameSite</th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Domain / Path</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {report.cookies.map((cookie, index) => (
+                                    <tr key={index}>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-800">{cookie.name}</td>
+                                        <td className="px-6 py-4 whitespace-normal text-sm font-medium text-blue-600 hover:underline break-words max-w-xs">
+                                            <a href={cookie.url} target="_blank" rel="noopener noreferrer">{cookie.url}</a>
+                                        </td>
+                                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${cookie.secure ? 'text-green-600' : 'text-red-600'}`}>{cookie.secure ? '✓' : '✗'}</td>
+                                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${cookie.httpOnly ? 'text-green-600' : 'text-red-600'}`}>{cookie.httpOnly ? '✓' : '✗'}</td>
+                                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${cookie.sameSite ? 'text-gray-800' : 'text-red-600'}`}>{cookie.sameSite || 'нет'}</td>
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-800">{cookie.domain || '—'} {cookie.path || ''}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </>
+                )
+            ) : report.pages.length === 0 ? (
+                <div className="text-center py-10">
+                    <p className="text-xl text-gray-600">Проблемы не найдены.</p>
+                </div>
+            ) : (
+                <>
+                    <div className="mb-4 text-sm text-gray-600">
+                        Показано: <span className="font-bold">{report.pages.length}</span> из <span className="font-bold">{report.total}</span>
+                    </div>
+                    <table className="min-w-max divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Страница</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Проблемы</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {report.pages.map((page) => (
+                                <tr key={page.url}>
+                                    <td className="px-6 py-4 whitespace-normal text-sm font-medium text-blue-600 hover:underline break-words max-w-xs align-top">
+                                        <a href={page.url} target="_blank" rel="noopener noreferrer">{page.url}</a>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 max-w-xl align-top">
+                                        <ul className="space-y-1">
+                                            {page.issues.map((issue, index) => (
+                                                <li key={index} className={`break-words ${issue.check === filter ? 'font-semibold' : ''}`}>
+                                                    {CHECK_LABELS[issue.check] || issue.check}
+                                                    {issue.detail && <span className="ml-1 text-xs font-mono text-gray-500">{issue.detail}</span>}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SecurityReport;
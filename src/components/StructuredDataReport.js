@@ -0,0 +1,170 @@
+// src/components/StructuredDataReport.js
+"use client"; // Это Client Component
+
+import { useState, useEffect } from 'react';
+
+const FILTERS = [
+    { value: '', label: 'Со структурированными данными', summaryKey: 'withStructuredData' },
+    { value: 'invalid', label: 'Невалидный JSON-LD', summaryKey: 'invalid' },
+    { value: 'missingOg', label: 'Нет обязательных OG-тегов', summaryKey: 'missingOg' },
+];
+
+const FORMAT_LABELS = {
+    'json-ld': 'JSON-LD',
+    microdata: 'Microdata',
+};
+
+const StructuredDataReport = ({ dbName, onShowList }) => {
+    const [report, setReport] = useState(null);
+    const [filter, setFilter] = useState('');
+    const [schemaType, setSchemaType] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dbName) return;
+        const loadReport = async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const params = new URLSearchParams({ filter, schemaType });
+                const res = await fetch(`/api/data/${dbName}/structured-data?${params.toString()}`);
+                if (!res.ok) {
+                    throw new Error(`HTTP ошибка! Статус: ${res.status}`);
+                }
+                setReport(await res.json());
+            } catch (err) {
+                console.error("Не удалось загрузить отчет по структурированным данным:", err);
+                setError("Не удалось загрузить отчет по структурированным данным: " + err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadReport();
+    }, [dbName, filter, schemaType]);
+
+    if (error) {
+        return <p className="text-red-600">Ошибка: {error}</p>;
+    }
+
+    const schemaTypes = report?.summary?.schemaTypes || [];
+
+    return (
+        <div>
+            {/* Сводка по типам schema.org на всем сайте */}
+            {schemaTypes.length > 0 && (
+                <div className="mb-6">
+                    <h2 className="text-lg font-semibold text-gray-800 mb-1">Типы schema.org</h2>
+                    <p className="text-xs text-gray-500 mb-3">
+                        Число страниц с типом из {report.summary.htmlPages} HTML-страниц. Нажмите на тип, чтобы показать эти страницы.
+                    </p>
+                    <div className="flex flex-wrap gap-2">
+                        {schemaTypes.map(row => (
+                            <button
+                                key={row.schemaType}
+                                onClick={() => setSchemaType(schemaType === row.schemaType ? '' : row.schemaType)}
+                                title={`JSON-LD: ${row.jsonLd}, Microdata: ${row.microdata}`}
+                                className={`py-1 px-3 rounded-full text-sm transition ${schemaType === row.schemaType ? 'bg-blue-600 text-white' : 'bg-blue-50 text-blue-800 hover:bg-blue-100'}`}
+                            >
+                                {row.schemaType}: <span className="font-semibold">{row.pages}</span>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Фильтры */}
+            <div className="flex flex-wrap gap-2 mb-6">
+                {FILTERS.map(({ value, label, summaryKey }) => (
+                    <button
+                        key={value}
+                        onClick={() => setFilter(value)}
+                        className={`py-2 px-4 rounded-lg text-sm font-medium transition ${filter === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                    >
+                        {label} ({report?.summary?.[summaryKey] ?? '...'})
+                    </button>
+                ))}
+            </div>
+
+            {loading ? (
+                <p className="text-gray-600">Загрузка...</p>
+            ) : report.pages.length === 0 ? (
+                <div className="text-center py-10">
+                    <p className="text-xl text-gray-600">Страницы не найдены.</p>
+                </div>
+            ) : (
+                <>
+                    <div className="mb-4 text-sm text-gray-600">
+                        Показано: <span className="font-bold">{report.pages.length}</span> из <span className="font-bold">{report.total}</span>
+                        {schemaType && (
+                            <button
+                                onClick={() => setSchemaType('')}
+                                className="ml-3 px-2 py-0.5 text-xs font-semibold text-blue-700 bg-blue-100 rounded-full hover:bg-blue-200"
+                            >
+                                Тип: {schemaType} ✕
+                            </button>
+                        )}
+                    </div>
+                    <table className="min-w-max divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Страница</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Типы schema.org</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ошибки JSON-LD</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Open Graph / Twitter</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {report.pages.map((page) => {
+                                const invalidItems = page.items.filter(item => !item.valid);
+                                return (
+                                    <tr key={page.url} className={invalidItems.length > 0 ? 'bg-red-50' : ''}>
+                                        <td className="px-6 py-4 whitespace-normal text-sm font-medium text-blue-600 hover:underline break-words max-w-xs align-top">
+                                            <a href={page.url} target="_blank" rel="noopener noreferrer">{page.url}</a>
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 max-w-xs align-top">
+                                            {page.schemaTypes.length > 0 ? page.schemaTypes.join(', ') : '—'}
+                                            {page.items.length > 0 && (
+                                                <button
+                                                    onClick={() => onShowList('Структурированные данные ' + page.url, page.items.map(item => ({
+                                                        type: `${FORMAT_LABELS[item.format] || item.format}${item.schemaType ? ` ${item.schemaType}` : ''}`,
+                                                        value: item.content,
+                                                    })))}
+                                                    className="block mt-1 text-blue-600 hover:underline text-sm"
+                                                >
+                                                    Посмотреть ({page.items.length})
+                                                </button>
+                                            )}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-normal text-sm text-red-700 max-w-xs align-top">
+                                            {invalidItems.length > 0 ? invalidItems.map((item, index) => (
+                                                <span key={index} className="block break-words">{item.error}</span>
+                                            )) : '—'}
+                                        </td>
+                                        <td className="px-6 py-4 whitespace-normal text-sm text-gray-800 max-w-xs align-top">
+                                            {page.missingOgTags.length > 0 && (
+                                                <span className="block text-orange-700 font-semibold">
+                                                    Нет: {page.missingOgTags.join(', ')}
+                                                </span>
+                                            )}
+                                            {page.socialTags.length > 0 ? (
+                                                <button
+                                                    onClick={() => onShowList('Open Graph / Twitter Card ' + page.url, page.socialTags.map(tag => ({ type: tag.property, value: tag.content })))}
+                                                    className="text-blue-600 hover:underline text-sm"
+                                                >
+                                                    Теги ({page.socialTags.length})
+                                                </button>
+                                            ) : 'Тегов нет'}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default StructuredDataReport;
@@ -0,0 +1,122 @@
+// src/components/UserAgentSettingsEditor.js
+"use client"; // Это Client Component
+
+import RobotsTester from '@/components/RobotsTester';
+
+const inputClassName = 'p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-blue-500 focus:border-blue-500 text-sm transition';
+
+// Ключи совпадают с USER_AGENT_PRESETS в src/spider/userAgents.js
+const PRESET_LABELS = {
+    default: 'SpiderNext (по умолчанию)',
+    googlebot: 'Googlebot (десктоп)',
+    googlebotSmartphone: 'Googlebot Smartphone',
+    bingbot: 'Bingbot',
+    chromeDesktop: 'Chrome (десктоп)',
+    safariMobile: 'Safari (iPhone)',
+    custom: 'Свой User-Agent',
+};
+
+export const EMPTY_USER_AGENT_SETTINGS = {
+    preset: 'default',
+    custom: '',          // Строка User-Agent для preset = 'custom'
+    robotsToken: '',     // Группа robots.txt для своего User-Agent ('*', если пусто)
+    robotsMode: 'obey',  // obey / report / custom
+    customRobotsTxt: '', // Текст robots.txt для режима custom
+};
+
+/**
+ * Переводит значения формы в поля запроса на сканирование.
+ * @param {typeof EMPTY_USER_AGENT_SETTINGS} settings
+ * @returns {{userAgent: {preset: string, custom: string, robotsToken: string}, robotsMode: string, customRobotsTxt: string}}
+ */
+export const buildUserAgentSettings = (settings) => ({
+    userAgent: { preset: settings.preset, custom: settings.custom, robotsToken: settings.robotsToken },
+    robotsMode: settings.robotsMode,
+    customRobotsTxt: settings.robotsMode === 'custom' ? settings.customRobotsTxt : '',
+});
+
+/**
+ * Выбор User-Agent сканера и режима robots.txt, а также проверка URL по правилам robots.txt.
+ */
+const UserAgentSettingsEditor = ({ settings, onChange, disabled }) => {
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap gap-2 items-center text-sm text-gray-700">
+                <span className="w-40">User-Agent:</span>
+                <select
+                    value={settings.preset}
+                    onChange={(e) => update({ preset: e.target.value })}
+                    className={inputClassName}
+                    disabled={disabled}
+                >
+                    {Object.entries(PRESET_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+            </div>
+            {settings.preset === 'custom' && (
+                <div className="flex flex-wrap gap-2 items-center text-sm text-gray-700">
+                    <span className="w-40">Строка и группа:</span>
+                    <input
+                        type="text"
+                        placeholder="Mozilla/5.0 (compatible; MyBot/1.0)"
+                        value={settings.custom}
+                        onChange={(e) => update({ custom: e.target.value })}
+                        className={`${inputClassName} flex-1 min-w-48 font-mono`}
+                        disabled={disabled}
+                    />
+                    <input
+                        type="text"
+                        placeholder="Группа robots.txt, напр. MyBot"
+                        value={settings.robotsToken}
+                        onChange={(e) => update({ robotsToken: e.target.value })}
+                        className={`${inputClassName} w-56 font-mono`}
+                        disabled={disabled}
+                    />
+                </div>
+            )}
+            <div className="flex flex-wrap gap-2 items-center text-sm text-gray-700">
+                <span className="w-40">robots.txt:</span>
+                <select
+                    value={settings.robotsMode}
+                    onChange={(e) => update({ robotsMode: e.target.value })}
+                    className={inputClassName}
+                    disabled={disabled}
+                >
+                    <option value="obey">Соблюдать</option>
+                    <option value="report">Игнорировать, но отмечать запрещенные URL</option>
+                    <option value="custom">Использовать свой robots.txt</option>
+                </select>
+            </div>
+            {settings.robotsMode === 'custom' && (
+                <label className="flex flex-col text-sm text-gray-700">
+                    Свой robots.txt (применяется ко всем хостам сайта)
+                    <textarea
+                        rows={5}
+                        placeholder={'User-agent: *\nDisallow: /search'}
+                        value={settings.customRobotsTxt}
+                        onChange={(e) => update({ customRobotsTxt: e.target.value })}
+                        className={`${inputClassName} mt-1 font-mono`}
+                        disabled={disabled}
+                    />
+                </label>
+            )}
+            <p className="text-xs text-gray-500">
+                Правила robots.txt выбираются по группе User-agent сканера; для браузерных User-Agent действует общая группа (*).
+            </p>
+            <details className="text-sm text-gray-700">
+                <summary className="cursor-pointer select-none">Проверить URL по robots.txt</summary>
+                <div className="mt-3">
+                    <RobotsTester
+                        userAgent={buildUserAgentSettings(settings).userAgent}
+                        initialContent={settings.robotsMode === 'custom' ? settings.customRobotsTxt : ''}
+                    />
+                </div>
+            </details>
+        </div>
+    );
+};
+
+export default UserAgentSettingsEditor;
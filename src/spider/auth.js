@@ -0,0 +1,322 @@
+// src/spider/auth.js
+const cheerio = require('cheerio');
+
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const MAX_LOGIN_REDIRECTS = 10;
+const LOGIN_REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Проверяет, подходит ли путь запроса под Path cookie (RFC 6265, 5.1.4).
+ * @param {string} requestPath
+ * @param {string} cookiePath
+ * @returns {boolean}
+ */
+function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    return requestPath.startsWith(cookiePath) && (cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/');
+}
+
+/**
+ * Path по умолчанию для cookie без атрибута Path — "каталог" URL запроса.
+ * @param {string} requestPath
+ * @returns {string}
+ */
+function defaultCookiePath(requestPath) {
+    const lastSlash = requestPath.lastIndexOf('/');
+    return lastSlash > 0 ? requestPath.slice(0, lastSlash) : '/';
+}
+
+/**
+ * Создает хранилище cookie, которое принимает Set-Cookie ответов и подставляет Cookie в следующие запросы
+ * по правилам Domain, Path, Secure и срока жизни.
+ * @returns {{setCookie: Function, storeFromResponse: Function, getCookieHeader: Function, size: Function}}
+ */
+function createCookieJar() {
+    const cookies = new Map(); // "domain;path;name" -> cookie
+
+    /**
+     * Сохраняет cookie из одного заголовка Set-Cookie.
+     * @param {string} requestUrl - URL, ответ на который содержит заголовок.
+     * @param {string} setCookie - Значение заголовка.
+     */
+    const storeSetCookie = (requestUrl, setCookie) => {
+        const { hostname, pathname } = new URL(requestUrl);
+        const host = hostname.toLowerCase();
+        const [pair, ...attributes] = setCookie.split(';');
+        const separatorIndex = pair.indexOf('=');
+        if (separatorIndex < 0) return;
+        const cookie = {
+            name: pair.slice(0, separatorIndex).trim(),
+            value: pair.slice(separatorIndex + 1).trim(),
+            domain: host,
+            hostOnly: true,
+            path: defaultCookiePath(pathname),
+            secure: false,
+            expiresAt: null, // null — сессионная cookie
+        };
+        if (!cookie.name) return;
+
+        let maxAge = null;
+        attributes.forEach(attribute => {
+            const [rawKey, ...rest] = attribute.split('=');
+            const key = rawKey.trim().toLowerCase();
+            const value = rest.join('=').trim();
+            if (key === 'domain' && value) {
+                cookie.domain = value.replace(/^\./, '').toLowerCase();
+                cookie.hostOnly = false;
+            } else if (key === 'path' && value.startsWith('/')) {
+                cookie.path = value;
+            } else if (key === 'secure') {
+                cookie.secure = true;
+            } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+                maxAge = parseInt(value, 10);
+            } else if (key === 'expires' && !Number.isNaN(Date.parse(value))) {
+                cookie.expiresAt = Date.parse(value);
+            }
+        });
+        if (maxAge !== null) cookie.expiresAt = Date.now() + maxAge * 1000; // Max-Age важнее Expires
+
+        // Cookie для чужого домена браузер отклоняет
+        if (!cookie.hostOnly && host !== cookie.domain && !host.endsWith(`.${cookie.domain}`)) return;
+
+        const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+        if (cookie.expiresAt !== null && cookie.expiresAt <= Date.now()) {
+            cookies.delete(key); // Истекший срок — сервер удаляет cookie
+        } else {
+            cookies.set(key, cookie);
+        }
+    };
+
+    return {
+        /**
+         * Добавляет cookie, заданную в настройках сканирования: она отправляется на все хосты, которым передается авторизация.
+         * @param {string} name
+         * @param {string} value
+         */
+        setCookie(name, value) {
+            cookies.set(`*;/;${name}`, { name, value, domain: null, hostOnly: false, path: '/', secure: false, expiresAt: null });
+        },
+
+        /**
+         * Сохраняет все Set-Cookie ответа.
+         * @param {string} requestUrl - URL запроса.
+         * @param {Headers} headers - Заголовки ответа.
+         */
+        storeFromResponse(requestUrl, headers) {
+            headers.getSetCookie().forEach(setCookie => storeSetCookie(requestUrl, setCookie));
+        },
+
+        /**
+         * @param {string} url - URL запроса.
+         * @returns {string|null} Значение заголовка Cookie или null, если подходящих cookie нет.
+         */
+        getCookieHeader(url) {
+            const { protocol, hostname, pathname } = new URL(url);
+            const host = hostname.toLowerCase();
+            const now = Date.now();
+            const matching = [...cookies.values()].filter(cookie => {
+                if (cookie.expiresAt !== null && cookie.expiresAt <= now) return false;
+                if (cookie.secure && protocol !== 'https:') return false;
+                if (cookie.domain !== null) {
+                    const domainMatches = cookie.hostOnly ? host === cookie.domain : (host === cookie.domain || host.endsWith(`.${cookie.domain}`));
+                    if (!domainMatches) return false;
+                }
+                return pathMatches(pathname, cookie.path);
+            });
+            if (matching.length === 0) return null;
+            // Cookie с более длинным Path отправляются первыми
+            matching.sort((a, b) => b.path.length - a.path.length);
+            return matching.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+        },
+
+        /**
+         * @returns {number} Количество cookie в хранилище.
+         */
+        size() {
+            return cookies.size;
+        },
+    };
+}
+
+/**
+ * Разбирает cookie из настроек: строку "a=1; b=2" или по одной на строке.
+ * @param {string} cookieString
+ * @returns {Array<{name: string, value: string}>}
+ */
+function parseCookieString(cookieString) {
+    return String(cookieString || '').split(/[;\n]/)
+        .map(part => part.trim())
+        .filter(part => part.includes('='))
+        .map(part => ({ name: part.slice(0, part.indexOf('=')).trim(), value: part.slice(part.indexOf('=') + 1).trim() }))
+        .filter(cookie => cookie.name);
+}
+
+/**
+ * Создает настройки авторизованного сканирования: дополнительные заголовки, cookie, basic auth и вход через форму.
+ * Авторизация передается только хостам сайта, чтобы учетные данные не ушли на внешние ссылки и CDN.
+ * Значения заголовков, cookie и паролей не попадают в describe() и сообщения об ошибках.
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.headers] - Дополнительные заголовки запроса (переопределяют остальные).
+ * @param {string} [options.cookies] - Начальные cookie: "a=1; b=2" или по одной на строке.
+ * @param {boolean} [options.keepCookies] - Сохранять Set-Cookie ответов и отправлять их в следующих запросах.
+ * @param {{username: string, password: string}|null} [options.basicAuth] - Учетные данные HTTP basic auth.
+ * @param {{url: string, fields: Object<string, string>}|null} [options.login] - Форма входа, отправляемая перед сканированием.
+ * @param {Function} [options.isInternal] - (hostname) => boolean, хосты сканируемого сайта.
+ * @returns {{getHeaders: Function, storeCookies: Function, login: Function, describe: Function}}
+ * @throws {Error} Если имя заголовка или адрес формы входа некорректны.
+ */
+function createAuth({ headers = {}, cookies = '', keepCookies = false, basicAuth = null, login = null, isInternal = () => false } = {}) {
+    const customHeaders = Object.entries(headers || {}).map(([name, value]) => [String(name).trim(), String(value ?? '')]);
+    customHeaders.forEach(([name]) => {
+        if (!HEADER_NAME_PATTERN.test(name)) throw new Error(`некорректное имя заголовка "${name}"`);
+    });
+
+    const authorization = basicAuth && basicAuth.username
+        ? `Basic ${Buffer.from(`${basicAuth.username}:${basicAuth.password || ''}`).toString('base64')}`
+        : null;
+
+    const loginUrl = login && login.url ? String(login.url).trim() : '';
+    if (loginUrl) {
+        try {
+            new URL(loginUrl);
+        } catch (e) {
+            throw new Error('некорректный адрес формы входа');
+        }
+    }
+    const loginFields = login && login.fields ? login.fields : {};
+
+    const jar = createCookieJar();
+    parseCookieString(cookies).forEach(({ name, value }) => jar.setCookie(name, value));
+    // Вход через форму невозможен без сохранения сессионной cookie
+    const storeResponseCookies = Boolean(keepCookies || loginUrl);
+
+    /**
+     * @param {string} url - URL запроса.
+     * @returns {Object<string, string>} Заголовки авторизации для URL (пустой объект для внешних хостов).
+     */
+    const getHeaders = (url) => {
+        const { hostname } = new URL(url);
+        if (!isInternal(hostname)) return {};
+        const result = {};
+        if (authorization) result['Authorization'] = authorization;
+        const cookieHeader = jar.getCookieHeader(url);
+        if (cookieHeader) result['Cookie'] = cookieHeader;
+        customHeaders.forEach(([name, value]) => { result[name] = value; });
+        return result;
+    };
+
+    /**
+     * Сохраняет cookie из ответа своего хоста (если хранилище включено).
+     * @param {string} url - URL запроса.
+     * @param {Headers} responseHeaders - Заголовки ответа.
+     */
+    const storeCookies = (url, responseHeaders) => {
+        if (!storeResponseCookies || !isInternal(new URL(url).hostname)) return;
+        jar.storeFromResponse(url, responseHeaders);
+    };
+
+    /**
+     * Выполняет запрос со своими редиректами, сохраняя cookie каждого шага.
+     * @returns {Promise<{response: Response, url: string}>}
+     */
+    const requestWithCookies = async (fetch, url, init, baseHeaders, timeoutMs) => {
+        let requestUrl = url;
+        let requestInit = init;
+        for (let hop = 0; hop <= MAX_LOGIN_REDIRECTS; hop++) {
+            const response = await fetch(requestUrl, {
+                ...requestInit,
+                headers: { ...baseHeaders, ...requestInit.headers, ...getHeaders(requestUrl) },
+                redirect: 'manual',
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            storeCookies(requestUrl, response.headers);
+            const location = response.headers.get('location');
+            if (!LOGIN_REDIRECT_STATUSES.includes(response.status) || !location) {
+                return { response, url: requestUrl };
+            }
+            await response.body?.cancel?.();
+            requestUrl = new URL(location, requestUrl).href;
+            // После отправки формы браузер переходит по редиректу методом GET (кроме 307/308)
+            if (![307, 308].includes(response.status)) requestInit = { method: 'GET', headers: {} };
+        }
+        throw new Error('слишком много редиректов при входе');
+    };
+
+    return {
+        getHeaders,
+        storeCookies,
+
+        /**
+         * Выполняет вход через форму: загружает страницу входа, берет поля формы с паролем (включая скрытые, например CSRF-токен),
+         * подставляет заданные значения и отправляет форму. Сессионные cookie остаются в хранилище.
+         * @param {Function} fetch - Функция fetch.
+         * @param {object} options
+         * @param {object} options.headers - Базовые заголовки (User-Agent и т.п.).
+         * @param {number} options.timeoutMs - Таймаут одного запроса.
+         * @returns {Promise<{status: number, action: string, finalUrl: string, formStillPresent: boolean}|null>} null, если вход не настроен.
+         * @throws {Error} Если форма недоступна или сервер ответил ошибкой.
+         */
+        async login(fetch, { headers: baseHeaders, timeoutMs }) {
+            if (!loginUrl) return null;
+            const { response: pageResponse, url: pageUrl } = await requestWithCookies(fetch, loginUrl, { method: 'GET', headers: {} }, baseHeaders, timeoutMs);
+            if (!pageResponse.ok) {
+                await pageResponse.body?.cancel?.();
+                throw new Error(`страница входа ответила статусом ${pageResponse.status}`);
+            }
+            const $ = cheerio.load(await pageResponse.text());
+            const passwordForm = $('form').filter((i, form) => $(form).find('input[type="password"]').length > 0).first();
+            const $form = passwordForm.length > 0 ? passwordForm : $('form').first();
+
+            const formFields = new URLSearchParams();
+            $form.find('input[name], textarea[name], select[name]').each((i, element) => {
+                const $element = $(element);
+                const type = ($element.attr('type') || '').toLowerCase();
+                if (['submit', 'button', 'image', 'reset', 'file'].includes(type)) return;
+                if (['checkbox', 'radio'].includes(type) && $element.attr('checked') === undefined) return;
+                const value = element.tagName === 'select'
+                    ? ($element.find('option[selected]').attr('value') ?? $element.find('option').first().attr('value') ?? '')
+                    : element.tagName === 'textarea' ? $element.text() : ($element.attr('value') ?? (type === 'checkbox' ? 'on' : ''));
+                formFields.set($element.attr('name'), value);
+            });
+            Object.entries(loginFields).forEach(([name, value]) => formFields.set(name, String(value ?? '')));
+
+            const action = $form.length > 0 && $form.attr('action') ? new URL($form.attr('action'), pageUrl).href : pageUrl;
+            const method = ($form.attr('method') || 'post').toUpperCase();
+            const submitUrl = method === 'GET' ? `${action.split('?')[0]}?${formFields.toString()}` : action;
+            const { response, url: finalUrl } = await requestWithCookies(fetch, submitUrl, method === 'GET'
+                ? { method: 'GET', headers: {} }
+                : { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: formFields.toString() },
+            baseHeaders, timeoutMs);
+            if (response.status >= 400) {
+                await response.body?.cancel?.();
+                throw new Error(`форма входа ответила статусом ${response.status}`);
+            }
+            // Если после отправки снова показана форма с паролем, вход, скорее всего, не удался
+            const isHtml = (response.headers.get('content-type') || '').includes('text/html');
+            if (!isHtml) await response.body?.cancel?.();
+            const resultHtml = isHtml ? await response.text() : '';
+            const formStillPresent = resultHtml ? cheerio.load(resultHtml)('input[type="password"]').length > 0 : false;
+            // URL действия формы логируется, поэтому убираем из него значения полей
+            return { status: response.status, action: action.split('?')[0], finalUrl: finalUrl.split('?')[0], formStillPresent };
+        },
+
+        /**
+         * @returns {object} Настройки в виде для логов — без значений заголовков, cookie и паролей.
+         */
+        describe() {
+            return {
+                headers: customHeaders.map(([name]) => name),
+                cookies: jar.size(),
+                keepCookies: storeResponseCookies,
+                basicAuth: Boolean(authorization),
+                login: loginUrl ? loginUrl.split('?')[0] : null,
+            };
+        },
+    };
+}
+
+module.exports = {
+    createCookieJar,
+    parseCookieString,
+    createAuth,
+};
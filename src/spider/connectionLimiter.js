@@ -0,0 +1,81 @@
+// src/spider/connectionLimiter.js
+const { Agent, buildConnector } = require('undici');
+
+// Сколько простаивающий сокет живет в пуле: повторные запросы к тому же хосту его переиспользуют,
+// а разрешение, которое он держит, быстро возвращается в общий лимит
+const IDLE_SOCKET_TIMEOUT_MS = 1000;
+
+/**
+ * Создает ограничитель исходящих соединений, общий для всех одновременно работающих сканирований.
+ * Счетчик ведет планировщик в основном потоке: воркер просит разрешение сообщением 'connection-acquire',
+ * получает 'connection-granted' (передается в grant) и возвращает его сообщением 'connection-release'.
+ * Разрешение занимает каждый открытый сокет — от подключения до закрытия, включая чтение тела ответа
+ * и простой в пуле keep-alive, поэтому число реальных соединений не превышает лимит.
+ * Ответ, тело которого не прочитано и не отменено, держит сокет и разрешение до таймаута — тело нужно освобождать.
+ * Без порта (воркер запущен не планировщиком) ограничение не действует.
+ * @param {import('worker_threads').MessagePort|null} port - Порт родительского потока.
+ * @returns {{acquire: Function, release: Function, grant: Function, wrapFetch: Function}}
+ */
+function createConnectionLimiter(port) {
+    const waiters = []; // Запросы, ждущие разрешения, в порядке отправки 'connection-acquire'
+
+    const limiter = {
+        /**
+         * Ждет разрешения планировщика на новое соединение.
+         * @returns {Promise<void>}
+         */
+        acquire() {
+            if (!port) return Promise.resolve();
+            return new Promise(resolve => {
+                waiters.push(resolve);
+                port.postMessage({ type: 'connection-acquire' });
+            });
+        },
+
+        /**
+         * Возвращает разрешение планировщику.
+         */
+        release() {
+            if (port) port.postMessage({ type: 'connection-release' });
+        },
+
+        /**
+         * Обрабатывает сообщение 'connection-granted': планировщик выдает разрешения в порядке запросов.
+         */
+        grant() {
+            const resolve = waiters.shift();
+            if (resolve) resolve();
+        },
+
+        /**
+         * Оборачивает fetch так, чтобы запросы шли через пул сокетов, каждый из которых занимает разрешение, пока открыт.
+         * @param {Function} fetch - Встроенный fetch (принимает диспетчер undici).
+         * @returns {Function}
+         */
+        wrapFetch(fetch) {
+            if (!port) return fetch;
+            const connect = buildConnector({});
+            const dispatcher = new Agent({
+                keepAliveTimeout: IDLE_SOCKET_TIMEOUT_MS,
+                keepAliveMaxTimeout: IDLE_SOCKET_TIMEOUT_MS,
+                connect: (options, callback) => {
+                    limiter.acquire().then(() => connect(options, (error, socket) => {
+                        if (error) {
+                            limiter.release();
+                            callback(error);
+                            return;
+                        }
+                        socket.once('close', () => limiter.release());
+                        callback(null, socket);
+                    }));
+                },
+            });
+            return (url, init = {}) => fetch(url, { ...init, dispatcher });
+        },
+    };
+    return limiter;
+}
+
+module.exports = {
+    createConnectionLimiter,
+};
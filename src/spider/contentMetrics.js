@@ -0,0 +1,107 @@
+// src/spider/contentMetrics.js
+const crypto = require('crypto');
+
+// Элементы, которые не относятся к основному тексту страницы
+const NON_CONTENT_SELECTOR = 'script, style, noscript, template, nav, svg, iframe';
+const SHINGLE_SIZE = 3; // Слов в одном фрагменте для simhash
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * 32-битный хеш FNV-1a строки с заданным начальным значением.
+ * @param {string} str
+ * @param {number} seed
+ * @returns {number}
+ */
+function fnv1a32(str, seed) {
+    let hash = seed >>> 0;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Считает 64-битный simhash по фрагментам из SHINGLE_SIZE слов.
+ * У похожих текстов отличается мало битов, поэтому сходство — доля совпадающих битов.
+ * @param {string[]} words - Слова текста в нижнем регистре.
+ * @returns {string|null} 16 шестнадцатеричных символов или null для пустого текста.
+ */
+function computeSimhash(words) {
+    if (words.length === 0) return null;
+    const weights = new Array(64).fill(0);
+    const shingleCount = Math.max(1, words.length - SHINGLE_SIZE + 1);
+    for (let i = 0; i < shingleCount; i++) {
+        const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+        // Две половины 64-битного хеша — FNV-1a с разными начальными значениями
+        const halves = [fnv1a32(shingle, 0x811c9dc5), fnv1a32(shingle, 0x050c5d1f)];
+        for (let bit = 0; bit < 64; bit++) {
+            const half = halves[bit >> 5];
+            weights[bit] += (half >>> (bit & 31)) & 1 ? 1 : -1;
+        }
+    }
+    const halves = [0, 0];
+    for (let bit = 0; bit < 64; bit++) {
+        if (weights[bit] > 0) halves[bit >> 5] |= 1 << (bit & 31);
+    }
+    return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * Разбирает simhash в две 32-битные половины для быстрого сравнения.
+ * @param {string} simhash - 16 шестнадцатеричных символов.
+ * @returns {number[]}
+ */
+function parseSimhash(simhash) {
+    return [parseInt(simhash.slice(0, 8), 16), parseInt(simhash.slice(8, 16), 16)];
+}
+
+/**
+ * Сходство двух simhash: доля совпадающих битов (от 0 до 1).
+ * @param {number[]} a - Результат parseSimhash.
+ * @param {number[]} b - Результат parseSimhash.
+ * @returns {number}
+ */
+function simhashSimilarity(a, b) {
+    let differentBits = 0;
+    for (let i = 0; i < 2; i++) {
+        let x = (a[i] ^ b[i]) >>> 0;
+        while (x) {
+            x &= x - 1;
+            differentBits++;
+        }
+    }
+    return 1 - differentBits / 64;
+}
+
+/**
+ * Извлекает основной текст страницы и считает метрики контента.
+ * Навигация, скрипты и стили в текст не входят.
+ * @param {import('cheerio').CheerioAPI} $ - Загруженный HTML (не изменяется).
+ * @param {string} html - Исходный HTML (для доли текста).
+ * @returns {{bodyText: string, wordCount: number, textRatio: number, contentHash: string|null, simhash: string|null}}
+ */
+function analyzeContent($, html) {
+    const $body = $('body').first().clone();
+    $body.find(NON_CONTENT_SELECTOR).remove();
+    const bodyText = $body.text().replace(/\s+/g, ' ').trim();
+    const words = (bodyText.toLowerCase().match(WORD_PATTERN) || []);
+    const htmlSize = Buffer.byteLength(html);
+
+    return {
+        bodyText,
+        wordCount: words.length,
+        // Доля текста в HTML в процентах
+        textRatio: htmlSize > 0 ? Math.round((Buffer.byteLength(bodyText) / htmlSize) * 10000) / 100 : 0,
+        // Хеш нормализованного текста: одинаковый текст с разной разметкой считается дублем
+        contentHash: words.length > 0 ? crypto.createHash('sha1').update(words.join(' ')).digest('hex') : null,
+        simhash: computeSimhash(words),
+    };
+}
+
+module.exports = {
+    analyzeContent,
+    computeSimhash,
+    parseSimhash,
+    simhashSimilarity,
+};
@@ -0,0 +1,96 @@
+// src/spider/customExtraction.js
+const cheerio = require('cheerio');
+
+/**
+ * Способы извлечения: CSS-селектор или регулярное выражение по исходному HTML.
+ */
+const EXTRACTION_TYPES = ['css', 'regex'];
+
+/**
+ * Что возвращает CSS-правило для каждого найденного элемента.
+ */
+const CSS_OUTPUTS = ['text', 'attribute', 'innerHtml'];
+
+const MAX_VALUES_PER_RULE = 100; // Ограничение на количество значений одного правила со страницы
+
+/**
+ * Проверяет и подготавливает правила извлечения из сообщения start.
+ * @param {Array<{name: string, type: string, selector?: string, output?: string, attribute?: string, pattern?: string}>} [rules]
+ * @returns {Array<Object>} Правила с собранными регулярными выражениями.
+ * @throws {Error} Если правило некорректно (пустое имя, повтор имени, неизвестный тип, неверный селектор или regex).
+ */
+function compileExtractionRules(rules = []) {
+    const names = new Set();
+    return rules.map((rule, index) => {
+        const name = String(rule.name || '').trim();
+        if (!name) throw new Error(`у правила №${index + 1} не указано имя`);
+        if (names.has(name)) throw new Error(`имя правила "${name}" повторяется`);
+        names.add(name);
+
+        const type = EXTRACTION_TYPES.includes(rule.type) ? rule.type : null;
+        if (!type) throw new Error(`неизвестный тип правила "${name}": ${rule.type}`);
+
+        if (type === 'regex') {
+            const pattern = String(rule.pattern || '');
+            if (!pattern) throw new Error(`у правила "${name}" не указано регулярное выражение`);
+            try {
+                return { name, type, pattern, regex: new RegExp(pattern, 'gi') };
+            } catch (e) {
+                throw new Error(`некорректное регулярное выражение в правиле "${name}": ${e.message}`);
+            }
+        }
+
+        const selector = String(rule.selector || '').trim();
+        if (!selector) throw new Error(`у правила "${name}" не указан CSS-селектор`);
+        try {
+            cheerio.load('')(selector); // cheerio разбирает селектор только при поиске — ищем в пустом документе
+        } catch (e) {
+            throw new Error(`некорректный CSS-селектор в правиле "${name}": ${e.message}`);
+        }
+        const output = CSS_OUTPUTS.includes(rule.output) ? rule.output : 'text';
+        const attribute = String(rule.attribute || '').trim();
+        if (output === 'attribute' && !attribute) throw new Error(`у правила "${name}" не указан атрибут`);
+        return { name, type, selector, output, attribute: output === 'attribute' ? attribute : null };
+    });
+}
+
+/**
+ * Применяет правила к странице.
+ * Для regex значением считается первая группа захвата, если она есть, иначе все совпадение.
+ * @param {Array<Object>} rules - Результат compileExtractionRules.
+ * @param {import('cheerio').CheerioAPI} $ - Загруженный HTML.
+ * @param {string} html - Исходный HTML.
+ * @returns {Array<{ruleName: string, values: string[], error: string|null}>}
+ */
+function applyExtractionRules(rules, $, html) {
+    return rules.map(rule => {
+        const values = [];
+        try {
+            if (rule.type === 'regex') {
+                for (const match of html.matchAll(rule.regex)) {
+                    values.push((match[1] ?? match[0]).trim());
+                    if (values.length >= MAX_VALUES_PER_RULE) break;
+                }
+            } else {
+                $(rule.selector).slice(0, MAX_VALUES_PER_RULE).each((i, el) => {
+                    const $el = $(el);
+                    const value = rule.output === 'attribute'
+                        ? $el.attr(rule.attribute)
+                        : rule.output === 'innerHtml' ? $el.html() : $el.text().replace(/\s+/g, ' ');
+                    if (value !== undefined && value !== null) values.push(value.trim());
+                });
+            }
+        } catch (e) {
+            // Ошибка применения (например, слишком сложное регулярное выражение) не должна прерывать обработку страницы
+            return { ruleName: rule.name, values: [], error: e.message };
+        }
+        return { ruleName: rule.name, values: values.filter(Boolean), error: null };
+    });
+}
+
+module.exports = {
+    EXTRACTION_TYPES,
+    CSS_OUTPUTS,
+    compileExtractionRules,
+    applyExtractionRules,
+};
@@ -0,0 +1,88 @@
+// src/spider/customSearch.js
+
+/**
+ * Режимы правила: страница должна содержать или не содержать шаблон.
+ */
+const SEARCH_MODES = ['contains', 'notContains'];
+
+/**
+ * Где искать: в исходном HTML или в видимом тексте страницы (title и body без скриптов и стилей).
+ */
+const SEARCH_SCOPES = ['html', 'text'];
+
+// Элементы, текст которых не виден посетителю
+const INVISIBLE_SELECTOR = 'script, style, noscript, template';
+
+/**
+ * Экранирует строку для использования в регулярном выражении.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Проверяет и подготавливает правила поиска из сообщения start.
+ * Шаблон ищется как подстрока без учета регистра; с префиксом "re:" — как регулярное выражение (как в шаблонах области сканирования).
+ * @param {Array<{name: string, mode: string, scope: string, pattern: string}>} [rules]
+ * @returns {Array<{name: string, mode: string, scope: string, pattern: string, regex: RegExp}>}
+ * @throws {Error} Если правило некорректно (пустое имя или шаблон, повтор имени, неверное регулярное выражение).
+ */
+function compileSearchRules(rules = []) {
+    const names = new Set();
+    return rules.map((rule, index) => {
+        const name = String(rule.name || '').trim();
+        if (!name) throw new Error(`у правила №${index + 1} не указано имя`);
+        if (names.has(name)) throw new Error(`имя правила "${name}" повторяется`);
+        names.add(name);
+
+        const pattern = String(rule.pattern || '');
+        if (!pattern) throw new Error(`у правила "${name}" не указан шаблон`);
+        let regex;
+        try {
+            regex = pattern.startsWith('re:') ? new RegExp(pattern.slice(3), 'gi') : new RegExp(escapeRegExp(pattern), 'gi');
+        } catch (e) {
+            throw new Error(`некорректное регулярное выражение в правиле "${name}": ${e.message}`);
+        }
+
+        return {
+            name,
+            mode: SEARCH_MODES.includes(rule.mode) ? rule.mode : 'contains',
+            scope: SEARCH_SCOPES.includes(rule.scope) ? rule.scope : 'html',
+            pattern,
+            regex,
+        };
+    });
+}
+
+/**
+ * Проверяет страницу правилами поиска.
+ * @param {Array<Object>} rules - Результат compileSearchRules.
+ * @param {import('cheerio').CheerioAPI} $ - Загруженный HTML (не изменяется).
+ * @param {string} html - Исходный HTML.
+ * @returns {Array<{ruleName: string, matchCount: number}>} Число совпадений для каждого правила (в том числе 0).
+ */
+function applySearchRules(rules, $, html) {
+    let visibleText = null; // Считаем только если есть правила по тексту
+    return rules.map(rule => {
+        if (rule.scope === 'text' && visibleText === null) {
+            const $body = $('body').first().clone();
+            $body.find(INVISIBLE_SELECTOR).remove();
+            visibleText = `${$('title').first().text()} ${$body.text()}`.replace(/\s+/g, ' ').trim();
+        }
+        const haystack = rule.scope === 'text' ? visibleText : html;
+        let matchCount = 0;
+        for (const match of haystack.matchAll(rule.regex)) {
+            if (match[0] !== '') matchCount++;
+        }
+        return { ruleName: rule.name, matchCount };
+    });
+}
+
+module.exports = {
+    SEARCH_MODES,
+    SEARCH_SCOPES,
+    compileSearchRules,
+    applySearchRules,
+};
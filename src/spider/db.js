@@ -2,6 +2,11 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { isValidHreflang } = require('./hreflang');
+const { REQUIRED_OG_TAGS } = require('./structuredData');
+const { parseSimhash, simhashSimilarity } = require('./contentMetrics');
+const { SECURITY_CHECKS } = require('./securityHeaders');
+const { stripUrlCredentials } = require('./urlNormalizer');
 
 let siteDbInstance = null; // Для баз данных конкретных сайтов (pages, headers, links)
 let metadataDbInstance = null; // Для общей базы данных sites_metadata.db
@@ -35,9 +40,30 @@ function getMetadataDbConnection() {
                 domain TEXT NOT NULL,
                 startUrl TEXT, -- The full URL used to start the scan
                 scannedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-                status TEXT DEFAULT 'pending' -- pending, scanning, completed, error, cancelled
+                status TEXT DEFAULT 'pending' -- queued, pending, scanning, paused, completed, error, cancelled
             );
+
+            -- Запуски сканирования: у каждого своя база сайта, поэтому результаты прошлых запусков сохраняются
+            CREATE TABLE IF NOT EXISTS scan_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                dbName TEXT NOT NULL,           -- Сайт (sites_metadata.dbName)
+                runDbName TEXT UNIQUE NOT NULL, -- База сайта с результатами запуска
+                startUrl TEXT,
+                startedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finishedAt DATETIME,            -- NULL, пока запуск не завершен
+                status TEXT DEFAULT 'pending',  -- Те же статусы, что в sites_metadata
+                settings TEXT,                  -- JSON с настройками запуска (без учетных данных)
+                pagesCount INTEGER,             -- Итоги считаются при завершении запуска
+                htmlCount INTEGER,
+                redirectCount INTEGER,
+                errorCount INTEGER,
+                skippedCount INTEGER,
+                nonIndexableCount INTEGER,
+                brokenExternalCount INTEGER
+            );
+            CREATE INDEX IF NOT EXISTS idx_scan_runs_dbName ON scan_runs (dbName, id);
         `);
+        migrateLegacyRuns(metadataDbInstance);
         return metadataDbInstance;
     } catch (error) {
         console.error("[DB] Ошибка при инициализации базы данных метаданных:", error);
@@ -46,6 +72,90 @@ function getMetadataDbConnection() {
     }
 }
 
+// Статусы, с которыми запуск сканирования считается завершенным
+const FINISHED_SCAN_STATUSES = ['completed', 'error', 'cancelled'];
+
+/**
+ * Заводит запуски для сайтов, просканированных до появления истории: их единственная база
+ * (databases/<dbName>.db) становится первым запуском сайта.
+ * @param {Database} metadataDb - Открытое соединение с базой метаданных.
+ */
+function migrateLegacyRuns(metadataDb) {
+    const legacySites = metadataDb.prepare(`
+        SELECT * FROM sites_metadata s
+        WHERE NOT EXISTS (SELECT 1 FROM scan_runs r WHERE r.dbName = s.dbName)
+    `).all().filter(site => fs.existsSync(getSiteDbPath(site.dbName)));
+    if (legacySites.length === 0) return;
+
+    const insertRun = metadataDb.prepare(`
+        INSERT OR IGNORE INTO scan_runs (dbName, runDbName, startUrl, startedAt, finishedAt, status)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    metadataDb.transaction(() => {
+        for (const site of legacySites) {
+            const finishedAt = FINISHED_SCAN_STATUSES.includes(site.status) ? site.scannedAt : null;
+            insertRun.run(site.dbName, site.dbName, stripUrlCredentials(site.startUrl), site.scannedAt, finishedAt, site.status);
+            if (finishedAt) {
+                saveRunSummary(metadataDb, site.dbName);
+            }
+        }
+    })();
+    console.log(`[DB] Перенесено в историю запусков сайтов: ${legacySites.length}`);
+}
+
+/**
+ * Считает итоги запуска по его базе сайта.
+ * @param {string} runDbName - Имя базы запуска.
+ * @returns {object|null} Колонки итогов scan_runs или null, если базы нет или ее схема устарела.
+ */
+function getRunSummary(runDbName) {
+    const dbPath = getSiteDbPath(runDbName);
+    if (!fs.existsSync(dbPath)) {
+        return null;
+    }
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+        const pagesSummary = localSiteDb.prepare(`
+            SELECT
+                COUNT(*) AS pagesCount,
+                COALESCE(SUM(CASE WHEN contentType = 'HTML_PAGE' THEN 1 ELSE 0 END), 0) AS htmlCount,
+                COALESCE(SUM(CASE WHEN contentType = 'REDIRECT' THEN 1 ELSE 0 END), 0) AS redirectCount,
+                COALESCE(SUM(CASE WHEN responseStatus >= 400 OR errorType IS NOT NULL THEN 1 ELSE 0 END), 0) AS errorCount,
+                COALESCE(SUM(CASE WHEN contentType = 'SKIPPED' THEN 1 ELSE 0 END), 0) AS skippedCount,
+                COALESCE(SUM(CASE WHEN indexable = 0 THEN 1 ELSE 0 END), 0) AS nonIndexableCount
+            FROM pages
+        `).get();
+        const { brokenExternalCount } = localSiteDb.prepare(`
+            SELECT COUNT(*) AS brokenExternalCount FROM external_urls WHERE status >= 400 OR errorType IS NOT NULL
+        `).get();
+        return { ...pagesSummary, brokenExternalCount };
+    } catch (error) {
+        console.error(`[DB] Ошибка при подсчете итогов запуска ${runDbName}:`, error);
+        return null;
+    } finally {
+        if (localSiteDb) {
+            localSiteDb.close();
+        }
+    }
+}
+
+/**
+ * Сохраняет итоги запуска в scan_runs.
+ * @param {Database} metadataDb - Открытое соединение с базой метаданных.
+ * @param {string} runDbName - Имя базы запуска.
+ */
+function saveRunSummary(metadataDb, runDbName) {
+    const summary = getRunSummary(runDbName);
+    if (!summary) return;
+    metadataDb.prepare(`
+        UPDATE scan_runs SET pagesCount = ?, htmlCount = ?, redirectCount = ?, errorCount = ?,
+            skippedCount = ?, nonIndexableCount = ?, brokenExternalCount = ?
+        WHERE runDbName = ?
+    `).run(summary.pagesCount, summary.htmlCount, summary.redirectCount, summary.errorCount,
+        summary.skippedCount, summary.nonIndexableCount, summary.brokenExternalCount, runDbName);
+}
+
 // Автоматически инициализируем базу данных метаданных при импорте этого модуля
 try {
     getMetadataDbConnection();
@@ -60,25 +170,116 @@ function getSiteDbPath(siteName) {
     return path.resolve(process.cwd(), 'databases', `${safeSiteName}.db`);
 }
 
-function initSiteDb(siteName, overwrite = false) { // Переименовано из initDb
-    const dbDir = path.resolve(process.cwd(), 'databases');
-    if (!fs.existsSync(dbDir)) {
-        fs.mkdirSync(dbDir, { recursive: true });
+/**
+ * Добавляет в таблицу недостающие колонки (простая миграция схемы для существующих баз).
+ * @param {Database} db - Открытое соединение.
+ * @param {string} table - Имя таблицы.
+ * @param {Object<string, string>} columns - Карта: имя колонки -> определение типа.
+ */
+function ensureColumns(db, table, columns) {
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name));
+    for (const [name, definition] of Object.entries(columns)) {
+        if (!existing.has(name)) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        }
     }
+}
 
-    const dbPath = getSiteDbPath(siteName);
+// --- Кеш запросов и пакетная запись в базу сайта ---
+// Записи сканирования копятся в одной открытой транзакции и фиксируются пакетом: по числу операций
+// (flushWritesIfDue между страницами), по таймеру и явно — на паузе и в конце сканирования.
+// Все данные страницы (сама страница, заголовки, ссылки) пишутся синхронно между фиксациями,
+// поэтому сбой теряет не больше одного пакета и не оставляет страницу с частью ссылок.
+const WRITE_BATCH_SIZE = 2000; // Операций записи в одном пакете
+const WRITE_FLUSH_INTERVAL_MS = 1000; // Сколько пакет может ждать фиксации
+const statementCache = new Map(); // SQL -> подготовленный запрос текущей базы сайта
+let pendingWrites = 0;
+let flushTimer = null;
 
-    if (overwrite && fs.existsSync(dbPath)) {
-        console.log(`[DB] Удаление существующей базы данных сайта: ${dbPath}`);
-        fs.unlinkSync(dbPath);
+/**
+ * Возвращает подготовленный запрос к базе сайта, подготавливая его только при первом обращении.
+ * @param {string} sql
+ * @returns {import('better-sqlite3').Statement}
+ */
+function prepareSiteStatement(sql) {
+    let stmt = statementCache.get(sql);
+    if (!stmt) {
+        stmt = siteDbInstance.prepare(sql);
+        statementCache.set(sql, stmt);
     }
+    return stmt;
+}
 
-    // Закрываем предыдущий экземпляр базы данных сайта, если он был открыт
+/**
+ * Открывает транзакцию пакета, если она еще не открыта, и учитывает операцию записи.
+ * Транзакции внутри save-функций (siteDbInstance.transaction) становятся вложенными точками сохранения.
+ */
+function beginWrite() {
+    if (!siteDbInstance.inTransaction) {
+        siteDbInstance.exec('BEGIN');
+        flushTimer = setTimeout(flushWrites, WRITE_FLUSH_INTERVAL_MS);
+    }
+    pendingWrites++;
+}
+
+/**
+ * Подготовленный запрос на запись: открывает пакет, в котором он выполнится.
+ * @param {string} sql
+ * @returns {import('better-sqlite3').Statement}
+ */
+function getWriteStatement(sql) {
+    beginWrite();
+    return prepareSiteStatement(sql);
+}
+
+/**
+ * Фиксирует накопленный пакет записей. Вызывать между страницами, а не посреди сохранения одной страницы.
+ * Читатели с отдельными соединениями (отчеты, возобновление) видят только зафиксированные данные.
+ */
+function flushWrites() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    pendingWrites = 0;
+    if (siteDbInstance && siteDbInstance.open && siteDbInstance.inTransaction) {
+        siteDbInstance.exec('COMMIT');
+    }
+}
+
+/**
+ * Фиксирует пакет, если в нем набралось WRITE_BATCH_SIZE операций.
+ */
+function flushWritesIfDue() {
+    if (pendingWrites >= WRITE_BATCH_SIZE) flushWrites();
+}
+
+/**
+ * Фиксирует накопленные записи и закрывает соединение с базой сайта текущего сканирования.
+ */
+function closeSiteDb() {
     if (siteDbInstance && siteDbInstance.open) {
+        flushWrites();
+        statementCache.clear();
         siteDbInstance.close();
-        siteDbInstance = null;
+    }
+    siteDbInstance = null;
+}
+
+/**
+ * Открывает базу сайта, создавая недостающие таблицы. Существующая база не удаляется:
+ * новый запуск без продолжения получает новую базу (см. startScanRun).
+ * @param {string} siteName - Имя базы запуска.
+ */
+function initSiteDb(siteName) { // Переименовано из initDb
+    const dbDir = path.resolve(process.cwd(), 'databases');
+    if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true });
     }
 
+    const dbPath = getSiteDbPath(siteName);
+
+    // Закрываем предыдущий экземпляр базы данных сайта, если он был открыт
+    closeSiteDb();
+
     siteDbInstance = new Database(dbPath, {
         // verbose: console.log 
     });
@@ -101,7 +302,26 @@ function initSiteDb(siteName, overwrite = false) { // Переименовано
             scannedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
             contentType TEXT DEFAULT 'HTML_PAGE',
             responseStatus INTEGER,   -- HTTP статус код
-            responseTime INTEGER      -- Время ответа в мс
+            responseTime INTEGER,     -- Время ответа в мс
+            inSitemap INTEGER DEFAULT 0,    -- 1, если URL перечислен в sitemap.xml
+            foundByLinks INTEGER DEFAULT 0, -- 1, если на URL есть ссылки с других страниц
+            errorType TEXT,           -- Категория сетевой ошибки: timeout, dns, connection_refused, tls, reset, invalid_url, other
+            errorMessage TEXT,        -- Текст ошибки
+            mimeType TEXT,            -- MIME-тип из заголовка Content-Type
+            contentLength INTEGER,    -- Размер ответа в байтах
+            skipReason TEXT,          -- Для contentType = 'SKIPPED': правило области сканирования, из-за которого URL пропущен
+            depth INTEGER,            -- Глубина в кликах от стартового URL (NULL — неизвестна, например для URL только из sitemap)
+            referrerUrl TEXT,         -- Страница, на которой URL был найден впервые
+            canonicalUrl TEXT,        -- Абсолютный URL из <link rel="canonical">
+            metaRobots TEXT,          -- Содержимое <meta name="robots"> и <meta name="googlebot">
+            xRobotsTag TEXT,          -- Заголовок X-Robots-Tag
+            indexable INTEGER,        -- 1 — индексируется, 0 — нет, NULL — неизвестно (URL не загружался)
+            indexabilityReason TEXT,  -- Почему не индексируется: noindex_meta, noindex_header, canonicalized, redirect, non_200, blocked_by_robots, error
+            wordCount INTEGER,        -- Слов в основном тексте (без nav, script, style)
+            textRatio REAL,           -- Доля текста в HTML, %
+            contentHash TEXT,         -- SHA-1 нормализованного текста (точные дубли)
+            simhash TEXT,             -- 64-битный simhash текста в hex (почти дубли)
+            robotsBlocked INTEGER DEFAULT 0 -- 1 — URL запрещен robots.txt, но просканирован в режиме отчета
         );
 
         CREATE TABLE IF NOT EXISTS headers (
@@ -120,6 +340,184 @@ function initSiteDb(siteName, overwrite = false) { // Переименовано
             UNIQUE(pageId, destinationUrl)
         );
 
+        CREATE TABLE IF NOT EXISTS hreflang_links (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pageId INTEGER,
+            hreflang TEXT NOT NULL,    -- Код языка/региона в нижнем регистре или x-default
+            href TEXT NOT NULL,        -- Нормализованный URL альтернативной версии
+            source TEXT NOT NULL,      -- Где найдена аннотация: html (<link>) или header (заголовок Link)
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE,
+            UNIQUE(pageId, hreflang, href, source)
+        );
+
+        CREATE TABLE IF NOT EXISTS structured_data (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pageId INTEGER,
+            format TEXT NOT NULL,      -- json-ld или microdata
+            schemaType TEXT,           -- Короткое имя типа schema.org (Product, BreadcrumbList); NULL, если тип не указан
+            valid INTEGER NOT NULL,    -- 0 — JSON-LD не удалось разобрать
+            content TEXT NOT NULL,     -- Разобранный объект в JSON (для невалидного JSON-LD — исходный текст)
+            error TEXT,                -- Ошибка разбора JSON-LD
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS social_tags (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pageId INTEGER,
+            property TEXT NOT NULL,    -- Свойство Open Graph (og:*) или Twitter Card (twitter:*)
+            content TEXT NOT NULL,
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS extraction_rules (
+            name TEXT PRIMARY KEY,     -- Имя правила (название колонки в результатах)
+            type TEXT NOT NULL,        -- css или regex
+            selector TEXT,             -- CSS-селектор
+            output TEXT,               -- text, attribute или innerHtml
+            attribute TEXT,            -- Имя атрибута для output = attribute
+            pattern TEXT,              -- Регулярное выражение по исходному HTML
+            position INTEGER NOT NULL  -- Порядок колонок
+        );
+
+        CREATE TABLE IF NOT EXISTS custom_extractions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pageId INTEGER,
+            ruleName TEXT NOT NULL,
+            value TEXT NOT NULL,
+            position INTEGER NOT NULL, -- Порядковый номер значения на странице
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS search_rules (
+            name TEXT PRIMARY KEY,     -- Имя правила (название колонки в результатах)
+            mode TEXT NOT NULL,        -- contains или notContains
+            scope TEXT NOT NULL,       -- html или text
+            pattern TEXT NOT NULL,     -- Подстрока или "re:" + регулярное выражение
+            position INTEGER NOT NULL  -- Порядок колонок
+        );
+
+        CREATE TABLE IF NOT EXISTS custom_search_results (
+            pageId INTEGER,
+            ruleName TEXT NOT NULL,
+            matchCount INTEGER NOT NULL, -- Число совпадений шаблона на странице
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE,
+            PRIMARY KEY (pageId, ruleName)
+        );
+
+        CREATE TABLE IF NOT EXISTS response_headers (
+            pageId INTEGER,
+            name TEXT NOT NULL,        -- Имя заголовка в нижнем регистре
+            value TEXT NOT NULL,       -- Значение (у Set-Cookie значение cookie скрыто)
+            position INTEGER NOT NULL, -- Порядок заголовка в ответе
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE,
+            PRIMARY KEY (pageId, position)
+        );
+
+        CREATE TABLE IF NOT EXISTS security_issues (
+            pageId INTEGER,
+            checkKey TEXT NOT NULL,          -- Проверка из SECURITY_CHECKS
+            detail TEXT NOT NULL DEFAULT '', -- Значение заголовка или имя cookie
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE,
+            UNIQUE(pageId, checkKey, detail)
+        );
+
+        CREATE TABLE IF NOT EXISTS cookies (
+            pageId INTEGER,
+            name TEXT NOT NULL,
+            secure INTEGER NOT NULL,
+            httpOnly INTEGER NOT NULL,
+            sameSite TEXT,             -- Strict, Lax, None или NULL, если атрибута нет
+            domain TEXT,
+            path TEXT,
+            position INTEGER NOT NULL, -- Порядок Set-Cookie в ответе
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE,
+            PRIMARY KEY (pageId, position)
+        );
+
+        CREATE TABLE IF NOT EXISTS url_variants (
+            rawUrl TEXT PRIMARY KEY,       -- URL в том виде, в каком он встретился (ссылка, sitemap, редирект)
+            normalizedUrl TEXT NOT NULL    -- URL после нормализации, под которым он сканируется
+        );
+
+        CREATE TABLE IF NOT EXISTS external_links (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pageId INTEGER,
+            destinationUrl TEXT NOT NULL, -- Внешний URL (другой домен)
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE,
+            UNIQUE(pageId, destinationUrl)
+        );
+
+        CREATE TABLE IF NOT EXISTS external_urls (
+            url TEXT PRIMARY KEY,      -- Уникальный внешний URL
+            status INTEGER,            -- HTTP статус (NULL при сетевой ошибке)
+            responseTime INTEGER,      -- Время ответа в мс
+            method TEXT,               -- Метод, которым получен результат: HEAD или GET
+            errorType TEXT,            -- Категория сетевой ошибки
+            errorMessage TEXT,
+            checkedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS resources (
+            url TEXT PRIMARY KEY,      -- URL ресурса (изображение, скрипт, стиль, шрифт)
+            type TEXT NOT NULL,        -- image, script, stylesheet, font, preload
+            mimeType TEXT,             -- Фактический MIME-тип из ответа сервера
+            size INTEGER,              -- Размер в байтах
+            status INTEGER,            -- HTTP статус (NULL при сетевой ошибке)
+            responseTime INTEGER,
+            errorType TEXT,
+            errorMessage TEXT,
+            checkedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS page_resources (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            pageId INTEGER,
+            resourceUrl TEXT NOT NULL,
+            type TEXT NOT NULL,        -- Как ресурс подключен на странице
+            FOREIGN KEY (pageId) REFERENCES pages(id) ON DELETE CASCADE,
+            UNIQUE(pageId, resourceUrl, type)
+        );
+
+        CREATE TABLE IF NOT EXISTS stylesheet_resources (
+            stylesheetUrl TEXT NOT NULL, -- CSS-файл, в котором найдена ссылка
+            resourceUrl TEXT NOT NULL,   -- Ресурс из url() или @import
+            type TEXT NOT NULL,
+            PRIMARY KEY (stylesheetUrl, resourceUrl)
+        );
+
+        CREATE TABLE IF NOT EXISTS redirects (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            chainStartUrl TEXT NOT NULL, -- URL, с которого началась цепочка
+            sourceUrl TEXT NOT NULL,     -- URL, вернувший редирект
+            targetUrl TEXT NOT NULL,     -- URL из заголовка Location
+            statusCode INTEGER NOT NULL, -- 301, 302, 303, 307, 308
+            hopIndex INTEGER NOT NULL,   -- Номер шага в цепочке (с 0)
+            UNIQUE(chainStartUrl, hopIndex)
+        );
+
+        CREATE TABLE IF NOT EXISTS sitemap_urls (
+            url TEXT PRIMARY KEY,      -- URL, перечисленный в sitemap
+            sitemapUrl TEXT NOT NULL,  -- Файл sitemap, в котором он найден
+            lastmod TEXT,
+            normalizedUrl TEXT         -- Нормализованная форма URL
+        );
+
+        -- Очередь сканирования и все уже встреченные URL (в памяти воркера только буфер очереди)
+        CREATE TABLE IF NOT EXISTS crawl_urls (
+            url TEXT PRIMARY KEY,              -- Нормализованный URL
+            queued INTEGER NOT NULL DEFAULT 0, -- 1 — ждет сканирования, 0 — взят в работу, обработан или пропущен
+            depth INTEGER,                     -- Глубина в кликах (NULL — неизвестна)
+            referrerUrl TEXT,                  -- Страница, где URL найден впервые
+            position INTEGER,                  -- Порядок в очереди (для queued = 1)
+            depthSkip INTEGER NOT NULL DEFAULT 0 -- 1 — пропущен по лимиту глубины; 2 — затем поставлен в очередь по пути короче
+        );
+
+        -- Состояние сканирования, которое нужно сохранить между сессиями (ключ — значение)
+        CREATE TABLE IF NOT EXISTS scan_state (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+
         -- === ИНДЕКСЫ ДЛЯ УСКОРЕНИЯ ===
 
         -- Индексы для ускорения сортировки на странице результатов
@@ -135,219 +533,1839 @@ function initSiteDb(siteName, overwrite = false) { // Переименовано
 
         -- Индекс для ускорения поиска обнаруженных URL при возобновлении сканирования
         CREATE INDEX IF NOT EXISTS idx_outgoing_links_destinationUrl ON outgoing_links (destinationUrl);
+
+        CREATE INDEX IF NOT EXISTS idx_redirects_sourceUrl ON redirects (sourceUrl);
+        CREATE INDEX IF NOT EXISTS idx_external_links_destinationUrl ON external_links (destinationUrl);
+        CREATE INDEX IF NOT EXISTS idx_page_resources_pageId ON page_resources (pageId);
+        CREATE INDEX IF NOT EXISTS idx_url_variants_normalizedUrl ON url_variants (normalizedUrl);
+        CREATE INDEX IF NOT EXISTS idx_page_resources_resourceUrl ON page_resources (resourceUrl);
+        CREATE INDEX IF NOT EXISTS idx_stylesheet_resources_resourceUrl ON stylesheet_resources (resourceUrl);
+        CREATE INDEX IF NOT EXISTS idx_hreflang_links_pageId ON hreflang_links (pageId);
+        CREATE INDEX IF NOT EXISTS idx_hreflang_links_href ON hreflang_links (href);
+        CREATE INDEX IF NOT EXISTS idx_structured_data_pageId ON structured_data (pageId);
+        CREATE INDEX IF NOT EXISTS idx_structured_data_schemaType ON structured_data (schemaType);
+        CREATE INDEX IF NOT EXISTS idx_social_tags_pageId ON social_tags (pageId, property);
+        CREATE INDEX IF NOT EXISTS idx_custom_extractions_rule ON custom_extractions (ruleName, pageId, position);
+        CREATE INDEX IF NOT EXISTS idx_custom_search_results_rule ON custom_search_results (ruleName, matchCount);
+        CREATE INDEX IF NOT EXISTS idx_security_issues_checkKey ON security_issues (checkKey, pageId);
+        -- Частичный индекс: чтение следующих URL очереди не просматривает уже обработанные
+        CREATE INDEX IF NOT EXISTS idx_crawl_urls_queue ON crawl_urls (position) WHERE queued = 1;
+    `);
+
+    // Миграция баз, созданных до появления новых колонок (CREATE TABLE IF NOT EXISTS их не добавит)
+    ensureColumns(siteDbInstance, 'pages', {
+        inSitemap: 'INTEGER DEFAULT 0',
+        foundByLinks: 'INTEGER DEFAULT 0',
+        errorType: 'TEXT',
+        errorMessage: 'TEXT',
+        mimeType: 'TEXT',
+        contentLength: 'INTEGER',
+        skipReason: 'TEXT',
+        depth: 'INTEGER',
+        referrerUrl: 'TEXT',
+        canonicalUrl: 'TEXT',
+        metaRobots: 'TEXT',
+        xRobotsTag: 'TEXT',
+        indexable: 'INTEGER',
+        indexabilityReason: 'TEXT',
+        wordCount: 'INTEGER',
+        textRatio: 'REAL',
+        contentHash: 'TEXT',
+        simhash: 'TEXT',
+        robotsBlocked: 'INTEGER DEFAULT 0',
+    });
+    ensureColumns(siteDbInstance, 'crawl_urls', {
+        depthSkip: 'INTEGER NOT NULL DEFAULT 0',
+    });
+    ensureColumns(siteDbInstance, 'sitemap_urls', {
+        normalizedUrl: 'TEXT',
+    });
+
+    // Индексы по колонкам, добавленным миграцией, создаем только после нее
+    siteDbInstance.exec(`
+        CREATE INDEX IF NOT EXISTS idx_pages_errorType ON pages (errorType);
+        CREATE INDEX IF NOT EXISTS idx_pages_depth ON pages (depth);
+        CREATE INDEX IF NOT EXISTS idx_pages_indexable ON pages (indexable, indexabilityReason);
+        CREATE INDEX IF NOT EXISTS idx_pages_contentHash ON pages (contentHash);
+        CREATE INDEX IF NOT EXISTS idx_sitemap_urls_normalizedUrl ON sitemap_urls (normalizedUrl);
     `);
     console.log(`[DB] База данных сайта для ${siteName} инициализирована.`);
     return siteDbInstance; // Возвращаем новый экземпляр
 }
 
-function savePageData(url, metaTitle, metaDescription, contentType, responseStatus, responseTime) {
+/**
+ * Сохраняет данные страницы.
+ * @param {object} [details] - Дополнительные признаки страницы.
+ * @param {boolean} [details.inSitemap] - URL перечислен в sitemap.
+ * @param {string} [details.errorType] - Категория сетевой ошибки.
+ * @param {string} [details.errorMessage] - Текст ошибки.
+ * @param {string} [details.mimeType] - MIME-тип ответа.
+ * @param {number} [details.contentLength] - Размер ответа в байтах.
+ * @param {string} [details.skipReason] - Причина пропуска URL правилами области сканирования.
+ * @param {number|null} [details.depth] - Глубина в кликах от стартового URL.
+ * @param {string|null} [details.referrerUrl] - Страница, на которой URL найден впервые.
+ * @param {string|null} [details.canonicalUrl] - Абсолютный URL из rel=canonical.
+ * @param {string|null} [details.metaRobots] - Содержимое meta robots / googlebot.
+ * @param {string|null} [details.xRobotsTag] - Заголовок X-Robots-Tag.
+ * @param {boolean} [details.indexable] - Индексируется ли страница (не задано — неизвестно).
+ * @param {string|null} [details.indexabilityReason] - Причина, по которой страница не индексируется.
+ * @param {number} [details.wordCount] - Количество слов в основном тексте.
+ * @param {number} [details.textRatio] - Доля текста в HTML, %.
+ * @param {string|null} [details.contentHash] - Хеш нормализованного текста.
+ * @param {string|null} [details.simhash] - Simhash текста.
+ * @param {boolean} [details.robotsBlocked] - URL запрещен robots.txt, но просканирован (режим отчета).
+ * @returns {number|null} ID страницы.
+ */
+function savePageData(url, metaTitle, metaDescription, contentType, responseStatus, responseTime, details = {}) {
     if (!siteDbInstance) {
         console.error("База данных сайта не инициализирована. Невозможно сохранить данные страницы.");
         return null;
     }
-    const stmt = siteDbInstance.prepare('INSERT OR IGNORE INTO pages (url, metaTitle, metaDescription, contentType, responseStatus, responseTime) VALUES (?, ?, ?, ?, ?, ?)');
-    const info = stmt.run(url, metaTitle, metaDescription, contentType, responseStatus, responseTime);
+    const stmt = getWriteStatement(`
+        INSERT OR IGNORE INTO pages (url, metaTitle, metaDescription, contentType, responseStatus, responseTime, inSitemap, foundByLinks, errorType, errorMessage, mimeType, contentLength, skipReason, depth, referrerUrl,
+            canonicalUrl, metaRobots, xRobotsTag, indexable, indexabilityReason, wordCount, textRatio, contentHash, simhash, robotsBlocked)
+        VALUES (?, ?, ?, ?, ?, ?, ?, EXISTS(SELECT 1 FROM outgoing_links WHERE destinationUrl = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const info = stmt.run(
+        url, metaTitle, metaDescription, contentType, responseStatus, responseTime,
+        details.inSitemap ? 1 : 0, url, details.errorType || null, details.errorMessage || null,
+        details.mimeType || null, details.contentLength ?? null, details.skipReason || null,
+        details.depth ?? null, details.referrerUrl || null,
+        details.canonicalUrl || null, details.metaRobots || null, details.xRobotsTag || null,
+        typeof details.indexable === 'boolean' ? Number(details.indexable) : null, details.indexabilityReason || null,
+        details.wordCount ?? null, details.textRatio ?? null, details.contentHash || null, details.simhash || null,
+        details.robotsBlocked ? 1 : 0
+    );
     if (info.changes === 0) {
-        const existingPage = siteDbInstance.prepare('SELECT id FROM pages WHERE url = ?').get(url);
+        const existingPage = prepareSiteStatement('SELECT id FROM pages WHERE url = ?').get(url);
         return existingPage ? existingPage.id : null;
     }
     return info.lastInsertRowid;
 }
 
+/**
+ * Удаляет записи о URL, пропущенных правилами области сканирования.
+ * Вызывается при возобновлении, чтобы такие URL были заново проверены по текущим правилам и лимитам.
+ * @returns {number} Количество удаленных записей.
+ */
+function deleteSkippedPages() {
+    if (!siteDbInstance) return 0;
+    return getWriteStatement(`DELETE FROM pages WHERE contentType = 'SKIPPED'`).run().changes;
+}
+
 function saveHeader(pageId, type, value) {
     if (!siteDbInstance) return;
-    const stmt = siteDbInstance.prepare('INSERT INTO headers (pageId, type, value) VALUES (?, ?, ?)');
+    const stmt = getWriteStatement('INSERT INTO headers (pageId, type, value) VALUES (?, ?, ?)');
     stmt.run(pageId, type, value);
 }
 
 function saveOutgoingLink(pageId, destinationUrl) {
     if (!siteDbInstance) return;
-    const stmt = siteDbInstance.prepare('INSERT OR IGNORE INTO outgoing_links (pageId, destinationUrl) VALUES (?, ?)');
+    const stmt = getWriteStatement('INSERT OR IGNORE INTO outgoing_links (pageId, destinationUrl) VALUES (?, ?)');
     stmt.run(pageId, destinationUrl);
 }
 
-function getAllScannedSites() {
-    try {
-        const metadataDb = getMetadataDbConnection();
-        const stmt = metadataDb.prepare('SELECT * FROM sites_metadata ORDER BY scannedAt DESC');
-        return stmt.all();
-    } catch (error) {
-        console.error("[DB] Ошибка при получении всех просканированных сайтов из базы данных метаданных:", error);
-        return [];
-    }
+/**
+ * Сохраняет hreflang-аннотации страницы одной транзакцией.
+ * @param {number} pageId - ID страницы.
+ * @param {Array<{hreflang: string, href: string, source: string}>} links - Аннотации с нормализованными URL.
+ */
+function saveHreflangLinks(pageId, links) {
+    if (!siteDbInstance || links.length === 0) return;
+    const stmt = getWriteStatement('INSERT OR IGNORE INTO hreflang_links (pageId, hreflang, href, source) VALUES (?, ?, ?, ?)');
+    const insertAll = siteDbInstance.transaction(() => {
+        links.forEach(link => stmt.run(pageId, link.hreflang, link.href, link.source));
+    });
+    insertAll();
 }
 
-function updateScanStatus(dbName, status, startUrl = null) {
-    try {
-        const metadataDb = getMetadataDbConnection();
-        // Если предоставлен startUrl, это начало нового или возобновленного сканирования.
-        // Мы создаем или обновляем запись со всеми деталями.
-        if (startUrl) {
-            const domain = new URL(startUrl).hostname;
-            const stmt = metadataDb.prepare(`
-                INSERT INTO sites_metadata (dbName, domain, startUrl, status)
-                VALUES (?, ?, ?, ?)
-                ON CONFLICT(dbName) DO UPDATE SET
-                    status = EXCLUDED.status,
-                    startUrl = EXCLUDED.startUrl,
-                    scannedAt = CURRENT_TIMESTAMP;
-            `);
-            stmt.run(dbName, domain, startUrl, status);
-        } else {
-            // Если startUrl не предоставлен, мы обновляем только статус и временную метку существующей записи.
-            const stmt = metadataDb.prepare(`
-                UPDATE sites_metadata SET status = ?, scannedAt = CURRENT_TIMESTAMP WHERE dbName = ?;
-            `);
-            stmt.run(status, dbName);
-        }
-        console.log(`[DB] Обновлен статус для ${dbName} на: ${status} в ${METADATA_DB_FILE_NAME}`);
-    } catch (error) {
-        console.error(`[DB_UPDATE_STATUS] Ошибка при обновлении статуса для ${dbName} в базе данных метаданных:`, error);
-    }
+/**
+ * Сохраняет структурированные данные страницы (JSON-LD, microdata, Open Graph, Twitter Card) одной транзакцией.
+ * @param {number} pageId - ID страницы.
+ * @param {{items: Array<Object>, socialTags: Array<{property: string, content: string}>}} structuredData - Результат extractStructuredData.
+ */
+function saveStructuredData(pageId, { items, socialTags }) {
+    if (!siteDbInstance || (items.length === 0 && socialTags.length === 0)) return;
+    const itemStmt = getWriteStatement('INSERT INTO structured_data (pageId, format, schemaType, valid, content, error) VALUES (?, ?, ?, ?, ?, ?)');
+    const tagStmt = getWriteStatement('INSERT INTO social_tags (pageId, property, content) VALUES (?, ?, ?)');
+    const insertAll = siteDbInstance.transaction(() => {
+        items.forEach(item => itemStmt.run(pageId, item.format, item.schemaType, Number(item.valid), item.content, item.error));
+        socialTags.forEach(tag => tagStmt.run(pageId, tag.property, tag.content));
+    });
+    insertAll();
 }
 
 /**
- * Получает все данные страницы (включая заголовки и входящие ссылки) для указанной базы данных сайта.
- * Открывает временное соединение для чтения.
- * @param {string} dbName - Имя базы данных сайта (обычно домен).
- * @param {object} options - Опции для пагинации и сортировки.
- * @param {number} options.limit - Количество записей на странице.
- * @param {number} options.page - Номер страницы.
- * @param {string} options.sortKey - Ключ для сортировки.
- * @param {string} options.sortDirection - Направление сортировки ('ascending' или 'descending').
- * @param {string} [options.searchQuery] - Строка для поиска по URL, metaTitle, metaDescription.
- * @param {string} [options.contentType] - Фильтр по типу контента.
- * @returns {{pages: Array<Object>, total: number}} Объект с массивом страниц и общим количеством.
+ * Сохраняет правила пользовательского извлечения текущего сканирования (заменяет прежние).
+ * @param {Array<{name: string, type: string, selector?: string, output?: string, attribute?: string|null, pattern?: string}>} rules
  */
-function getAllPagesData(dbName, { limit = 100, page = 1, sortKey = 'url', sortDirection = 'ascending', searchQuery = '', contentType = '' } = {}) {
-    const dbPath = getSiteDbPath(dbName);
-    if (!fs.existsSync(dbPath)) {
-        console.warn(`[DB] База данных сайта не найдена для: ${dbName} по пути ${dbPath}`);
-        return { pages: [], total: 0 };
-    }
-
-    // Валидация параметров сортировки для предотвращения SQL-инъекций
-    const allowedSortKeys = ['url', 'metaTitle', 'metaDescription', 'responseStatus', 'responseTime'];
-    const safeSortKey = allowedSortKeys.includes(sortKey) ? sortKey : 'url';
-    const safeSortDirection = sortDirection === 'descending' ? 'DESC' : 'ASC';
+function saveExtractionRules(rules) {
+    if (!siteDbInstance) return;
+    const deleteStmt = getWriteStatement('DELETE FROM extraction_rules');
+    const insertStmt = getWriteStatement(`
+        INSERT INTO extraction_rules (name, type, selector, output, attribute, pattern, position) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const replaceAll = siteDbInstance.transaction(() => {
+        deleteStmt.run();
+        rules.forEach((rule, index) => insertStmt.run(
+            rule.name, rule.type, rule.selector || null, rule.output || null, rule.attribute || null, rule.pattern || null, index
+        ));
+    });
+    replaceAll();
+}
 
-    const offset = (page - 1) * limit;
+/**
+ * Сохраняет значения, извлеченные правилами со страницы, одной транзакцией.
+ * @param {number} pageId - ID страницы.
+ * @param {Array<{ruleName: string, values: string[]}>} results - Результат applyExtractionRules.
+ */
+function saveCustomExtractions(pageId, results) {
+    if (!siteDbInstance || results.length === 0) return;
+    const stmt = getWriteStatement('INSERT INTO custom_extractions (pageId, ruleName, value, position) VALUES (?, ?, ?, ?)');
+    const insertAll = siteDbInstance.transaction(() => {
+        results.forEach(({ ruleName, values }) => values.forEach((value, index) => stmt.run(pageId, ruleName, value, index)));
+    });
+    insertAll();
+}
 
-    // Открываем новое соединение только для чтения
-    let localSiteDb;
-    try {
-        localSiteDb = new Database(dbPath, { readonly: true });
+/**
+ * Сохраняет правила пользовательского поиска текущего сканирования (заменяет прежние).
+ * @param {Array<{name: string, mode: string, scope: string, pattern: string}>} rules
+ */
+function saveSearchRules(rules) {
+    if (!siteDbInstance) return;
+    const deleteStmt = getWriteStatement('DELETE FROM search_rules');
+    const insertStmt = getWriteStatement('INSERT INTO search_rules (name, mode, scope, pattern, position) VALUES (?, ?, ?, ?, ?)');
+    const replaceAll = siteDbInstance.transaction(() => {
+        deleteStmt.run();
+        rules.forEach((rule, index) => insertStmt.run(rule.name, rule.mode, rule.scope, rule.pattern, index));
+    });
+    replaceAll();
+}
 
-        // --- Динамическое построение WHERE и параметров ---
-        const whereClauses = [];
-        const queryParams = [];
+/**
+ * Сохраняет число совпадений каждого правила поиска на странице одной транзакцией.
+ * @param {number} pageId - ID страницы.
+ * @param {Array<{ruleName: string, matchCount: number}>} results - Результат applySearchRules.
+ */
+function saveSearchResults(pageId, results) {
+    if (!siteDbInstance || results.length === 0) return;
+    const stmt = getWriteStatement('INSERT OR REPLACE INTO custom_search_results (pageId, ruleName, matchCount) VALUES (?, ?, ?)');
+    const insertAll = siteDbInstance.transaction(() => {
+        results.forEach(({ ruleName, matchCount }) => stmt.run(pageId, ruleName, matchCount));
+    });
+    insertAll();
+}
 
-        if (searchQuery) {
-            whereClauses.push(`(url LIKE ? OR metaTitle LIKE ? OR metaDescription LIKE ?)`);
-            const searchTerm = `%${searchQuery}%`;
-            queryParams.push(searchTerm, searchTerm, searchTerm);
-        }
+/**
+ * Сохраняет заголовки ответа страницы одной транзакцией.
+ * @param {number} pageId - ID страницы.
+ * @param {Array<{name: string, value: string}>} headers - Результат serializeHeaders.
+ */
+function saveResponseHeaders(pageId, headers) {
+    if (!siteDbInstance || headers.length === 0) return;
+    const stmt = getWriteStatement('INSERT OR IGNORE INTO response_headers (pageId, name, value, position) VALUES (?, ?, ?, ?)');
+    const insertAll = siteDbInstance.transaction(() => {
+        headers.forEach(({ name, value }, index) => stmt.run(pageId, name, value, index));
+    });
+    insertAll();
+}
+
+/**
+ * Сохраняет результат проверки заголовков безопасности и cookie страницы.
+ * @param {number} pageId - ID страницы.
+ * @param {{issues: Array<{check: string, detail: string}>, cookies: Array<Object>}} audit - Результат auditSecurityHeaders.
+ */
+function saveSecurityAudit(pageId, { issues, cookies }) {
+    if (!siteDbInstance) return;
+    const issueStmt = getWriteStatement('INSERT OR IGNORE INTO security_issues (pageId, checkKey, detail) VALUES (?, ?, ?)');
+    const cookieStmt = getWriteStatement(`
+        INSERT OR IGNORE INTO cookies (pageId, name, secure, httpOnly, sameSite, domain, path, position) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertAll = siteDbInstance.transaction(() => {
+        issues.forEach(({ check, detail }) => issueStmt.run(pageId, check, detail || ''));
+        cookies.forEach((cookie, index) => cookieStmt.run(
+            pageId, cookie.name, Number(cookie.secure), Number(cookie.httpOnly), cookie.sameSite, cookie.domain, cookie.path, index
+        ));
+    });
+    insertAll();
+}
+
+/**
+ * Запоминает, что исходный URL при нормализации превратился в другой.
+ * @param {string} rawUrl - URL до нормализации.
+ * @param {string} normalizedUrl - URL после нормализации.
+ */
+function saveUrlVariant(rawUrl, normalizedUrl) {
+    if (!siteDbInstance || rawUrl === normalizedUrl) return;
+    const stmt = getWriteStatement('INSERT OR IGNORE INTO url_variants (rawUrl, normalizedUrl) VALUES (?, ?)');
+    stmt.run(rawUrl, normalizedUrl);
+}
+
+function saveExternalLink(pageId, destinationUrl) {
+    if (!siteDbInstance) return;
+    const stmt = getWriteStatement('INSERT OR IGNORE INTO external_links (pageId, destinationUrl) VALUES (?, ?)');
+    stmt.run(pageId, destinationUrl);
+}
+
+/**
+ * Сохраняет результат проверки внешнего URL.
+ * @param {{url: string, status: number|null, responseTime: number|null, method: string, errorType: string|null, errorMessage: string|null}} result
+ */
+function saveExternalCheckResult({ url, status, responseTime, method, errorType, errorMessage }) {
+    if (!siteDbInstance) return;
+    const stmt = getWriteStatement(`
+        INSERT OR REPLACE INTO external_urls (url, status, responseTime, method, errorType, errorMessage)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(url, status, responseTime, method, errorType, errorMessage);
+}
+
+/**
+ * Проверялся ли внешний URL в этом сканировании или в предыдущих сессиях.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isExternalUrlChecked(url) {
+    if (!siteDbInstance) return false;
+    return prepareSiteStatement('SELECT 1 FROM external_urls WHERE url = ?').get(url) !== undefined;
+}
+
+/**
+ * Сохраняет ресурсы, подключенные на странице, одной транзакцией.
+ * @param {number} pageId - ID страницы.
+ * @param {Array<{url: string, type: string}>} resources - Ресурсы страницы.
+ */
+function savePageResources(pageId, resources) {
+    if (!siteDbInstance || resources.length === 0) return;
+    const stmt = getWriteStatement('INSERT OR IGNORE INTO page_resources (pageId, resourceUrl, type) VALUES (?, ?, ?)');
+    const insertAll = siteDbInstance.transaction(() => {
+        resources.forEach(resource => stmt.run(pageId, resource.url, resource.type));
+    });
+    insertAll();
+}
+
+/**
+ * Сохраняет ресурсы, найденные внутри CSS-файла (url() и @import).
+ * @param {string} stylesheetUrl - URL CSS-файла.
+ * @param {Array<{url: string, type: string}>} resources - Найденные ресурсы.
+ */
+function saveStylesheetResources(stylesheetUrl, resources) {
+    if (!siteDbInstance || resources.length === 0) return;
+    const stmt = getWriteStatement('INSERT OR IGNORE INTO stylesheet_resources (stylesheetUrl, resourceUrl, type) VALUES (?, ?, ?)');
+    const insertAll = siteDbInstance.transaction(() => {
+        resources.forEach(resource => stmt.run(stylesheetUrl, resource.url, resource.type));
+    });
+    insertAll();
+}
+
+/**
+ * Сохраняет результат загрузки ресурса.
+ * @param {{url: string, type: string, mimeType: string|null, size: number|null, status: number|null, responseTime: number|null, errorType: string|null, errorMessage: string|null}} result
+ */
+function saveResourceResult({ url, type, mimeType, size, status, responseTime, errorType, errorMessage }) {
+    if (!siteDbInstance) return;
+    const stmt = getWriteStatement(`
+        INSERT OR REPLACE INTO resources (url, type, mimeType, size, status, responseTime, errorType, errorMessage)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    stmt.run(url, type, mimeType, size, status, responseTime, errorType, errorMessage);
+}
+
+/**
+ * Загружался ли ресурс в этом сканировании или в предыдущих сессиях.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isResourceFetched(url) {
+    if (!siteDbInstance) return false;
+    return prepareSiteStatement('SELECT 1 FROM resources WHERE url = ?').get(url) !== undefined;
+}
+
+/**
+ * Сохраняет цепочку редиректов одной транзакцией (заменяет ранее сохраненную цепочку для этого URL).
+ * @param {string} chainStartUrl - URL, с которого началась цепочка.
+ * @param {Array<{sourceUrl: string, targetUrl: string, statusCode: number, hopIndex: number}>} hops - Шаги цепочки.
+ */
+function saveRedirectChain(chainStartUrl, hops) {
+    if (!siteDbInstance) return;
+    const deleteStmt = getWriteStatement('DELETE FROM redirects WHERE chainStartUrl = ?');
+    const insertStmt = getWriteStatement('INSERT INTO redirects (chainStartUrl, sourceUrl, targetUrl, statusCode, hopIndex) VALUES (?, ?, ?, ?, ?)');
+    const saveChain = siteDbInstance.transaction(() => {
+        deleteStmt.run(chainStartUrl);
+        hops.forEach(hop => insertStmt.run(chainStartUrl, hop.sourceUrl, hop.targetUrl, hop.statusCode, hop.hopIndex));
+    });
+    saveChain();
+}
+
+/**
+ * Сохраняет URL, найденные в sitemap, одной транзакцией.
+ * @param {Map<string, {sitemapUrl: string, lastmod: string|null}>} sitemapEntries - Карта: URL -> источник.
+ * @param {Function} normalizeUrl - Нормализация URL текущего сканирования (для поиска через isSitemapUrl).
+ */
+function saveSitemapUrls(sitemapEntries, normalizeUrl) {
+    if (!siteDbInstance) return;
+    const stmt = getWriteStatement('INSERT OR REPLACE INTO sitemap_urls (url, sitemapUrl, lastmod, normalizedUrl) VALUES (?, ?, ?, ?)');
+    const insertAll = siteDbInstance.transaction((entries) => {
+        for (const [url, { sitemapUrl, lastmod }] of entries) {
+            stmt.run(url, sitemapUrl, lastmod, normalizeUrl(url));
+        }
+    });
+    insertAll(sitemapEntries);
+}
+
+/**
+ * Перечислен ли URL в sitemap. Список хранится только в базе, чтобы память воркера не зависела от размера sitemap.
+ * @param {string} url - Нормализованный URL.
+ * @returns {boolean}
+ */
+function isSitemapUrl(url) {
+    if (!siteDbInstance) return false;
+    return prepareSiteStatement('SELECT 1 FROM sitemap_urls WHERE normalizedUrl = ? LIMIT 1').get(url) !== undefined;
+}
+
+/**
+ * Отмечает URL как встреченный, не ставя его в очередь.
+ * URL, пропущенный только по лимиту глубины, тоже считается еще не встреченным.
+ * @param {string} url - Нормализованный URL.
+ * @returns {boolean} true, если URL раньше не встречался.
+ */
+function addSeenUrl(url) {
+    if (!siteDbInstance) return false;
+    return getWriteStatement(`
+        INSERT INTO crawl_urls (url, queued) VALUES (?, 0)
+        ON CONFLICT (url) DO UPDATE SET depthSkip = 0 WHERE depthSkip = 1
+    `).run(url).changes > 0;
+}
+
+/**
+ * Запоминает URL, пропущенный по лимиту глубины. Такой URL не считается встреченным окончательно:
+ * если к нему найдется путь в пределах лимита, addQueuedUrl поставит его в очередь.
+ * @param {string} url - Нормализованный URL.
+ * @param {number} depth - Глубина, на которой URL найден.
+ * @returns {boolean} true, если URL раньше не встречался.
+ */
+function addDepthLimitedUrl(url, depth) {
+    if (!siteDbInstance) return false;
+    return getWriteStatement('INSERT OR IGNORE INTO crawl_urls (url, queued, depth, depthSkip) VALUES (?, 0, ?, 1)')
+        .run(url, depth).changes > 0;
+}
+
+/**
+ * Ставит URL в очередь, если он раньше не встречался. Если URL уже ждет в очереди, а новый путь к нему короче,
+ * запоминает меньшую глубину тем же запросом; источником остается страница, где URL был найден впервые (если известна).
+ * URL, пропущенный по лимиту глубины (addDepthLimitedUrl), встает в конец очереди с новыми глубиной и источником,
+ * а запись о его пропуске удаляется. Взятые в работу и пропущенные по другим причинам URL не меняются.
+ * @param {string} url - Нормализованный URL.
+ * @param {number|null} depth - Глубина URL.
+ * @param {string|null} referrerUrl - Страница, где URL найден.
+ * @param {number} position - Позиция в очереди для нового URL.
+ * @returns {'added'|'requeued'|'lowered'|null} Что изменилось: URL добавлен, снова поставлен в очередь,
+ *   глубина уменьшена или ничего.
+ */
+function addQueuedUrl(url, depth, referrerUrl, position) {
+    if (!siteDbInstance) return null;
+    const row = getWriteStatement(`
+        INSERT INTO crawl_urls (url, queued, depth, referrerUrl, position) VALUES (?, 1, ?, ?, ?)
+        ON CONFLICT (url) DO UPDATE SET
+            depth = excluded.depth,
+            referrerUrl = CASE WHEN depthSkip = 1 THEN excluded.referrerUrl ELSE COALESCE(referrerUrl, excluded.referrerUrl) END,
+            position = CASE WHEN depthSkip = 1 THEN excluded.position ELSE position END,
+            queued = 1,
+            depthSkip = CASE WHEN depthSkip = 1 THEN 2 ELSE depthSkip END
+        WHERE (queued = 1 OR depthSkip = 1) AND excluded.depth IS NOT NULL AND (depth IS NULL OR depth > excluded.depth)
+        RETURNING position, depthSkip
+    `).get(url, depth, referrerUrl, position);
+    if (!row) return null;
+    if (row.depthSkip === 2 && row.position === position) {
+        getWriteStatement(`DELETE FROM pages WHERE url = ? AND contentType = 'SKIPPED'`).run(url);
+        return 'requeued';
+    }
+    // Позиции в очереди уникальны, поэтому переданная позиция вернется только у новой записи
+    return row.position === position ? 'added' : 'lowered';
+}
+
+/**
+ * Читает следующие URL очереди.
+ * @param {number} afterPosition - Позиция последнего уже прочитанного URL.
+ * @param {number} limit
+ * @returns {Array<{url: string, depth: number|null, referrerUrl: string|null, position: number}>}
+ */
+function getQueuedUrls(afterPosition, limit) {
+    if (!siteDbInstance) return [];
+    return prepareSiteStatement(`
+        SELECT url, depth, referrerUrl, position FROM crawl_urls
+        WHERE queued = 1 AND position > ?
+        ORDER BY position
+        LIMIT ?
+    `).all(afterPosition, limit);
+}
+
+/**
+ * Убирает URL из очереди, когда он взят в работу. Сам URL остается среди встреченных.
+ * @param {string} url
+ */
+function markUrlDequeued(url) {
+    if (!siteDbInstance) return;
+    getWriteStatement('UPDATE crawl_urls SET queued = 0 WHERE url = ?').run(url);
+}
+
+/**
+ * @returns {{seen: number, queued: number, maxPosition: number}} Размер множества встреченных URL
+ *   (без пропущенных по лимиту глубины), длина очереди и последняя позиция.
+ */
+function getCrawlUrlStats() {
+    if (!siteDbInstance) return { seen: 0, queued: 0, maxPosition: 0 };
+    return prepareSiteStatement(`
+        SELECT COALESCE(SUM(depthSkip != 1), 0) AS seen, COALESCE(SUM(queued), 0) AS queued, COALESCE(MAX(position), 0) AS maxPosition FROM crawl_urls
+    `).get();
+}
+
+/**
+ * @returns {number} Сколько длилось сканирование (без пауз) во всех прошлых сессиях, мс.
+ */
+function getScanElapsedMs() {
+    if (!siteDbInstance) return 0;
+    const row = prepareSiteStatement(`SELECT value FROM scan_state WHERE key = 'elapsedMs'`).get();
+    return row ? Number(row.value) || 0 : 0;
+}
+
+/**
+ * Запоминает длительность сканирования, чтобы при возобновлении бюджет времени не начинался заново.
+ * @param {number} elapsedMs - Длительность без пауз, включая прошлые сессии.
+ */
+function saveScanElapsedMs(elapsedMs) {
+    if (!siteDbInstance) return;
+    getWriteStatement(`INSERT INTO scan_state (key, value) VALUES ('elapsedMs', ?) ON CONFLICT(key) DO UPDATE SET value = EXCLUDED.value`)
+        .run(String(Math.round(elapsedMs)));
+}
+
+/**
+ * Готовит crawl_urls к возобновлению: очередь прошлого запуска переносится в previous_frontier,
+ * а таблица очищается, чтобы заново заполнить ее с текущими настройками нормализации и области сканирования.
+ * @returns {number} Сколько URL было в очереди.
+ */
+function resetCrawlUrls() {
+    if (!siteDbInstance) return 0;
+    beginWrite();
+    const reset = siteDbInstance.transaction(() => {
+        siteDbInstance.exec(`
+            DROP TABLE IF EXISTS previous_frontier;
+            CREATE TABLE previous_frontier AS SELECT url, depth, referrerUrl, position FROM crawl_urls WHERE queued = 1;
+            DELETE FROM crawl_urls;
+        `);
+        return prepareSiteStatement('SELECT COUNT(*) AS count FROM previous_frontier').get().count;
+    });
+    return reset();
+}
+
+/**
+ * Удаляет очередь прошлого запуска после того, как она заново поставлена в crawl_urls.
+ */
+function dropPreviousFrontier() {
+    if (!siteDbInstance) return;
+    beginWrite();
+    siteDbInstance.exec('DROP TABLE IF EXISTS previous_frontier');
+}
+
+/**
+ * Очищает очередь и множество встреченных URL после завершения сканирования:
+ * при следующем возобновлении они строятся заново по таблице pages.
+ */
+function clearCrawlUrls() {
+    if (!siteDbInstance) return;
+    getWriteStatement('DELETE FROM crawl_urls').run();
+}
+
+/**
+ * Пересчитывает флаги inSitemap / foundByLinks для всех страниц.
+ * Нужен в конце сканирования: ссылка на страницу из sitemap может быть найдена уже после ее сохранения.
+ */
+function updateDiscoveryFlags() {
+    if (!siteDbInstance) return;
+    beginWrite();
+    siteDbInstance.exec(`
+        UPDATE pages SET
+            -- URL из sitemap сравниваем и в исходном, и в нормализованном виде
+            inSitemap = EXISTS(
+                SELECT 1 FROM sitemap_urls s
+                LEFT JOIN url_variants v ON v.rawUrl = s.url
+                WHERE s.url = pages.url OR v.normalizedUrl = pages.url
+            ),
+            foundByLinks = EXISTS(SELECT 1 FROM outgoing_links ol WHERE ol.destinationUrl = pages.url);
+    `);
+}
+
+function getAllScannedSites() {
+    try {
+        const metadataDb = getMetadataDbConnection();
+        const stmt = metadataDb.prepare('SELECT * FROM sites_metadata ORDER BY scannedAt DESC');
+        return stmt.all();
+    } catch (error) {
+        console.error("[DB] Ошибка при получении всех просканированных сайтов из базы данных метаданных:", error);
+        return [];
+    }
+}
+
+function updateScanStatus(dbName, status, startUrl = null) {
+    try {
+        const metadataDb = getMetadataDbConnection();
+        // Если предоставлен startUrl, это начало нового или возобновленного сканирования.
+        // Мы создаем или обновляем запись со всеми деталями.
+        if (startUrl) {
+            const domain = new URL(startUrl).hostname;
+            const stmt = metadataDb.prepare(`
+                INSERT INTO sites_metadata (dbName, domain, startUrl, status)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT(dbName) DO UPDATE SET
+                    status = EXCLUDED.status,
+                    startUrl = EXCLUDED.startUrl,
+                    scannedAt = CURRENT_TIMESTAMP;
+            `);
+            stmt.run(dbName, domain, startUrl, status);
+        } else {
+            // Если startUrl не предоставлен, мы обновляем только статус и временную метку существующей записи.
+            const stmt = metadataDb.prepare(`
+                UPDATE sites_metadata SET status = ?, scannedAt = CURRENT_TIMESTAMP WHERE dbName = ?;
+            `);
+            stmt.run(status, dbName);
+        }
+        // Незавершенный запуск сайта получает тот же статус, а при завершении — время окончания и итоги
+        const openRun = metadataDb.prepare('SELECT runDbName FROM scan_runs WHERE dbName = ? AND finishedAt IS NULL ORDER BY id DESC LIMIT 1').get(dbName);
+        if (openRun) {
+            const isFinished = FINISHED_SCAN_STATUSES.includes(status);
+            metadataDb.prepare(`
+                UPDATE scan_runs SET status = ?, finishedAt = ${isFinished ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE runDbName = ?;
+            `).run(status, openRun.runDbName);
+            if (isFinished) {
+                saveRunSummary(metadataDb, openRun.runDbName);
+            }
+        }
+        console.log(`[DB] Обновлен статус для ${dbName} на: ${status} в ${METADATA_DB_FILE_NAME}`);
+    } catch (error) {
+        console.error(`[DB_UPDATE_STATUS] Ошибка при обновлении статуса для ${dbName} в базе данных метаданных:`, error);
+    }
+}
+
+// Статусы запусков, которые можно продолжить: сканирование прервано до конца обхода
+const RESUMABLE_RUN_STATUSES = ['paused', 'cancelled', 'error'];
+
+/**
+ * Начинает запуск сканирования сайта. Продолжение (без overwrite) дописывает последний запуск в его базу,
+ * если тот был прерван (RESUMABLE_RUN_STATUSES); иначе запуск новый и получает свою базу <dbName>.run-<id>,
+ * а базы прошлых запусков остаются нетронутыми.
+ * @param {string} dbName - Имя сайта.
+ * @param {string} startUrl - Стартовый URL.
+ * @param {object} [options]
+ * @param {boolean} [options.overwrite] - Начать новый запуск вместо продолжения последнего.
+ * @param {object} [options.settings] - Настройки запуска без учетных данных.
+ * @returns {{id: number, runDbName: string, resumed: boolean}} Запуск, имя его базы для воркера и признак продолжения.
+ */
+function startScanRun(dbName, startUrl, { overwrite = false, settings = {} } = {}) {
+    try {
+        return createOrReopenScanRun(dbName, startUrl, overwrite, JSON.stringify(settings));
+    } catch (error) {
+        // Без записи в истории сканирование все равно идет — в базу с именем сайта
+        console.error(`[DB] Ошибка при создании запуска для ${dbName}:`, error);
+        return { id: null, runDbName: dbName, resumed: !overwrite };
+    }
+}
+
+function createOrReopenScanRun(dbName, startUrl, overwrite, settingsJson) {
+    const metadataDb = getMetadataDbConnection();
+    return metadataDb.transaction(() => {
+        const latestRun = overwrite ? null : metadataDb.prepare('SELECT id, runDbName, status, finishedAt FROM scan_runs WHERE dbName = ? ORDER BY id DESC LIMIT 1').get(dbName);
+        if (latestRun && RESUMABLE_RUN_STATUSES.includes(latestRun.status)) {
+            // Настройки завершенного (отмененного или упавшего) запуска остаются теми, с которыми он шел
+            if (latestRun.finishedAt) {
+                metadataDb.prepare("UPDATE scan_runs SET status = 'pending', finishedAt = NULL WHERE id = ?").run(latestRun.id);
+            } else {
+                metadataDb.prepare(`
+                    UPDATE scan_runs SET status = 'pending', startUrl = ?, settings = ? WHERE id = ?;
+                `).run(startUrl, settingsJson, latestRun.id);
+            }
+            return { id: latestRun.id, runDbName: latestRun.runDbName, resumed: true };
+        }
+        // Имя базы зависит от id, поэтому запись сначала получает временное имя
+        const { lastInsertRowid } = metadataDb.prepare(`
+            INSERT INTO scan_runs (dbName, runDbName, startUrl, status, settings) VALUES (?, ?, ?, 'pending', ?);
+        `).run(dbName, `${dbName}.run-new`, startUrl, settingsJson);
+        const id = Number(lastInsertRowid);
+        const runDbName = `${dbName}.run-${id}`;
+        metadataDb.prepare('UPDATE scan_runs SET runDbName = ? WHERE id = ?').run(runDbName, id);
+        return { id, runDbName, resumed: false };
+    })();
+}
+
+/**
+ * Разбирает строку scan_runs для API.
+ * @param {object} run
+ * @returns {object}
+ */
+function parseScanRun(run) {
+    let settings = null;
+    try {
+        settings = run.settings ? JSON.parse(run.settings) : null;
+    } catch (error) {
+        // Некорректный JSON — показываем запуск без настроек
+    }
+    return { ...run, settings };
+}
+
+/**
+ * Запуски сайта, от новых к старым.
+ * @param {string} dbName - Имя сайта.
+ * @returns {Array<Object>}
+ */
+function getScanRuns(dbName) {
+    try {
+        const metadataDb = getMetadataDbConnection();
+        return metadataDb.prepare('SELECT * FROM scan_runs WHERE dbName = ? ORDER BY id DESC').all(dbName).map(parseScanRun);
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении запусков для ${dbName}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Запуск по имени его базы.
+ * @param {string} runDbName - Имя базы запуска.
+ * @returns {object|null}
+ */
+function getScanRun(runDbName) {
+    try {
+        const metadataDb = getMetadataDbConnection();
+        const run = metadataDb.prepare('SELECT * FROM scan_runs WHERE runDbName = ?').get(runDbName);
+        return run ? parseScanRun(run) : null;
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении запуска ${runDbName}:`, error);
+        return null;
+    }
+}
+
+// Страница ссылается через rel=canonical на другой URL, который сам не годится как canonical:
+// не загружался или отвечает не 200, редиректит или сам канонизирован на третий URL.
+// canonicalUrl хранится в исходном виде, поэтому ищем цель и по нормализованной форме из url_variants
+const CANONICAL_TARGET_ISSUE_CONDITION = `
+    pages.canonicalUrl IS NOT NULL AND EXISTS (
+        SELECT 1 FROM pages c
+        WHERE c.url = COALESCE((SELECT v.normalizedUrl FROM url_variants v WHERE v.rawUrl = pages.canonicalUrl), pages.canonicalUrl)
+            AND c.url != pages.url
+            AND (c.contentType = 'REDIRECT' OR c.responseStatus IS NULL OR c.responseStatus != 200 OR c.indexabilityReason = 'canonicalized')
+    )
+`;
+
+/**
+ * Определяет проблему canonical-цели по ее записи в pages.
+ * @param {object|undefined} target - Строка pages для canonical-цели.
+ * @returns {string|null} 'not_crawled', 'redirect', 'non_200', 'canonicalized' или null.
+ */
+function getCanonicalTargetIssue(target) {
+    if (!target) return 'not_crawled';
+    if (target.contentType === 'REDIRECT') return 'redirect';
+    if (target.responseStatus !== 200) return 'non_200';
+    if (target.indexabilityReason === 'canonicalized') return 'canonicalized';
+    return null;
+}
+
+/**
+ * Получает все данные страницы (включая заголовки и входящие ссылки) для указанной базы данных сайта.
+ * Открывает временное соединение для чтения.
+ * @param {string} dbName - Имя базы данных сайта (обычно домен).
+ * @param {object} options - Опции для пагинации и сортировки.
+ * @param {number} options.limit - Количество записей на странице.
+ * @param {number} options.page - Номер страницы.
+ * @param {string} options.sortKey - Ключ для сортировки.
+ * @param {string} options.sortDirection - Направление сортировки ('ascending' или 'descending').
+ * @param {string} [options.searchQuery] - Строка для поиска по URL, metaTitle, metaDescription.
+ * @param {string} [options.contentType] - Фильтр по типу контента.
+ * @param {string} [options.errorType] - Фильтр по категории сетевой ошибки ('any' — любая ошибка).
+ * @param {string} [options.discovery] - Фильтр по источнику: 'orphan' (только в sitemap) или 'notInSitemap' (только по ссылкам).
+ * @param {string} [options.depth] - Фильтр по глубине: число или 'unknown' (глубина неизвестна).
+ * @param {string} [options.indexability] - 'indexable', 'nonIndexable', причина неиндексируемости, 'canonicalIssue' (проблемная canonical-цель)
+ *   или 'robotsBlocked' (запрещен robots.txt — пропущен или просканирован в режиме отчета).
+ * @param {Array<{rule: string, op: string, value?: string}>} [options.extractionFilters] - Фильтры по колонкам пользовательского извлечения:
+ *   op — 'contains', 'notContains', 'exists' (есть значение) или 'missing' (значения нет).
+ *   Сортировка по такой колонке — sortKey 'extract:<имя правила>' (по первому значению).
+ * @param {Array<{rule: string, matched: boolean}>} [options.searchFilters] - Фильтры по правилам пользовательского поиска:
+ *   matched = true — страница удовлетворяет правилу (содержит / не содержит шаблон), false — нарушает его.
+ *   Страницы, не проверявшиеся правилом (не HTML), не подходят ни под один вариант.
+ * @returns {{pages: Array<Object>, total: number}} Объект с массивом страниц и общим количеством.
+ */
+function getAllPagesData(dbName, { limit = 100, page = 1, sortKey = 'url', sortDirection = 'ascending', searchQuery = '', contentType = '', errorType = '', discovery = '', depth = '', indexability = '', extractionFilters = [], searchFilters = [] } = {}) {
+    const dbPath = getSiteDbPath(dbName);
+    if (!fs.existsSync(dbPath)) {
+        console.warn(`[DB] База данных сайта не найдена для: ${dbName} по пути ${dbPath}`);
+        return { pages: [], total: 0, extractionRules: [], searchRules: [] };
+    }
+
+    // Валидация параметров сортировки для предотвращения SQL-инъекций
+    const allowedSortKeys = ['url', 'metaTitle', 'metaDescription', 'responseStatus', 'responseTime', 'depth', 'wordCount', 'textRatio'];
+    const safeSortKey = allowedSortKeys.includes(sortKey) ? sortKey : 'url';
+    const safeSortDirection = sortDirection === 'descending' ? 'DESC' : 'ASC';
+
+    const offset = (page - 1) * limit;
+
+    // Открываем новое соединение только для чтения
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+
+        // Правила пользовательского извлечения и поиска (в базах старых сканирований таблиц может не быть)
+        const tableExists = (name) => Boolean(localSiteDb.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name));
+        const extractionRules = tableExists('extraction_rules')
+            ? localSiteDb.prepare('SELECT name FROM extraction_rules ORDER BY position').all().map(rule => rule.name)
+            : [];
+        const searchRules = tableExists('search_rules')
+            ? localSiteDb.prepare('SELECT name, mode, scope, pattern FROM search_rules ORDER BY position').all()
+            : [];
+
+        // --- Динамическое построение WHERE и параметров ---
+        const whereClauses = [];
+        const queryParams = [];
+
+        if (searchQuery) {
+            whereClauses.push(`(url LIKE ? OR metaTitle LIKE ? OR metaDescription LIKE ?)`);
+            const searchTerm = `%${searchQuery}%`;
+            queryParams.push(searchTerm, searchTerm, searchTerm);
+        }
 
         if (contentType) {
             whereClauses.push(`contentType = ?`);
             queryParams.push(contentType);
         }
 
-        const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+        if (errorType === 'any') {
+            whereClauses.push(`errorType IS NOT NULL`);
+        } else if (errorType) {
+            whereClauses.push(`errorType = ?`);
+            queryParams.push(errorType);
+        }
+
+        if (discovery === 'orphan') {
+            // Страницы-сироты: есть в sitemap, но ни одна страница на них не ссылается
+            whereClauses.push(`inSitemap = 1 AND foundByLinks = 0`);
+        } else if (discovery === 'notInSitemap') {
+            // HTML-страницы, найденные по ссылкам, но отсутствующие в sitemap
+            whereClauses.push(`inSitemap = 0 AND foundByLinks = 1 AND contentType = 'HTML_PAGE'`);
+        }
+
+        if (depth === 'unknown') {
+            whereClauses.push(`depth IS NULL`);
+        } else if (depth !== '' && Number.isInteger(Number(depth))) {
+            whereClauses.push(`depth = ?`);
+            queryParams.push(Number(depth));
+        }
+
+        if (indexability === 'indexable') {
+            whereClauses.push(`indexable = 1`);
+        } else if (indexability === 'nonIndexable') {
+            whereClauses.push(`indexable = 0`);
+        } else if (indexability === 'canonicalIssue') {
+            whereClauses.push(CANONICAL_TARGET_ISSUE_CONDITION);
+        } else if (indexability === 'robotsBlocked') {
+            whereClauses.push(`(robotsBlocked = 1 OR indexabilityReason = 'blocked_by_robots')`);
+        } else if (indexability) {
+            whereClauses.push(`indexabilityReason = ?`);
+            queryParams.push(indexability);
+        }
+
+        extractionFilters.filter(filter => extractionRules.includes(filter.rule)).forEach(({ rule, op, value = '' }) => {
+            const valueExists = `EXISTS (SELECT 1 FROM custom_extractions ce WHERE ce.pageId = pages.id AND ce.ruleName = ?`;
+            if (op === 'exists') {
+                whereClauses.push(`${valueExists})`);
+                queryParams.push(rule);
+            } else if (op === 'missing') {
+                whereClauses.push(`NOT ${valueExists})`);
+                queryParams.push(rule);
+            } else if (op === 'notContains' && value) {
+                whereClauses.push(`NOT ${valueExists} AND ce.value LIKE ?)`);
+                queryParams.push(rule, `%${value}%`);
+            } else if (value) {
+                whereClauses.push(`${valueExists} AND ce.value LIKE ?)`);
+                queryParams.push(rule, `%${value}%`);
+            }
+        });
+
+        searchFilters.forEach(({ rule, matched }) => {
+            const searchRule = searchRules.find(r => r.name === rule);
+            if (!searchRule || typeof matched !== 'boolean') return;
+            // Правило "содержит" выполнено при совпадениях, "не содержит" — при их отсутствии
+            const expectMatches = (searchRule.mode === 'contains') === matched;
+            whereClauses.push(`EXISTS (SELECT 1 FROM custom_search_results sr WHERE sr.pageId = pages.id AND sr.ruleName = ? AND sr.matchCount ${expectMatches ? '>' : '='} 0)`);
+            queryParams.push(rule);
+        });
+
+        const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+        // Сортировка по колонке извлечения — по первому значению правила на странице
+        const sortRule = sortKey.startsWith('extract:') ? sortKey.slice('extract:'.length) : null;
+        const orderBy = sortRule && extractionRules.includes(sortRule)
+            ? `(SELECT ce.value FROM custom_extractions ce WHERE ce.pageId = pages.id AND ce.ruleName = ? ORDER BY ce.position LIMIT 1) ${safeSortDirection}, url`
+            : `${safeSortKey} ${safeSortDirection}`;
+        const orderParams = orderBy.includes('?') ? [sortRule] : [];
+
+        // Сначала получаем общее количество страниц с учетом фильтров
+        const totalQuery = `SELECT COUNT(*) as count FROM pages ${whereString}`;
+        const totalStmt = localSiteDb.prepare(totalQuery);
+        const totalResult = totalStmt.get(...queryParams);
+        const total = totalResult.count;
+
+        // Затем получаем пагинированный и отсортированный список с учетом фильтров
+        const pagesQuery = `
+            SELECT id, url, metaTitle, metaDescription, scannedAt, contentType, responseStatus, responseTime, inSitemap, foundByLinks, errorType, errorMessage, mimeType, contentLength, skipReason, depth, referrerUrl,
+                canonicalUrl, metaRobots, xRobotsTag, indexable, indexabilityReason, wordCount, textRatio, robotsBlocked
+            FROM pages 
+            ${whereString}
+            ORDER BY ${orderBy}
+            LIMIT ? OFFSET ?
+        `;
+        const pagesStmt = localSiteDb.prepare(pagesQuery);
+        const pages = pagesStmt.all(...queryParams, ...orderParams, limit, offset);
+
+        if (pages.length === 0) {
+            return { pages: [], total, extractionRules, searchRules };
+        }
+
+        const pageIds = pages.map(p => p.id);
+        const pageUrls = pages.map(p => p.url);
+        const pageIdPlaceholders = pageIds.map(() => '?').join(',');
+        const pageUrlPlaceholders = pageUrls.map(() => '?').join(',');
+
+        // 1. Получаем все заголовки для текущего набора страниц
+        const headersStmt = localSiteDb.prepare(`SELECT pageId, type, value FROM headers WHERE pageId IN (${pageIdPlaceholders})`);
+        const allHeaders = headersStmt.all(...pageIds);
+        const headersByPageId = allHeaders.reduce((acc, h) => {
+            (acc[h.pageId] = acc[h.pageId] || []).push({ type: h.type, value: h.value });
+            return acc;
+        }, {});
+
+        // 2. Получаем все ИСХОДЯЩИЕ ссылки для текущего набора страниц
+        const outgoingLinksStmt = localSiteDb.prepare(`SELECT pageId, destinationUrl FROM outgoing_links WHERE pageId IN (${pageIdPlaceholders})`);
+        const allOutgoingLinks = outgoingLinksStmt.all(...pageIds);
+        const outgoingLinksByPageId = allOutgoingLinks.reduce((acc, l) => {
+            (acc[l.pageId] = acc[l.pageId] || []).push(l.destinationUrl);
+            return acc;
+        }, {});
+
+        // 3. Получаем все ВХОДЯЩИЕ ссылки для текущего набора страниц
+        const incomingLinksStmt = localSiteDb.prepare(`
+            SELECT p.url as sourceUrl, ol.destinationUrl
+            FROM outgoing_links ol
+            JOIN pages p ON p.id = ol.pageId
+            WHERE ol.destinationUrl IN (${pageUrlPlaceholders})
+        `);
+        const allIncomingLinks = incomingLinksStmt.all(...pageUrls);
+        const incomingLinksByUrl = allIncomingLinks.reduce((acc, l) => {
+            (acc[l.destinationUrl] = acc[l.destinationUrl] || []).push(l.sourceUrl);
+            return acc;
+        }, {});
+
+        // 4. Получаем исходные варианты URL, которые при нормализации свелись к этим страницам
+        const variantsStmt = localSiteDb.prepare(`SELECT rawUrl, normalizedUrl FROM url_variants WHERE normalizedUrl IN (${pageUrlPlaceholders})`);
+        const variantsByUrl = variantsStmt.all(...pageUrls).reduce((acc, v) => {
+            (acc[v.normalizedUrl] = acc[v.normalizedUrl] || []).push(v.rawUrl);
+            return acc;
+        }, {});
+
+        // 5. Получаем canonical-цели страниц, чтобы отметить проблемные (canonical хранится в исходном виде)
+        const canonicalTargetsStmt = localSiteDb.prepare(`
+            SELECT p.id AS pageId, c.url, c.contentType, c.responseStatus, c.indexabilityReason
+            FROM pages p
+            LEFT JOIN url_variants v ON v.rawUrl = p.canonicalUrl
+            JOIN pages c ON c.url = COALESCE(v.normalizedUrl, p.canonicalUrl)
+            WHERE p.id IN (${pageIdPlaceholders})
+        `);
+        const canonicalTargetsByPageId = canonicalTargetsStmt.all(...pageIds).reduce((acc, t) => {
+            acc[t.pageId] = t;
+            return acc;
+        }, {});
+
+        // 6. Получаем значения пользовательского извлечения: { страница: { правило: [значения] } }
+        const extractionsByPageId = extractionRules.length === 0 ? {} : localSiteDb.prepare(`
+            SELECT pageId, ruleName, value FROM custom_extractions WHERE pageId IN (${pageIdPlaceholders}) ORDER BY pageId, ruleName, position
+        `).all(...pageIds).reduce((acc, e) => {
+            const pageExtractions = acc[e.pageId] = acc[e.pageId] || {};
+            (pageExtractions[e.ruleName] = pageExtractions[e.ruleName] || []).push(e.value);
+            return acc;
+        }, {});
+
+        // 7. Получаем число совпадений правил пользовательского поиска: { страница: { правило: число } }
+        const searchResultsByPageId = searchRules.length === 0 ? {} : localSiteDb.prepare(`
+            SELECT pageId, ruleName, matchCount FROM custom_search_results WHERE pageId IN (${pageIdPlaceholders})
+        `).all(...pageIds).reduce((acc, r) => {
+            (acc[r.pageId] = acc[r.pageId] || {})[r.ruleName] = r.matchCount;
+            return acc;
+        }, {});
+
+        // 8. Получаем заголовки HTTP-ответа (в базах старых сканирований таблицы может не быть)
+        const responseHeadersByPageId = !tableExists('response_headers') ? {} : localSiteDb.prepare(`
+            SELECT pageId, name, value FROM response_headers WHERE pageId IN (${pageIdPlaceholders}) ORDER BY pageId, position
+        `).all(...pageIds).reduce((acc, h) => {
+            (acc[h.pageId] = acc[h.pageId] || []).push({ type: h.name, value: h.value });
+            return acc;
+        }, {});
+
+        const pagesWithDetails = pages.map(page => ({
+            ...page,
+            headers: headersByPageId[page.id] || [],
+            outgoingLinks: [...new Set(outgoingLinksByPageId[page.id] || [])],
+            incomingLinks: [...new Set(incomingLinksByUrl[page.url] || [])],
+            urlVariants: variantsByUrl[page.url] || [],
+            // Проблему цели показываем, только если canonical указывает на другой URL
+            canonicalIssue: page.canonicalUrl && canonicalTargetsByPageId[page.id]?.url !== page.url
+                ? getCanonicalTargetIssue(canonicalTargetsByPageId[page.id])
+                : null,
+            extractions: extractionsByPageId[page.id] || {},
+            searchResults: searchResultsByPageId[page.id] || {},
+            responseHeaders: responseHeadersByPageId[page.id] || [],
+        }));
+
+        return { pages: pagesWithDetails, total, extractionRules, searchRules };
+
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении данных страницы из ${dbName}.db:`, error);
+        return { pages: [], total: 0, extractionRules: [], searchRules: [] };
+    } finally {
+        if (localSiteDb) {
+            localSiteDb.close(); // Закрываем соединение только для чтения
+        }
+    }
+}
+
+/**
+ * Считает распределение страниц по глубине.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @returns {Array<{depth: number|null, total: number, htmlPages: number, inSitemap: number}>} Строки по возрастанию глубины; NULL — глубина неизвестна.
+ */
+function getDepthDistribution(dbName) {
+    const dbPath = getSiteDbPath(dbName);
+    if (!fs.existsSync(dbPath)) {
+        return [];
+    }
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+        const stmt = localSiteDb.prepare(`
+            SELECT depth,
+                COUNT(*) AS total,
+                SUM(contentType = 'HTML_PAGE') AS htmlPages,
+                SUM(inSitemap) AS inSitemap
+            FROM pages
+            WHERE contentType != 'SKIPPED'
+            GROUP BY depth
+            ORDER BY depth IS NULL, depth
+        `);
+        return stmt.all();
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении распределения по глубине из ${dbName}.db:`, error);
+        return [];
+    } finally {
+        if (localSiteDb) {
+            localSiteDb.close();
+        }
+    }
+}
+
+/**
+ * Формирует отчет по редиректам: цепочки, петли и внутренние ссылки на редиректящие URL.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @param {object} options
+ * @param {string} [options.filter] - 'chains' (больше одного шага), 'loops' (петли), 'linked' (есть внутренние ссылки).
+ * @param {number} [options.limit] - Максимальное количество цепочек в ответе.
+ * @returns {{chains: Array<Object>, total: number, summary: {chains: number, multiHop: number, loops: number, linked: number}}}
+ */
+function getRedirectsReport(dbName, { filter = '', limit = 500 } = {}) {
+    const emptyReport = { chains: [], total: 0, summary: { chains: 0, multiHop: 0, loops: 0, linked: 0 } };
+    const dbPath = getSiteDbPath(dbName);
+    if (!fs.existsSync(dbPath)) {
+        return emptyReport;
+    }
+
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+
+        const hops = localSiteDb.prepare(`
+            SELECT chainStartUrl, sourceUrl, targetUrl, statusCode, hopIndex
+            FROM redirects
+            ORDER BY chainStartUrl, hopIndex
+        `).all();
+
+        // Внутренние ссылки, ведущие на URL, которые начинают цепочку редиректов
+        const linkedRows = localSiteDb.prepare(`
+            SELECT DISTINCT p.url as sourceUrl, ol.destinationUrl
+            FROM outgoing_links ol
+            JOIN pages p ON p.id = ol.pageId
+            WHERE ol.destinationUrl IN (SELECT DISTINCT chainStartUrl FROM redirects)
+        `).all();
+        const linkedFrom = linkedRows.reduce((acc, l) => {
+            (acc[l.destinationUrl] = acc[l.destinationUrl] || []).push(l.sourceUrl);
+            return acc;
+        }, {});
+
+        const finalStatusStmt = localSiteDb.prepare('SELECT responseStatus FROM pages WHERE url = ?');
+
+        const chainsByStart = new Map();
+        hops.forEach(hop => {
+            if (!chainsByStart.has(hop.chainStartUrl)) {
+                chainsByStart.set(hop.chainStartUrl, []);
+            }
+            chainsByStart.get(hop.chainStartUrl).push(hop);
+        });
+
+        const allChains = [...chainsByStart.entries()].map(([startUrl, chainHops]) => {
+            const lastHop = chainHops[chainHops.length - 1];
+            // Петля: цель последнего шага уже встречалась в цепочке
+            const isLoop = chainHops.some(hop => hop.sourceUrl === lastHop.targetUrl);
+            const finalPage = isLoop ? null : finalStatusStmt.get(lastHop.targetUrl);
+            return {
+                startUrl,
+                hops: chainHops.map(({ sourceUrl, targetUrl, statusCode, hopIndex }) => ({ sourceUrl, targetUrl, statusCode, hopIndex })),
+                hopCount: chainHops.length,
+                finalUrl: lastHop.targetUrl,
+                finalStatus: finalPage ? finalPage.responseStatus : null,
+                isLoop,
+                linkedFrom: linkedFrom[startUrl] || [],
+            };
+        });
+
+        const summary = {
+            chains: allChains.length,
+            multiHop: allChains.filter(c => c.hopCount > 1).length,
+            loops: allChains.filter(c => c.isLoop).length,
+            linked: allChains.filter(c => c.linkedFrom.length > 0).length,
+        };
+
+        let chains = allChains;
+        if (filter === 'chains') {
+            chains = chains.filter(c => c.hopCount > 1);
+        } else if (filter === 'loops') {
+            chains = chains.filter(c => c.isLoop);
+        } else if (filter === 'linked') {
+            chains = chains.filter(c => c.linkedFrom.length > 0);
+        }
+
+        // Сначала самые проблемные: петли, затем длинные цепочки
+        chains.sort((a, b) => (b.isLoop - a.isLoop) || (b.hopCount - a.hopCount) || a.startUrl.localeCompare(b.startUrl));
 
-        // Сначала получаем общее количество страниц с учетом фильтров
-        const totalQuery = `SELECT COUNT(*) as count FROM pages ${whereString}`;
-        const totalStmt = localSiteDb.prepare(totalQuery);
-        const totalResult = totalStmt.get(...queryParams);
-        const total = totalResult.count;
+        return { chains: chains.slice(0, limit), total: chains.length, summary };
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении отчета по редиректам из ${dbName}.db:`, error);
+        return emptyReport;
+    } finally {
+        if (localSiteDb) {
+            localSiteDb.close();
+        }
+    }
+}
 
-        // Затем получаем пагинированный и отсортированный список с учетом фильтров
-        const pagesQuery = `
-            SELECT id, url, metaTitle, metaDescription, scannedAt, contentType, responseStatus, responseTime 
-            FROM pages 
-            ${whereString}
-            ORDER BY ${safeSortKey} ${safeSortDirection}
-            LIMIT ? OFFSET ?
-        `;
-        const pagesStmt = localSiteDb.prepare(pagesQuery);
-        const pages = pagesStmt.all(...queryParams, limit, offset);
+/**
+ * Формирует отчет по внешним ссылкам: статус каждого уникального внешнего URL и страницы, которые на него ссылаются.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @param {object} options
+ * @param {string} [options.filter] - 'broken' (статус >= 400 или сетевая ошибка), 'unchecked' (еще не проверен).
+ * @param {number} [options.limit] - Максимальное количество URL в ответе.
+ * @returns {{links: Array<Object>, total: number, summary: {total: number, broken: number, unchecked: number}}}
+ */
+function getExternalLinksReport(dbName, { filter = '', limit = 500 } = {}) {
+    const emptyReport = { links: [], total: 0, summary: { total: 0, broken: 0, unchecked: 0 } };
+    const dbPath = getSiteDbPath(dbName);
+    if (!fs.existsSync(dbPath)) {
+        return emptyReport;
+    }
 
-        if (pages.length === 0) {
-            return { pages: [], total };
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+
+        const brokenCondition = '(eu.status >= 400 OR eu.errorType IS NOT NULL)';
+        const summary = localSiteDb.prepare(`
+            SELECT
+                COUNT(*) as total,
+                SUM(CASE WHEN ${brokenCondition} THEN 1 ELSE 0 END) as broken,
+                SUM(CASE WHEN eu.url IS NULL THEN 1 ELSE 0 END) as unchecked
+            FROM (SELECT DISTINCT destinationUrl FROM external_links) el
+            LEFT JOIN external_urls eu ON eu.url = el.destinationUrl
+        `).get();
+
+        let whereString = '';
+        if (filter === 'broken') {
+            whereString = `WHERE ${brokenCondition}`;
+        } else if (filter === 'unchecked') {
+            whereString = 'WHERE eu.url IS NULL';
         }
 
-        const pageIds = pages.map(p => p.id);
-        const pageUrls = pages.map(p => p.url);
-        const pageIdPlaceholders = pageIds.map(() => '?').join(',');
-        const pageUrlPlaceholders = pageUrls.map(() => '?').join(',');
+        const links = localSiteDb.prepare(`
+            SELECT el.destinationUrl as url, eu.status, eu.responseTime, eu.method, eu.errorType, eu.errorMessage,
+                   COUNT(DISTINCT el.pageId) as linkedFromCount
+            FROM external_links el
+            LEFT JOIN external_urls eu ON eu.url = el.destinationUrl
+            ${whereString}
+            GROUP BY el.destinationUrl
+            ORDER BY ${brokenCondition} DESC, linkedFromCount DESC, el.destinationUrl
+            LIMIT ?
+        `).all(limit);
 
-        // 1. Получаем все заголовки для текущего набора страниц
-        const headersStmt = localSiteDb.prepare(`SELECT pageId, type, value FROM headers WHERE pageId IN (${pageIdPlaceholders})`);
-        const allHeaders = headersStmt.all(...pageIds);
-        const headersByPageId = allHeaders.reduce((acc, h) => {
-            (acc[h.pageId] = acc[h.pageId] || []).push({ type: h.type, value: h.value });
+        if (links.length === 0) {
+            return { links: [], total: 0, summary: { total: summary.total, broken: summary.broken || 0, unchecked: summary.unchecked || 0 } };
+        }
+
+        // Страницы сайта, которые ссылаются на каждый из внешних URL
+        const urlPlaceholders = links.map(() => '?').join(',');
+        const sourceRows = localSiteDb.prepare(`
+            SELECT el.destinationUrl, p.url as sourceUrl
+            FROM external_links el
+            JOIN pages p ON p.id = el.pageId
+            WHERE el.destinationUrl IN (${urlPlaceholders})
+        `).all(...links.map(l => l.url));
+        const sourcesByUrl = sourceRows.reduce((acc, row) => {
+            (acc[row.destinationUrl] = acc[row.destinationUrl] || []).push(row.sourceUrl);
             return acc;
         }, {});
 
-        // 2. Получаем все ИСХОДЯЩИЕ ссылки для текущего набора страниц
-        const outgoingLinksStmt = localSiteDb.prepare(`SELECT pageId, destinationUrl FROM outgoing_links WHERE pageId IN (${pageIdPlaceholders})`);
-        const allOutgoingLinks = outgoingLinksStmt.all(...pageIds);
-        const outgoingLinksByPageId = allOutgoingLinks.reduce((acc, l) => {
-            (acc[l.pageId] = acc[l.pageId] || []).push(l.destinationUrl);
+        const totalRow = localSiteDb.prepare(`
+            SELECT COUNT(DISTINCT el.destinationUrl) as count
+            FROM external_links el
+            LEFT JOIN external_urls eu ON eu.url = el.destinationUrl
+            ${whereString}
+        `).get();
+
+        return {
+            links: links.map(link => ({ ...link, linkedFrom: [...new Set(sourcesByUrl[link.url] || [])] })),
+            total: totalRow.count,
+            summary: { total: summary.total, broken: summary.broken || 0, unchecked: summary.unchecked || 0 },
+        };
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении отчета по внешним ссылкам из ${dbName}.db:`, error);
+        return emptyReport;
+    } finally {
+        if (localSiteDb) {
+            localSiteDb.close();
+        }
+    }
+}
+
+// Проблемы hreflang и фильтры отчета по ним
+const HREFLANG_ISSUES = ['missingReturn', 'invalidCode', 'missingXDefault', 'badTarget', 'conflicting'];
+
+/**
+ * Формирует отчет по hreflang: для каждой страницы с аннотациями проверяет коды, наличие x-default,
+ * обратные ссылки, статус и каноничность альтернативных URL и противоречивые аннотации.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @param {object} options
+ * @param {string} [options.filter] - Одна из проблем HREFLANG_ISSUES.
+ * @param {number} [options.limit] - Максимальное количество страниц в ответе.
+ * @returns {{pages: Array<Object>, total: number, summary: Object}}
+ */
+function getHreflangReport(dbName, { filter = '', limit = 500 } = {}) {
+    const emptySummary = { pages: 0, withIssues: 0, ...Object.fromEntries(HREFLANG_ISSUES.map(issue => [issue, 0])) };
+    const emptyReport = { pages: [], total: 0, summary: emptySummary };
+    const dbPath = getSiteDbPath(dbName);
+    if (!fs.existsSync(dbPath)) {
+        return emptyReport;
+    }
+
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+
+        const annotations = localSiteDb.prepare(`
+            SELECT p.url as pageUrl, h.hreflang, h.href, h.source
+            FROM hreflang_links h
+            JOIN pages p ON p.id = h.pageId
+            ORDER BY p.url, h.hreflang, h.href
+        `).all();
+
+        // Состояние альтернативных URL, если они сканировались
+        const targets = localSiteDb.prepare(`
+            SELECT t.url, t.contentType, t.responseStatus, t.indexabilityReason
+            FROM pages t
+            WHERE t.url IN (SELECT DISTINCT href FROM hreflang_links)
+        `).all().reduce((acc, t) => {
+            acc[t.url] = t;
             return acc;
         }, {});
 
-        // 3. Получаем все ВХОДЯЩИЕ ссылки для текущего набора страниц
-        const incomingLinksStmt = localSiteDb.prepare(`
-            SELECT p.url as sourceUrl, ol.destinationUrl
-            FROM outgoing_links ol
-            JOIN pages p ON p.id = ol.pageId
-            WHERE ol.destinationUrl IN (${pageUrlPlaceholders})
-        `);
-        const allIncomingLinks = incomingLinksStmt.all(...pageUrls);
-        const incomingLinksByUrl = allIncomingLinks.reduce((acc, l) => {
-            (acc[l.destinationUrl] = acc[l.destinationUrl] || []).push(l.sourceUrl);
+        const annotationsByPage = new Map();
+        annotations.forEach(a => {
+            if (!annotationsByPage.has(a.pageUrl)) {
+                annotationsByPage.set(a.pageUrl, []);
+            }
+            annotationsByPage.get(a.pageUrl).push(a);
+        });
+
+        const allPages = [...annotationsByPage.entries()].map(([url, pageAnnotations]) => {
+            const returnUrls = (href) => new Set((annotationsByPage.get(href) || []).map(a => a.href));
+            // Один код, указывающий на разные URL (в том числе расхождение HTML и заголовка Link)
+            const hrefsByCode = pageAnnotations.reduce((acc, a) => {
+                (acc[a.hreflang] = acc[a.hreflang] || new Set()).add(a.href);
+                return acc;
+            }, {});
+
+            const items = pageAnnotations.map(({ hreflang, href, source }) => {
+                const target = targets[href];
+                const problems = [];
+                if (!isValidHreflang(hreflang)) problems.push('invalidCode');
+                if (hrefsByCode[hreflang].size > 1) problems.push('conflicting');
+                if (target) {
+                    if (target.contentType === 'REDIRECT') problems.push('targetRedirect');
+                    else if (target.responseStatus !== 200) problems.push('targetNon200');
+                    else if (target.indexabilityReason === 'canonicalized') problems.push('targetNonCanonical');
+                    // Обратную ссылку проверяем только у загруженных HTML-страниц
+                    if (href !== url && target.contentType === 'HTML_PAGE' && target.responseStatus === 200 && !returnUrls(href).has(url)) {
+                        problems.push('missingReturn');
+                    }
+                }
+                return { hreflang, href, source, targetStatus: target ? target.responseStatus : null, problems };
+            });
+
+            const issues = new Set(items.flatMap(item => item.problems)
+                .map(problem => (problem.startsWith('target') ? 'badTarget' : problem)));
+            if (!hrefsByCode['x-default']) issues.add('missingXDefault');
+
+            return { url, annotations: items, issues: HREFLANG_ISSUES.filter(issue => issues.has(issue)) };
+        });
+
+        const summary = {
+            pages: allPages.length,
+            withIssues: allPages.filter(p => p.issues.length > 0).length,
+            ...Object.fromEntries(HREFLANG_ISSUES.map(issue => [issue, allPages.filter(p => p.issues.includes(issue)).length])),
+        };
+
+        let pages = allPages;
+        if (HREFLANG_ISSUES.includes(filter)) {
+            pages = pages.filter(p => p.issues.includes(filter));
+        }
+
+        // Сначала страницы с наибольшим числом проблем
+        pages.sort((a, b) => (b.issues.length - a.issues.length) || a.url.localeCompare(b.url));
+
+        return { pages: pages.slice(0, limit), total: pages.length, summary };
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении отчета по hreflang из ${dbName}.db:`, error);
+        return emptyReport;
+    } finally {
+        if (localSiteDb) {
+            localSiteDb.close();
+        }
+    }
+}
+
+/**
+ * Формирует отчет по структурированным данным: типы schema.org по всему сайту,
+ * страницы с невалидным JSON-LD и страницы без обязательных тегов Open Graph.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @param {object} options
+ * @param {string} [options.filter] - 'invalid' (невалидный JSON-LD), 'missingOg' (нет обязательных og-тегов).
+ * @param {string} [options.schemaType] - Только страницы с этим типом schema.org.
+ * @param {number} [options.limit] - Максимальное количество страниц в ответе.
+ * @returns {{pages: Array<Object>, total: number, summary: Object}}
+ */
+function getStructuredDataReport(dbName, { filter = '', schemaType = '', limit = 500 } = {}) {
+    const emptyReport = { pages: [], total: 0, summary: { htmlPages: 0, withStructuredData: 0, invalid: 0, missingOg: 0, schemaTypes: [] } };
+    const dbPath = getSiteDbPath(dbName);
+    if (!fs.existsSync(dbPath)) {
+        return emptyReport;
+    }
+
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+
+        const requiredOgPlaceholders = REQUIRED_OG_TAGS.map(() => '?').join(',');
+        // Отчет строится по успешно загруженным HTML-страницам
+        const htmlPageCondition = `p.contentType = 'HTML_PAGE' AND p.responseStatus = 200`;
+        const hasStructuredDataCondition = `(EXISTS (SELECT 1 FROM structured_data sd WHERE sd.pageId = p.id) OR EXISTS (SELECT 1 FROM social_tags st WHERE st.pageId = p.id))`;
+        const invalidCondition = `EXISTS (SELECT 1 FROM structured_data sd WHERE sd.pageId = p.id AND sd.valid = 0)`;
+        const missingOgCondition = `(SELECT COUNT(DISTINCT st.property) FROM social_tags st WHERE st.pageId = p.id AND st.property IN (${requiredOgPlaceholders}) AND st.content != '') < ${REQUIRED_OG_TAGS.length}`;
+
+        const summaryRow = localSiteDb.prepare(`
+            SELECT
+                COUNT(*) as htmlPages,
+                SUM(CASE WHEN ${hasStructuredDataCondition} THEN 1 ELSE 0 END) as withStructuredData,
+                SUM(CASE WHEN ${invalidCondition} THEN 1 ELSE 0 END) as invalid,
+                SUM(CASE WHEN ${missingOgCondition} THEN 1 ELSE 0 END) as missingOg
+            FROM pages p
+            WHERE ${htmlPageCondition}
+        `).get(...REQUIRED_OG_TAGS);
+        const schemaTypes = localSiteDb.prepare(`
+            SELECT sd.schemaType, COUNT(DISTINCT sd.pageId) as pages,
+                   SUM(CASE WHEN sd.format = 'json-ld' THEN 1 ELSE 0 END) as jsonLd,
+                   SUM(CASE WHEN sd.format = 'microdata' THEN 1 ELSE 0 END) as microdata
+            FROM structured_data sd
+            WHERE sd.valid = 1 AND sd.schemaType IS NOT NULL
+            GROUP BY sd.schemaType
+            ORDER BY pages DESC, sd.schemaType
+        `).all();
+
+        const whereClauses = [htmlPageCondition];
+        const queryParams = [];
+        if (filter === 'invalid') {
+            whereClauses.push(invalidCondition);
+        } else if (filter === 'missingOg') {
+            whereClauses.push(missingOgCondition);
+            queryParams.push(...REQUIRED_OG_TAGS);
+        } else {
+            whereClauses.push(hasStructuredDataCondition);
+        }
+        if (schemaType) {
+            whereClauses.push(`EXISTS (SELECT 1 FROM structured_data sd WHERE sd.pageId = p.id AND sd.schemaType = ?)`);
+            queryParams.push(schemaType);
+        }
+        const whereString = `WHERE ${whereClauses.join(' AND ')}`;
+
+        const total = localSiteDb.prepare(`SELECT COUNT(*) as count FROM pages p ${whereString}`).get(...queryParams).count;
+        const pages = localSiteDb.prepare(`SELECT p.id, p.url FROM pages p ${whereString} ORDER BY p.url LIMIT ?`).all(...queryParams, limit);
+
+        const summary = {
+            htmlPages: summaryRow.htmlPages,
+            withStructuredData: summaryRow.withStructuredData || 0,
+            invalid: summaryRow.invalid || 0,
+            missingOg: summaryRow.missingOg || 0,
+            schemaTypes,
+        };
+
+        if (pages.length === 0) {
+            return { pages: [], total, summary };
+        }
+
+        const pageIds = pages.map(p => p.id);
+        const pageIdPlaceholders = pageIds.map(() => '?').join(',');
+        const itemsByPageId = localSiteDb.prepare(`
+            SELECT pageId, format, schemaType, valid, content, error FROM structured_data WHERE pageId IN (${pageIdPlaceholders}) ORDER BY id
+        `).all(...pageIds).reduce((acc, item) => {
+            (acc[item.pageId] = acc[item.pageId] || []).push(item);
+            return acc;
+        }, {});
+        const tagsByPageId = localSiteDb.prepare(`
+            SELECT pageId, property, content FROM social_tags WHERE pageId IN (${pageIdPlaceholders}) ORDER BY id
+        `).all(...pageIds).reduce((acc, tag) => {
+            (acc[tag.pageId] = acc[tag.pageId] || []).push(tag);
             return acc;
         }, {});
 
-        const pagesWithDetails = pages.map(page => ({
-            ...page,
-            headers: headersByPageId[page.id] || [],
-            outgoingLinks: [...new Set(outgoingLinksByPageId[page.id] || [])],
-            incomingLinks: [...new Set(incomingLinksByUrl[page.url] || [])],
-        }));
+        return {
+            pages: pages.map(page => {
+                // Узел с несколькими типами хранится строкой на каждый тип — для просмотра склеиваем их обратно
+                const itemsByContent = new Map();
+                (itemsByPageId[page.id] || []).forEach(({ format, schemaType: type, valid, content, error }) => {
+                    const key = `${format}:${content}`;
+                    const existing = itemsByContent.get(key);
+                    if (existing) {
+                        if (type) existing.schemaType = existing.schemaType ? `${existing.schemaType}, ${type}` : type;
+                    } else {
+                        itemsByContent.set(key, { format, schemaType: type, valid: Boolean(valid), content, error });
+                    }
+                });
+                const items = [...itemsByContent.values()];
+                const socialTags = (tagsByPageId[page.id] || []).map(({ property, content }) => ({ property, content }));
+                const presentOgTags = new Set(socialTags.filter(tag => tag.content).map(tag => tag.property));
+                return {
+                    url: page.url,
+                    schemaTypes: [...new Set((itemsByPageId[page.id] || []).filter(item => item.schemaType).map(item => item.schemaType))],
+                    items,
+                    socialTags,
+                    missingOgTags: REQUIRED_OG_TAGS.filter(tag => !presentOgTags.has(tag)),
+                };
+            }),
+            total,
+            summary,
+        };
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении отчета по структурированным данным из ${dbName}.db:`, error);
+        return emptyReport;
+    } finally {
+        if (localSiteDb) {
+            localSiteDb.close();
+        }
+    }
+}
+
+// Виды дублей в отчете
+const DUPLICATE_TYPES = ['exact', 'near', 'title', 'description', 'h1'];
+
+// Больше блоков simhash не берем: при низком пороге блоки короче 8 бит собирали бы в корзину почти все страницы
+const NEAR_DUPLICATES_MAX_BLOCKS = 8;
+// Сколько соседей по корзине (в порядке хешей) сравнивается с каждым хешем
+const NEAR_DUPLICATES_BUCKET_WINDOW = 100;
+
+/**
+ * Объединяет страницы в группы почти дублей: страницы связаны, если сходство их simhash не ниже порога.
+ * Группа — компонента связности, поэтому две страницы группы могут быть похожи друг на друга и через третью.
+ * Сравниваются не все пары: simhash делится на блоки (maxDistance + 1 штук), и если хеши отличаются не более
+ * чем в maxDistance битах, хотя бы один блок у них совпадает целиком. Поэтому сравниваем только хеши с общим блоком.
+ * Работа ограничена: блоков не больше NEAR_DUPLICATES_MAX_BLOCKS, а в корзине каждый хеш сравнивается только
+ * с NEAR_DUPLICATES_BUCKET_WINDOW следующими. Если хоть одно ограничение сработало, часть пар могла быть пропущена
+ * и результат помечается как приближенный.
+ * @param {Array<{url: string, contentHash: string, simhash: string, wordCount: number}>} pages
+ * @param {number} threshold - Минимальное сходство (от 0 до 1).
+ * @returns {{groups: Array<{pages: Array<Object>, minSimilarity: number}>, approximate: boolean}}
+ */
+function groupNearDuplicates(pages, threshold) {
+    // Одинаковые simhash сравниваем один раз
+    const bySimhash = new Map();
+    pages.forEach(page => {
+        if (!bySimhash.has(page.simhash)) bySimhash.set(page.simhash, []);
+        bySimhash.get(page.simhash).push(page);
+    });
+    // Хеши одной длины, поэтому строковый порядок совпадает с числовым: близкие хеши оказываются в корзинах рядом
+    const hashes = [...bySimhash.keys()].sort();
+    const parsed = hashes.map(parseSimhash);
+
+    // Сколько битов может различаться при заданном пороге (погрешность — от умножения дробей).
+    // Разные simhash при нулевом расстоянии не связаны: группы — только страницы с одинаковым хешем
+    const maxDistance = Math.floor((1 - threshold) * 64 + 1e-9);
+    const blockCount = Math.min(maxDistance === 0 ? 0 : maxDistance + 1, NEAR_DUPLICATES_MAX_BLOCKS);
+    let approximate = maxDistance + 1 > NEAR_DUPLICATES_MAX_BLOCKS;
+    const blockKeys = hashes.map(hash => {
+        const value = BigInt(`0x${hash}`);
+        return Array.from({ length: blockCount }, (unused, block) => {
+            const start = Math.floor(block * 64 / blockCount);
+            const end = Math.floor((block + 1) * 64 / blockCount);
+            return Number((value >> BigInt(start)) & ((1n << BigInt(end - start)) - 1n));
+        });
+    });
+    // Пару с общим блоком раньше текущего уже сравнили
+    const sharesEarlierBlock = (keysI, keysJ, block) => {
+        for (let earlier = 0; earlier < block; earlier++) {
+            if (keysI[earlier] === keysJ[earlier]) return true;
+        }
+        return false;
+    };
+
+    const parent = hashes.map((hash, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const minSimilarity = new Map(); // корень -> минимальное сходство среди связей группы
+    for (let block = 0; block < blockCount; block++) {
+        const buckets = new Map(); // значение блока -> индексы хешей
+        hashes.forEach((hash, i) => {
+            const key = blockKeys[i][block];
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(i);
+        });
+        for (const bucket of buckets.values()) {
+            if (bucket.length > NEAR_DUPLICATES_BUCKET_WINDOW + 1) approximate = true;
+            for (let a = 0; a < bucket.length; a++) {
+                for (let b = a + 1; b < bucket.length && b <= a + NEAR_DUPLICATES_BUCKET_WINDOW; b++) {
+                    const i = bucket[a];
+                    const j = bucket[b];
+                    if (sharesEarlierBlock(blockKeys[i], blockKeys[j], block)) continue;
+                    const similarity = simhashSimilarity(parsed[i], parsed[j]);
+                    if (similarity < threshold) continue;
+                    const rootI = find(i);
+                    const rootJ = find(j);
+                    const linkMin = Math.min(similarity, minSimilarity.get(rootI) ?? 1, minSimilarity.get(rootJ) ?? 1);
+                    parent[rootJ] = rootI;
+                    minSimilarity.set(rootI, linkMin);
+                }
+            }
+        }
+    }
+
+    const groups = new Map();
+    hashes.forEach((hash, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(...bySimhash.get(hash));
+    });
+    return {
+        groups: [...groups.entries()]
+            // Группа только из точных дублей уже есть в отчете 'exact'
+            .filter(([, groupPages]) => new Set(groupPages.map(p => p.contentHash)).size > 1)
+            .map(([root, groupPages]) => ({ pages: groupPages, minSimilarity: minSimilarity.get(root) ?? 1 })),
+        approximate,
+    };
+}
+
+/**
+ * Формирует отчет по дублям: точные и почти дубли контента, повторяющиеся title, description и H1.
+ * Учитываются только успешно загруженные HTML-страницы.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @param {object} options
+ * @param {string} [options.type] - Вид дублей из DUPLICATE_TYPES.
+ * @param {number} [options.threshold] - Порог сходства для почти дублей (от 0 до 1).
+ * @param {number} [options.limit] - Максимальное количество групп в ответе.
+ * @returns {{groups: Array<{key: string, pages: Array<Object>, similarity: number|null}>, total: number, summary: Object, approximate: boolean}}
+ *   approximate — почти дубли найдены с ограничением числа сравнений (см. groupNearDuplicates).
+ */
+function getDuplicatesReport(dbName, { type = 'exact', threshold = 0.9, limit = 500 } = {}) {
+    const emptyReport = { groups: [], total: 0, summary: Object.fromEntries(DUPLICATE_TYPES.map(t => [t, 0])), approximate: false };
+    const dbPath = getSiteDbPath(dbName);
+    if (!fs.existsSync(dbPath)) {
+        return emptyReport;
+    }
+
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+
+        const pages = localSiteDb.prepare(`
+            SELECT id, url, metaTitle, metaDescription, wordCount, contentHash, simhash
+            FROM pages
+            WHERE contentType = 'HTML_PAGE' AND responseStatus = 200
+            ORDER BY url
+        `).all();
+        const h1Rows = localSiteDb.prepare(`
+            SELECT DISTINCT h.pageId, h.value
+            FROM headers h
+            JOIN pages p ON p.id = h.pageId
+            WHERE h.type = 'h1' AND p.contentType = 'HTML_PAGE' AND p.responseStatus = 200
+        `).all();
+        const pagesById = new Map(pages.map(page => [page.id, page]));
+
+        // Группирует страницы по значению; пустые значения не считаются дублями
+        const groupByValue = (rows, getValue, getPage = row => row) => {
+            const byValue = new Map();
+            rows.forEach(row => {
+                const value = getValue(row);
+                if (!value) return;
+                const key = value.trim().replace(/\s+/g, ' ').toLowerCase();
+                if (!key) return;
+                if (!byValue.has(key)) byValue.set(key, { key: value.trim(), pages: [] });
+                byValue.get(key).pages.push(getPage(row));
+            });
+            return [...byValue.values()].filter(group => group.pages.length > 1).map(group => ({ ...group, similarity: null }));
+        };
+
+        // Каждая группировка считается не больше одного раза: для выбранной вкладки и для сводки
+        let approximate = false;
+        const groupsByType = {
+            exact: () => groupByValue(pages, page => page.contentHash),
+            near: () => {
+                const nearDuplicates = groupNearDuplicates(pages.filter(page => page.simhash), threshold);
+                approximate = nearDuplicates.approximate;
+                return nearDuplicates.groups.map(group => ({ key: group.pages[0].url, pages: group.pages, similarity: group.minSimilarity }));
+            },
+            title: () => groupByValue(pages, page => page.metaTitle),
+            description: () => groupByValue(pages, page => page.metaDescription),
+            h1: () => groupByValue(h1Rows, row => row.value, row => pagesById.get(row.pageId)),
+        };
+        const reportType = groupsByType[type] ? type : 'exact';
+        const groups = groupsByType[reportType]()
+            .sort((a, b) => (b.pages.length - a.pages.length) || a.key.localeCompare(b.key));
 
-        return { pages: pagesWithDetails, total };
+        const summary = Object.fromEntries(DUPLICATE_TYPES.map(t => [t, t === reportType ? groups.length : groupsByType[t]().length]));
 
+        return {
+            groups: groups.slice(0, limit).map(group => ({
+                ...group,
+                pages: group.pages.map(({ url, metaTitle, wordCount }) => ({ url, metaTitle, wordCount })),
+            })),
+            total: groups.length,
+            summary,
+            approximate,
+        };
     } catch (error) {
-        console.error(`[DB] Ошибка при получении данных страницы из ${dbName}.db:`, error);
-        return { pages: [], total: 0 };
+        console.error(`[DB] Ошибка при получении отчета по дублям из ${dbName}.db:`, error);
+        return emptyReport;
     } finally {
         if (localSiteDb) {
-            localSiteDb.close(); // Закрываем соединение только для чтения
+            localSiteDb.close();
         }
     }
 }
 
 /**
- * Получает все URL-адреса из таблицы pages для указанной базы данных сайта.
- * Используется для возобновления сканирования, чтобы не обрабатывать уже известные URL.
+ * Отчет по заголовкам безопасности, кеширования и cookie.
+ * Сводка — число страниц, не прошедших каждую проверку, по всему сайту.
+ * @param {string} dbName
+ * @param {object} [options]
+ * @param {string} [options.filter] - '' — страницы с любыми проблемами, ключ из SECURITY_CHECKS — только с этой проблемой,
+ *   'cookies' — список всех Set-Cookie с атрибутами.
+ * @param {number} [options.limit]
+ * @returns {{pages: Array<Object>, cookies: Array<Object>, total: number, summary: Object}}
+ */
+function getSecurityReport(dbName, { filter = '', limit = 500 } = {}) {
+    const checkKeys = Object.values(SECURITY_CHECKS);
+    const emptyReport = { pages: [], cookies: [], total: 0, summary: { auditedPages: 0, pagesWithIssues: 0, checks: {}, cookies: 0 } };
+    const dbPath = getSiteDbPath(dbName);
+    if (!fs.existsSync(dbPath)) {
+        return emptyReport;
+    }
+
+    let localSiteDb;
+    try {
+        localSiteDb = new Database(dbPath, { readonly: true });
+        // В базах старых сканирований заголовки не сохранялись
+        const hasAudit = localSiteDb.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'security_issues'`).get();
+        if (!hasAudit) {
+            return emptyReport;
+        }
+
+        const checkCounts = localSiteDb.prepare(`
+            SELECT checkKey, COUNT(DISTINCT pageId) as pages FROM security_issues GROUP BY checkKey
+        `).all().reduce((acc, row) => ({ ...acc, [row.checkKey]: row.pages }), {});
+        const summary = {
+            auditedPages: localSiteDb.prepare('SELECT COUNT(DISTINCT pageId) as count FROM response_headers').get().count,
+            pagesWithIssues: localSiteDb.prepare('SELECT COUNT(DISTINCT pageId) as count FROM security_issues').get().count,
+            checks: Object.fromEntries(checkKeys.map(key => [key, checkCounts[key] || 0])),
+            cookies: localSiteDb.prepare('SELECT COUNT(*) as count FROM cookies').get().count,
+        };
+
+        if (filter === 'cookies') {
+            const total = summary.cookies;
+            const cookies = localSiteDb.prepare(`
+                SELECT p.url, c.name, c.secure, c.httpOnly, c.sameSite, c.domain, c.path
+                FROM cookies c JOIN pages p ON p.id = c.pageId
+                ORDER BY c.name, p.url, c.position
+                LIMIT ?
+            `).all(limit).map(cookie => ({ ...cookie, secure: Boolean(cookie.secure), httpOnly: Boolean(cookie.httpOnly) }));
+            return { pages: [], cookies, total, summary };
+        }
+
+        const checkCondition = checkKeys.includes(filter) ? 'WHERE si.checkKey = ?' : '';
+        const checkParams = checkKeys.includes(filter) ? [filter] : [];
+        const total = localSiteDb.prepare(`SELECT COUNT(DISTINCT si.pageId) as count FROM security_issues si ${checkCondition}`).get(...checkParams).count;
+        const pages = localSiteDb.prepare(`
+            SELECT p.id, p.url FROM pages p
+            WHERE p.id IN (SELECT si.pageId FROM security_issues si ${checkCondition})
+            ORDER BY p.url
+            LIMIT ?
+        `).all(...checkParams, limit);
+
+        if (pages.length === 0) {
+            return { pages: [], cookies: [], total, summary };
+        }
+
+        const pageIds = pages.map(p => p.id);
+        const issuesByPageId = localSiteDb.prepare(`
+            SELECT pageId, checkKey, detail FROM security_issues WHERE pageId IN (${pageIds.map(() => '?').join(',')}) ORDER BY rowid
+        `).all(...pageIds).reduce((acc, issue) => {
+            (acc[issue.pageId] = acc[issue.pageId] || []).push({ check: issue.checkKey, detail: issue.detail });
+            return acc;
+        }, {});
+
+        return {
+            pages: pages.map(page => ({ url: page.url, issues: issuesByPageId[page.id] || [] })),
+            cookies: [],
+            total,
+            summary,
+        };
+    } catch (error) {
+        console.error(`[DB] Ошибка при получении отчета по заголовкам безопасности из ${dbName}.db:`, error);
+        return emptyReport;
+    } finally {
+        if (localSiteDb) {
+            localSiteDb.close();
+        }
+    }
+}
+
+// Ожидаемые MIME-типы для каждого типа ресурса (для поиска несоответствий)
+const EXPECTED_MIME_CONDITIONS = {
+    image: "r.mimeType LIKE 'image/%'",
+    script: "(r.mimeType LIKE '%javascript%' OR r.mimeType LIKE '%ecmascript%')",
+    stylesheet: "r.mimeType = 'text/css'",
+    font: "(r.mimeType LIKE 'font/%' OR r.mimeType LIKE 'application/font%' OR r.mimeType LIKE 'application/x-font%' OR r.mimeType = 'application/vnd.ms-fontobject' OR r.mimeType = 'application/octet-stream')",
+};
+
+/**
+ * Формирует отчет по ресурсам страниц: битые, слишком большие, с неверным MIME-типом и неиспользуемые предзагрузки.
  * @param {string} dbName - Имя базы данных сайта.
- * @returns {string[]} Массив URL-адресов.
+ * @param {object} options
+ * @param {string} [options.filter] - 'broken', 'oversized', 'mimeMismatch', 'unusedPreload'.
+ * @param {string} [options.type] - Фильтр по типу ресурса (image, script, stylesheet, font, preload).
+ * @param {number} [options.maxSize] - Порог размера в байтах для фильтра 'oversized'.
+ * @param {number} [options.limit] - Максимальное количество ресурсов в ответе.
+ * @returns {{resources: Array<Object>, total: number, summary: Object}}
  */
-function getScannedUrls(dbName) {
+function getResourcesReport(dbName, { filter = '', type = '', maxSize = 300 * 1024, limit = 500 } = {}) {
+    const emptyReport = { resources: [], total: 0, summary: { total: 0, broken: 0, oversized: 0, mimeMismatch: 0, unusedPreload: 0, byType: {} } };
     const dbPath = getSiteDbPath(dbName);
     if (!fs.existsSync(dbPath)) {
-        return [];
+        return emptyReport;
     }
+
     let localSiteDb;
     try {
         localSiteDb = new Database(dbPath, { readonly: true });
-        const stmt = localSiteDb.prepare('SELECT url FROM pages');
-        return stmt.all().map(row => row.url);
+
+        const brokenCondition = '(r.status >= 400 OR r.errorType IS NOT NULL)';
+        const oversizedCondition = 'r.size > @maxSize';
+        const mimeMismatchCondition = `(r.status < 400 AND r.mimeType IS NOT NULL AND (${Object.entries(EXPECTED_MIME_CONDITIONS)
+            .map(([resourceType, condition]) => `(r.type = '${resourceType}' AND NOT ${condition})`)
+            .join(' OR ')}))`;
+        // Предзагрузка не используется, если на той же странице ресурс не подключен иначе
+        // и не упоминается в CSS-файлах, подключенных на этой странице
+        const unusedPreloadCondition = `r.url IN (
+            SELECT pr.resourceUrl FROM page_resources pr
+            WHERE pr.type = 'preload'
+              AND NOT EXISTS (SELECT 1 FROM page_resources pr2 WHERE pr2.pageId = pr.pageId AND pr2.resourceUrl = pr.resourceUrl AND pr2.type != 'preload')
+              AND NOT EXISTS (
+                  SELECT 1 FROM stylesheet_resources sr
+                  JOIN page_resources pr3 ON pr3.resourceUrl = sr.stylesheetUrl AND pr3.pageId = pr.pageId
+                  WHERE sr.resourceUrl = pr.resourceUrl
+              )
+        )`;
+
+        const summaryRow = localSiteDb.prepare(`
+            SELECT
+                COUNT(*) as total,
+                SUM(CASE WHEN ${brokenCondition} THEN 1 ELSE 0 END) as broken,
+                SUM(CASE WHEN ${oversizedCondition} THEN 1 ELSE 0 END) as oversized,
+                SUM(CASE WHEN ${mimeMismatchCondition} THEN 1 ELSE 0 END) as mimeMismatch,
+                SUM(CASE WHEN ${unusedPreloadCondition} THEN 1 ELSE 0 END) as unusedPreload
+            FROM resources r
+        `).get({ maxSize });
+        const byType = localSiteDb.prepare('SELECT type, COUNT(*) as count FROM resources GROUP BY type').all()
+            .reduce((acc, row) => ({ ...acc, [row.type]: row.count }), {});
+
+        const whereClauses = [];
+        if (filter === 'broken') whereClauses.push(brokenCondition);
+        else if (filter === 'oversized') whereClauses.push(oversizedCondition);
+        else if (filter === 'mimeMismatch') whereClauses.push(mimeMismatchCondition);
+        else if (filter === 'unusedPreload') whereClauses.push(unusedPreloadCondition);
+        if (type) whereClauses.push('r.type = @type');
+        const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+        const queryParams = { maxSize, type, limit };
+        const total = localSiteDb.prepare(`SELECT COUNT(*) as count FROM resources r ${whereString}`).get(queryParams).count;
+        const resources = localSiteDb.prepare(`
+            SELECT r.url, r.type, r.mimeType, r.size, r.status, r.responseTime, r.errorType, r.errorMessage,
+                   (SELECT COUNT(DISTINCT pr.pageId) FROM page_resources pr WHERE pr.resourceUrl = r.url) as usedOnPages,
+                   (SELECT GROUP_CONCAT(sr.stylesheetUrl, ' ') FROM stylesheet_resources sr WHERE sr.resourceUrl = r.url) as usedInStylesheets
+            FROM resources r
+            ${whereString}
+            ORDER BY ${brokenCondition} DESC, r.size DESC
+            LIMIT @limit
+        `).all(queryParams);
+
+        if (resources.length === 0) {
+            return { ...emptyReport, summary: { ...summaryRow, byType } };
+        }
+
+        const urlPlaceholders = resources.map(() => '?').join(',');
+        const pageRows = localSiteDb.prepare(`
+            SELECT DISTINCT pr.resourceUrl, p.url as pageUrl
+            FROM page_resources pr
+            JOIN pages p ON p.id = pr.pageId
+            WHERE pr.resourceUrl IN (${urlPlaceholders})
+        `).all(...resources.map(r => r.url));
+        const pagesByResource = pageRows.reduce((acc, row) => {
+            (acc[row.resourceUrl] = acc[row.resourceUrl] || []).push(row.pageUrl);
+            return acc;
+        }, {});
+
+        return {
+            resources: resources.map(resource => ({
+                ...resource,
+                usedInStylesheets: resource.usedInStylesheets ? resource.usedInStylesheets.split(' ') : [],
+                pages: pagesByResource[resource.url] || [],
+            })),
+            total,
+            summary: {
+                total: summaryRow.total,
+                broken: summaryRow.broken || 0,
+                oversized: summaryRow.oversized || 0,
+                mimeMismatch: summaryRow.mimeMismatch || 0,
+                unusedPreload: summaryRow.unusedPreload || 0,
+                byType,
+            },
+        };
     } catch (error) {
-        console.error(`[DB] Ошибка при получении отсканированных URL-адресов из ${dbName}.db:`, error);
-        return [];
+        console.error(`[DB] Ошибка при получении отчета по ресурсам из ${dbName}.db:`, error);
+        return emptyReport;
     } finally {
         if (localSiteDb) {
             localSiteDb.close();
@@ -356,25 +2374,25 @@ function getScannedUrls(dbName) {
 }
 
 /**
- * Получает все уникальные URL-адреса, на которые есть ссылки (обнаруженные URL).
- * Используется для возобновления сканирования, чтобы найти еще не обработанные страницы.
+ * Построчно читает результат запроса к базе сайта через отдельное соединение только для чтения.
+ * Строки не собираются в массив, поэтому память не растет с размером сайта; благодаря WAL
+ * основное соединение воркера может писать в базу, пока идет чтение.
  * @param {string} dbName - Имя базы данных сайта.
- * @returns {string[]} Массив уникальных URL-адресов.
+ * @param {string} sql - Запрос.
+ * @param {string} description - Что читаем (для сообщения об ошибке).
+ * @returns {Generator<object>}
  */
-function getAllDestinationUrls(dbName) {
+function* iterateSiteDbRows(dbName, sql, description) {
     const dbPath = getSiteDbPath(dbName);
     if (!fs.existsSync(dbPath)) {
-        return [];
+        return;
     }
     let localSiteDb;
     try {
         localSiteDb = new Database(dbPath, { readonly: true });
-        // DISTINCT гарантирует, что мы получим только уникальные URL
-        const stmt = localSiteDb.prepare('SELECT DISTINCT destinationUrl FROM outgoing_links');
-        return stmt.all().map(row => row.destinationUrl);
+        yield* localSiteDb.prepare(sql).iterate();
     } catch (error) {
-        console.error(`[DB] Ошибка при получении обнаруженных URL-адресов из ${dbName}.db:`, error);
-        return [];
+        console.error(`[DB] Ошибка при чтении ${description} из ${dbName}.db:`, error);
     } finally {
         if (localSiteDb) {
             localSiteDb.close();
@@ -382,16 +2400,135 @@ function getAllDestinationUrls(dbName) {
     }
 }
 
+/**
+ * Перебирает все URL-адреса из таблицы pages для указанной базы данных сайта.
+ * Используется для возобновления сканирования, чтобы не обрабатывать уже известные URL.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @returns {Generator<string>} URL-адреса.
+ */
+function* iterateScannedUrls(dbName) {
+    for (const row of iterateSiteDbRows(dbName, 'SELECT url FROM pages', 'отсканированных URL-адресов')) {
+        yield row.url;
+    }
+}
+
+/**
+ * Перебирает все уникальные URL-адреса, на которые есть ссылки (обнаруженные URL).
+ * Используется для возобновления сканирования, чтобы найти еще не обработанные страницы.
+ * Глубина URL восстанавливается по самой неглубокой ссылающейся странице.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @returns {Generator<{url: string, depth: number|null, referrerUrl: string}>} Уникальные URL с глубиной и источником.
+ */
+function iterateDestinationUrls(dbName) {
+    // GROUP BY гарантирует, что мы получим только уникальные URL.
+    // При MIN() SQLite берет остальные колонки (p.url) из той же строки, что дала минимум
+    return iterateSiteDbRows(dbName, `
+        SELECT ol.destinationUrl AS url, MIN(p.depth) + 1 AS depth, p.url AS referrerUrl
+        FROM outgoing_links ol
+        JOIN pages p ON p.id = ol.pageId
+        GROUP BY ol.destinationUrl
+    `, 'обнаруженных URL-адресов');
+}
+
+/**
+ * Перебирает очередь прошлого запуска, отложенную resetCrawlUrls, в исходном порядке.
+ * Используется при возобновлении раньше ссылок из outgoing_links: в ней есть и URL, найденные не по ссылкам
+ * (sitemap, canonical, hreflang, цели редиректов), с исходной глубиной и источником.
+ * @param {string} dbName - Имя базы данных сайта.
+ * @returns {Generator<{url: string, depth: number|null, referrerUrl: string|null}>} URL в порядке очереди.
+ */
+function iteratePreviousFrontier(dbName) {
+    return iterateSiteDbRows(dbName, 'SELECT url, depth, referrerUrl FROM previous_frontier ORDER BY position', 'сохраненной очереди');
+}
+
+/**
+ * Перебирает внешние URL из предыдущей сессии, которые найдены, но еще не проверены.
+ * Уже проверенные не читаются: проверщик узнает о них по базе (isExternalUrlChecked).
+ * @param {string} dbName - Имя базы данных сайта.
+ * @returns {Generator<string>}
+ */
+function* iterateUncheckedExternalUrls(dbName) {
+    for (const row of iterateSiteDbRows(dbName, `
+        SELECT DISTINCT destinationUrl FROM external_links
+        WHERE destinationUrl NOT IN (SELECT url FROM external_urls)
+    `, 'непроверенных внешних URL')) {
+        yield row.destinationUrl;
+    }
+}
+
+/**
+ * Перебирает ресурсы из предыдущей сессии, которые найдены, но еще не загружены.
+ * Уже загруженные не читаются: загрузчик узнает о них по базе (isResourceFetched).
+ * @param {string} dbName - Имя базы данных сайта.
+ * @returns {Generator<{url: string, type: string}>}
+ */
+function iterateUnfetchedResources(dbName) {
+    return iterateSiteDbRows(dbName, `
+        SELECT resourceUrl as url, MIN(type) as type FROM page_resources
+        WHERE resourceUrl NOT IN (SELECT url FROM resources)
+        GROUP BY resourceUrl
+    `, 'незагруженных ресурсов');
+}
+
 // Экспортируем функции с понятными именами
 module.exports = {
     getDbPath: getSiteDbPath, // Экспортируем getSiteDbPath как getDbPath для совместимости
     initDb: initSiteDb,       // Экспортируем initSiteDb как initDb для совместимости
+    closeDb: closeSiteDb,
     savePageData,
+    deleteSkippedPages,
     saveHeader,
     saveOutgoingLink,
+    saveUrlVariant,
+    saveHreflangLinks,
+    saveStructuredData,
+    saveExtractionRules,
+    saveCustomExtractions,
+    saveSearchRules,
+    saveSearchResults,
+    saveResponseHeaders,
+    saveSecurityAudit,
+    saveExternalLink,
+    saveExternalCheckResult,
+    savePageResources,
+    saveStylesheetResources,
+    saveResourceResult,
+    saveSitemapUrls,
+    saveRedirectChain,
+    addSeenUrl,
+    addDepthLimitedUrl,
+    addQueuedUrl,
+    getQueuedUrls,
+    markUrlDequeued,
+    getCrawlUrlStats,
+    resetCrawlUrls,
+    dropPreviousFrontier,
+    getScanElapsedMs,
+    saveScanElapsedMs,
+    clearCrawlUrls,
+    updateDiscoveryFlags,
+    flushWrites,
+    flushWritesIfDue,
     getAllScannedSites,
     updateScanStatus,
+    startScanRun,
+    getScanRuns,
+    getScanRun,
     getAllPages: getAllPagesData, // Экспортируем getAllPagesData как getAllPages
-    getScannedUrls,
-    getAllDestinationUrls,
+    getDepthDistribution,
+    getRedirectsReport,
+    getExternalLinksReport,
+    getResourcesReport,
+    getHreflangReport,
+    getStructuredDataReport,
+    getDuplicatesReport,
+    getSecurityReport,
+    iterateScannedUrls,
+    iterateDestinationUrls,
+    iteratePreviousFrontier,
+    iterateUncheckedExternalUrls,
+    iterateUnfetchedResources,
+    isExternalUrlChecked,
+    isResourceFetched,
+    isSitemapUrl,
 };
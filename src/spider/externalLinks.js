@@ -0,0 +1,76 @@
+// src/spider/externalLinks.js
+const { classifyFetchError } = require('./fetchErrors');
+const { createTaskQueue } = require('./taskQueue');
+
+/**
+ * Создает проверщик внешних ссылок с собственным лимитом параллельных запросов.
+ * Каждый уникальный URL проверяется один раз: сначала HEAD, при ошибке или статусе >= 400 — GET.
+ * Содержимое внешних страниц не разбирается, ссылки с них не собираются.
+ * @param {object} options
+ * @param {Function} options.fetch - Функция fetch.
+ * @param {object} options.headers - Заголовки запроса.
+ * @param {number} [options.concurrency] - Максимум одновременных проверок.
+ * @param {number} [options.timeoutMs] - Таймаут одного запроса.
+ * @param {Function} [options.isChecked] - (url) => boolean, проверен ли URL раньше (в базе сайта).
+ * @param {Function} options.onResult - Вызывается с результатом проверки каждого URL.
+ * @param {Function} [options.log] - Функция логирования (level, ...args).
+ * @returns {{enqueue: Function, drain: Function, pause: Function, resume: Function, getStats: Function}}
+ */
+function createExternalLinkChecker({ fetch, headers, concurrency = 5, timeoutMs = 30000, isChecked = () => false, onResult, log = () => { } }) {
+    const request = async (url, method) => {
+        const start = Date.now();
+        const response = await fetch(url, {
+            method,
+            headers,
+            redirect: 'follow',
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        await response.body?.cancel?.(); // Тело не нужно, нас интересует только статус
+        return { status: response.status, responseTime: Date.now() - start };
+    };
+
+    const check = async (url) => {
+        const result = { url, status: null, responseTime: null, method: 'HEAD', errorType: null, errorMessage: null };
+        try {
+            let response;
+            try {
+                response = await request(url, 'HEAD');
+            } catch (error) {
+                response = null; // Некоторые серверы обрывают HEAD-запросы — пробуем GET
+            }
+            // Многие серверы не поддерживают HEAD (405/501) или отвечают на него иначе, чем на GET
+            if (!response || response.status >= 400) {
+                result.method = 'GET';
+                response = await request(url, 'GET');
+            }
+            result.status = response.status;
+            result.responseTime = response.responseTime;
+        } catch (error) {
+            ({ errorType: result.errorType, errorMessage: result.errorMessage } = classifyFetchError(error));
+        }
+        return result;
+    };
+
+    const queue = createTaskQueue({
+        concurrency,
+        isDone: isChecked,
+        worker: async (url) => onResult(await check(url)),
+        onError: (error, url) => log('error', `[SPIDER_EXTERNAL] Ошибка при проверке ${url}:`, error),
+    });
+
+    return {
+        /**
+         * Ставит URL в очередь проверки, если он еще не проверялся.
+         * @param {string} url
+         */
+        enqueue: (url) => queue.enqueue(url),
+        drain: queue.drain,
+        pause: queue.pause,
+        resume: queue.resume,
+        getStats: queue.getStats,
+    };
+}
+
+module.exports = {
+    createExternalLinkChecker,
+};
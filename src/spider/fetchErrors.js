@@ -0,0 +1,56 @@
+// src/spider/fetchErrors.js
+
+// Категории сетевых ошибок, которые сохраняются в колонку pages.errorType
+const ERROR_TYPES = {
+    TIMEOUT: 'timeout',
+    DNS: 'dns',
+    CONNECTION_REFUSED: 'connection_refused',
+    TLS: 'tls',
+    RESET: 'reset',
+    INVALID_URL: 'invalid_url',
+    OTHER: 'other',
+};
+
+// Ошибки, при которых имеет смысл повторить запрос
+const RETRYABLE_ERROR_TYPES = [ERROR_TYPES.TIMEOUT, ERROR_TYPES.CONNECTION_REFUSED, ERROR_TYPES.RESET, ERROR_TYPES.OTHER];
+
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME', 'EAI_FAIL'];
+const TIMEOUT_CODES = ['ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'];
+const RESET_CODES = ['ECONNRESET', 'EPIPE', 'UND_ERR_SOCKET', 'ECONNABORTED'];
+
+/**
+ * Определяет категорию ошибки запроса.
+ * Встроенный fetch оборачивает системную ошибку в TypeError('fetch failed'), поэтому смотрим и на error.cause.
+ * @param {Error} error - Ошибка, выброшенная fetch.
+ * @returns {{errorType: string, errorMessage: string}}
+ */
+function classifyFetchError(error) {
+    const cause = error?.cause || {};
+    // У DOMException (таймаут AbortSignal) code числовой — учитываем только строковые системные коды
+    const rawCode = cause.code || error?.code;
+    const code = typeof rawCode === 'string' ? rawCode : '';
+    const message = [error?.message, cause.message].filter(Boolean).join(': ') || String(error);
+
+    let errorType = ERROR_TYPES.OTHER;
+    if (error?.name === 'TimeoutError' || error?.name === 'AbortError' || TIMEOUT_CODES.includes(code)) {
+        errorType = ERROR_TYPES.TIMEOUT;
+    } else if (DNS_CODES.includes(code)) {
+        errorType = ERROR_TYPES.DNS;
+    } else if (code === 'ECONNREFUSED') {
+        errorType = ERROR_TYPES.CONNECTION_REFUSED;
+    } else if (RESET_CODES.includes(code)) {
+        errorType = ERROR_TYPES.RESET;
+    } else if (code === 'ERR_INVALID_URL' || /unknown scheme|invalid url/i.test(message)) {
+        errorType = ERROR_TYPES.INVALID_URL;
+    } else if (/CERT|SSL|TLS|EPROTO/i.test(code) || /certificate|ssl|tls/i.test(message)) {
+        errorType = ERROR_TYPES.TLS;
+    }
+
+    return { errorType, errorMessage: code ? `${code}: ${message}` : message };
+}
+
+module.exports = {
+    ERROR_TYPES,
+    RETRYABLE_ERROR_TYPES,
+    classifyFetchError,
+};
@@ -0,0 +1,112 @@
+// src/spider/frontier.js
+const { addSeenUrl, addDepthLimitedUrl, addQueuedUrl, getQueuedUrls, markUrlDequeued, getCrawlUrlStats } = require('./db');
+
+const DEFAULT_BUFFER_SIZE = 500; // Сколько URL очереди держать в памяти
+
+/**
+ * Создает очередь сканирования поверх таблицы crawl_urls базы сайта.
+ * В базе хранятся и очередь, и все встреченные URL; в памяти — только буфер следующих URL очереди,
+ * поэтому расход памяти и скорость проверки на дубликаты не зависят от размера сайта.
+ * URL остается в очереди базы, пока его не взяли в работу, так что пауза не требует отдельного сохранения.
+ * Вызывать после initDb: счетчики читаются из базы при создании.
+ * @param {object} [options]
+ * @param {number} [options.bufferSize] - Сколько URL читать из базы за раз.
+ * @returns {{markSeen: Function, markDepthLimited: Function, push: Function, shift: Function, size: Function, getStats: Function}}
+ */
+function createFrontier({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+    const buffer = []; // Следующие URL очереди в порядке position
+    const buffered = new Map(); // url -> запись буфера, чтобы обновлять глубину без повторного чтения
+    let lastBufferedPosition = 0;
+    const stats = getCrawlUrlStats();
+    let seenCount = stats.seen;
+    let queuedCount = stats.queued;
+    let nextPosition = stats.maxPosition + 1;
+
+    const refill = () => {
+        getQueuedUrls(lastBufferedPosition, bufferSize).forEach(entry => {
+            buffer.push(entry);
+            buffered.set(entry.url, entry);
+            lastBufferedPosition = entry.position;
+        });
+    };
+
+    return {
+        /**
+         * Отмечает URL как встреченный, не ставя его в очередь (пропущенные правилами, шаги редиректов).
+         * @param {string} url - Нормализованный URL.
+         * @returns {boolean} true, если URL раньше не встречался.
+         */
+        markSeen(url) {
+            const added = addSeenUrl(url);
+            if (added) seenCount++;
+            return added;
+        },
+
+        /**
+         * Отмечает URL, пропущенный по лимиту глубины. В число встреченных он не входит,
+         * пока push не поставит его в очередь по более короткому пути.
+         * @param {string} url - Нормализованный URL.
+         * @param {number} depth - Глубина, на которой URL найден.
+         * @returns {boolean} true, если URL раньше не встречался.
+         */
+        markDepthLimited(url, depth) {
+            return addDepthLimitedUrl(url, depth);
+        },
+
+        /**
+         * Ставит URL в конец очереди, если он раньше не встречался или был пропущен по лимиту глубины.
+         * Если URL уже ждет в очереди, а новый путь к нему короче, запоминает меньшую глубину.
+         * @param {string} url - Нормализованный URL.
+         * @param {{depth: number|null, referrerUrl: string|null}} discovery - Глубина и источник URL.
+         * @returns {boolean} true, если URL добавлен.
+         */
+        push(url, { depth, referrerUrl }) {
+            const change = addQueuedUrl(url, depth, referrerUrl, nextPosition);
+            if (change === 'lowered') {
+                const entry = buffered.get(url);
+                if (entry) {
+                    entry.depth = depth;
+                    entry.referrerUrl = entry.referrerUrl ?? referrerUrl;
+                }
+                return false;
+            }
+            if (change !== 'added' && change !== 'requeued') return false;
+            nextPosition++;
+            seenCount++;
+            queuedCount++;
+            return true;
+        },
+
+        /**
+         * Берет следующий URL из очереди.
+         * @returns {{url: string, depth: number|null, referrerUrl: string|null}|null} null, если очередь пуста.
+         */
+        shift() {
+            if (buffer.length === 0) refill();
+            const entry = buffer.shift();
+            if (!entry) return null;
+            buffered.delete(entry.url);
+            markUrlDequeued(entry.url);
+            queuedCount--;
+            return { url: entry.url, depth: entry.depth, referrerUrl: entry.referrerUrl };
+        },
+
+        /**
+         * @returns {number} Сколько URL ждет в очереди.
+         */
+        size() {
+            return queuedCount;
+        },
+
+        /**
+         * @returns {{seen: number, queued: number, buffered: number}}
+         */
+        getStats() {
+            return { seen: seenCount, queued: queuedCount, buffered: buffer.length };
+        },
+    };
+}
+
+module.exports = {
+    createFrontier,
+};
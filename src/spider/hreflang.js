@@ -0,0 +1,99 @@
+// src/spider/hreflang.js
+const { URL } = require('url');
+
+// Коды языков ISO 639-1
+const LANGUAGE_CODES = new Set(`
+    aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz
+    ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik
+    io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml
+    mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd
+    se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi
+    vo wa wo xh yi yo za zh zu
+`.trim().split(/\s+/));
+
+// Коды стран ISO 3166-1 alpha-2 (частая ошибка — "en-UK" вместо "en-GB")
+const REGION_CODES = new Set(`
+    ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bl bm bn bo bq br bs bt bv bw
+    by bz ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm do dz ec ee eg eh er es et fi
+    fj fk fm fo fr ga gb gd ge gf gg gh gi gl gm gn gp gq gr gs gt gu gw gy hk hm hn hr ht hu id ie il im in
+    io iq ir is it je jm jo jp ke kg kh ki km kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma mc md me
+    mf mg mh mk ml mm mn mo mp mq mr ms mt mu mv mw mx my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf
+    pg ph pk pl pm pn pr ps pt pw py qa re ro rs ru rw sa sb sc sd se sg sh si sj sk sl sm sn so sr ss st sv
+    sx sy sz tc td tf tg th tj tk tl tm tn to tr tt tv tw tz ua ug um us uy uz va vc ve vg vi vn vu wf ws ye
+    yt za zm zw
+`.trim().split(/\s+/));
+
+/**
+ * Проверяет значение hreflang: "x-default" или язык ISO 639-1 с необязательными
+ * письменностью (ISO 15924, "zh-Hant") и регионом (ISO 3166-1 alpha-2 или UN M.49, "es-419").
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isValidHreflang(code) {
+    const value = String(code || '').trim().toLowerCase();
+    if (value === 'x-default') return true;
+    const match = value.match(/^([a-z]{2})(?:-([a-z]{4}))?(?:-([a-z]{2}|\d{3}))?$/);
+    if (!match) return false;
+    const [, language, , region] = match;
+    return LANGUAGE_CODES.has(language) && (!region || /^\d{3}$/.test(region) || REGION_CODES.has(region));
+}
+
+/**
+ * Разбирает заголовок Link и возвращает альтернативные версии с hreflang:
+ * <https://example.com/de/>; rel="alternate"; hreflang="de", <...>; rel="alternate"; hreflang="en"
+ * @param {string|null} linkHeader - Значение заголовка Link.
+ * @returns {Array<{href: string, hreflang: string}>}
+ */
+function parseLinkHeaderAlternates(linkHeader) {
+    if (!linkHeader) return [];
+    const alternates = [];
+    for (const match of linkHeader.matchAll(/<([^>]*)>([^<]*)/g)) {
+        const params = {};
+        for (const param of match[2].matchAll(/;\s*([a-z-]+)\s*=\s*(?:"([^"]*)"|([^;,\s]*))/gi)) {
+            params[param[1].toLowerCase()] = param[2] ?? param[3];
+        }
+        const rels = (params.rel || '').toLowerCase().split(/\s+/);
+        if (rels.includes('alternate') && params.hreflang) {
+            alternates.push({ href: match[1].trim(), hreflang: params.hreflang });
+        }
+    }
+    return alternates;
+}
+
+/**
+ * Извлекает hreflang-аннотации страницы из <link rel="alternate" hreflang> и заголовка Link.
+ * @param {object} options
+ * @param {import('cheerio').CheerioAPI|null} options.$ - Загруженный HTML (null для не-HTML ответов).
+ * @param {Headers|null} options.responseHeaders - Заголовки ответа.
+ * @param {string} options.pageUrl - Конечный URL страницы (база для относительных ссылок).
+ * @returns {Array<{hreflang: string, href: string, source: string}>} Аннотации с абсолютными URL; source — 'html' или 'header'.
+ */
+function extractHreflangLinks({ $, responseHeaders, pageUrl }) {
+    const found = [];
+    const add = (hreflang, href, source) => {
+        if (!hreflang || !href) return;
+        try {
+            const absoluteUrl = new URL(href.trim(), pageUrl);
+            if (absoluteUrl.protocol !== 'http:' && absoluteUrl.protocol !== 'https:') return;
+            found.push({ hreflang: hreflang.trim().toLowerCase(), href: absoluteUrl.href, source });
+        } catch (e) {
+            // Некорректный URL в аннотации пропускаем
+        }
+    };
+
+    if ($) {
+        $('link[rel~="alternate"][hreflang][href]').each((i, el) => {
+            add($(el).attr('hreflang'), $(el).attr('href'), 'html');
+        });
+    }
+    parseLinkHeaderAlternates(responseHeaders?.get('link') || null)
+        .forEach(({ hreflang, href }) => add(hreflang, href, 'header'));
+
+    return found;
+}
+
+module.exports = {
+    isValidHreflang,
+    parseLinkHeaderAlternates,
+    extractHreflangLinks,
+};
@@ -1,9 +1,33 @@
 // src/spider/index.js
-const cheerio = require('cheerio');
 const robots = require('robots-parser');
 const { URL } = require('url');
-const { initDb, savePageData, saveHeader, saveOutgoingLink, getScannedUrls, getAllDestinationUrls } = require('./db');
-const { parentPort } = require('worker_threads');
+const {
+    initDb, savePageData, deleteSkippedPages, saveHeader, saveOutgoingLink, saveUrlVariant, saveExternalLink, saveExternalCheckResult, saveSitemapUrls, saveRedirectChain,
+    savePageResources, saveStylesheetResources, saveResourceResult, saveHreflangLinks, saveStructuredData, saveExtractionRules, saveCustomExtractions,
+    saveSearchRules, saveSearchResults, saveResponseHeaders, saveSecurityAudit, resetCrawlUrls, dropPreviousFrontier, clearCrawlUrls,
+    getScanElapsedMs, saveScanElapsedMs,
+    updateDiscoveryFlags, flushWrites, flushWritesIfDue, closeDb, iterateScannedUrls, iterateDestinationUrls, iteratePreviousFrontier,
+    iterateUncheckedExternalUrls, iterateUnfetchedResources, isExternalUrlChecked, isResourceFetched, isSitemapUrl,
+} = require('./db');
+const { createFrontier } = require('./frontier');
+const { collectSitemapUrls } = require('./sitemap');
+const { createPoliteness } = require('./politeness');
+const { classifyFetchError, RETRYABLE_ERROR_TYPES } = require('./fetchErrors');
+const { createExternalLinkChecker } = require('./externalLinks');
+const { createResourceFetcher } = require('./resources');
+const { createUrlNormalizer, resolveNormalizationOptions } = require('./urlNormalizer');
+const { createScopeRules, createHostScope, SKIP_REASONS } = require('./scope');
+const { analyzeIndexability, INDEXABILITY_REASONS } = require('./indexability');
+const { extractHreflangLinks } = require('./hreflang');
+const { compileExtractionRules } = require('./customExtraction');
+const { compileSearchRules } = require('./customSearch');
+const { serializeHeaders, auditSecurityHeaders } = require('./securityHeaders');
+const { createAuth } = require('./auth');
+const { resolveUserAgent } = require('./userAgents');
+const { ROBOTS_MODES } = require('./robotsTxt');
+const { createConnectionLimiter } = require('./connectionLimiter');
+const { createParserPool, getDefaultParserWorkers } = require('./parserPool');
+const { parentPort, workerData } = require('worker_threads');
 
 // НОВАЯ ВСПОМОГАТЕЛЬНАЯ ФУНКЦИЯ для отправки логов в родительский процесс
 function logToParent(level, ...args) {
@@ -36,73 +60,429 @@ if (parseFloat(process.versions.node) < 18) {
     logToParent("info", "[SPIDER_INIT] Using built-in fetch for Node.js >= 18.");
 }
 
+// Запуск через планировщик сканирований: все запросы воркера занимают разрешения из общего лимита соединений
+const connectionLimiter = createConnectionLimiter(workerData?.sharedConnectionLimit ? parentPort : null);
+fetch = connectionLimiter.wrapFetch(fetch);
 
-const userAgent = 'Mozilla/5.0 (compatible; MyAwesomeSpider/1.0; +http://your-spider-website.com)';
-const crawledUrls = new Set();
-const urlsToCrawl = [];
+
+let { userAgent, robotsToken } = resolveUserAgent(); // User-Agent запросов и группа User-agent в robots.txt (настраиваются в start)
+let robotsMode = 'obey'; // Режим robots.txt из ROBOTS_MODES (настраивается в start)
+let customRobotsTxt = ''; // Текст robots.txt для режима 'custom'
+let frontier = null; // Очередь и встреченные URL в базе сайта (создается в start после initDb)
+let normalizeUrl = createUrlNormalizer(); // Нормализация URL перед постановкой в очередь (настраивается в start)
+let scopeRules = createScopeRules(); // Шаблоны включения/исключения и лимиты сканирования (настраиваются в start)
 let baseUrl = '';
-let robotsParser;
-let dbName = '';
+let hostScope = null; // Какие хосты считаются своими (настраивается в start)
+let respectNofollow = false; // Не ставить в очередь ссылки с nofollow (настраивается в start)
+let extractionRules = []; // Пользовательские правила извлечения (настраиваются в start)
+let searchRules = []; // Пользовательские правила поиска "содержит / не содержит" (настраиваются в start)
+const robotsRequests = new Map(); // origin -> Promise<парсер robots.txt>, чтобы robots.txt каждого хоста загружался один раз
+const robotsParsers = new Map(); // host -> загруженный парсер robots.txt (для синхронного чтения Crawl-delay)
+let dbName = ''; // Имя сайта (хост стартового URL) в сообщениях планировщику
+let siteDbName = ''; // База запуска, в которую пишутся результаты
 let maxConcurrency = 5; // Количество одновременно сканируемых страниц
 let activeCrawlers = 0;
 let totalUrlsFound = 0; // Для отслеживания общего количества найденных URL
 let processedUrlsCount = 0; // Для отслеживания количества обработанных URL
 let scanStartTime = 0; // Для расчета скорости сканирования
 let initialProcessedCount = 0; // Для корректного расчета скорости при возобновлении
+let politeness = createPoliteness(); // Ограничение частоты запросов к хосту
+const THROTTLE_STATUSES = [429, 503]; // Статусы, при которых сервер просит замедлиться
+const MAX_THROTTLE_RETRIES = 3; // Сколько раз повторять запрос после 429/503
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 10; // Максимальная длина цепочки редиректов
+const MAX_PARSER_WORKERS = 16; // Верхняя граница пула разбора HTML
+let requestTimeoutMs = 30000; // Таймаут одного запроса
+let maxRetries = 2; // Сколько раз повторять запрос при сетевой ошибке
+const RETRY_BASE_DELAY_MS = 1000; // Базовая задержка перед повтором (удваивается с каждой попыткой)
+const ELAPSED_SAVE_INTERVAL_MS = 1000; // Как часто сохранять время сканирования для возобновления
+let elapsedSavedAt = 0; // Когда время сканирования сохранялось последний раз
+let externalLinkChecker = null; // Проверка внешних ссылок (со своим лимитом параллельных запросов)
+let resourceFetcher = null; // Загрузка ресурсов страниц (null, если сбор ресурсов отключен)
+let auth = createAuth(); // Заголовки, cookie и basic auth для хостов сайта (настраиваются в start)
+let parserPool = null; // Пул воркеров разбора HTML (создается в start)
+let parserConfig = null; // Настройки разбора, с которыми создан пул
+let pauseGate = null; // Пока сканирование на паузе: { promise, resume, pausedAt, paused } — цикл обхода не берет новые URL
 
 
 /**
  * Загружает страницу и измеряет время ответа.
+ * Редиректы проходятся вручную, чтобы сохранить каждый шаг цепочки.
  * @param {string} url - URL для загрузки.
- * @returns {Promise<{html: string|null, responseStatus: number|null, responseTime: number|null, finalUrl: string}>}
+ * @returns {Promise<{html: string|null, responseStatus: number|null, responseTime: number|null, finalUrl: string, retryAfter: string|null, redirects: Array<Object>, redirectLoop: boolean, errorType: string|null, errorMessage: string|null, mimeType: string|null, contentLength: number|null}>}
  */
 async function fetchPage(url) {
     let responseStatus = null;
-    let responseTime = null; // Время ответа в миллисекундах
+    let responseTime = null; // Время ответа в миллисекундах (суммарно по всем шагам редиректа)
     let html = null;
     let finalUrl = url; // Конечный URL после возможных редиректов
+    let retryAfter = null; // Заголовок Retry-After (для 429/503)
+    const redirects = []; // Шаги цепочки редиректов: { sourceUrl, targetUrl, statusCode, hopIndex }
+    let redirectLoop = false;
+    let errorType = null; // Категория сетевой ошибки (см. fetchErrors.js)
+    let errorMessage = null;
+    let mimeType = null; // Фактический MIME-тип ответа
+    let contentLength = null; // Размер ответа в байтах
+    let responseHeaders = null; // Заголовки конечного ответа (X-Robots-Tag и т.п.)
 
     const start = Date.now();
     try {
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': userAgent,
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5',
-                'Connection': 'keep-alive',
-            },
-            redirect: 'follow', // Следовать редиректам
-        });
+        let response;
+        let requestUrl = url;
+        while (true) {
+            response = await fetch(requestUrl, {
+                headers: {
+                    'User-Agent': userAgent,
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+                    'Accept-Language': 'en-US,en;q=0.5',
+                    'Connection': 'keep-alive',
+                    ...auth.getHeaders(requestUrl), // Авторизация — только для хостов сайта, в том числе на шагах редиректа
+                },
+                redirect: 'manual', // Редиректы обрабатываем сами
+                signal: AbortSignal.timeout(requestTimeoutMs), // Таймаут распространяется и на чтение тела
+            });
+            finalUrl = response.url || requestUrl;
+            auth.storeCookies(finalUrl, response.headers);
+
+            const location = response.headers.get('location');
+            if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+                break;
+            }
+
+            await response.body?.cancel?.(); // Тело редиректа не нужно, освобождаем соединение
+            const targetUrl = new URL(location, finalUrl).href;
+            redirects.push({ sourceUrl: finalUrl, targetUrl, statusCode: response.status, hopIndex: redirects.length });
+
+            if (targetUrl === url || redirects.some(hop => hop.sourceUrl === targetUrl)) {
+                redirectLoop = true;
+                logToParent('warn', `[SPIDER_REDIRECT] Обнаружена петля редиректов: ${url} -> ... -> ${targetUrl}`);
+                break;
+            }
+            if (redirects.length >= MAX_REDIRECTS) {
+                logToParent('warn', `[SPIDER_REDIRECT] Превышено максимальное количество редиректов (${MAX_REDIRECTS}) для ${url}`);
+                break;
+            }
+
+            requestUrl = targetUrl;
+            await politeness.waitForSlot(requestUrl); // Каждый шаг — отдельный запрос к серверу
+        }
         responseTime = Date.now() - start; // Измеряем время ответа
 
         responseStatus = response.status;
-        finalUrl = response.url; // Получаем конечный URL после редиректов
+        responseHeaders = response.headers;
+        retryAfter = response.headers.get('retry-after');
+        mimeType = (response.headers.get('content-type') || '').split(';')[0].trim() || null;
+        const contentLengthHeader = parseInt(response.headers.get('content-length'), 10);
+        contentLength = Number.isFinite(contentLengthHeader) ? contentLengthHeader : null;
 
         if (response.ok && response.headers.get('content-type')?.includes('text/html')) {
             html = await response.text();
+            contentLength = Buffer.byteLength(html);
             logToParent('info', `[SPIDER_FETCH] Успешно загружен HTML для ${url} (Статус: ${responseStatus}, Время: ${responseTime} мс)`);
         } else {
+            await response.body?.cancel?.(); // Тело не разбираем, освобождаем соединение
             logToParent('warn', `[SPIDER_FETCH] Не HTML контент или ошибка для ${url}. Статус: ${responseStatus}, Content-Type: ${response.headers.get('content-type') || 'N/A'}`);
         }
     } catch (error) {
         responseTime = Date.now() - start; // Измеряем время даже при ошибке
-        logToParent('error', `[SPIDER_FETCH] Ошибка при загрузке ${url}:`, error);
-        // Устанавливаем статус для сетевых ошибок
-        if (error.code === 'ENOTFOUND') {
-            responseStatus = 0; // Ошибка DNS
-        } else if (error.code === 'ECONNREFUSED') {
-            responseStatus = -2; // Соединение отклонено
-        } else if (error.code === 'ERR_INVALID_URL') {
-            responseStatus = -3; // Некорректный URL
+        // Сетевые ошибки сохраняем категорией, а не HTTP статусом
+        ({ errorType, errorMessage } = classifyFetchError(error));
+        responseStatus = null;
+        html = null;
+        logToParent('error', `[SPIDER_FETCH] Ошибка при загрузке ${url} (${errorType}): ${errorMessage}`);
+    }
+
+    return { html, responseStatus, responseTime, finalUrl, retryAfter, redirects, redirectLoop, errorType, errorMessage, mimeType, contentLength, responseHeaders };
+}
+
+/**
+ * Разбирает HTML в пуле воркеров. Если пул остановлен из-за падений воркеров, дальше разбор идет
+ * в потоке сканирования: задачи, которые пул завершил ошибкой, разбираются заново здесь.
+ * @param {object} page - Аргумент parse из createPageParser.
+ * @returns {Promise<object>} Результат разбора.
+ */
+async function parseHtml(page) {
+    const pool = parserPool;
+    try {
+        return await pool.parse(page);
+    } catch (error) {
+        if (!pool.failed) throw error;
+        if (parserPool === pool) { // Пул заменяет первая из отклоненных задач
+            logToParent('error', `[SPIDER_PARSER] ${error.message}. Разбор продолжается в потоке сканирования.`);
+            parserPool = createParserPool({ size: 0, config: parserConfig });
+        }
+        return parserPool.parse(page);
+    }
+}
+
+/**
+ * Загружает страницу с соблюдением ограничений частоты запросов.
+ * При ответах 429/503 замедляет сканирование хоста и повторяет запрос,
+ * при временных сетевых ошибках повторяет запрос с экспоненциальной задержкой.
+ * @param {string} url - URL для загрузки.
+ * @returns {Promise<Object>} Результат fetchPage().
+ */
+async function fetchPagePolitely(url) {
+    let throttleRetries = 0;
+    let errorRetries = 0;
+    while (true) {
+        await politeness.waitForSlot(url);
+        const result = await fetchPage(url);
+
+        if (result.errorType) {
+            if (!RETRYABLE_ERROR_TYPES.includes(result.errorType) || errorRetries >= maxRetries) {
+                return result;
+            }
+            const delayMs = RETRY_BASE_DELAY_MS * 2 ** errorRetries;
+            errorRetries++;
+            logToParent('warn', `[SPIDER_RETRY] ${url}: ошибка ${result.errorType}, повтор через ${delayMs} мс (попытка ${errorRetries + 1}/${maxRetries + 1}).`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            continue;
+        }
+
+        if (!THROTTLE_STATUSES.includes(result.responseStatus)) {
+            politeness.registerSuccess(url);
+            return result;
+        }
+
+        const pauseMs = politeness.registerBackoff(url, result.responseStatus, result.retryAfter);
+        if (throttleRetries >= MAX_THROTTLE_RETRIES) {
+            logToParent('warn', `[SPIDER_THROTTLE] ${url}: статус ${result.responseStatus} после ${throttleRetries + 1} попыток, пропускаем.`);
+            return result;
+        }
+        throttleRetries++;
+        logToParent('warn', `[SPIDER_THROTTLE] ${url}: статус ${result.responseStatus}, пауза ${Math.round(pauseMs / 1000)} с перед повтором (попытка ${throttleRetries + 1}/${MAX_THROTTLE_RETRIES + 1}).`);
+        reportProgress(url);
+    }
+}
+
+/**
+ * Отправляет прогресс сканирования в родительский процесс (API route).
+ * @param {string|null} currentUrl - URL, который сейчас обрабатывается.
+ */
+function reportProgress(currentUrl) {
+    if (!parentPort) return;
+
+    const elapsedTimeInSeconds = (Date.now() - scanStartTime) / 1000;
+    // Считаем количество страниц, обработанных только в этой сессии
+    const pagesScannedThisSession = processedUrlsCount - initialProcessedCount;
+    // Вычисляем скорость, избегая деления на ноль или слишком малые числа в начале
+    const pagesPerSecond = elapsedTimeInSeconds > 1 ? (pagesScannedThisSession / elapsedTimeInSeconds).toFixed(2) : 0;
+    const throttle = politeness.getStatus();
+    const externalStats = externalLinkChecker ? externalLinkChecker.getStats() : { checked: 0, pending: 0 };
+    const resourceStats = resourceFetcher ? resourceFetcher.getStats() : { checked: 0, pending: 0 };
+
+    let message = `Сканирование ${processedUrlsCount} из ${totalUrlsFound} страниц`;
+    if (frontier.size() === 0 && activeCrawlers === 0 && (externalStats.pending > 0 || resourceStats.pending > 0)) {
+        message = `Проверка внешних ссылок и ресурсов: осталось ${externalStats.pending + resourceStats.pending}`;
+    }
+    if (pauseGate) {
+        message = `Пауза: просканировано ${processedUrlsCount} из ${totalUrlsFound} страниц, в очереди ${frontier.size()}`;
+    } else if (throttle.throttled) {
+        message += ` (замедление: ${throttle.reason || 'лимит запросов'}, интервал ${throttle.intervalMs} мс)`;
+    }
+
+    parentPort.postMessage({
+        type: 'progress',
+        dbName: dbName,
+        message,
+        currentUrl: currentUrl,
+        totalUrls: totalUrlsFound,
+        scannedCount: processedUrlsCount,
+        // Новые метрики
+        activeCrawlers: activeCrawlers,
+        maxConcurrency,
+        parserWorkers: parserPool ? parserPool.size : 0,
+        pagesPerSecond: pagesPerSecond,
+        paused: Boolean(pauseGate),
+        throttled: throttle.throttled,
+        requestIntervalMs: throttle.intervalMs,
+        externalChecked: externalStats.checked,
+        externalPending: externalStats.pending,
+        resourcesChecked: resourceStats.checked,
+        resourcesPending: resourceStats.pending,
+    });
+}
+
+
+/**
+ * Загружает и разбирает robots.txt. Если файл недоступен, возвращает пустой парсер, который разрешает все.
+ * @param {string} robotsTxtUrl
+ * @returns {Promise<object>} Парсер robots-parser.
+ */
+async function loadRobotsTxt(robotsTxtUrl) {
+    try {
+        const robotsTxtRes = await fetch(robotsTxtUrl, {
+            headers: { 'User-Agent': userAgent, ...auth.getHeaders(robotsTxtUrl) },
+            signal: AbortSignal.timeout(requestTimeoutMs),
+        });
+        if (robotsTxtRes.ok) {
+            const robotsTxtContent = await robotsTxtRes.text();
+            const parser = robots(robotsTxtUrl, robotsTxtContent);
+            logToParent('info', `[SPIDER_ROBOTS] robots.txt загружен: ${robotsTxtUrl}`);
+            const crawlDelay = parser.getCrawlDelay(robotsToken);
+            if (crawlDelay) {
+                logToParent('info', `[SPIDER_ROBOTS] Crawl-delay для ${new URL(robotsTxtUrl).host}: ${crawlDelay} с`);
+            }
+            return parser;
         }
-        else {
-            responseStatus = -1; // Общая ошибка сети
+        await robotsTxtRes.body?.cancel?.();
+        logToParent('warn', `[SPIDER_ROBOTS] robots.txt не найден или ошибка: ${robotsTxtUrl}. Статус: ${robotsTxtRes.status}`);
+    } catch (error) {
+        logToParent('error', `[SPIDER_ROBOTS] Ошибка при загрузке ${robotsTxtUrl}:`, error);
+    }
+    return robots(robotsTxtUrl, ''); // Продолжаем без robots.txt
+}
+
+/**
+ * Возвращает robots.txt для хоста URL. Каждый хост в области сканирования имеет свой robots.txt,
+ * поэтому он загружается при первом обращении к хосту.
+ * @param {string} url
+ * @returns {Promise<object>} Парсер robots-parser.
+ */
+function getRobotsParser(url) {
+    const { origin, host } = new URL(url);
+    if (!robotsRequests.has(origin)) {
+        // В режиме 'custom' robots.txt сайта не загружается: текст из настроек действует для всех хостов
+        const parserRequest = robotsMode === 'custom'
+            ? Promise.resolve(robots(`${origin}/robots.txt`, customRobotsTxt))
+            : loadRobotsTxt(`${origin}/robots.txt`);
+        robotsRequests.set(origin, parserRequest.then(parser => {
+            robotsParsers.set(host, parser);
+            return parser;
+        }));
+    }
+    return robotsRequests.get(origin);
+}
+
+/**
+ * Сохраняет запись о URL, который не сканируется из-за правил области сканирования.
+ * @param {string} url
+ * @param {string} reason - Причина из SKIP_REASONS.
+ * @param {{depth: number|null, referrerUrl: string|null}} discovery - Глубина и первый источник URL.
+ */
+function skipUrl(url, reason, { depth, referrerUrl }) {
+    logToParent('info', `[SPIDER_SCOPE] ${url} пропущен: ${reason}`);
+    savePageData(url, null, null, 'SKIPPED', null, null, { inSitemap: isSitemapUrl(url), skipReason: reason, depth, referrerUrl });
+}
+
+/**
+ * Нормализует URL и ставит его в очередь, если такой страницы еще не было и она входит в область сканирования.
+ * Если нормализация изменила URL, сохраняет связь исходной и нормализованной форм.
+ * @param {string} rawUrl - URL в том виде, в каком он найден.
+ * @param {number|null} depth - Глубина URL; null, если неизвестна.
+ * @param {string|null} [referrerUrl] - Страница, на которой найдена ссылка.
+ * @returns {boolean} true, если URL добавлен в очередь.
+ */
+function enqueueUrl(rawUrl, depth, referrerUrl = null) {
+    const url = normalizeUrl(rawUrl);
+    saveUrlVariant(rawUrl, url);
+
+    // Встреченный впервые URL отмечается сразу: в очередь, если входит в область сканирования, иначе — только как встреченный.
+    // Пропущенный по лимиту глубины URL встанет в очередь, если позже найдется путь короче
+    const discovery = { depth, referrerUrl };
+    const skipReason = scopeRules.checkUrl(url, depth);
+    let isNew;
+    if (!skipReason) {
+        isNew = frontier.push(url, discovery); // Если URL уже ждет в очереди, push запоминает более короткий путь к нему
+    } else if (skipReason === SKIP_REASONS.MAX_DEPTH) {
+        isNew = frontier.markDepthLimited(url, depth);
+    } else {
+        isNew = frontier.markSeen(url);
+    }
+    if (!isNew) return false;
+    if (skipReason) {
+        skipUrl(url, skipReason, discovery);
+        return false;
+    }
+    totalUrlsFound++; // Учитываем новый найденный URL
+    return true;
+}
+
+/**
+ * Сохраняет hreflang-аннотации страницы и ставит в очередь внутренние альтернативные версии,
+ * чтобы проверить их статус и обратные ссылки.
+ * @param {number} pageId - ID страницы.
+ * @param {Array<{hreflang: string, href: string, source: string}>} alternates - Аннотации из extractHreflangLinks.
+ * @param {number|null} depth - Глубина ссылок с этой страницы.
+ * @param {string} pageUrl - URL страницы.
+ */
+function saveHreflangAlternates(pageId, alternates, depth, pageUrl) {
+    if (alternates.length === 0) return;
+    // Сохраняем в нормализованном виде, чтобы аннотации совпадали с URL страниц
+    saveHreflangLinks(pageId, alternates.map(alternate => ({ ...alternate, href: normalizeUrl(alternate.href) })));
+    alternates.forEach(({ href }) => {
+        if (hostScope.isInternal(new URL(href).hostname)) {
+            enqueueUrl(href, depth, pageUrl);
         }
+    });
+}
+
+/**
+ * Сохраняет заголовки ответа и результат проверки заголовков безопасности, кеширования и cookie.
+ * @param {number} pageId - ID страницы.
+ * @param {Headers|null} responseHeaders - Заголовки конечного ответа (null при сетевой ошибке).
+ * @param {string} pageUrl - Конечный URL ответа.
+ * @param {string|null} mimeType - MIME-тип ответа.
+ */
+function saveResponseAudit(pageId, responseHeaders, pageUrl, mimeType) {
+    if (!pageId || !responseHeaders) return;
+    saveResponseHeaders(pageId, serializeHeaders(responseHeaders));
+    saveSecurityAudit(pageId, auditSecurityHeaders({ headers: responseHeaders, pageUrl, isHtml: mimeType === 'text/html' }));
+}
+
+/**
+ * Ставит сканирование на паузу: новые запросы не начинаются, а активные дожидаются завершения.
+ * Очередь с глубиной и источником каждого URL уже хранится в базе сайта, поэтому после паузы сканирование
+ * можно продолжить и в этом воркере, и повторным запуском без перезаписи.
+ * Родитель всегда получает ответ: 'paused' или 'pause_rejected', если поставить паузу нельзя.
+ */
+async function pauseCrawl() {
+    if (pauseGate) {
+        // Пауза уже ставится — 'paused' придет по ее завершении; если уже стоит, повторяем ответ
+        if (pauseGate.paused) parentPort.postMessage({ type: 'paused', dbName, queued: frontier.size() });
+        return;
+    }
+    if (!externalLinkChecker) {
+        logToParent('warn', '[SPIDER_PAUSE] Сканирование еще не началось, пауза не поставлена.');
+        parentPort.postMessage({ type: 'pause_rejected', dbName, message: 'Сканирование еще не началось' });
+        return;
+    }
+    const gate = { pausedAt: Date.now(), paused: false };
+    gate.promise = new Promise(resolve => { gate.resume = resolve; });
+    pauseGate = gate;
+    logToParent('info', `[SPIDER_PAUSE] Пауза: ожидание завершения активных запросов (${activeCrawlers})...`);
+
+    await Promise.all([externalLinkChecker.pause(), resourceFetcher?.pause()]);
+    while (activeCrawlers > 0) {
+        await new Promise(resolve => setTimeout(resolve, 100));
     }
+    if (pauseGate !== gate) return; // Сканирование возобновили раньше, чем завершились активные запросы
+    saveScanElapsedMs(scopeRules.getElapsedMs() - (Date.now() - gate.pausedAt));
+    flushWrites(); // На паузе воркер могут завершить — все обработанное должно быть в базе
+    gate.paused = true;
 
-    return { html, responseStatus, responseTime, finalUrl };
+    logToParent('info', `[SPIDER_PAUSE] Сканирование на паузе, в очереди ${frontier.size()} URL.`);
+    parentPort.postMessage({ type: 'paused', dbName, queued: frontier.size() });
+    reportProgress(null);
 }
 
+/**
+ * Снимает сканирование с паузы. Время паузы не учитывается в лимите длительности и скорости.
+ */
+function resumeCrawl() {
+    if (!pauseGate) return;
+    const { resume, pausedAt } = pauseGate;
+    pauseGate = null;
+    const pausedMs = Date.now() - pausedAt;
+    scopeRules.addPausedTime(pausedMs);
+    scanStartTime += pausedMs;
+    externalLinkChecker.resume();
+    resourceFetcher?.resume();
+    resume();
+    logToParent('info', `[SPIDER_PAUSE] Сканирование возобновлено после паузы ${Math.round(pausedMs / 1000)} с.`);
+    parentPort.postMessage({ type: 'resumed', dbName });
+}
 
 /**
  * Основная функция сканирования.
@@ -110,127 +490,192 @@ async function fetchPage(url) {
 async function crawl() {
     logToParent("info", "[SPIDER_CRAWL] Начинаем основной цикл сканирования...");
     // Цикл продолжается, пока есть URL-ы для обработки или активные краулеры
-    while (urlsToCrawl.length > 0 || activeCrawlers > 0) {
+    let limitLogged = false;
+    while (frontier.size() > 0 || activeCrawlers > 0) {
+        // На паузе новые URL не берем; активные запросы завершаются сами
+        if (pauseGate) {
+            await pauseGate.promise;
+            continue;
+        }
+
+        // При достижении лимита страниц или времени оставшиеся URL не сканируем, а отмечаем как пропущенные
+        const limitReason = scopeRules.checkLimits(processedUrlsCount);
+        if (limitReason && frontier.size() > 0) {
+            if (!limitLogged) {
+                logToParent('warn', `[SPIDER_SCOPE] Достигнут лимит сканирования (${limitReason}), в очереди осталось ${frontier.size()} URL.`);
+                limitLogged = true;
+            }
+            for (let entry = frontier.shift(); entry; entry = frontier.shift()) {
+                skipUrl(entry.url, limitReason, entry);
+                flushWritesIfDue();
+            }
+            continue;
+        }
+
         // Запускаем новые краулеры, если есть свободные слоты и URL-ы для обработки
-        if (activeCrawlers < maxConcurrency && urlsToCrawl.length > 0) {
-            const currentUrl = urlsToCrawl.shift(); // Берем URL из очереди
-            // Важно: добавляем currentUrl в crawledUrls сразу, чтобы избежать повторной обработки
-            // если он снова появится в очереди до завершения обработки.
-            crawledUrls.add(currentUrl);
+        if (activeCrawlers < maxConcurrency && frontier.size() > 0) {
+            // Взятый URL остается среди встреченных, поэтому повторно в очередь не попадет
+            const { url: currentUrl, ...discovery } = frontier.shift();
+            const linkDepth = discovery.depth === null ? null : discovery.depth + 1; // Глубина ссылок с этой страницы
             activeCrawlers++;
             processedUrlsCount++; // Увеличиваем счетчик обработанных URL
+            // Бюджет времени продолжится с сохраненного места после возобновления (на паузе и в конце время сохраняется точно)
+            if (Date.now() - elapsedSavedAt >= ELAPSED_SAVE_INTERVAL_MS) {
+                saveScanElapsedMs(scopeRules.getElapsedMs());
+                elapsedSavedAt = Date.now();
+            }
 
             // Отправляем прогресс в родительский процесс (API route)
-            if (parentPort) {
-                const elapsedTimeInSeconds = (Date.now() - scanStartTime) / 1000;
-                // Считаем количество страниц, обработанных только в этой сессии
-                const pagesScannedThisSession = processedUrlsCount - initialProcessedCount;
-                // Вычисляем скорость, избегая деления на ноль или слишком малые числа в начале
-                const pagesPerSecond = elapsedTimeInSeconds > 1 ? (pagesScannedThisSession / elapsedTimeInSeconds).toFixed(2) : 0;
-
-                parentPort.postMessage({
-                    type: 'progress',
-                    dbName: dbName,
-                    message: `Сканирование ${processedUrlsCount} из ${totalUrlsFound} страниц`,
-                    currentUrl: currentUrl,
-                    totalUrls: totalUrlsFound,
-                    scannedCount: processedUrlsCount,
-                    // Новые метрики
-                    activeCrawlers: activeCrawlers,
-                    pagesPerSecond: pagesPerSecond,
-                });
-            }
-            logToParent('info', `[SPIDER_QUEUE] Обработка: ${currentUrl} (Осталось в очереди: ${urlsToCrawl.length}, Активных: ${activeCrawlers})`);
+            reportProgress(currentUrl);
+            logToParent('info', `[SPIDER_QUEUE] Обработка: ${currentUrl} (Осталось в очереди: ${frontier.size()}, Активных: ${activeCrawlers})`);
 
             // Запускаем асинхронную функцию для обработки текущего URL
             (async () => {
                 try {
-                    const parsedUrl = new URL(currentUrl);
-                    const domain = parsedUrl.hostname;
-
-                    // Проверяем robots.txt (если он загружен)
-                    if (robotsParser && !robotsParser.isAllowed(currentUrl, userAgent)) {
+                    // Проверяем robots.txt хоста страницы
+                    const robotsParser = await getRobotsParser(currentUrl);
+                    const robotsBlocked = robotsParser.isAllowed(currentUrl, robotsToken) === false;
+                    if (robotsBlocked && robotsMode === 'report') {
+                        // Режим отчета: сканируем, но отмечаем, что поисковый робот с этим User-agent сюда не попадет
+                        logToParent('warn', `[SPIDER_ROBOTS] ${currentUrl} запрещен robots.txt, сканируем в режиме отчета`);
+                    } else if (robotsBlocked) {
                         logToParent('warn', `[SPIDER_ROBOTS] ${currentUrl} запрещен robots.txt`);
                         // Сохраняем запись для запрещенного URL со статусом 0 и временем 0
-                        savePageData(currentUrl, 'Disallowed by robots.txt', null, 'DISALLOWED', 0, 0);
+                        savePageData(currentUrl, 'Disallowed by robots.txt', null, 'DISALLOWED', 0, 0, {
+                            inSitemap: isSitemapUrl(currentUrl), ...discovery,
+                            indexable: false, indexabilityReason: INDEXABILITY_REASONS.BLOCKED_BY_ROBOTS,
+                        });
                         return; // Пропускаем дальнейшую обработку
                     }
 
-                    const { html, responseStatus, responseTime, finalUrl } = await fetchPage(currentUrl);
+                    const { html, responseStatus, responseTime, finalUrl, redirects, redirectLoop, errorType, errorMessage, mimeType, contentLength, responseHeaders } = await fetchPagePolitely(currentUrl);
+                    // HTML разбирается в пуле воркеров, пока этот поток загружает и сохраняет другие страницы.
+                    // Разбор идет до сохранения, чтобы все записи страницы ниже выполнялись без await, одним пакетом
+                    const parsed = html ? await parseHtml({
+                        html, pageUrl: finalUrl, responseStatus, responseHeaders: responseHeaders ? [...responseHeaders.entries()] : null,
+                    }) : null;
+                    const redirectIndexability = { indexable: false, indexabilityReason: INDEXABILITY_REASONS.REDIRECT };
+
+                    // Если был редирект, сохраняем всю цепочку и исходный URL с его статусом 3xx
+                    if (redirects.length > 0) {
+                        logToParent('info', `[SPIDER_REDIRECT] ${currentUrl} редирект на ${finalUrl} (шагов: ${redirects.length})`);
+                        saveRedirectChain(currentUrl, redirects);
+                        savePageData(currentUrl, null, null, 'REDIRECT', redirects[0].statusCode, responseTime, { inSitemap: isSitemapUrl(currentUrl), ...discovery, ...redirectIndexability, robotsBlocked });
+
+                        // Промежуточные URL цепочки тоже отмечаем как обработанные (по нормализованной форме).
+                        // Редирект не добавляет клика, поэтому глубина у всей цепочки одна, а источником считается ее начало
+                        redirects.slice(1).forEach(hop => {
+                            const hopUrl = normalizeUrl(hop.sourceUrl);
+                            if (hostScope.isInternal(new URL(hop.sourceUrl).hostname) && frontier.markSeen(hopUrl)) {
+                                saveUrlVariant(hop.sourceUrl, hopUrl);
+                                totalUrlsFound++;
+                                savePageData(hop.sourceUrl, null, null, 'REDIRECT', hop.statusCode, null, { inSitemap: isSitemapUrl(hopUrl), depth: discovery.depth, referrerUrl: currentUrl, ...redirectIndexability });
+                            }
+                        });
 
-                    // Если был редирект, и конечный URL новый, добавляем его в очередь
-                    if (finalUrl !== currentUrl && !crawledUrls.has(finalUrl)) {
-                        logToParent('info', `[SPIDER_REDIRECT] ${currentUrl} редирект на ${finalUrl}`);
-                        crawledUrls.add(finalUrl); // Добавляем конечный URL в обработанные
-                        urlsToCrawl.push(finalUrl); // Добавляем в очередь для обработки
-                        totalUrlsFound++; // Учитываем новый URL
+                        // Конечный URL обрабатываем здесь, только если он на нашем сайте и еще не встречался:
+                        // иначе он либо внешний, либо уже стоит в очереди / обработан отдельно.
+                        // Редирект, меняющий только ненормализованную часть URL (например, слеш на конце), ведет на ту же страницу.
+                        const finalKey = normalizeUrl(finalUrl);
+                        if (redirectLoop || !hostScope.isInternal(new URL(finalUrl).hostname) || (finalKey !== currentUrl && !frontier.markSeen(finalKey))) {
+                            return;
+                        }
+                        if (finalKey !== currentUrl) {
+                            totalUrlsFound++; // Учитываем новый URL
+                        }
+                        saveUrlVariant(finalUrl, finalKey);
                     }
 
-                    if (html) {
-                        const $ = cheerio.load(html);
-                        const metaTitle = $('title').text() || $('meta[property="og:title"]').attr('content') || null;
-                        const metaDescription = $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || null;
+                    // Если страница получена по редиректу, ее источник — начало цепочки, а запрет robots.txt относится к началу цепочки
+                    const pageDiscovery = redirects.length > 0 ? { depth: discovery.depth, referrerUrl: currentUrl } : { ...discovery, robotsBlocked };
 
+                    if (parsed) {
+                        const { indexability } = parsed;
                         const contentType = 'HTML_PAGE'; // Пока всегда HTML_PAGE, можно расширить
 
+                        if (indexability.canonicalUrl) {
+                            saveUrlVariant(indexability.canonicalUrl, normalizeUrl(indexability.canonicalUrl));
+                        }
+
                         // Сохраняем данные страницы, включая статус и время ответа
-                        const pageId = savePageData(finalUrl, metaTitle, metaDescription, contentType, responseStatus, responseTime);
-
-                        // Извлечение и сохранение заголовков (H1-H6)
-                        const headers = [];
-                        for (let i = 1; i <= 6; i++) {
-                            $(`h${i}`).each((index, element) => {
-                                const headerText = $(element).text().trim();
-                                if (headerText) { // Сохраняем только непустые заголовки
-                                    headers.push({ type: `h${i}`, value: headerText });
-                                }
+                        const pageId = savePageData(finalUrl, parsed.metaTitle, parsed.metaDescription, contentType, responseStatus, responseTime, {
+                            inSitemap: isSitemapUrl(normalizeUrl(finalUrl)), mimeType, contentLength, ...pageDiscovery, ...indexability, ...parsed.content,
+                        });
+
+                        saveResponseAudit(pageId, responseHeaders, finalUrl, mimeType);
+
+                        parsed.headings.forEach(header => saveHeader(pageId, header.type, header.value));
+                        saveStructuredData(pageId, parsed.structuredData);
+
+                        // Пользовательские правила извлечения
+                        if (parsed.extractions) {
+                            parsed.extractions.filter(result => result.error).forEach(result => {
+                                logToParent('warn', `[SPIDER_EXTRACT] Правило "${result.ruleName}" не применилось к ${finalUrl}: ${result.error}`);
                             });
+                            saveCustomExtractions(pageId, parsed.extractions);
+                        }
+
+                        // Пользовательские правила поиска: число совпадений сохраняем и для 0, чтобы отличать непроверенные страницы
+                        if (parsed.searchResults) {
+                            saveSearchResults(pageId, parsed.searchResults);
+                        }
+
+                        // Ресурсы страницы (изображения, скрипты, стили, шрифты) сохраняем и загружаем в фоне
+                        if (resourceFetcher) {
+                            savePageResources(pageId, parsed.resources);
+                            parsed.resources.forEach(resource => resourceFetcher.enqueue(resource));
                         }
-                        headers.forEach(header => saveHeader(pageId, header.type, header.value));
-
-                        // Извлечение и сохранение ссылок
-                        $('a').each((index, element) => {
-                            const href = $(element).attr('href');
-                            if (href) {
-                                try {
-                                    const absoluteUrl = new URL(href, finalUrl).href;
-                                    const absoluteUrlParsed = new URL(absoluteUrl);
-
-                                    // Проверяем, что ссылка ведет на тот же домен
-                                    if (absoluteUrlParsed.hostname === domain) {
-                                        // Сохраняем исходящую ссылку
-                                        saveOutgoingLink(pageId, absoluteUrl);
-
-                                        // Добавляем URL в очередь, если он еще не был обработан и не находится в очереди
-                                        if (!crawledUrls.has(absoluteUrl) && !urlsToCrawl.includes(absoluteUrl)) {
-                                            crawledUrls.add(absoluteUrl); // Добавляем в Set, чтобы избежать дубликатов
-                                            urlsToCrawl.push(absoluteUrl); // Добавляем в очередь
-                                            totalUrlsFound++; // Учитываем новый найденный URL
-                                        }
-                                    }
-                                } catch (e) {
-                                    // console.warn(`[SPIDER_LINK] Некорректная ссылка: ${href} на ${currentUrl}`);
-                                }
+
+                        // canonical-цель сканируем, чтобы проверить ее статус, даже если на нее нет обычных ссылок
+                        if (indexability.canonicalUrl && hostScope.isInternal(new URL(indexability.canonicalUrl).hostname)) {
+                            enqueueUrl(indexability.canonicalUrl, linkDepth, finalUrl);
+                        }
+
+                        saveHreflangAlternates(pageId, parsed.hreflang, linkDepth, finalUrl);
+
+                        // В режиме учета nofollow ссылки сохраняем, но не ставим в очередь
+                        const followPageLinks = !(respectNofollow && indexability.nofollow);
+
+                        // Сохраняем исходящие ссылки и добавляем в очередь URL, которые еще не были обработаны и не находятся в очереди
+                        parsed.internalLinks.forEach(link => {
+                            saveOutgoingLink(pageId, link.normalizedUrl);
+                            if (followPageLinks && !(respectNofollow && link.nofollow)) {
+                                enqueueUrl(link.url, linkDepth, finalUrl);
                             }
                         });
+                        // Внешние ссылки сохраняем и проверяем их статус, но не сканируем
+                        parsed.externalLinks.forEach(externalUrl => {
+                            saveExternalLink(pageId, externalUrl);
+                            externalLinkChecker.enqueue(externalUrl);
+                        });
 
                     } else {
                         // Если HTML не получен (например, ошибка загрузки, не HTML контент)
                         logToParent('info', `[SPIDER_PROCESS] Сохранение записи для ${currentUrl} без HTML.`);
                         // Сохраняем запись даже без HTML, чтобы иметь информацию о статусе и времени
-                        savePageData(finalUrl, null, null, 'NON_HTML_OR_ERROR', responseStatus, responseTime);
+                        // Для не-HTML ответов индексацию определяют статус и X-Robots-Tag
+                        const indexability = analyzeIndexability({ $: null, responseHeaders, pageUrl: finalUrl, responseStatus, errorType, normalizeUrl });
+                        const pageId = savePageData(finalUrl, null, null, 'NON_HTML_OR_ERROR', responseStatus, responseTime, {
+                            inSitemap: isSitemapUrl(normalizeUrl(finalUrl)), errorType, errorMessage, mimeType, contentLength, ...pageDiscovery, ...indexability,
+                        });
+                        saveResponseAudit(pageId, responseHeaders, finalUrl, mimeType);
+                        // Для не-HTML документов (например, PDF) hreflang задается только заголовком Link
+                        if (pageId && responseHeaders) {
+                            saveHreflangAlternates(pageId, extractHreflangLinks({ $: null, responseHeaders, pageUrl: finalUrl }), linkDepth, finalUrl);
+                        }
                     }
                 } catch (error) {
                     logToParent('error', `[SPIDER_ERROR] Непредвиденная ошибка при обработке ${currentUrl}:`, error);
                     // В случае внутренней ошибки, также сохраняем запись
-                    savePageData(currentUrl, null, null, 'INTERNAL_ERROR', -1, -1); // Статус -1 для внутренних ошибок
+                    savePageData(currentUrl, null, null, 'INTERNAL_ERROR', null, null, { errorMessage: error.message, ...discovery });
                 } finally {
                     activeCrawlers--; // Уменьшаем счетчик активных краулеров, независимо от исхода
+                    flushWritesIfDue(); // Страница сохранена целиком — здесь пакет можно фиксировать
                 }
             })(); // Конец асинхронной IIFE
         } else {
             // Если нет активных краулеров и URL-ов для обработки, выходим из цикла
-            if (urlsToCrawl.length === 0 && activeCrawlers === 0) {
+            if (frontier.size() === 0 && activeCrawlers === 0) {
                 break;
             }
             // Если нет свободных слотов или URL-ов, ждем немного, чтобы не загружать CPU
@@ -246,28 +691,97 @@ if (parentPort) {
     logToParent('info', '[SPIDER_WORKER] Worker thread has started.');
 
     parentPort.on('message', async (message) => {
+        if (message.type === 'connection-granted') {
+            connectionLimiter.grant(); // Частое служебное сообщение, не логируем
+            return;
+        }
         logToParent('info', `[SPIDER_WORKER] Получено сообщение типа: ${message.type}`);
-        if (message.type === 'start') {
+        if (message.type === 'pause') {
+            await pauseCrawl();
+        } else if (message.type === 'resume') {
+            resumeCrawl();
+        } else if (message.type === 'start') {
             // Сбрасываем состояние воркера перед каждым новым сканированием
-            crawledUrls.clear();
-            urlsToCrawl.length = 0;
+            frontier = null;
             activeCrawlers = 0;
             totalUrlsFound = 0;
             processedUrlsCount = 0;
             initialProcessedCount = 0; // Сбрасываем начальный счетчик
             scanStartTime = Date.now(); // Устанавливаем время начала сканирования
-            robotsParser = undefined;
+            elapsedSavedAt = 0;
+            robotsRequests.clear();
+            robotsParsers.clear();
+            pauseGate = null;
             dbName = '';
+            siteDbName = '';
             baseUrl = '';
 
-            const { url, overwrite, concurrency } = message;
+            const { url, runDbName, overwrite, concurrency, maxRequestsPerSecond, requestTimeoutMs: timeoutMs, maxRetries: retries, externalConcurrency,
+                crawlResources = true, resourceConcurrency, urlNormalization,
+                includePatterns, excludePatterns, maxDepth, maxPages, maxDurationMs, hostScopeMode, scopeHosts,
+                respectNofollow: nofollowMode = false, extractionRules: rawExtractionRules = [],
+                searchRules: rawSearchRules = [], auth: authSettings = {}, userAgent: userAgentSettings = {}, parserWorkers,
+                robotsMode: requestedRobotsMode = 'obey', customRobotsTxt: requestedRobotsTxt = '' } = message;
             baseUrl = url;
 
+            const normalizationOptions = resolveNormalizationOptions(urlNormalization);
+            normalizeUrl = createUrlNormalizer(normalizationOptions);
+            logToParent('info', '[SPIDER_WORKER] Нормализация URL:', normalizationOptions);
+
+            try {
+                scopeRules = createScopeRules({ includePatterns, excludePatterns, maxDepth, maxPages, maxDurationMs, startTime: scanStartTime });
+            } catch (error) {
+                logToParent('error', '[SPIDER_WORKER] Некорректный шаблон области сканирования:', error);
+                parentPort.postMessage({ type: 'error', message: `Некорректный шаблон области сканирования: ${error.message}` });
+                return;
+            }
+            logToParent('info', '[SPIDER_WORKER] Область сканирования:', scopeRules.describe());
+
+            try {
+                extractionRules = compileExtractionRules(rawExtractionRules);
+            } catch (error) {
+                logToParent('error', '[SPIDER_WORKER] Некорректное правило извлечения:', error);
+                parentPort.postMessage({ type: 'error', message: `Некорректное правило извлечения: ${error.message}` });
+                return;
+            }
+
+            try {
+                searchRules = compileSearchRules(rawSearchRules);
+            } catch (error) {
+                logToParent('error', '[SPIDER_WORKER] Некорректное правило поиска:', error);
+                parentPort.postMessage({ type: 'error', message: `Некорректное правило поиска: ${error.message}` });
+                return;
+            }
+
+            try {
+                ({ userAgent, robotsToken } = resolveUserAgent(userAgentSettings));
+            } catch (error) {
+                logToParent('error', `[SPIDER_WORKER] Некорректный User-Agent: ${error.message}`);
+                parentPort.postMessage({ type: 'error', message: `Некорректный User-Agent: ${error.message}` });
+                return;
+            }
+            robotsMode = ROBOTS_MODES.includes(requestedRobotsMode) ? requestedRobotsMode : 'obey';
+            customRobotsTxt = String(requestedRobotsTxt || '');
+            logToParent('info', `[SPIDER_WORKER] User-Agent: ${userAgent}; группа robots.txt: ${robotsToken}; режим robots.txt: ${robotsMode}`);
+
             if (concurrency && concurrency > 0) {
                 maxConcurrency = concurrency;
                 logToParent('info', `[SPIDER_WORKER] Установлено количество потоков: ${maxConcurrency}`);
             }
 
+            requestTimeoutMs = Number(timeoutMs) > 0 ? Number(timeoutMs) : 30000;
+            maxRetries = Number.isInteger(retries) && retries >= 0 ? retries : 2;
+            logToParent('info', `[SPIDER_WORKER] Таймаут запроса: ${requestTimeoutMs} мс, повторов при ошибке: ${maxRetries}`);
+
+            // Лимит запросов в секунду и Crawl-delay (robots.txt хостов загружаются по мере обхода, поэтому читаем их лениво)
+            politeness = createPoliteness({
+                maxRequestsPerSecond: Number(maxRequestsPerSecond) > 0 ? Number(maxRequestsPerSecond) : 0,
+                getCrawlDelay: (host) => robotsParsers.get(host)?.getCrawlDelay(robotsToken),
+            });
+            if (maxRequestsPerSecond > 0) {
+                logToParent('info', `[SPIDER_WORKER] Установлен лимит запросов: ${maxRequestsPerSecond} в секунду`);
+            }
+
             try {
                 dbName = new URL(baseUrl).hostname;
             } catch (error) {
@@ -278,68 +792,227 @@ if (parentPort) {
                 return; // Прерываем выполнение, если URL некорректен
             }
 
-            initDb(dbName, overwrite);
-            logToParent('info', `[SPIDER_WORKER] Сканирование начато для: ${baseUrl}, База данных: ${dbName}`);
+            // Без runDbName (воркер запущен не планировщиком) результаты пишутся в базу с именем сайта
+            siteDbName = runDbName || dbName;
 
-            // --- НОВАЯ ЛОГИКА ВОЗОБНОВЛЕНИЯ СКАНИРОВАНИЯ ---
-            if (!overwrite) {
-                logToParent('info', `[SPIDER_RESUME] Режим возобновления. Загрузка состояния из БД ${dbName}.db`);
+            hostScope = createHostScope({ startHost: dbName, mode: hostScopeMode, hosts: scopeHosts });
+            logToParent('info', '[SPIDER_WORKER] Хосты сайта:', hostScope.describe());
 
-                // 1. Загружаем все УЖЕ ОБРАБОТАННЫЕ URL
-                const previouslyScanned = getScannedUrls(dbName);
-                previouslyScanned.forEach(url => crawledUrls.add(url));
-                logToParent('info', `[SPIDER_RESUME] Загружено ${crawledUrls.size} ранее обработанных URL.`);
+            // Воркеры разбора получают те же настройки хостов, нормализации и правил, что и этот поток
+            const parserPoolSize = Number.isInteger(parserWorkers) && parserWorkers >= 0 ? Math.min(parserWorkers, MAX_PARSER_WORKERS) : getDefaultParserWorkers();
+            await parserPool?.close();
+            parserConfig = {
+                startHost: dbName, hostScopeMode, scopeHosts, urlNormalization,
+                extractionRules: rawExtractionRules, searchRules: rawSearchRules, crawlResources,
+            };
+            parserPool = createParserPool({ size: parserPoolSize, config: parserConfig });
+            logToParent('info', `[SPIDER_WORKER] Воркеров разбора HTML: ${parserPoolSize || 'нет, разбор в потоке сканирования'}`);
 
-                // 2. Находим все ОБНАРУЖЕННЫЕ URL (на которые есть ссылки)
-                const discoveredUrls = getAllDestinationUrls(dbName);
-                logToParent('info', `[SPIDER_RESUME] Найдено ${discoveredUrls.length} уникальных ссылок в базе.`);
+            try {
+                auth = createAuth({ ...authSettings, isInternal: (hostname) => hostScope.isInternal(hostname) });
+            } catch (error) {
+                logToParent('error', `[SPIDER_AUTH] Некорректные настройки авторизации: ${error.message}`);
+                parentPort.postMessage({ type: 'error', message: `Некорректные настройки авторизации: ${error.message}` });
+                return;
+            }
+            // В лог попадают только имена заголовков и число cookie, без значений
+            logToParent('info', '[SPIDER_AUTH] Авторизация:', auth.describe());
 
-                // 3. Добавляем в очередь только те, которые еще не были обработаны
-                discoveredUrls.forEach(url => {
-                    if (!crawledUrls.has(url) && !urlsToCrawl.includes(url)) {
-                        urlsToCrawl.push(url);
+            // Вход через форму выполняем до первого запроса к сайту, чтобы robots.txt, sitemap и страницы загружались с сессией
+            try {
+                const loginResult = await auth.login(fetch, { headers: { 'User-Agent': userAgent }, timeoutMs: requestTimeoutMs });
+                if (loginResult) {
+                    logToParent('info', `[SPIDER_AUTH] Форма входа отправлена: ${loginResult.action}, статус ${loginResult.status}, итоговый URL ${loginResult.finalUrl}`);
+                    if (loginResult.formStillPresent) {
+                        logToParent('warn', '[SPIDER_AUTH] После входа снова показана форма с паролем — возможно, вход не выполнен.');
                     }
-                });
+                }
+            } catch (error) {
+                logToParent('error', `[SPIDER_AUTH] Не удалось выполнить вход: ${error.message}`);
+                parentPort.postMessage({ type: 'error', message: `Не удалось выполнить вход: ${error.message}` });
+                return;
+            }
 
-                totalUrlsFound = crawledUrls.size + urlsToCrawl.length;
-                processedUrlsCount = crawledUrls.size; // Уже обработанные страницы
-                initialProcessedCount = crawledUrls.size; // Запоминаем начальное количество для расчета скорости
-                logToParent('info', `[SPIDER_RESUME] Поставлено в очередь ${urlsToCrawl.length} новых страниц для сканирования.`);
+            respectNofollow = Boolean(nofollowMode);
+            if (respectNofollow) {
+                logToParent('info', '[SPIDER_WORKER] Ссылки с nofollow не ставятся в очередь.');
             }
 
-            // Получаем и парсим robots.txt
-            try {
-                const robotsTxtUrl = new URL('/robots.txt', baseUrl).href;
-                const robotsTxtRes = await fetch(robotsTxtUrl, {
-                    headers: { 'User-Agent': userAgent }
+            initDb(siteDbName);
+            // При возобновлении очередь прошлого запуска откладывается и ставится заново ниже, после уже обработанных URL
+            const previousQueueSize = overwrite ? 0 : resetCrawlUrls();
+            frontier = createFrontier();
+            saveExtractionRules(extractionRules);
+            if (extractionRules.length > 0) {
+                logToParent('info', `[SPIDER_WORKER] Правила извлечения: ${extractionRules.map(rule => rule.name).join(', ')}`);
+            }
+            saveSearchRules(searchRules);
+            if (searchRules.length > 0) {
+                logToParent('info', `[SPIDER_WORKER] Правила поиска: ${searchRules.map(rule => rule.name).join(', ')}`);
+            }
+            logToParent('info', `[SPIDER_WORKER] Сканирование начато для: ${baseUrl}, База данных: ${siteDbName}`);
+
+            // Внешние ссылки проверяются параллельно с основным обходом, но со своим лимитом
+            // Проверенные URL узнаются по базе, а не загружаются в память
+            externalLinkChecker = createExternalLinkChecker({
+                fetch,
+                headers: { 'User-Agent': userAgent },
+                concurrency: Number(externalConcurrency) > 0 ? Number(externalConcurrency) : 5,
+                timeoutMs: requestTimeoutMs,
+                isChecked: isExternalUrlChecked,
+                onResult: (result) => {
+                    saveExternalCheckResult(result);
+                    flushWritesIfDue();
+                    if (result.errorType || result.status >= 400) {
+                        logToParent('warn', `[SPIDER_EXTERNAL] Битая внешняя ссылка: ${result.url} (${result.errorType || result.status})`);
+                    }
+                },
+                log: logToParent,
+            });
+            if (!overwrite) {
+                for (const externalUrl of iterateUncheckedExternalUrls(siteDbName)) {
+                    externalLinkChecker.enqueue(externalUrl);
+                }
+            }
+
+            // Ресурсы страниц загружаются в фоне; запросы к хостам проходят через тот же ограничитель частоты
+            resourceFetcher = null;
+            if (crawlResources) {
+                resourceFetcher = createResourceFetcher({
+                    fetch,
+                    headers: (resourceUrl) => ({ 'User-Agent': userAgent, ...auth.getHeaders(resourceUrl) }),
+                    concurrency: Number(resourceConcurrency) > 0 ? Number(resourceConcurrency) : 5,
+                    timeoutMs: requestTimeoutMs,
+                    beforeRequest: (resourceUrl) => politeness.waitForSlot(resourceUrl),
+                    isFetched: isResourceFetched,
+                    onResult: (result) => {
+                        saveResourceResult(result);
+                        flushWritesIfDue();
+                        if (result.errorType || result.status >= 400) {
+                            logToParent('warn', `[SPIDER_RESOURCE] Битый ресурс: ${result.url} (${result.errorType || result.status})`);
+                        }
+                    },
+                    onStylesheetResources: saveStylesheetResources,
+                    log: logToParent,
                 });
-                if (robotsTxtRes.ok) {
-                    const robotsTxtContent = await robotsTxtRes.text();
-                    robotsParser = robots(robotsTxtUrl, robotsTxtContent);
-                    logToParent('info', `[SPIDER_ROBOTS] robots.txt загружен для ${baseUrl}`);
-                } else {
-                    logToParent('warn', `[SPIDER_ROBOTS] robots.txt не найден или ошибка для ${baseUrl}. Статус: ${robotsTxtRes.status}`);
-                    robotsParser = robots(robotsTxtUrl, ''); // Создаем пустой парсер, если robots.txt не найден
+                if (!overwrite) {
+                    for (const resource of iterateUnfetchedResources(siteDbName)) {
+                        resourceFetcher.enqueue(resource);
+                    }
                 }
-            } catch (error) {
-                logToParent('error', `[SPIDER_ROBOTS] Ошибка при загрузке robots.txt для ${baseUrl}:`, error);
-                robotsParser = robots(new URL('/robots.txt', baseUrl).href, ''); // Продолжаем без robots.txt
             }
 
+            // --- НОВАЯ ЛОГИКА ВОЗОБНОВЛЕНИЯ СКАНИРОВАНИЯ ---
+            if (!overwrite) {
+                logToParent('info', `[SPIDER_RESUME] Режим возобновления. Загрузка состояния из БД ${siteDbName}.db`);
+
+                // 0. Пропущенные в прошлый раз URL проверяем заново: правила и лимиты могли измениться
+                const skippedCount = deleteSkippedPages();
+                if (skippedCount > 0) {
+                    logToParent('info', `[SPIDER_RESUME] ${skippedCount} ранее пропущенных URL будут заново проверены по правилам области сканирования.`);
+                }
+                // URL ниже читаются отдельными соединениями, которые видят только зафиксированные записи
+                flushWrites();
+
+                // 1. Отмечаем все УЖЕ ОБРАБОТАННЫЕ URL как встреченные (в нормализованном виде — настройки могли измениться).
+                // URL читаются из базы построчно, чтобы память не зависела от размера сайта
+                for (const url of iterateScannedUrls(siteDbName)) {
+                    frontier.markSeen(normalizeUrl(url));
+                }
+                const previouslyScannedCount = frontier.getStats().seen;
+                logToParent('info', `[SPIDER_RESUME] Загружено ${previouslyScannedCount} ранее обработанных URL.`);
+
+                // 2. Очередь прошлого запуска идет первой и в прежнем порядке: в ней точные глубина и источник,
+                // а также URL, найденные не по ссылкам (sitemap, canonical, hreflang, цели редиректов)
+                for (const { url, depth, referrerUrl } of iteratePreviousFrontier(siteDbName)) {
+                    enqueueUrl(url, depth, referrerUrl);
+                }
+                dropPreviousFrontier();
+                if (previousQueueSize > 0) {
+                    logToParent('info', `[SPIDER_RESUME] Восстановлена очередь прошлого запуска: ${previousQueueSize} URL.`);
+                }
+
+                // 3. Добавляем в очередь ОБНАРУЖЕННЫЕ URL (на которые есть ссылки), которые еще не были обработаны и входят в область сканирования.
+                // Глубину восстанавливаем по самой неглубокой странице, которая на них ссылается
+                let discoveredCount = 0;
+                for (const { url, depth, referrerUrl } of iterateDestinationUrls(siteDbName)) {
+                    enqueueUrl(url, depth, referrerUrl);
+                    discoveredCount++;
+                }
+                logToParent('info', `[SPIDER_RESUME] Найдено ${discoveredCount} уникальных ссылок в базе.`);
+
+                totalUrlsFound = previouslyScannedCount + frontier.size();
+                processedUrlsCount = previouslyScannedCount; // Уже обработанные страницы
+                initialProcessedCount = previouslyScannedCount; // Запоминаем начальное количество для расчета скорости
+                // Лимиты страниц и времени действуют на все сканирование: страницы уже учтены в processedUrlsCount,
+                // а время прошлых сессий добавляем к бюджету
+                const previousElapsedMs = getScanElapsedMs();
+                scopeRules.addPreviousTime(previousElapsedMs);
+                if (previousElapsedMs > 0) {
+                    logToParent('info', `[SPIDER_RESUME] Время прошлых сессий: ${Math.round(previousElapsedMs / 1000)} с.`);
+                }
+                logToParent('info', `[SPIDER_RESUME] Поставлено в очередь ${frontier.size()} новых страниц для сканирования.`);
+            }
+
+            // Получаем и парсим robots.txt стартового хоста (нужен для директив Sitemap:)
+            const robotsParser = await getRobotsParser(baseUrl);
+
             // Инициализация очереди, если она пуста после попытки возобновления
-            if (urlsToCrawl.length === 0) {
+            if (frontier.size() === 0) {
                 logToParent('info', `[SPIDER_INIT] Очередь пуста, начинаем с базового URL: ${baseUrl}`);
-                if (!crawledUrls.has(baseUrl)) {
-                    crawledUrls.add(baseUrl);
-                    urlsToCrawl.push(baseUrl);
-                    totalUrlsFound = crawledUrls.size;
-                }
+                enqueueUrl(baseUrl, 0);
+                totalUrlsFound = frontier.getStats().seen;
             } else {
-                logToParent('info', `[SPIDER_INIT] Начинаем с ${urlsToCrawl.length} URL в очереди из предыдущей сессии.`);
+                logToParent('info', `[SPIDER_INIT] Начинаем с ${frontier.size()} URL в очереди из предыдущей сессии.`);
+            }
+
+            // Загружаем sitemap (из директив Sitemap: в robots.txt и стандартный /sitemap.xml)
+            // и добавляем перечисленные в них URL в очередь наравне с найденными по ссылкам
+            try {
+                const startSitemaps = [...robotsParser.getSitemaps(), new URL('/sitemap.xml', baseUrl).href];
+                parentPort.postMessage({ type: 'progress', dbName, message: 'Загрузка sitemap.xml...', currentUrl: null, totalUrls: totalUrlsFound, scannedCount: processedUrlsCount });
+                const sitemapEntries = await collectSitemapUrls(startSitemaps, {
+                    fetch,
+                    headers: (sitemapUrl) => ({ 'User-Agent': userAgent, ...auth.getHeaders(sitemapUrl) }),
+                    timeoutMs: requestTimeoutMs,
+                    log: logToParent,
+                });
+                saveSitemapUrls(sitemapEntries, normalizeUrl);
+
+                let queuedFromSitemap = 0;
+                for (const sitemapUrl of sitemapEntries.keys()) {
+                    // Сканируем только URL своих хостов, как и при обходе ссылок
+                    if (!hostScope.isInternal(new URL(sitemapUrl).hostname)) continue;
+                    // Глубина URL из sitemap неизвестна, пока на него не найдется ссылка
+                    if (enqueueUrl(sitemapUrl, null)) {
+                        queuedFromSitemap++;
+                    }
+                }
+                logToParent('info', `[SPIDER_SITEMAP] Найдено ${sitemapEntries.size} URL в sitemap, добавлено в очередь: ${queuedFromSitemap}`);
+            } catch (error) {
+                logToParent('error', `[SPIDER_SITEMAP] Ошибка при загрузке sitemap для ${baseUrl}:`, error);
             }
 
             await crawl(); // Запускаем основной цикл сканирования
 
+            // Дожидаемся проверки оставшихся внешних ссылок и ресурсов
+            const backgroundPending = externalLinkChecker.getStats().pending + (resourceFetcher ? resourceFetcher.getStats().pending : 0);
+            if (backgroundPending > 0) {
+                logToParent('info', `[SPIDER_WORKER] Ожидание проверки ${backgroundPending} внешних ссылок и ресурсов...`);
+                const backgroundProgressInterval = setInterval(() => reportProgress(null), 1000);
+                await Promise.all([externalLinkChecker.drain(), resourceFetcher?.drain()]);
+                clearInterval(backgroundProgressInterval);
+            }
+
+            // Очередь пуста; встреченные URL при возобновлении восстанавливаются по таблице pages
+            clearCrawlUrls();
+
+            // Ссылки на страницы из sitemap могли быть найдены уже после их сохранения — пересчитываем флаги
+            updateDiscoveryFlags();
+            saveScanElapsedMs(scopeRules.getElapsedMs());
+            closeDb(); // Фиксируем последний пакет и освобождаем соединение сканирования
+            await parserPool.close();
+
             // Отправляем сообщение о завершении сканирования
             if (parentPort) {
                 parentPort.postMessage({ type: 'completed', dbName: dbName });
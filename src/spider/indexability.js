@@ -0,0 +1,110 @@
+// src/spider/indexability.js
+const { URL } = require('url');
+
+/**
+ * Причины, по которым страница не индексируется. Сохраняются в pages.indexabilityReason.
+ */
+const INDEXABILITY_REASONS = {
+    NOINDEX_META: 'noindex_meta',           // <meta name="robots|googlebot" content="noindex">
+    NOINDEX_HEADER: 'noindex_header',       // Заголовок X-Robots-Tag: noindex
+    CANONICALIZED: 'canonicalized',         // rel=canonical указывает на другой URL
+    REDIRECT: 'redirect',                   // URL перенаправляет на другой
+    NON_200: 'non_200',                     // Статус ответа не 200
+    BLOCKED_BY_ROBOTS: 'blocked_by_robots', // Запрещен robots.txt
+    ERROR: 'error',                         // Сетевая ошибка
+};
+
+// Роботы, директивы которых учитываются (директивы без указания робота применяются всегда)
+const RELEVANT_BOTS = ['googlebot'];
+// Директивы со значением через двоеточие — их не путаем с именем робота
+const VALUE_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+/**
+ * Разбирает директивы robots из meta-тега или заголовка X-Robots-Tag.
+ * В заголовке директивы могут относиться к конкретному роботу: "googlebot: noindex, otherbot: nofollow".
+ * @param {string|null} value - Содержимое meta или значение заголовка (несколько заголовков склеены через запятую).
+ * @returns {string[]} Директивы в нижнем регистре, относящиеся ко всем роботам или к Googlebot.
+ */
+function parseRobotsDirectives(value) {
+    if (!value) return [];
+    const directives = [];
+    let currentBot = null;
+    value.split(',').forEach(part => {
+        let directive = part.trim().toLowerCase();
+        const botMatch = directive.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/);
+        if (botMatch && !VALUE_DIRECTIVES.includes(botMatch[1])) {
+            currentBot = botMatch[1];
+            directive = botMatch[2].trim();
+        }
+        if (directive && (currentBot === null || RELEVANT_BOTS.includes(currentBot))) {
+            directives.push(directive);
+        }
+    });
+    return directives;
+}
+
+const hasNoindex = (directives) => directives.includes('noindex') || directives.includes('none');
+const hasNofollow = (directives) => directives.includes('nofollow') || directives.includes('none');
+
+/**
+ * Извлекает директивы индексации страницы и определяет, индексируется ли она.
+ * @param {object} options
+ * @param {import('cheerio').CheerioAPI|null} options.$ - Загруженный HTML (null для не-HTML ответов).
+ * @param {Headers|null} options.responseHeaders - Заголовки ответа.
+ * @param {string} options.pageUrl - Конечный URL страницы.
+ * @param {number|null} options.responseStatus - HTTP статус.
+ * @param {string|null} [options.errorType] - Категория сетевой ошибки.
+ * @param {Function} options.normalizeUrl - Нормализация URL сканирования (для сравнения canonical с адресом страницы).
+ * @returns {{canonicalUrl: string|null, metaRobots: string|null, xRobotsTag: string|null, nofollow: boolean, indexable: boolean, indexabilityReason: string|null}}
+ */
+function analyzeIndexability({ $, responseHeaders, pageUrl, responseStatus, errorType = null, normalizeUrl }) {
+    let canonicalUrl = null;
+    let metaRobots = null;
+    if ($) {
+        const canonicalHref = $('link[rel~="canonical"][href]').first().attr('href');
+        if (canonicalHref) {
+            try {
+                canonicalUrl = new URL(canonicalHref.trim(), pageUrl).href;
+            } catch (e) {
+                canonicalUrl = null; // Некорректный canonical игнорируется, как и поисковиками
+            }
+        }
+        const robotsContents = $('meta[name][content]')
+            .filter((i, el) => /^(robots|googlebot)$/i.test($(el).attr('name')))
+            .map((i, el) => $(el).attr('content'))
+            .get();
+        metaRobots = robotsContents.length > 0 ? robotsContents.join(', ') : null;
+    }
+    const xRobotsTag = responseHeaders?.get('x-robots-tag') || null;
+
+    const metaDirectives = parseRobotsDirectives(metaRobots);
+    const headerDirectives = parseRobotsDirectives(xRobotsTag);
+
+    let indexabilityReason = null;
+    if (errorType) {
+        indexabilityReason = INDEXABILITY_REASONS.ERROR;
+    } else if (responseStatus !== 200) {
+        indexabilityReason = INDEXABILITY_REASONS.NON_200;
+    } else if (hasNoindex(metaDirectives)) {
+        indexabilityReason = INDEXABILITY_REASONS.NOINDEX_META;
+    } else if (hasNoindex(headerDirectives)) {
+        indexabilityReason = INDEXABILITY_REASONS.NOINDEX_HEADER;
+    } else if (canonicalUrl && normalizeUrl(canonicalUrl) !== normalizeUrl(pageUrl)) {
+        indexabilityReason = INDEXABILITY_REASONS.CANONICALIZED;
+    }
+
+    return {
+        canonicalUrl,
+        metaRobots,
+        xRobotsTag,
+        nofollow: hasNofollow(metaDirectives) || hasNofollow(headerDirectives),
+        indexable: indexabilityReason === null,
+        indexabilityReason,
+    };
+}
+
+module.exports = {
+    INDEXABILITY_REASONS,
+    parseRobotsDirectives,
+    analyzeIndexability,
+};
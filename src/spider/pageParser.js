@@ -0,0 +1,111 @@
+// src/spider/pageParser.js
+const cheerio = require('cheerio');
+const { URL } = require('url');
+const { createUrlNormalizer, resolveNormalizationOptions } = require('./urlNormalizer');
+const { createHostScope } = require('./scope');
+const { analyzeIndexability } = require('./indexability');
+const { extractHreflangLinks } = require('./hreflang');
+const { extractStructuredData } = require('./structuredData');
+const { analyzeContent } = require('./contentMetrics');
+const { compileExtractionRules, applyExtractionRules } = require('./customExtraction');
+const { compileSearchRules, applySearchRules } = require('./customSearch');
+const { extractPageResources } = require('./resources');
+
+/**
+ * Создает разборщик HTML-страниц. Разбор не обращается к базе и очереди, а результат — простые данные,
+ * поэтому он выполняется и в основном потоке сканирования, и в воркерах пула (см. parserPool.js).
+ * @param {object} config - Настройки сканирования, влияющие на разбор (передаются в воркеры как есть).
+ * @param {string} config.startHost - Хост стартового URL.
+ * @param {string} [config.hostScopeMode] - Режим createHostScope.
+ * @param {string[]} [config.scopeHosts] - Хосты для режима list.
+ * @param {object} [config.urlNormalization] - Настройки нормализации URL.
+ * @param {Array<Object>} [config.extractionRules] - Правила извлечения в исходном виде.
+ * @param {Array<Object>} [config.searchRules] - Правила поиска в исходном виде.
+ * @param {boolean} [config.crawlResources] - Собирать ресурсы страницы.
+ * @returns {Function} (page) => результат разбора, см. parse.
+ */
+function createPageParser({ startHost, hostScopeMode, scopeHosts, urlNormalization, extractionRules: rawExtractionRules = [], searchRules: rawSearchRules = [], crawlResources = true }) {
+    const normalizeUrl = createUrlNormalizer(resolveNormalizationOptions(urlNormalization));
+    const hostScope = createHostScope({ startHost, mode: hostScopeMode, hosts: scopeHosts });
+    const extractionRules = compileExtractionRules(rawExtractionRules);
+    const searchRules = compileSearchRules(rawSearchRules);
+
+    /**
+     * Разбирает HTML страницы.
+     * @param {object} page
+     * @param {string} page.html
+     * @param {string} page.pageUrl - Конечный URL страницы.
+     * @param {number|null} page.responseStatus
+     * @param {Array<[string, string]>|null} page.responseHeaders - Заголовки ответа в виде пар.
+     * @returns {object} Мета-теги, индексация, метрики текста, заголовки H1-H6, структурированные данные,
+     * результаты правил, ресурсы, hreflang и ссылки (внутренние с нормализованной формой и внешние без якоря).
+     */
+    return function parse({ html, pageUrl, responseStatus, responseHeaders }) {
+        const headers = responseHeaders ? new Headers(responseHeaders) : null;
+        const $ = cheerio.load(html);
+        const metaTitle = $('title').text() || $('meta[property="og:title"]').attr('content') || null;
+        const metaDescription = $('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || null;
+
+        // canonical, meta robots и X-Robots-Tag определяют, индексируется ли страница
+        const indexability = analyzeIndexability({ $, responseHeaders: headers, pageUrl, responseStatus, normalizeUrl });
+
+        // Извлечение заголовков (H1-H6)
+        const headings = [];
+        for (let i = 1; i <= 6; i++) {
+            $(`h${i}`).each((index, element) => {
+                const headerText = $(element).text().trim();
+                if (headerText) { // Сохраняем только непустые заголовки
+                    headings.push({ type: `h${i}`, value: headerText });
+                }
+            });
+        }
+
+        // Извлечение ссылок: внутренние нормализуем, чтобы они совпадали с URL страниц, у внешних отбрасываем якорь
+        const internalLinks = [];
+        const externalLinks = [];
+        $('a').each((index, element) => {
+            const href = $(element).attr('href');
+            if (!href) return;
+            try {
+                const absoluteUrl = new URL(href, pageUrl).href;
+                const absoluteUrlParsed = new URL(absoluteUrl);
+                if (absoluteUrlParsed.protocol !== 'http:' && absoluteUrlParsed.protocol !== 'https:') return;
+
+                // Проверяем, что ссылка ведет на сканируемый сайт (см. режимы в createHostScope)
+                if (hostScope.isInternal(absoluteUrlParsed.hostname)) {
+                    internalLinks.push({
+                        url: absoluteUrl,
+                        normalizedUrl: normalizeUrl(absoluteUrl),
+                        nofollow: /(^|\s)nofollow(\s|$)/i.test($(element).attr('rel') || ''),
+                    });
+                } else {
+                    absoluteUrlParsed.hash = ''; // Якоря не влияют на ответ сервера
+                    externalLinks.push(absoluteUrlParsed.href);
+                }
+            } catch (e) {
+                // Некорректная ссылка
+            }
+        });
+
+        return {
+            metaTitle,
+            metaDescription,
+            indexability,
+            // Основной текст страницы: объем, доля текста и отпечатки для поиска дублей
+            content: analyzeContent($, html),
+            headings,
+            // JSON-LD, microdata, Open Graph и Twitter Card
+            structuredData: extractStructuredData($),
+            extractions: extractionRules.length > 0 ? applyExtractionRules(extractionRules, $, html) : null,
+            searchResults: searchRules.length > 0 ? applySearchRules(searchRules, $, html) : null,
+            resources: crawlResources ? extractPageResources($, pageUrl) : [],
+            hreflang: extractHreflangLinks({ $, responseHeaders: headers, pageUrl }),
+            internalLinks,
+            externalLinks,
+        };
+    };
+}
+
+module.exports = {
+    createPageParser,
+};
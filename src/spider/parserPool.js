@@ -0,0 +1,165 @@
+// src/spider/parserPool.js
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { createPageParser } = require('./pageParser');
+
+const MAX_DEFAULT_PARSER_WORKERS = 4;
+// Сколько раз воркеры могут упасть за окно времени, прежде чем пул перестанет их перезапускать
+const MAX_WORKER_RESTARTS = 5;
+const WORKER_RESTART_WINDOW_MS = 60 * 1000;
+
+/**
+ * Размер пула по умолчанию: все ядра, кроме одного, которое остается потоку сканирования
+ * (очередь, база, запросы). На одноядерной машине разбор идет в потоке сканирования.
+ * @returns {number}
+ */
+function getDefaultParserWorkers() {
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.min(MAX_DEFAULT_PARSER_WORKERS, Math.max(0, cores - 1));
+}
+
+/**
+ * Создает пул воркеров разбора HTML. Поток сканирования отдает им страницы и получает извлеченные данные,
+ * поэтому тяжелый разбор больших страниц не останавливает загрузку следующих.
+ * Если воркер упал, его задача завершается ошибкой, а вместо него запускается новый. Если воркеры падают
+ * чаще MAX_WORKER_RESTARTS раз за WORKER_RESTART_WINDOW_MS (например, не загружаются), пул помечается
+ * неисправным: все ждущие задачи и новые вызовы parse завершаются ошибкой, а разбирать дальше нужно без пула.
+ * @param {object} options
+ * @param {number} options.size - Количество воркеров; 0 — разбирать в текущем потоке.
+ * @param {object} options.config - Настройки разбора для createPageParser.
+ * @returns {{parse: Function, close: Function, size: number, failed: boolean}}
+ */
+function createParserPool({ size, config }) {
+    if (size === 0) {
+        const parse = createPageParser(config);
+        return {
+            parse: async (page) => parse(page),
+            close: async () => { },
+            size,
+            failed: false,
+        };
+    }
+
+    const tasks = new Map(); // id -> { resolve, reject }
+    const queue = []; // Задачи, ждущие свободного воркера
+    const idleWorkers = [];
+    const busyWorkers = new Map(); // worker -> id задачи
+    let nextTaskId = 1;
+    let closed = false;
+    let failed = false;
+    const restartTimes = []; // Время перезапусков упавших воркеров в пределах окна
+
+    const dispatch = () => {
+        while (idleWorkers.length > 0 && queue.length > 0) {
+            const worker = idleWorkers.pop();
+            const { id, page } = queue.shift();
+            busyWorkers.set(worker, id);
+            worker.postMessage({ id, page });
+        }
+    };
+
+    const finishTask = (worker, id, settle) => {
+        busyWorkers.delete(worker);
+        const task = tasks.get(id);
+        tasks.delete(id);
+        if (task) settle(task);
+    };
+
+    // Воркеры не удается поддерживать: останавливаем оставшиеся и завершаем ошибкой все задачи
+    const fail = (error) => {
+        failed = true;
+        closed = true;
+        const poolError = new Error(`Пул разбора HTML остановлен: воркеры падают слишком часто (${error?.message || 'без ошибки'})`);
+        queue.length = 0;
+        tasks.forEach(task => task.reject(poolError));
+        tasks.clear();
+        [...idleWorkers, ...busyWorkers.keys()].forEach(worker => worker.terminate());
+        idleWorkers.length = 0;
+        busyWorkers.clear();
+    };
+
+    const spawn = () => {
+        let lastError = null;
+        const worker = new Worker(path.resolve(__dirname, 'parserWorker.js'), { workerData: config });
+        worker.on('message', ({ id, result, error }) => {
+            finishTask(worker, id, task => (error ? task.reject(new Error(error)) : task.resolve(result)));
+            idleWorkers.push(worker);
+            dispatch();
+        });
+        worker.on('error', (error) => {
+            lastError = error;
+            // Упавший воркер больше не получает задач, даже если 'exit' еще не пришел
+            const index = idleWorkers.indexOf(worker);
+            if (index !== -1) idleWorkers.splice(index, 1);
+            if (busyWorkers.has(worker)) {
+                finishTask(worker, busyWorkers.get(worker), task => task.reject(error));
+            }
+        });
+        worker.on('exit', () => {
+            const index = idleWorkers.indexOf(worker);
+            if (index !== -1) idleWorkers.splice(index, 1);
+            if (busyWorkers.has(worker)) {
+                finishTask(worker, busyWorkers.get(worker), task => task.reject(lastError || new Error('Воркер разбора HTML завершился')));
+            }
+            if (closed) return;
+
+            const now = Date.now();
+            restartTimes.push(now);
+            while (restartTimes[0] <= now - WORKER_RESTART_WINDOW_MS) restartTimes.shift();
+            if (restartTimes.length > MAX_WORKER_RESTARTS) {
+                fail(lastError);
+                return;
+            }
+            idleWorkers.push(spawn());
+            dispatch();
+        });
+        return worker;
+    };
+
+    for (let i = 0; i < size; i++) {
+        idleWorkers.push(spawn());
+    }
+
+    return {
+        /**
+         * Разбирает страницу в свободном воркере.
+         * @param {object} page - Аргумент parse из createPageParser.
+         * @returns {Promise<object>} Результат разбора.
+         */
+        parse(page) {
+            if (failed) {
+                return Promise.reject(new Error('Пул разбора HTML остановлен'));
+            }
+            return new Promise((resolve, reject) => {
+                const id = nextTaskId++;
+                tasks.set(id, { resolve, reject });
+                queue.push({ id, page });
+                dispatch();
+            });
+        },
+
+        /**
+         * Останавливает воркеры пула.
+         */
+        async close() {
+            closed = true;
+            await Promise.all([...idleWorkers, ...busyWorkers.keys()].map(worker => worker.terminate()));
+        },
+
+        size,
+
+        /**
+         * Пул остановлен из-за падений воркеров (см. MAX_WORKER_RESTARTS).
+         * @returns {boolean}
+         */
+        get failed() {
+            return failed;
+        },
+    };
+}
+
+module.exports = {
+    createParserPool,
+    getDefaultParserWorkers,
+};
@@ -0,0 +1,14 @@
+// src/spider/parserWorker.js
+const { parentPort, workerData } = require('worker_threads');
+const { createPageParser } = require('./pageParser');
+
+// Воркер пула разбора HTML: настройки приходят в workerData, страницы — сообщениями { id, page }
+const parse = createPageParser(workerData);
+
+parentPort.on('message', ({ id, page }) => {
+    try {
+        parentPort.postMessage({ id, result: parse(page) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,130 @@
+// src/spider/politeness.js
+const { URL } = require('url');
+
+const MAX_BACKOFF_MULTIPLIER = 32; // Максимальное замедление относительно базового интервала
+const MIN_BACKOFF_INTERVAL_MS = 1000; // Базовый интервал при замедлении, если лимит не задан
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000; // Не ждем дольше 5 минут, даже если сервер просит
+
+/**
+ * Разбирает заголовок Retry-After (число секунд или HTTP-дата).
+ * @param {string|null} value - Значение заголовка.
+ * @returns {number|null} Задержка в миллисекундах или null.
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+        return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.min(Math.max(date - Date.now(), 0), MAX_RETRY_AFTER_MS);
+    }
+    return null;
+}
+
+/**
+ * Создает ограничитель частоты запросов с отдельным состоянием для каждого хоста.
+ * Учитывает лимит запросов в секунду, Crawl-delay из robots.txt и адаптивное замедление при 429/503.
+ * @param {object} options
+ * @param {number} [options.maxRequestsPerSecond] - Лимит запросов в секунду (0 — без лимита).
+ * @param {Function} [options.getCrawlDelay] - Возвращает Crawl-delay (в секундах) для хоста или undefined.
+ * @returns {object} Ограничитель.
+ */
+function createPoliteness({ maxRequestsPerSecond = 0, getCrawlDelay = () => undefined } = {}) {
+    const hosts = new Map(); // host -> { nextRequestAt, backoffMultiplier, pausedUntil, reason }
+
+    const getHostState = (host) => {
+        if (!hosts.has(host)) {
+            hosts.set(host, { nextRequestAt: 0, backoffMultiplier: 1, pausedUntil: 0, reason: null });
+        }
+        return hosts.get(host);
+    };
+
+    // Базовый интервал между запросами к хосту: максимум из лимита RPS и Crawl-delay
+    const getBaseInterval = (host) => {
+        const rpsInterval = maxRequestsPerSecond > 0 ? 1000 / maxRequestsPerSecond : 0;
+        const crawlDelay = Number(getCrawlDelay(host));
+        const crawlDelayInterval = Number.isFinite(crawlDelay) && crawlDelay > 0 ? crawlDelay * 1000 : 0;
+        return Math.max(rpsInterval, crawlDelayInterval);
+    };
+
+    const getInterval = (host, state) => {
+        const base = getBaseInterval(host);
+        if (state.backoffMultiplier === 1) return base;
+        return Math.max(base, MIN_BACKOFF_INTERVAL_MS) * state.backoffMultiplier;
+    };
+
+    return {
+        /**
+         * Ожидает, пока к хосту URL можно будет отправить следующий запрос, и резервирует слот.
+         * @param {string} url
+         */
+        async waitForSlot(url) {
+            const host = new URL(url).host;
+            const state = getHostState(host);
+            const now = Date.now();
+            // Резервируем время запроса сразу, чтобы параллельные краулеры выстраивались в очередь
+            const scheduledAt = Math.max(now, state.nextRequestAt, state.pausedUntil);
+            state.nextRequestAt = scheduledAt + getInterval(host, state);
+            if (scheduledAt > now) {
+                await new Promise(resolve => setTimeout(resolve, scheduledAt - now));
+            }
+        },
+
+        /**
+         * Регистрирует ответ 429/503: увеличивает интервал и, если есть Retry-After, ставит хост на паузу.
+         * @param {string} url
+         * @param {number} status - HTTP статус.
+         * @param {string|null} retryAfterHeader - Значение заголовка Retry-After.
+         * @returns {number} Пауза перед следующим запросом в мс.
+         */
+        registerBackoff(url, status, retryAfterHeader) {
+            const host = new URL(url).host;
+            const state = getHostState(host);
+            state.backoffMultiplier = Math.min(state.backoffMultiplier * 2, MAX_BACKOFF_MULTIPLIER);
+            const retryAfterMs = parseRetryAfter(retryAfterHeader);
+            const pauseMs = retryAfterMs !== null ? retryAfterMs : getInterval(host, state);
+            state.pausedUntil = Math.max(state.pausedUntil, Date.now() + pauseMs);
+            state.reason = `HTTP ${status}`;
+            return pauseMs;
+        },
+
+        /**
+         * Регистрирует успешный ответ: постепенно возвращает интервал к базовому.
+         * @param {string} url
+         */
+        registerSuccess(url) {
+            const state = getHostState(new URL(url).host);
+            if (state.backoffMultiplier > 1) {
+                state.backoffMultiplier = Math.max(1, state.backoffMultiplier / 2);
+                if (state.backoffMultiplier === 1) {
+                    state.reason = null;
+                }
+            }
+        },
+
+        /**
+         * Возвращает текущее состояние замедления для отображения в прогрессе.
+         * @returns {{throttled: boolean, reason: string|null, intervalMs: number}}
+         */
+        getStatus() {
+            let status = { throttled: false, reason: null, intervalMs: 0 };
+            for (const [host, state] of hosts) {
+                const intervalMs = Math.round(getInterval(host, state));
+                if (state.reason || state.pausedUntil > Date.now()) {
+                    return { throttled: true, reason: state.reason, intervalMs };
+                }
+                if (intervalMs > status.intervalMs) {
+                    status = { throttled: false, reason: null, intervalMs };
+                }
+            }
+            return status;
+        },
+    };
+}
+
+module.exports = {
+    createPoliteness,
+    parseRetryAfter,
+};
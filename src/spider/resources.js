@@ -0,0 +1,172 @@
+// src/spider/resources.js
+const { URL } = require('url');
+const { classifyFetchError } = require('./fetchErrors');
+const { createTaskQueue } = require('./taskQueue');
+
+const FONT_EXTENSIONS = /\.(woff2?|ttf|otf|eot)(\?|#|$)/i;
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(['"])(.*?)\1/gi;
+
+/**
+ * Приводит ссылку на ресурс к абсолютному URL. Встроенные данные (data:, blob:) пропускаются.
+ * @param {string} value - Значение атрибута или url().
+ * @param {string} baseUrl - URL документа, относительно которого разрешается ссылка.
+ * @returns {string|null}
+ */
+function resolveResourceUrl(value, baseUrl) {
+    if (!value) return null;
+    try {
+        const parsed = new URL(value.trim(), baseUrl);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+        parsed.hash = '';
+        return parsed.href;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Разбирает атрибут srcset ("a.jpg 1x, b.jpg 2x") в список URL.
+ * @param {string} srcset
+ * @returns {string[]}
+ */
+function parseSrcset(srcset) {
+    if (!srcset) return [];
+    return srcset
+        .split(/,\s+/)
+        .map(candidate => candidate.trim().split(/\s+/)[0])
+        .filter(Boolean);
+}
+
+/**
+ * Находит ссылки на ресурсы внутри CSS: url(...) и @import.
+ * @param {string} cssText - Текст CSS.
+ * @param {string} baseUrl - URL, относительно которого разрешаются ссылки (файл CSS или страница для <style>).
+ * @returns {Array<{url: string, type: string}>}
+ */
+function extractCssResources(cssText, baseUrl) {
+    const found = [];
+    for (const match of cssText.matchAll(CSS_IMPORT_PATTERN)) {
+        const url = resolveResourceUrl(match[2], baseUrl);
+        if (url) found.push({ url, type: 'stylesheet' });
+    }
+    for (const match of cssText.matchAll(CSS_URL_PATTERN)) {
+        const url = resolveResourceUrl(match[2], baseUrl);
+        if (!url) continue;
+        // @import url(...) попадает сюда же — распознаем его по расширению .css
+        const type = /\.css(\?|#|$)/i.test(url) ? 'stylesheet' : (FONT_EXTENSIONS.test(url) ? 'font' : 'image');
+        found.push({ url, type });
+    }
+    return found;
+}
+
+/**
+ * Собирает ресурсы, на которые ссылается HTML-страница.
+ * @param {import('cheerio').CheerioAPI} $ - Загруженный документ.
+ * @param {string} pageUrl - URL страницы.
+ * @returns {Array<{url: string, type: string}>} Уникальные пары URL + тип.
+ */
+function extractPageResources($, pageUrl) {
+    const found = [];
+    const add = (value, type) => {
+        const url = resolveResourceUrl(value, pageUrl);
+        if (url) found.push({ url, type });
+    };
+
+    $('img[src]').each((i, el) => add($(el).attr('src'), 'image'));
+    $('img[srcset], picture source[srcset]').each((i, el) => {
+        parseSrcset($(el).attr('srcset')).forEach(value => add(value, 'image'));
+    });
+    $('link[rel~="icon"][href], link[rel="apple-touch-icon"][href]').each((i, el) => add($(el).attr('href'), 'image'));
+    $('script[src]').each((i, el) => add($(el).attr('src'), 'script'));
+    $('link[rel~="stylesheet"][href]').each((i, el) => add($(el).attr('href'), 'stylesheet'));
+    $('link[rel="preload"][href], link[rel="modulepreload"][href]').each((i, el) => add($(el).attr('href'), 'preload'));
+
+    // CSS внутри страницы: блоки <style> и атрибуты style="..."
+    $('style').each((i, el) => found.push(...extractCssResources($(el).text(), pageUrl)));
+    $('[style]').each((i, el) => found.push(...extractCssResources($(el).attr('style') || '', pageUrl)));
+
+    const unique = new Map();
+    found.forEach(resource => unique.set(`${resource.type} ${resource.url}`, resource));
+    return [...unique.values()];
+}
+
+/**
+ * Создает загрузчик ресурсов страниц (изображения, скрипты, стили, шрифты).
+ * Каждый уникальный URL загружается один раз; для CSS дополнительно разбираются url() и @import.
+ * @param {object} options
+ * @param {Function} options.fetch - Функция fetch.
+ * @param {object|Function} options.headers - Заголовки запроса или (url) => заголовки (например, авторизация только для своих хостов).
+ * @param {number} [options.concurrency] - Максимум одновременных загрузок.
+ * @param {number} [options.timeoutMs] - Таймаут одного запроса.
+ * @param {Function} [options.beforeRequest] - async (url) => void, например ожидание слота ограничителя частоты.
+ * @param {Function} [options.isFetched] - (url) => boolean, загружен ли ресурс раньше (в базе сайта).
+ * @param {Function} options.onResult - Вызывается с результатом загрузки каждого ресурса.
+ * @param {Function} options.onStylesheetResources - (stylesheetUrl, resources) => void, ресурсы, найденные в CSS-файле.
+ * @param {Function} [options.log] - Функция логирования (level, ...args).
+ * @returns {{enqueue: Function, drain: Function, pause: Function, resume: Function, getStats: Function}}
+ */
+function createResourceFetcher({ fetch, headers, concurrency = 5, timeoutMs = 30000, beforeRequest = async () => { }, isFetched = () => false, onResult, onStylesheetResources, log = () => { } }) {
+    let queue;
+
+    const load = async ({ url, type }) => {
+        const result = { url, type, mimeType: null, size: null, status: null, responseTime: null, errorType: null, errorMessage: null };
+        const start = Date.now();
+        try {
+            await beforeRequest(url);
+            const response = await fetch(url, {
+                headers: typeof headers === 'function' ? headers(url) : headers,
+                redirect: 'follow',
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            result.status = response.status;
+            result.mimeType = (response.headers.get('content-type') || '').split(';')[0].trim() || null;
+
+            const isCss = response.ok && (type === 'stylesheet' || result.mimeType === 'text/css');
+            const contentLength = parseInt(response.headers.get('content-length'), 10);
+
+            if (isCss) {
+                const cssText = await response.text();
+                result.size = Buffer.byteLength(cssText);
+                const cssResources = extractCssResources(cssText, response.url || url);
+                onStylesheetResources(url, cssResources);
+                cssResources.forEach(resource => queue.enqueue(resource.url, resource));
+            } else if (Number.isFinite(contentLength)) {
+                result.size = contentLength;
+                await response.body?.cancel?.(); // Размер известен из заголовка, тело не скачиваем
+            } else {
+                result.size = (await response.arrayBuffer()).byteLength;
+            }
+            result.responseTime = Date.now() - start;
+        } catch (error) {
+            result.responseTime = Date.now() - start;
+            ({ errorType: result.errorType, errorMessage: result.errorMessage } = classifyFetchError(error));
+        }
+        return result;
+    };
+
+    queue = createTaskQueue({
+        concurrency,
+        isDone: isFetched,
+        worker: async (resource) => onResult(await load(resource)),
+        onError: (error, resource) => log('error', `[SPIDER_RESOURCE] Ошибка при загрузке ${resource.url}:`, error),
+    });
+
+    return {
+        /**
+         * Ставит ресурс в очередь загрузки, если он еще не загружался.
+         * @param {{url: string, type: string}} resource
+         */
+        enqueue: (resource) => queue.enqueue(resource.url, resource),
+        drain: queue.drain,
+        pause: queue.pause,
+        resume: queue.resume,
+        getStats: queue.getStats,
+    };
+}
+
+module.exports = {
+    extractPageResources,
+    extractCssResources,
+    createResourceFetcher,
+};
@@ -0,0 +1,50 @@
+// src/spider/robotsTxt.js
+const robots = require('robots-parser');
+
+/**
+ * Режимы работы с robots.txt:
+ * 'obey' — запрещенные URL не сканируются; 'report' — сканируются, но отмечаются как запрещенные;
+ * 'custom' — вместо robots.txt сайта используется текст из настроек сканирования.
+ */
+const ROBOTS_MODES = ['obey', 'report', 'custom'];
+
+const TEST_BASE_URL = 'https://example.com'; // Для проверки путей без хоста
+
+/**
+ * Проверяет URL по тексту robots.txt для заданной группы User-agent.
+ * @param {object} options
+ * @param {string} options.content - Текст robots.txt.
+ * @param {string[]} options.urls - Абсолютные URL или пути (начинаются с "/").
+ * @param {string} [options.robotsToken] - Группа User-agent ('*' — общая).
+ * @returns {Array<{url: string, allowed: boolean|null, lineNumber: number|null, rule: string|null, error: string|null}>}
+ *   rule — строка robots.txt, которая определила результат (null, если ни одно правило не подошло).
+ */
+function testRobotsTxt({ content, urls, robotsToken = '*' }) {
+    const lines = String(content || '').split(/\r\n|\r|\n/);
+    return urls.map(rawUrl => {
+        let url;
+        try {
+            url = new URL(rawUrl, TEST_BASE_URL);
+        } catch (e) {
+            return { url: rawUrl, allowed: null, lineNumber: null, rule: null, error: 'некорректный URL' };
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { url: rawUrl, allowed: null, lineNumber: null, rule: null, error: 'robots.txt применяется только к http(s)' };
+        }
+        // Парсер сверяет протокол и хост URL с адресом robots.txt, поэтому создаем его для хоста проверяемого URL
+        const parser = robots(`${url.origin}/robots.txt`, String(content || ''));
+        const lineNumber = parser.getMatchingLineNumber(url.href, robotsToken);
+        return {
+            url: rawUrl,
+            allowed: parser.isAllowed(url.href, robotsToken) !== false,
+            lineNumber: lineNumber > 0 ? lineNumber : null,
+            rule: lineNumber > 0 ? lines[lineNumber - 1].trim() : null,
+            error: null,
+        };
+    });
+}
+
+module.exports = {
+    ROBOTS_MODES,
+    testRobotsTxt,
+};
@@ -0,0 +1,219 @@
+// src/spider/scope.js
+const { URL } = require('url');
+const { parse } = require('tldts');
+
+/**
+ * Причины, по которым URL не сканируется. Сохраняются в pages.skipReason для страниц с contentType = 'SKIPPED'.
+ */
+const SKIP_REASONS = {
+    EXCLUDED: 'EXCLUDED',         // URL подходит под шаблон исключения
+    NOT_INCLUDED: 'NOT_INCLUDED', // URL не подходит ни под один шаблон включения
+    MAX_DEPTH: 'MAX_DEPTH',       // Превышена глубина от стартового URL
+    MAX_PAGES: 'MAX_PAGES',       // Достигнут лимит страниц
+    TIME_BUDGET: 'TIME_BUDGET',   // Истекло время сканирования
+};
+
+/**
+ * Режимы определения "своих" хостов (внутренних ссылок).
+ */
+const HOST_SCOPE_MODES = ['exact', 'www', 'subdomains', 'list'];
+
+/**
+ * Возвращает регистрируемый домен хоста по Public Suffix List: blog.example.co.uk → example.co.uk.
+ * Частные суффиксы списка (github.io, blogspot.com и т.п.) тоже учитываются: user.github.io — отдельный сайт.
+ * IP-адреса, localhost и хосты с суффиксом не из списка возвращаются как есть: область сканирования сужается до самого хоста.
+ * @param {string} hostname
+ * @returns {string}
+ */
+function getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase();
+    const { domain, isIcann, isPrivate } = parse(host, { allowPrivateDomains: true });
+    return domain && (isIcann || isPrivate) ? domain : host;
+}
+
+/**
+ * Создает правило, определяющее, какие хосты относятся к сканируемому сайту.
+ * Ссылки на такие хосты считаются внутренними и сканируются, остальные — внешними.
+ * @param {object} options
+ * @param {string} options.startHost - Хост стартового URL (всегда внутренний).
+ * @param {string} [options.mode] - 'exact' — только стартовый хост; 'www' — хост и его вариант с/без www;
+ *   'subdomains' — все поддомены регистрируемого домена; 'list' — стартовый хост и хосты из списка.
+ * @param {string[]|string} [options.hosts] - Хосты для режима 'list' (массив или строка через запятую / перенос строки).
+ * @returns {{isInternal: Function, describe: Function}}
+ */
+function createHostScope({ startHost, mode = 'exact', hosts = [] }) {
+    const safeMode = HOST_SCOPE_MODES.includes(mode) ? mode : 'exact';
+    const start = startHost.toLowerCase();
+    const withoutWww = (host) => host.replace(/^www\./, '');
+    const registrableDomain = getRegistrableDomain(start);
+    const hostList = new Set([start, ...(typeof hosts === 'string' ? hosts.split(/[\s,]+/) : hosts)
+        .map(host => String(host).trim().toLowerCase())
+        .filter(Boolean)]);
+
+    return {
+        /**
+         * @param {string} hostname - Хост проверяемого URL.
+         * @returns {boolean} true, если хост относится к сканируемому сайту.
+         */
+        isInternal(hostname) {
+            const host = hostname.toLowerCase();
+            switch (safeMode) {
+                case 'www':
+                    return withoutWww(host) === withoutWww(start);
+                case 'subdomains':
+                    return host === registrableDomain || host.endsWith(`.${registrableDomain}`);
+                case 'list':
+                    return hostList.has(host);
+                default:
+                    return host === start;
+            }
+        },
+
+        /**
+         * @returns {object} Настройки в читаемом виде для логов.
+         */
+        describe() {
+            switch (safeMode) {
+                case 'www':
+                    return { mode: safeMode, hosts: [withoutWww(start), `www.${withoutWww(start)}`] };
+                case 'subdomains':
+                    return { mode: safeMode, domain: registrableDomain };
+                case 'list':
+                    return { mode: safeMode, hosts: [...hostList] };
+                default:
+                    return { mode: safeMode, hosts: [start] };
+            }
+        },
+    };
+}
+
+/**
+ * Превращает шаблон в регулярное выражение.
+ * "re:выражение" — регулярное выражение, которое ищется в полном URL; иначе glob:
+ * "**" — любые символы, "*" — любые символы кроме "/", "?" — один символ.
+ * Glob, начинающийся с "/", сравнивается с путем и строкой запроса, остальные — с полным URL.
+ * @param {string} pattern
+ * @returns {{regex: RegExp, matchPath: boolean}}
+ */
+function compilePattern(pattern) {
+    if (pattern.startsWith('re:')) {
+        return { regex: new RegExp(pattern.slice(3), 'i'), matchPath: false };
+    }
+    const source = pattern
+        .split('**')
+        .map(part => part
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '[^/]*')
+            .replace(/\?/g, '.'))
+        .join('.*');
+    return { regex: new RegExp(`^${source}$`, 'i'), matchPath: pattern.startsWith('/') };
+}
+
+/**
+ * Разбирает список шаблонов: массив или строка с шаблонами по одному на строке.
+ * @param {string[]|string} [patterns]
+ * @returns {Array<{regex: RegExp, matchPath: boolean}>}
+ */
+function compilePatterns(patterns = []) {
+    const list = typeof patterns === 'string' ? patterns.split('\n') : patterns;
+    return list.map(pattern => String(pattern).trim()).filter(Boolean).map(compilePattern);
+}
+
+/**
+ * Создает правила области сканирования.
+ * @param {object} options
+ * @param {string[]|string} [options.includePatterns] - Сканировать только URL, подходящие хотя бы под один шаблон.
+ * @param {string[]|string} [options.excludePatterns] - Не сканировать URL, подходящие под любой шаблон.
+ * @param {number} [options.maxDepth] - Максимальная глубина (в кликах) от стартового URL; 0 или пусто — без ограничения.
+ * @param {number} [options.maxPages] - Максимум страниц за сканирование; 0 или пусто — без ограничения.
+ * @param {number} [options.maxDurationMs] - Максимальная длительность сканирования; 0 или пусто — без ограничения.
+ * @param {number} [options.startTime] - Время начала сканирования (для maxDurationMs).
+ * @returns {{checkUrl: Function, checkLimits: Function, addPausedTime: Function, addPreviousTime: Function, getElapsedMs: Function, describe: Function}}
+ * @throws {SyntaxError} Если регулярное выражение в шаблоне некорректно.
+ */
+function createScopeRules({ includePatterns, excludePatterns, maxDepth, maxPages, maxDurationMs, startTime = Date.now() } = {}) {
+    const include = compilePatterns(includePatterns);
+    const exclude = compilePatterns(excludePatterns);
+    const depthLimit = Number(maxDepth) > 0 ? Number(maxDepth) : 0;
+    const pagesLimit = Number(maxPages) > 0 ? Number(maxPages) : 0;
+    const durationLimit = Number(maxDurationMs) > 0 ? Number(maxDurationMs) : 0;
+    let pausedMs = 0; // Время на паузе не расходует бюджет времени
+    let previousMs = 0; // Время, затраченное до возобновления сканирования
+    const getElapsedMs = () => Date.now() - startTime - pausedMs + previousMs;
+
+    const matches = ({ regex, matchPath }, url) => {
+        if (!matchPath) return regex.test(url);
+        const { pathname, search } = new URL(url);
+        return regex.test(pathname + search);
+    };
+
+    return {
+        /**
+         * Проверяет, входит ли найденный URL в область сканирования.
+         * Стартовый URL (глубина 0) сканируется всегда.
+         * @param {string} url - Нормализованный URL.
+         * @param {number|null} depth - Глубина URL; null, если неизвестна (например, URL из sitemap).
+         * @returns {string|null} Причина пропуска из SKIP_REASONS или null.
+         */
+        checkUrl(url, depth) {
+            if (depth === 0) return null;
+            if (exclude.some(pattern => matches(pattern, url))) return SKIP_REASONS.EXCLUDED;
+            if (include.length > 0 && !include.some(pattern => matches(pattern, url))) return SKIP_REASONS.NOT_INCLUDED;
+            if (depthLimit && depth !== null && depth > depthLimit) return SKIP_REASONS.MAX_DEPTH;
+            return null;
+        },
+
+        /**
+         * Проверяет лимиты всего сканирования.
+         * @param {number} pagesProcessed - Сколько страниц обработано за все сканирование, включая сессии до возобновления.
+         * @returns {string|null} Причина остановки из SKIP_REASONS или null.
+         */
+        checkLimits(pagesProcessed) {
+            if (pagesLimit && pagesProcessed >= pagesLimit) return SKIP_REASONS.MAX_PAGES;
+            if (durationLimit && getElapsedMs() >= durationLimit) return SKIP_REASONS.TIME_BUDGET;
+            return null;
+        },
+
+        /**
+         * @returns {number} Сколько длится сканирование без пауз, включая сессии до возобновления.
+         */
+        getElapsedMs,
+
+        /**
+         * Исключает время паузы из длительности сканирования.
+         * @param {number} durationMs - Сколько длилась пауза.
+         */
+        addPausedTime(durationMs) {
+            pausedMs += durationMs;
+        },
+
+        /**
+         * Учитывает время прошлых сессий: при возобновлении бюджет времени продолжает расходоваться, а не начинается заново.
+         * @param {number} durationMs - Сколько длилось сканирование до возобновления.
+         */
+        addPreviousTime(durationMs) {
+            previousMs += durationMs;
+        },
+
+        /**
+         * @returns {object} Настройки в читаемом виде для логов.
+         */
+        describe() {
+            return {
+                includePatterns: include.map(({ regex }) => String(regex)),
+                excludePatterns: exclude.map(({ regex }) => String(regex)),
+                maxDepth: depthLimit || null,
+                maxPages: pagesLimit || null,
+                maxDurationMs: durationLimit || null,
+            };
+        },
+    };
+}
+
+module.exports = {
+    SKIP_REASONS,
+    HOST_SCOPE_MODES,
+    getRegistrableDomain,
+    createHostScope,
+    createScopeRules,
+};
@@ -0,0 +1,171 @@
+// src/spider/securityHeaders.js
+
+/**
+ * Проверки заголовков безопасности и кеширования.
+ * Заголовки, относящиеся к документу (CSP, X-Frame-Options и т.п.), проверяются только у HTML-ответов,
+ * HSTS и флаг Secure у cookie — только у HTTPS-адресов.
+ */
+const SECURITY_CHECKS = {
+    HSTS_MISSING: 'hstsMissing',                 // Нет Strict-Transport-Security
+    HSTS_WEAK: 'hstsWeak',                       // max-age меньше HSTS_MIN_MAX_AGE или не указан
+    CSP_MISSING: 'cspMissing',                   // Нет Content-Security-Policy (или только Report-Only)
+    CSP_WEAK: 'cspWeak',                         // 'unsafe-inline', 'unsafe-eval', * или нет script-src / default-src
+    XFO_MISSING: 'xfoMissing',                   // Нет X-Frame-Options и CSP frame-ancestors
+    XFO_INVALID: 'xfoInvalid',                   // Значение X-Frame-Options не DENY / SAMEORIGIN
+    XCTO_MISSING: 'xctoMissing',                 // Нет X-Content-Type-Options: nosniff
+    REFERRER_POLICY_MISSING: 'referrerPolicyMissing',
+    REFERRER_POLICY_WEAK: 'referrerPolicyWeak',  // unsafe-url или no-referrer-when-downgrade
+    PERMISSIONS_POLICY_MISSING: 'permissionsPolicyMissing',
+    CACHE_CONTROL_MISSING: 'cacheControlMissing',
+    COOKIE_NOT_SECURE: 'cookieNotSecure',        // Cookie без Secure на HTTPS-странице
+    COOKIE_NO_HTTP_ONLY: 'cookieNoHttpOnly',     // Cookie доступна из JavaScript
+    COOKIE_NO_SAME_SITE: 'cookieNoSameSite',     // Нет SameSite или SameSite=None без Secure
+};
+
+const HSTS_MIN_MAX_AGE = 15552000; // 180 дней — минимальный срок, который не считается слабым
+const WEAK_REFERRER_POLICIES = ['unsafe-url', 'no-referrer-when-downgrade'];
+
+/**
+ * Переводит заголовки ответа в список для сохранения. Каждый Set-Cookie остается отдельной строкой,
+ * а значение cookie заменяется заглушкой, чтобы не хранить в базе идентификаторы сессий.
+ * @param {Headers} headers - Заголовки ответа fetch.
+ * @returns {Array<{name: string, value: string}>}
+ */
+function serializeHeaders(headers) {
+    return [...headers.entries()].map(([name, value]) => ({
+        name,
+        value: name === 'set-cookie' ? value.replace(/^([^=;]*)=[^;]*/, '$1=***') : value,
+    }));
+}
+
+/**
+ * Разбирает Content-Security-Policy в словарь директив.
+ * @param {string} policy
+ * @returns {Map<string, string[]>} Имя директивы (в нижнем регистре) → источники.
+ */
+function parseCsp(policy) {
+    const directives = new Map();
+    policy.split(';').forEach(part => {
+        const [name, ...sources] = part.trim().split(/\s+/);
+        // Повторная директива игнорируется браузером
+        if (name && !directives.has(name.toLowerCase())) {
+            directives.set(name.toLowerCase(), sources.map(source => source.toLowerCase()));
+        }
+    });
+    return directives;
+}
+
+/**
+ * Ищет слабые места CSP, ограничивающей скрипты.
+ * @param {Map<string, string[]>} directives - Результат parseCsp.
+ * @returns {string[]} Описания проблем.
+ */
+function getCspWeaknesses(directives) {
+    const scriptSources = directives.get('script-src') || directives.get('default-src');
+    if (!scriptSources) return ['нет script-src и default-src'];
+    const weaknesses = [];
+    // При nonce или хеше браузеры игнорируют 'unsafe-inline'
+    const hasNonceOrHash = scriptSources.some(source => /^'(nonce|sha256|sha384|sha512)-/.test(source));
+    if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash) weaknesses.push("'unsafe-inline'");
+    if (scriptSources.includes("'unsafe-eval'")) weaknesses.push("'unsafe-eval'");
+    if (scriptSources.some(source => source === '*' || source === 'http:' || source === 'https:' || source === 'data:')) {
+        weaknesses.push('источник скриптов без ограничения хоста');
+    }
+    return weaknesses;
+}
+
+/**
+ * Разбирает заголовок Set-Cookie. Значение cookie не возвращается, чтобы не сохранять сессии в базе.
+ * @param {string} setCookie
+ * @returns {{name: string, secure: boolean, httpOnly: boolean, sameSite: string|null, domain: string|null, path: string|null}}
+ */
+function parseSetCookie(setCookie) {
+    const [pair, ...attributes] = setCookie.split(';');
+    const cookie = { name: pair.split('=')[0].trim(), secure: false, httpOnly: false, sameSite: null, domain: null, path: null };
+    attributes.forEach(attribute => {
+        const [rawKey, ...rest] = attribute.split('=');
+        const key = rawKey.trim().toLowerCase();
+        const value = rest.join('=').trim();
+        if (key === 'secure') cookie.secure = true;
+        else if (key === 'httponly') cookie.httpOnly = true;
+        else if (key === 'samesite') cookie.sameSite = value ? value.charAt(0).toUpperCase() + value.slice(1).toLowerCase() : null;
+        else if (key === 'domain') cookie.domain = value || null;
+        else if (key === 'path') cookie.path = value || null;
+    });
+    return cookie;
+}
+
+/**
+ * Проверяет заголовки безопасности и кеширования одного ответа.
+ * @param {object} params
+ * @param {Headers} params.headers - Заголовки ответа fetch.
+ * @param {string} params.pageUrl - Конечный URL ответа.
+ * @param {boolean} params.isHtml - Ответ — HTML-документ.
+ * @returns {{issues: Array<{check: string, detail: string}>, cookies: Array<Object>}}
+ */
+function auditSecurityHeaders({ headers, pageUrl, isHtml }) {
+    const issues = [];
+    const addIssue = (check, detail = '') => issues.push({ check, detail });
+    const isHttps = new URL(pageUrl).protocol === 'https:';
+
+    if (isHttps) {
+        const hsts = headers.get('strict-transport-security');
+        if (!hsts) {
+            addIssue(SECURITY_CHECKS.HSTS_MISSING);
+        } else {
+            const maxAgeMatch = hsts.match(/max-age\s*=\s*"?(\d+)"?/i);
+            if (!maxAgeMatch || parseInt(maxAgeMatch[1], 10) < HSTS_MIN_MAX_AGE) addIssue(SECURITY_CHECKS.HSTS_WEAK, hsts);
+        }
+    }
+
+    const xcto = headers.get('x-content-type-options');
+    if (!xcto || xcto.trim().toLowerCase() !== 'nosniff') addIssue(SECURITY_CHECKS.XCTO_MISSING, xcto || '');
+
+    if (!headers.get('cache-control')) addIssue(SECURITY_CHECKS.CACHE_CONTROL_MISSING);
+
+    if (isHtml) {
+        const csp = headers.get('content-security-policy');
+        const cspDirectives = csp ? parseCsp(csp) : new Map();
+        if (!csp) {
+            addIssue(SECURITY_CHECKS.CSP_MISSING, headers.get('content-security-policy-report-only') ? 'только Content-Security-Policy-Report-Only' : '');
+        } else {
+            const weaknesses = getCspWeaknesses(cspDirectives);
+            if (weaknesses.length > 0) addIssue(SECURITY_CHECKS.CSP_WEAK, weaknesses.join(', '));
+        }
+
+        // frame-ancestors в CSP заменяет X-Frame-Options
+        if (!cspDirectives.has('frame-ancestors')) {
+            const xfo = headers.get('x-frame-options');
+            if (!xfo) addIssue(SECURITY_CHECKS.XFO_MISSING);
+            else if (!['deny', 'sameorigin'].includes(xfo.trim().toLowerCase())) addIssue(SECURITY_CHECKS.XFO_INVALID, xfo);
+        }
+
+        const referrerPolicy = headers.get('referrer-policy');
+        if (!referrerPolicy) {
+            addIssue(SECURITY_CHECKS.REFERRER_POLICY_MISSING);
+        } else {
+            // Браузер применяет последнее известное ему значение из списка
+            const effectivePolicy = referrerPolicy.split(',').map(value => value.trim().toLowerCase()).filter(Boolean).pop();
+            if (WEAK_REFERRER_POLICIES.includes(effectivePolicy)) addIssue(SECURITY_CHECKS.REFERRER_POLICY_WEAK, effectivePolicy);
+        }
+
+        if (!headers.get('permissions-policy')) addIssue(SECURITY_CHECKS.PERMISSIONS_POLICY_MISSING);
+    }
+
+    const cookies = headers.getSetCookie().map(parseSetCookie);
+    cookies.forEach(cookie => {
+        if (isHttps && !cookie.secure) addIssue(SECURITY_CHECKS.COOKIE_NOT_SECURE, cookie.name);
+        if (!cookie.httpOnly) addIssue(SECURITY_CHECKS.COOKIE_NO_HTTP_ONLY, cookie.name);
+        // SameSite=None без Secure браузеры отклоняют
+        if (!cookie.sameSite || (cookie.sameSite === 'None' && !cookie.secure)) addIssue(SECURITY_CHECKS.COOKIE_NO_SAME_SITE, cookie.name);
+    });
+
+    return { issues, cookies };
+}
+
+module.exports = {
+    SECURITY_CHECKS,
+    serializeHeaders,
+    parseSetCookie,
+    auditSecurityHeaders,
+};
@@ -0,0 +1,121 @@
+// src/spider/sitemap.js
+const xml2js = require('xml2js');
+const zlib = require('zlib');
+const { URL } = require('url');
+
+const MAX_SITEMAPS = 500; // Защита от бесконечных/слишком больших индексов sitemap
+
+/**
+ * Загружает и разбирает один sitemap (обычный или индекс).
+ * Поддерживает сжатые файлы .xml.gz.
+ * @param {string} sitemapUrl - URL файла sitemap.
+ * @param {object} options
+ * @param {Function} options.fetch - Функция fetch.
+ * @param {object|Function} options.headers - Заголовки запроса (User-Agent и т.п.) или (url) => заголовки.
+ * @param {number} [options.timeoutMs] - Таймаут запроса.
+ * @returns {Promise<{urls: Array<{loc: string, lastmod: string|null}>, sitemaps: string[]}|null>} null, если sitemap недоступен.
+ */
+async function fetchSitemap(sitemapUrl, { fetch, headers, timeoutMs }) {
+    const response = await fetch(sitemapUrl, {
+        headers: typeof headers === 'function' ? headers(sitemapUrl) : headers,
+        redirect: 'follow',
+        signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined,
+    });
+    if (!response.ok) {
+        await response.body?.cancel?.();
+        return null;
+    }
+
+    let buffer = Buffer.from(await response.arrayBuffer());
+    // Файлы .gz приходят как бинарные данные (без Content-Encoding), распаковываем вручную
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        buffer = zlib.gunzipSync(buffer);
+    }
+
+    const parsed = await xml2js.parseStringPromise(buffer.toString('utf8'), {
+        tagNameProcessors: [xml2js.processors.stripPrefix], // Убираем префиксы пространств имен (например, "ns:url")
+        explicitArray: true,
+    });
+
+    const readLoc = (entry) => (entry?.loc?.[0] || '').toString().trim();
+
+    if (parsed?.sitemapindex) {
+        const sitemaps = (parsed.sitemapindex.sitemap || []).map(readLoc).filter(Boolean);
+        return { urls: [], sitemaps };
+    }
+
+    if (parsed?.urlset) {
+        const urls = (parsed.urlset.url || [])
+            .map(entry => ({ loc: readLoc(entry), lastmod: entry?.lastmod?.[0]?.toString().trim() || null }))
+            .filter(entry => entry.loc);
+        return { urls, sitemaps: [] };
+    }
+
+    return { urls: [], sitemaps: [] };
+}
+
+/**
+ * Обходит sitemap-файлы (включая вложенные индексы) и собирает все перечисленные в них URL.
+ * @param {string[]} startSitemaps - Начальный список sitemap (из robots.txt и /sitemap.xml).
+ * @param {object} options
+ * @param {Function} options.fetch - Функция fetch.
+ * @param {object|Function} options.headers - Заголовки запроса или (url) => заголовки.
+ * @param {number} [options.timeoutMs] - Таймаут запроса одного sitemap.
+ * @param {Function} [options.log] - Функция логирования (level, ...args).
+ * @returns {Promise<Map<string, {sitemapUrl: string, lastmod: string|null}>>} Карта: URL страницы -> источник.
+ */
+async function collectSitemapUrls(startSitemaps, { fetch, headers, timeoutMs, log = () => { } }) {
+    const pageUrls = new Map();
+    const visitedSitemaps = new Set();
+    const sitemapQueue = [...new Set(startSitemaps)];
+
+    while (sitemapQueue.length > 0 && visitedSitemaps.size < MAX_SITEMAPS) {
+        const sitemapUrl = sitemapQueue.shift();
+        if (visitedSitemaps.has(sitemapUrl)) continue;
+        visitedSitemaps.add(sitemapUrl);
+
+        try {
+            const result = await fetchSitemap(sitemapUrl, { fetch, headers, timeoutMs });
+            if (!result) {
+                log('warn', `[SPIDER_SITEMAP] Sitemap недоступен: ${sitemapUrl}`);
+                continue;
+            }
+
+            result.sitemaps.forEach(childUrl => {
+                try {
+                    const absoluteChildUrl = new URL(childUrl, sitemapUrl).href;
+                    if (!visitedSitemaps.has(absoluteChildUrl)) {
+                        sitemapQueue.push(absoluteChildUrl);
+                    }
+                } catch (e) {
+                    // Некорректный URL вложенного sitemap пропускаем
+                }
+            });
+
+            result.urls.forEach(({ loc, lastmod }) => {
+                try {
+                    const absoluteUrl = new URL(loc, sitemapUrl).href;
+                    if (!pageUrls.has(absoluteUrl)) {
+                        pageUrls.set(absoluteUrl, { sitemapUrl, lastmod });
+                    }
+                } catch (e) {
+                    // Некорректный <loc> пропускаем
+                }
+            });
+
+            log('info', `[SPIDER_SITEMAP] Обработан ${sitemapUrl}: ${result.urls.length} URL, ${result.sitemaps.length} вложенных sitemap`);
+        } catch (error) {
+            log('error', `[SPIDER_SITEMAP] Ошибка при обработке sitemap ${sitemapUrl}:`, error);
+        }
+    }
+
+    if (sitemapQueue.length > 0) {
+        log('warn', `[SPIDER_SITEMAP] Достигнут лимит в ${MAX_SITEMAPS} sitemap, остальные пропущены.`);
+    }
+
+    return pageUrls;
+}
+
+module.exports = {
+    collectSitemapUrls,
+};
@@ -0,0 +1,176 @@
+// src/spider/structuredData.js
+
+/**
+ * Обязательные свойства Open Graph (базовые метаданные, см. ogp.me).
+ */
+const REQUIRED_OG_TAGS = ['og:title', 'og:type', 'og:image', 'og:url'];
+
+/**
+ * Приводит тип schema.org к короткому имени: "https://schema.org/Product" → "Product".
+ * @param {string} type
+ * @returns {string}
+ */
+function shortSchemaType(type) {
+    return String(type).trim().replace(/^.*[/#:]/, '');
+}
+
+/**
+ * Возвращает типы узла JSON-LD ("@type" может быть строкой или массивом).
+ * @param {object} node
+ * @returns {string[]}
+ */
+function getJsonLdTypes(node) {
+    const type = node['@type'];
+    const types = Array.isArray(type) ? type : (type ? [type] : []);
+    return types.filter(t => typeof t === 'string' && t.trim()).map(shortSchemaType);
+}
+
+/**
+ * Разбирает блоки <script type="application/ld+json">.
+ * Каждый узел верхнего уровня (в том числе элементы массива и "@graph") становится отдельной записью.
+ * @param {import('cheerio').CheerioAPI} $
+ * @returns {Array<{format: string, schemaType: string|null, valid: boolean, content: string, error: string|null}>}
+ */
+function extractJsonLd($) {
+    const items = [];
+    $('script[type="application/ld+json"]').each((i, el) => {
+        const text = $(el).text().trim();
+        if (!text) return;
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            items.push({ format: 'json-ld', schemaType: null, valid: false, content: text, error: e.message });
+            return;
+        }
+        const nodes = (Array.isArray(parsed) ? parsed : [parsed])
+            .flatMap(node => (node && Array.isArray(node['@graph']) ? node['@graph'] : [node]))
+            .filter(node => node && typeof node === 'object');
+        nodes.forEach(node => {
+            const content = JSON.stringify(node);
+            const types = getJsonLdTypes(node);
+            if (types.length === 0) {
+                items.push({ format: 'json-ld', schemaType: null, valid: true, content, error: null });
+            }
+            types.forEach(schemaType => items.push({ format: 'json-ld', schemaType, valid: true, content, error: null }));
+        });
+    });
+    return items;
+}
+
+/**
+ * Значение свойства microdata в зависимости от элемента, на котором указан itemprop.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Element} el
+ * @returns {string}
+ */
+function getMicrodataValue($, el) {
+    const $el = $(el);
+    switch (el.tagName) {
+        case 'meta':
+            return $el.attr('content') || '';
+        case 'link':
+        case 'a':
+        case 'area':
+            return $el.attr('href') || '';
+        case 'img':
+        case 'audio':
+        case 'video':
+        case 'source':
+        case 'iframe':
+        case 'embed':
+            return $el.attr('src') || '';
+        case 'object':
+            return $el.attr('data') || '';
+        case 'time':
+            return $el.attr('datetime') || $el.text().trim();
+        case 'data':
+        case 'meter':
+            return $el.attr('value') || '';
+        default:
+            return $el.text().replace(/\s+/g, ' ').trim();
+    }
+}
+
+/**
+ * Рекурсивно разбирает элемент с itemscope в объект { "@type", свойства... }.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {import('cheerio').Element} itemEl
+ * @returns {object}
+ */
+function parseMicrodataItem($, itemEl) {
+    const item = {};
+    const itemType = $(itemEl).attr('itemtype');
+    if (itemType) {
+        const types = itemType.trim().split(/\s+/).map(shortSchemaType);
+        item['@type'] = types.length === 1 ? types[0] : types;
+    }
+    // Свойства этого элемента — itemprop, ближайший itemscope-предок которых и есть этот элемент
+    $(itemEl).find('[itemprop]').each((i, propEl) => {
+        if ($(propEl).parent().closest('[itemscope]')[0] !== itemEl) return;
+        const value = $(propEl).is('[itemscope]') ? parseMicrodataItem($, propEl) : getMicrodataValue($, propEl);
+        $(propEl).attr('itemprop').trim().split(/\s+/).forEach(name => {
+            if (name in item) {
+                item[name] = [].concat(item[name], value);
+            } else {
+                item[name] = value;
+            }
+        });
+    });
+    return item;
+}
+
+/**
+ * Разбирает microdata: каждый элемент верхнего уровня с itemscope (не являющийся свойством другого) — отдельная запись.
+ * @param {import('cheerio').CheerioAPI} $
+ * @returns {Array<{format: string, schemaType: string|null, valid: boolean, content: string, error: null}>}
+ */
+function extractMicrodata($) {
+    const items = [];
+    $('[itemscope]').not('[itemprop]').each((i, el) => {
+        const item = parseMicrodataItem($, el);
+        const content = JSON.stringify(item);
+        const types = [].concat(item['@type'] || []);
+        if (types.length === 0) {
+            items.push({ format: 'microdata', schemaType: null, valid: true, content, error: null });
+        }
+        types.forEach(schemaType => items.push({ format: 'microdata', schemaType, valid: true, content, error: null }));
+    });
+    return items;
+}
+
+/**
+ * Собирает свойства Open Graph (og:*) и Twitter Card (twitter:*).
+ * Сайты указывают их и в property, и в name, поэтому проверяем оба атрибута.
+ * @param {import('cheerio').CheerioAPI} $
+ * @returns {Array<{property: string, content: string}>}
+ */
+function extractSocialTags($) {
+    const tags = [];
+    $('meta[content]').each((i, el) => {
+        const property = ($(el).attr('property') || $(el).attr('name') || '').trim().toLowerCase();
+        if (/^(og|twitter):/.test(property)) {
+            tags.push({ property, content: $(el).attr('content').trim() });
+        }
+    });
+    return tags;
+}
+
+/**
+ * Извлекает структурированные данные страницы.
+ * Запись с несколькими типами (например, "@type": ["Product", "Thing"]) сохраняется для каждого типа,
+ * чтобы считать страницы по типам простым запросом.
+ * @param {import('cheerio').CheerioAPI} $ - Загруженный HTML.
+ * @returns {{items: Array<{format: string, schemaType: string|null, valid: boolean, content: string, error: string|null}>, socialTags: Array<{property: string, content: string}>}}
+ */
+function extractStructuredData($) {
+    return {
+        items: [...extractJsonLd($), ...extractMicrodata($)],
+        socialTags: extractSocialTags($),
+    };
+}
+
+module.exports = {
+    REQUIRED_OG_TAGS,
+    extractStructuredData,
+};
@@ -0,0 +1,99 @@
+// src/spider/taskQueue.js
+
+/**
+ * Создает очередь задач с ограничением параллельности и дедупликацией по ключу.
+ * Используется для фоновых проверок (внешние ссылки, ресурсы), которые идут параллельно с основным обходом.
+ * @param {object} options
+ * @param {number} [options.concurrency] - Максимум одновременно выполняемых задач.
+ * @param {Function} options.worker - async (item) => void, обработчик одной задачи.
+ * @param {Function} [options.isDone] - (key) => boolean, обработана ли задача раньше (например, по записи в базе).
+ *   В памяти хранятся только ключи задач, ждущих в очереди и выполняемых, поэтому завершенная задача
+ *   должна стать видна isDone до окончания worker — иначе ее можно поставить повторно.
+ * @param {Function} [options.onError] - Вызывается, если обработчик выбросил ошибку.
+ * @returns {{enqueue: Function, drain: Function, pause: Function, resume: Function, getStats: Function}}
+ */
+function createTaskQueue({ concurrency = 5, worker, isDone = () => false, onError = () => { } }) {
+    const pendingKeys = new Set(); // Ключи задач в очереди и в работе
+    const queue = []; // { key, item }
+    let active = 0;
+    let doneCount = 0;
+    let drainWaiters = [];
+    let paused = false;
+    let idleWaiters = []; // Ожидают завершения активных задач после pause()
+
+    const pump = () => {
+        while (!paused && active < concurrency && queue.length > 0) {
+            const { key, item } = queue.shift();
+            active++;
+            Promise.resolve()
+                .then(() => worker(item))
+                .catch(error => onError(error, item))
+                .finally(() => {
+                    pendingKeys.delete(key);
+                    active--;
+                    doneCount++;
+                    pump();
+                });
+        }
+        if (active === 0) {
+            idleWaiters.forEach(resolve => resolve());
+            idleWaiters = [];
+        }
+        if (active === 0 && queue.length === 0) {
+            drainWaiters.forEach(resolve => resolve());
+            drainWaiters = [];
+        }
+    };
+
+    return {
+        /**
+         * Ставит задачу в очередь, если задача с таким ключом не ждет, не выполняется и не выполнена раньше.
+         * @param {string} key - Ключ дедупликации (обычно URL).
+         * @param {*} [item] - Данные задачи (по умолчанию сам ключ).
+         */
+        enqueue(key, item = key) {
+            if (pendingKeys.has(key) || isDone(key)) return;
+            pendingKeys.add(key);
+            queue.push({ key, item });
+            pump();
+        },
+
+        /**
+         * Ожидает завершения всех поставленных в очередь задач.
+         * @returns {Promise<void>}
+         */
+        drain() {
+            if (active === 0 && queue.length === 0) return Promise.resolve();
+            return new Promise(resolve => drainWaiters.push(resolve));
+        },
+
+        /**
+         * Перестает запускать новые задачи; поставленные в очередь задачи сохраняются до resume().
+         * @returns {Promise<void>} Выполняется, когда завершатся уже запущенные задачи.
+         */
+        pause() {
+            paused = true;
+            if (active === 0) return Promise.resolve();
+            return new Promise(resolve => idleWaiters.push(resolve));
+        },
+
+        /**
+         * Снова запускает задачи из очереди после pause().
+         */
+        resume() {
+            paused = false;
+            pump();
+        },
+
+        /**
+         * @returns {{checked: number, pending: number}}
+         */
+        getStats() {
+            return { checked: doneCount, pending: queue.length + active };
+        },
+    };
+}
+
+module.exports = {
+    createTaskQueue,
+};
@@ -0,0 +1,124 @@
+// src/spider/urlNormalizer.js
+const { URL } = require('url');
+
+const TRAILING_SLASH_MODES = ['keep', 'add', 'remove'];
+
+/**
+ * Настройки нормализации по умолчанию. Хост приводится к нижнему регистру,
+ * а порт по умолчанию убирается всегда — это делает сам разбор URL.
+ */
+const DEFAULT_NORMALIZATION = {
+    stripFragment: true,
+    dropQueryParams: ['utm_*', 'gclid', 'fbclid', 'yclid'],
+    sortQueryParams: false,
+    trailingSlash: 'keep', // 'keep' | 'add' | 'remove'
+};
+
+/**
+ * Превращает список имен параметров в функцию проверки. Имя с "*" на конце задает префикс ("utm_*").
+ * @param {string[]} names
+ * @returns {(name: string) => boolean}
+ */
+function createParamMatcher(names) {
+    const exact = new Set();
+    const prefixes = [];
+    names.map(name => String(name).trim().toLowerCase()).filter(Boolean).forEach(name => {
+        if (name.endsWith('*')) prefixes.push(name.slice(0, -1));
+        else exact.add(name);
+    });
+    return (name) => {
+        const lowerName = name.toLowerCase();
+        return exact.has(lowerName) || prefixes.some(prefix => lowerName.startsWith(prefix));
+    };
+}
+
+/**
+ * Приводит настройки нормализации из сообщения start к полному виду.
+ * @param {object} [options]
+ * @returns {{stripFragment: boolean, dropQueryParams: string[], sortQueryParams: boolean, trailingSlash: string}}
+ */
+function resolveNormalizationOptions(options = {}) {
+    const dropQueryParams = typeof options.dropQueryParams === 'string'
+        ? options.dropQueryParams.split(',')
+        : options.dropQueryParams;
+    return {
+        stripFragment: options.stripFragment ?? DEFAULT_NORMALIZATION.stripFragment,
+        dropQueryParams: Array.isArray(dropQueryParams)
+            ? dropQueryParams.map(name => String(name).trim()).filter(Boolean)
+            : DEFAULT_NORMALIZATION.dropQueryParams,
+        sortQueryParams: options.sortQueryParams ?? DEFAULT_NORMALIZATION.sortQueryParams,
+        trailingSlash: TRAILING_SLASH_MODES.includes(options.trailingSlash) ? options.trailingSlash : DEFAULT_NORMALIZATION.trailingSlash,
+    };
+}
+
+/**
+ * Создает функцию нормализации URL для одного сканирования.
+ * Нормализованная форма используется как ключ очереди и множества обработанных URL,
+ * поэтому варианты одной страницы (#якоря, utm-метки, порядок параметров, слеш на конце) сканируются один раз.
+ * @param {object} [options] - Настройки (см. DEFAULT_NORMALIZATION).
+ * @returns {(url: string) => string} Функция нормализации; некорректный URL возвращается без изменений.
+ */
+function createUrlNormalizer(options = {}) {
+    const { stripFragment, dropQueryParams, sortQueryParams, trailingSlash } = resolveNormalizationOptions(options);
+    const isDroppedParam = createParamMatcher(dropQueryParams);
+
+    return (url) => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return url;
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return url;
+
+        if (stripFragment) parsed.hash = '';
+
+        // Переписываем строку запроса, только если ее действительно нужно менять,
+        // иначе URLSearchParams перекодирует значения (например, пробелы в "+")
+        const paramNames = [...parsed.searchParams.keys()];
+        const hasDropped = paramNames.some(isDroppedParam);
+        if (hasDropped || (sortQueryParams && paramNames.length > 1)) {
+            const params = [...parsed.searchParams.entries()].filter(([name]) => !isDroppedParam(name));
+            if (sortQueryParams) {
+                params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+            }
+            parsed.search = params.length > 0 ? new URLSearchParams(params).toString() : '';
+        }
+
+        if (parsed.pathname !== '/') {
+            if (trailingSlash === 'remove' && parsed.pathname.endsWith('/')) {
+                parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+            } else if (trailingSlash === 'add' && !parsed.pathname.endsWith('/')) {
+                // Пути, похожие на файлы (/file.pdf), не трогаем
+                const lastSegment = parsed.pathname.split('/').pop();
+                if (!lastSegment.includes('.')) parsed.pathname += '/';
+            }
+        }
+
+        return parsed.href;
+    };
+}
+
+/**
+ * Убирает логин и пароль из URL (например, перед тем как показать или сохранить стартовый адрес).
+ * Некорректный URL возвращается как есть.
+ * @param {string|null} url
+ * @returns {string|null}
+ */
+function stripUrlCredentials(url) {
+    try {
+        const parsedUrl = new URL(url);
+        parsedUrl.username = '';
+        parsedUrl.password = '';
+        return parsedUrl.href;
+    } catch (error) {
+        return url;
+    }
+}
+
+module.exports = {
+    DEFAULT_NORMALIZATION,
+    resolveNormalizationOptions,
+    createUrlNormalizer,
+    stripUrlCredentials,
+};
@@ -0,0 +1,57 @@
+// src/spider/userAgents.js
+
+/**
+ * Готовые User-Agent для сканирования.
+ * robotsToken — имя группы User-agent в robots.txt, правила которой применяются к сканеру
+ * ('*' — только общая группа, как для обычного браузера).
+ */
+const USER_AGENT_PRESETS = {
+    default: {
+        userAgent: 'Mozilla/5.0 (compatible; SpiderNext/0.1)',
+        robotsToken: 'SpiderNext',
+    },
+    googlebot: {
+        userAgent: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+        robotsToken: 'Googlebot',
+    },
+    googlebotSmartphone: {
+        userAgent: 'Mozilla/5.0 (Linux; Android 6.0.1; Nexus 5X Build/MMB29P) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.6367.118 Mobile Safari/537.36 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)',
+        robotsToken: 'Googlebot',
+    },
+    bingbot: {
+        userAgent: 'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)',
+        robotsToken: 'bingbot',
+    },
+    chromeDesktop: {
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+        robotsToken: '*',
+    },
+    safariMobile: {
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1',
+        robotsToken: '*',
+    },
+};
+
+/**
+ * Определяет User-Agent сканирования по настройкам формы.
+ * @param {object} [options]
+ * @param {string} [options.preset] - Ключ USER_AGENT_PRESETS или 'custom'.
+ * @param {string} [options.custom] - Строка User-Agent для 'custom'.
+ * @param {string} [options.robotsToken] - Группа robots.txt для 'custom' (по умолчанию '*').
+ * @returns {{preset: string, userAgent: string, robotsToken: string}}
+ * @throws {Error} Если для 'custom' не указана строка User-Agent.
+ */
+function resolveUserAgent({ preset = 'default', custom = '', robotsToken = '' } = {}) {
+    if (preset === 'custom') {
+        const userAgent = String(custom || '').trim();
+        if (!userAgent) throw new Error('не указана строка User-Agent');
+        return { preset, userAgent, robotsToken: String(robotsToken || '').trim() || '*' };
+    }
+    const safePreset = USER_AGENT_PRESETS[preset] ? preset : 'default';
+    return { preset: safePreset, ...USER_AGENT_PRESETS[safePreset] };
+}
+
+module.exports = {
+    USER_AGENT_PRESETS,
+    resolveUserAgent,
+};